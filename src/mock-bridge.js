@@ -0,0 +1,1295 @@
+/**
+ * An in-memory stand-in for the Pulsar WebViewJavascriptBridge.
+ *
+ * MockBridge answers every request type the `Pulsar` class sends, backed by an in-memory record store
+ * that is seeded from JSON fixtures. Like Pulsar's SQLite cache, every stored field value is a string.
+ * Use it to run a .pulsarapp in a browser tab or in jsdom without a device.
+ *
+ * @example
+ * import { Pulsar } from './pulsar.js';
+ * import { MockBridge } from './mock-bridge.js';
+ *
+ * const pulsar = new Pulsar();
+ * const ready = pulsar.init();
+ * new MockBridge({ records: { Account: [{ Id: '001000000000001AAA', Name: 'ACME Corp' }] } }).attach();
+ * await ready;
+ *
+ * const accounts = await pulsar.read('Account', { Name: 'ACME Corp' });
+ */
+export class MockBridge {
+
+  /**
+   * @typedef {Object} MockBridgeFixtures
+   * @property {Object.<string, object[]>} [records] - Records to seed, keyed by SObject name.
+   * @property {Object.<string, DescribeSObjectResult>} [schemas] - Schemas keyed by SObject name.
+   * @property {Object.<string, object>} [layouts] - A DescribeLayout per SObject, or a map of DescribeLayouts keyed by Record Type Id or Developer Name with an optional `default` entry.
+   * @property {Object.<string, string[]>} [compactLayouts] - Compact layout field names keyed by SObject name.
+   * @property {Object.<string, Object.<string, object>>} [listviews] - Listview metadata keyed by SObject name and listview Id. Each entry needs a `label`.
+   * @property {Object.<string, any>} [settings] - Pulsar Settings keyed by setting key.
+   * @property {Object.<string, object>} [settingAttachments] - Setting attachments keyed by setting key.
+   * @property {Object.<string, string>} [customLabels] - Custom label values keyed by label name.
+   * @property {object[]} [content] - Content Library entries with `Id`, `Title` and `url`.
+   * @property {object} [userInfo] - The UserInfo object returned by `userInfo`.
+   * @property {object} [syncInfo] - The SyncInfoResult returned by `syncinfo`.
+   * @property {PlatformFeature[]} [platformFeatures] - Features returned by `getPlatformFeatures`.
+   * @property {string} [platform='web'] - The platform returned by `getPlatform`.
+   * @property {string} [version='12.0'] - The bridge version. Pulsar versions before 12 report no version.
+   * @property {boolean} [online=true] - The initial online status.
+   */
+
+  /**
+   * @param {MockBridgeFixtures} [fixtures={}] - Data used to seed the mock.
+   * @param {object} [options={}] - Mock behavior options.
+   * @param {number} [options.latency=0] - Milliseconds to wait before answering each request. With 0, responses are delivered on the next microtask.
+   * @param {number} [options.soqlBatchSize=2000] - Most records returned by one `soqlquery` response. Larger results report `done: false`, as Salesforce does.
+   */
+  constructor(fixtures = {}, options = {}) {
+    this.version = 'version' in fixtures ? fixtures.version : '12.0';
+    this.latency = options.latency ?? 0;
+    this.soqlBatchSize = options.soqlBatchSize ?? 2000;
+    this.fixtures = fixtures;
+    this.online = fixtures.online ?? true;
+    this.autosync = true;
+    this.syncRunning = false;
+    this.syncInfo = { ...fixtures.syncInfo };
+    this.schemas = { ...fixtures.schemas };
+    this.records = {};
+    this.eventHandlers = {};
+    this.responses = {};
+    this.requests = [];
+    this.log = [];
+    this._idCounter = 0;
+
+    for (const [objectName, records] of Object.entries(fixtures.records || {})) {
+      this.seed(objectName, records);
+    }
+  }
+
+  /* The SDK only calls init() on bridges that report no version (Pulsar < 12). There is nothing to set up here. */
+  init() {}
+
+  /**
+   * Dispatches the `WebViewJavascriptBridgeReady` event with this bridge attached, as Pulsar does in a native context.
+   * Call it after `pulsar.init()` has been started.
+   *
+   * @param {EventTarget} [target=document] - The target to dispatch the event on.
+   * @returns {MockBridge} This bridge.
+   */
+  attach(target = document) {
+    const event = new Event('WebViewJavascriptBridgeReady');
+    event.bridge = this;
+    target.dispatchEvent(event);
+    return this;
+  }
+
+  /**
+   * Adds records to the in-memory store. Values are stored as strings and records without an Id are given one.
+   *
+   * @param {string} objectName - Name of the SObject (e.g., 'Account').
+   * @param {object[]} [records=[]] - Records to add.
+   * @returns {string[]} The Ids of the seeded records.
+   */
+  seed(objectName, records = []) {
+    const table = this._table(objectName, true);
+    return records.map(record => {
+      const stored = this._stringifyRecord(record);
+      stored.Id = stored.Id || this._generateId(objectName);
+      table.set(stored.Id, stored);
+      return stored.Id;
+    });
+  }
+
+  /**
+   * Overrides the response for a request type. A function receives the request and returns the response
+   * data; throwing from it produces an error response.
+   *
+   * @param {string} type - The request type (e.g., 'scanBarcode').
+   * @param {any|function(object): any} response - Response data or a function producing it.
+   */
+  setResponse(type, response) {
+    this.responses[type] = response;
+  }
+
+  /**
+   * Invokes the handler registered for a native event, as Pulsar does for `syncDataFinished` or `invalidateLayout`.
+   *
+   * @param {string} eventName - Name of the event.
+   * @param {any} [data] - Payload passed to the handler.
+   * @returns {boolean} `true` if a handler was registered for the event.
+   */
+  emit(eventName, data) {
+    const handler = this.eventHandlers[eventName];
+    if (!handler) return false;
+    handler(data, () => {});
+    return true;
+  }
+
+  registerHandler(handlerName, handlerFn) {
+    this.eventHandlers[handlerName] = handlerFn;
+  }
+
+  deregisterHandler(handlerName) {
+    delete this.eventHandlers[handlerName];
+  }
+
+  /**
+   * Answers a Pulsar JSAPI request with `{ type: '<type>Response', data }`, or with `{ type: 'error', data }` on failure.
+   *
+   * @param {object} request - Pulsar JSAPI request payload.
+   * @param {function(object): void} callback - Receives the response.
+   */
+  send(request, callback) {
+    this.requests.push(request);
+
+    let response;
+    try {
+      const data = this._handle(request);
+      response = { type: `${request.type}Response`, data };
+    } catch (error) {
+      response = { type: 'error', data: error.message };
+    }
+
+    if (this.latency > 0) {
+      setTimeout(() => callback(response), this.latency);
+    } else {
+      Promise.resolve().then(() => callback(response));
+    }
+  }
+
+
+  /** ******************************
+   * REQUEST HANDLERS
+   ****************************** */
+
+  _handle(request) {
+    if (Object.hasOwn(this.responses, request.type)) {
+      const response = this.responses[request.type];
+      return typeof response === 'function' ? response(request) : response;
+    }
+
+    const handler = REQUEST_HANDLERS[request.type];
+    if (!handler) {
+      throw new Error(`Unsupported request type: ${request.type}`);
+    }
+    return handler.call(this, request.data ?? {}, request);
+  }
+
+  _read(filters, request) {
+    return [...this._table(request.object).values()]
+      .filter(record => Object.entries(filters).every(([field, value]) => record[field] === stringifyValue(value)))
+      .map(record => ({ ...record }));
+  }
+
+  _create(fields, request) {
+    const [id] = this.seed(request.object, [fields]);
+    return id;
+  }
+
+  _update(fields, request) {
+    const record = this._record(request.object, fields.Id);
+    Object.assign(record, this._stringifyRecord(fields));
+    return record.Id;
+  }
+
+  _delete(fields, request) {
+    this._record(request.object, fields.Id);
+    this._table(request.object).delete(fields.Id);
+    return fields.Id;
+  }
+
+  _deleteBatch({ objectIdList = [] }, request) {
+    const table = this._table(request.object);
+    const results = {};
+    for (const id of objectIdList) {
+      const success = table.delete(id);
+      results[id] = { objectId: id, success: success ? 'TRUE' : 'FALSE', error: success ? '' : `No ${request.object} record found with Id ${id}.` };
+    }
+    return { summary: { success: batchSuccess(results) }, results };
+  }
+
+  _select({ query }) {
+    return executeSelect(parseSql(query), this._tableResolver());
+  }
+
+  _updateQuery({ query }) {
+    const statement = parseSql(query);
+    if (statement.kind !== 'update') {
+      throw new Error('updateQuery only supports UPDATE statements.');
+    }
+    executeUpdate(statement, this._tableResolver());
+    return 'success';
+  }
+
+  _soqlQuery({ query }) {
+    if (!this.online) {
+      throw new Error('Unable to execute a SOQL query while offline.');
+    }
+    const statement = parseSql(query);
+    const records = executeSelect(statement, this._tableResolver())
+      .map(record => ({ attributes: { type: statement.table }, ...record }));
+    return {
+      totalSize: records.length,
+      done: records.length <= this.soqlBatchSize,
+      records: records.slice(0, this.soqlBatchSize)
+    };
+  }
+
+  _getSObjectSchema(data, request) {
+    return JSON.stringify(this._schema(request.object));
+  }
+
+  _getLayout(data, request) {
+    return this._layout(request.object, data);
+  }
+
+  _getLayoutSections(data, request) {
+    return layoutSectionsFor(this._layout(request.object, data), data.LayoutMode)
+      .map((section, index) => ({
+        display: section.useHeading === false ? 'FALSE' : 'TRUE',
+        heading: section.heading ?? '',
+        section: String(index)
+      }));
+  }
+
+  _getLayoutFields(data, request) {
+    const fields = [];
+    for (const section of layoutSectionsFor(this._layout(request.object, data), data.LayoutMode)) {
+      for (const row of section.layoutRows || []) {
+        for (const item of row.layoutItems || []) {
+          for (const component of item.layoutComponents || []) {
+            const parts = component.components?.length ? component.components : [component];
+            for (const part of parts) {
+              fields.push({
+                displayLines: String(part.displayLines ?? component.displayLines ?? 1),
+                tabOrder: String(part.tabOrder ?? component.tabOrder ?? 0),
+                type: part.type,
+                name: part.value,
+                label: item.label ?? '',
+                placeHolder: stringifyValue(item.placeholder ?? false),
+                required: stringifyValue(item.required ?? false),
+                editableForNew: stringifyValue(item.editableForNew ?? false),
+                editableForUpdate: stringifyValue(item.editableForUpdate ?? false)
+              });
+            }
+          }
+        }
+      }
+    }
+    return fields;
+  }
+
+  _getCompactLayoutFields(data, request) {
+    const compactLayout = this.fixtures.compactLayouts?.[request.object];
+    if (compactLayout) return [...compactLayout];
+
+    const nameField = this._schema(request.object).fields.find(field => field.nameField);
+    return nameField ? [nameField.name] : [];
+  }
+
+  _getPicklist(data, request) {
+    const field = this._schema(request.object).fields.find(f => f.name === request.fieldName);
+    if (!field) {
+      throw new Error(`No field ${request.fieldName} found on ${request.object}.`);
+    }
+    const entries = (field.picklistValues || []).filter(entry => entry.active !== false);
+    return {
+      itemIds: entries.map(entry => entry.value),
+      itemLabels: entries.map(entry => entry.label ?? entry.value)
+    };
+  }
+
+  _syncData() {
+    if (this.syncRunning) {
+      throw new Error('A sync is already running.');
+    }
+    this.syncRunning = true;
+
+    setTimeout(() => {
+      this.emit('syncDataUpdate', { progress: '100' });
+      this.syncRunning = false;
+      this.syncInfo = {
+        ...this.syncInfo,
+        lastsuccessfulsync: new Date().toISOString(),
+        lastsyncsuccess: 'YES'
+      };
+      this.emit('syncDataFinished', { success: 'TRUE' });
+    }, this.latency);
+  }
+
+  _syncStatus() {
+    return { syncrunning: this.syncRunning ? 'TRUE' : 'FALSE' };
+  }
+
+  _interruptSync() {
+    const success = this.syncRunning;
+    this.syncRunning = false;
+    return { success };
+  }
+
+  _userInfo() {
+    return {
+      userid: '005000000000001AAA',
+      userfullname: 'Mock User',
+      username: 'mock.user@example.com',
+      locale: 'en_US',
+      userlanguage: 'en_US',
+      orgDefaultCurrencyIsoCode: 'USD',
+      version: this.version ?? '',
+      ...this.fixtures.userInfo
+    };
+  }
+
+  _getSetting({ key }) {
+    const settings = this.fixtures.settings || {};
+    return Object.hasOwn(settings, key)
+      ? { Exists: 'TRUE', [key]: settings[key] }
+      : { Exists: 'FALSE' };
+  }
+
+  _getSettingAttachment({ key }) {
+    const attachment = this.fixtures.settingAttachments?.[key];
+    if (!attachment) {
+      throw new Error(`No setting attachment found for key ${key}.`);
+    }
+    return { [key]: key, ...attachment };
+  }
+
+  _getContentUrl({ Id, Title }) {
+    const entry = (this.fixtures.content || []).find(item => (Id && item.Id === Id) || (Title && item.Title === Title));
+    if (!entry) {
+      throw new Error('No matching content found.');
+    }
+    return { url: entry.url, title: entry.Title };
+  }
+
+  _getCustomLabels({ labelNames = [] }) {
+    const labels = this.fixtures.customLabels || {};
+    return Object.fromEntries(labelNames.filter(name => Object.hasOwn(labels, name)).map(name => [name, labels[name]]));
+  }
+
+  _logMessage(data) {
+    this.log.push(data);
+  }
+
+  _setOnlineStatus(online) {
+    this.online = online === 'TRUE';
+    return stringifyValue(this.online);
+  }
+
+  _setAutosyncStatus(enable) {
+    this.autosync = enable === 'TRUE';
+    return stringifyValue(this.autosync);
+  }
+
+  _createSFFile(data) {
+    return this._storeFile(data).ContentDocumentId;
+  }
+
+  _createSFFileFromPath(data) {
+    return this._storeFile(data);
+  }
+
+  _createSFFileBatch(files) {
+    const results = {};
+    files.forEach((file, index) => {
+      try {
+        const { ContentDocumentId, FileURL } = this._storeFile(file);
+        results[index] = { objectId: ContentDocumentId, success: 'TRUE', FileURL };
+      } catch (error) {
+        results[index] = { success: 'FALSE', error: error.message };
+      }
+    });
+    return { summary: { success: batchSuccess(results) }, results };
+  }
+
+  _readSFFile({ Id, ReturnBase64Data }) {
+    const version = [...this._table('ContentVersion', true).values()]
+      .find(record => record.Id === Id || record.ContentDocumentId === Id);
+    if (!version) {
+      throw new Error(`No file found with Id ${Id}.`);
+    }
+    const { VersionData, ...fields } = version;
+    return [{
+      ...fields,
+      ...(ReturnBase64Data && { VersionData }),
+      FileURL: fileUrl(version.PathOnClient),
+      ThumbURL: ''
+    }];
+  }
+
+  _queryContent({ filter }) {
+    return executeSelect(parseSql(`SELECT * FROM ContentVersion WHERE ${filter}`), this._tableResolver())
+      .map(({ VersionData, ...fields }) => ({
+        ...fields,
+        FileURL: fileUrl(fields.PathOnClient),
+        ThumbURL: '',
+        FilePath: `datacache/${fields.PathOnClient}`,
+        ThumbPath: ''
+      }));
+  }
+
+  _deleteSFFile({ documentIdList = [] }) {
+    const versions = this._table('ContentVersion', true);
+    for (const [id, version] of versions) {
+      if (documentIdList.includes(version.ContentDocumentId)) {
+        versions.delete(id);
+      }
+    }
+    return { success: true };
+  }
+
+  _chatterGetFeed({ ParentId }) {
+    return [...this._table('FeedItem', true).values()]
+      .filter(item => item.ParentId === ParentId)
+      .map(item => ({ ...item }));
+  }
+
+  _chatterPostFeed({ Message, Parent, ParentFeedItem }) {
+    if (ParentFeedItem) {
+      this.seed('FeedComment', [{ FeedItemId: ParentFeedItem, CommentBody: Message, ParentId: Parent }]);
+    } else {
+      this.seed('FeedItem', [{ ParentId: Parent, Body: Message, CommentCount: 0 }]);
+    }
+  }
+
+  _listviewInfo(data, request) {
+    const listviews = this.fixtures.listviews?.[request.object] || {};
+    return Object.fromEntries(Object.entries(listviews).map(([id, listview]) => [id, listview.label]));
+  }
+
+  _listviewMetadata({ listviewid }, request) {
+    const listview = this.fixtures.listviews?.[request.object]?.[listviewid];
+    if (!listview) {
+      throw new Error(`No listview found with Id ${listviewid}.`);
+    }
+    const { label, ...metadata } = listview;
+    return { fields: [], labels: [], filters: [], whereClause: '', orderBy: '', ...metadata, listId: listviewid };
+  }
+
+  _createServiceReport({ ParentId, DocumentName, TemplateId }) {
+    const [id] = this.seed('ServiceReport', [{ ParentId, DocumentName, TemplateId }]);
+    return id;
+  }
+
+
+  /** ******************************
+   * PRIVATE INTERNAL METHODS
+   ****************************** */
+
+  _table(objectName, create = false) {
+    if (!this.records[objectName]) {
+      if (!create && !this.schemas[objectName]) {
+        throw new Error(`no such table: ${objectName}`);
+      }
+      this.records[objectName] = new Map();
+    }
+    return this.records[objectName];
+  }
+
+  _tableResolver() {
+    return (name) => {
+      const objectName = Object.keys(this.records).find(key => key.toLowerCase() === name.toLowerCase())
+        || Object.keys(this.schemas).find(key => key.toLowerCase() === name.toLowerCase())
+        || name;
+      return this._table(objectName);
+    };
+  }
+
+  _record(objectName, id) {
+    const record = this._table(objectName).get(id);
+    if (!record) {
+      throw new Error(`No ${objectName} record found with Id ${id}.`);
+    }
+    return record;
+  }
+
+  /* Returns the fixture schema, or a minimal string-typed schema derived from the seeded records. */
+  _schema(objectName) {
+    if (this.schemas[objectName]) return this.schemas[objectName];
+    if (!this.records[objectName]) {
+      throw new Error(`No schema found for ${objectName}.`);
+    }
+
+    const names = new Set(['Id']);
+    for (const record of this.records[objectName].values()) {
+      Object.keys(record).forEach(name => names.add(name));
+    }
+    return {
+      name: objectName,
+      label: objectName,
+      keyPrefix: keyPrefixFor(objectName),
+      fields: [...names].map(name => ({
+        name,
+        label: name,
+        type: name === 'Id' ? 'id' : 'string',
+        nameField: name === 'Name'
+      }))
+    };
+  }
+
+  _layout(objectName, data = {}) {
+    const layouts = this.fixtures.layouts?.[objectName];
+    if (!layouts) {
+      throw new Error(`No layout found for ${objectName}.`);
+    }
+    if (isLayout(layouts)) return layouts;
+
+    const layout = layouts[data.RecordTypeName] || layouts[data.RecordTypeId] || layouts.default;
+    if (!layout) {
+      throw new Error(`No layout found for ${objectName} with the requested record type.`);
+    }
+    return layout;
+  }
+
+  _generateId(objectName) {
+    const prefix = this.schemas[objectName]?.keyPrefix || keyPrefixFor(objectName);
+    this._idCounter += 1;
+    return `${prefix}${String(this._idCounter).padStart(12, '0')}AAA`;
+  }
+
+  _stringifyRecord(record) {
+    return Object.fromEntries(Object.entries(record).map(([field, value]) => [field, stringifyValue(value)]));
+  }
+
+  _storeFile(data) {
+    const { ParentId, Name, Body, FilePath, ContentType, ...customFields } = data;
+    if (!ParentId) {
+      throw new Error('Missing required field: ParentId');
+    }
+
+    const name = Name || FilePath?.split('/').pop() || `Photo_${this._idCounter + 1}.jpg`;
+    const ContentDocumentId = this._generateId('ContentDocument');
+    const [ContentVersionId] = this.seed('ContentVersion', [{
+      ...customFields,
+      ContentDocumentId,
+      FirstPublishLocationId: ParentId,
+      Title: name.replace(/\.[^.]+$/, ''),
+      PathOnClient: name,
+      ...(ContentType && { FileType: ContentType }),
+      ...(Body && { VersionData: Body })
+    }]);
+
+    return { AttachmentId: '', ContentDocumentId, ContentVersionId, FileURL: fileUrl(name) };
+  }
+}
+
+/* Standard key prefixes so generated Ids look like the real thing. Other objects get a custom-object style prefix. */
+const KEY_PREFIXES = {
+  Account: '001',
+  Contact: '003',
+  User: '005',
+  Opportunity: '006',
+  Lead: '00Q',
+  Case: '500',
+  Task: '00T',
+  Event: '00U',
+  ContentDocument: '069',
+  ContentVersion: '068',
+  FeedItem: '0D5',
+  FeedComment: '0D7',
+  WorkOrder: '0WO',
+  WorkOrderLineItem: '1WL',
+  ServiceAppointment: '08p',
+  ServiceReport: '0Mo'
+};
+
+const REQUEST_HANDLERS = {
+  read: MockBridge.prototype._read,
+  create: MockBridge.prototype._create,
+  update: MockBridge.prototype._update,
+  delete: MockBridge.prototype._delete,
+  deletebatch: MockBridge.prototype._deleteBatch,
+  select: MockBridge.prototype._select,
+  updateQuery: MockBridge.prototype._updateQuery,
+  soqlquery: MockBridge.prototype._soqlQuery,
+  getSObjectSchema: MockBridge.prototype._getSObjectSchema,
+  getLayout: MockBridge.prototype._getLayout,
+  getLayoutSections: MockBridge.prototype._getLayoutSections,
+  getLayoutFields: MockBridge.prototype._getLayoutFields,
+  getCompactLayoutFields: MockBridge.prototype._getCompactLayoutFields,
+  getPicklist: MockBridge.prototype._getPicklist,
+  getUnfilteredPicklist: MockBridge.prototype._getPicklist,
+  syncdata: MockBridge.prototype._syncData,
+  syncstatus: MockBridge.prototype._syncStatus,
+  syncinfo() { return { ...this.syncInfo }; },
+  interruptsync: MockBridge.prototype._interruptSync,
+  userInfo: MockBridge.prototype._userInfo,
+  userPhoto() { return { smallphoto: '', fullphoto: '' }; },
+  getPlatformFeatures() { return [...(this.fixtures.platformFeatures || [])]; },
+  getPlatform() { return this.fixtures.platform ?? 'web'; },
+  getDevServerEnabled() { return 'FALSE'; },
+  getLocation({ locationAccuracy }) { return { latitude: '0', longitude: '0', locationAccuracy, ...this.fixtures.location }; },
+  getCustomLabels: MockBridge.prototype._getCustomLabels,
+  logMessage: MockBridge.prototype._logMessage,
+  getSetting: MockBridge.prototype._getSetting,
+  getSettingAttachment: MockBridge.prototype._getSettingAttachment,
+  getContentUrl: MockBridge.prototype._getContentUrl,
+  getAutosyncStatus() { return stringifyValue(this.autosync); },
+  setAutosyncStatus: MockBridge.prototype._setAutosyncStatus,
+  getOnlineStatus() { return stringifyValue(this.online); },
+  setOnlineStatus: MockBridge.prototype._setOnlineStatus,
+  getNetworkStatus() { return { isConnected: stringifyValue(this.online), connectionType: this.online ? 'Wifi' : 'Unknown' }; },
+  saveAs({ filename }) { return { FilePath: `/mock/documents/${filename}` }; },
+  createSFFile: MockBridge.prototype._createSFFile,
+  createSFFileFromFilePath: MockBridge.prototype._createSFFileFromPath,
+  createSFFileFromCamera: MockBridge.prototype._createSFFileFromPath,
+  createSFFileBatch: MockBridge.prototype._createSFFileBatch,
+  createSFFileFromFilePathBatch: MockBridge.prototype._createSFFileBatch,
+  readSFFile: MockBridge.prototype._readSFFile,
+  queryContent: MockBridge.prototype._queryContent,
+  deleteSFFile: MockBridge.prototype._deleteSFFile,
+  chattergetfeed: MockBridge.prototype._chatterGetFeed,
+  chatterpostfeed: MockBridge.prototype._chatterPostFeed,
+  listviewInfo: MockBridge.prototype._listviewInfo,
+  listviewmetadata: MockBridge.prototype._listviewMetadata,
+  getfsltemplate() { return this.fixtures.fslTemplates ?? {}; },
+  executeFSLFlow() { return { executed: true }; },
+  createservicereportfromfilepath: MockBridge.prototype._createServiceReport,
+  // Native UI interactions have nothing to show; override them with setResponse() when a screen depends on the result.
+  setLeavePageMessage() {},
+  exit() {},
+  viewList() {},
+  viewObject() {},
+  viewRelated() {},
+  showCreate() { return { createResult: 'FALSE' }; },
+  lookupObject() { return []; },
+  scanBarcode() { return { barcode: '' }; },
+  executeQuickAction() { return { executed: false }; },
+  cameraPhoto() { return {}; },
+  cameraPhotoPicker() { return []; },
+  filePicker() { return []; },
+  displayUrl() {},
+  mail() {}
+};
+
+
+/** ******************************
+ * HELPERS
+ ****************************** */
+
+function stringifyValue(value) {
+  if (value === null || typeof value === 'undefined') return '';
+  if (typeof value === 'boolean') return value ? 'TRUE' : 'FALSE';
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value)) return value.join(';');
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+function keyPrefixFor(objectName) {
+  return KEY_PREFIXES[objectName] || 'a00';
+}
+
+function fileUrl(name) {
+  return `http://127.0.0.1:17014/datacache/${name}`;
+}
+
+function batchSuccess(results) {
+  return Object.values(results).every(result => result.success === 'TRUE') ? 'TRUE' : 'FALSE';
+}
+
+function isLayout(value) {
+  return ['detailLayoutSections', 'editLayoutSections', 'highlightsPanelLayoutSection'].some(key => key in value);
+}
+
+function layoutSectionsFor(layout, layoutMode) {
+  return (layoutMode === 'edit' ? layout.editLayoutSections : layout.detailLayoutSections) || [];
+}
+
+
+/** ******************************
+ * SQLITE SUBSET
+ *
+ * Enough of SQLite to answer the queries Pulsar apps send to `select` and `updateQuery`:
+ * SELECT [DISTINCT] columns | * | COUNT(*) FROM table [WHERE ...] [ORDER BY ...] [LIMIT n [OFFSET m]]
+ * and UPDATE table SET column = value, ... [WHERE ...]. A SOQL-style OFFSET without LIMIT is also accepted. WHERE supports AND, OR, NOT, parentheses,
+ * comparisons, LIKE [ESCAPE], IN (values or a sub-select), BETWEEN and IS [NOT] NULL. Columns may be wrapped in
+ * UPPER(), LOWER() and CAST(... AS type).
+ *
+ * Comparisons follow SQLite's type rules for Pulsar's TEXT columns: a number compared with a column is
+ * compared as text, and only CAST(... AS REAL|INTEGER|NUMERIC) compares and sorts numerically.
+ ****************************** */
+
+const SYMBOLS = ['<=', '>=', '<>', '!=', '==', '||', '=', '<', '>', '(', ')', ',', '*', ';', '-', '.'];
+
+function tokenize(sql) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < sql.length) {
+    const ch = sql[i];
+
+    if (/\s/.test(ch)) {
+      i += 1;
+    } else if (ch === '\'') {
+      let value = '';
+      i += 1;
+      while (true) {
+        if (i >= sql.length) throw new Error('unrecognized token: unterminated string literal');
+        if (sql[i] === '\'') {
+          if (sql[i + 1] !== '\'') break;
+          i += 1;
+        }
+        value += sql[i];
+        i += 1;
+      }
+      i += 1;
+      tokens.push({ type: 'string', value });
+    } else if (ch === '"' || ch === '`' || ch === '[') {
+      const close = ch === '[' ? ']' : ch;
+      const end = sql.indexOf(close, i + 1);
+      if (end === -1) throw new Error(`unrecognized token: ${sql.slice(i)}`);
+      tokens.push({ type: 'identifier', value: sql.slice(i + 1, end) });
+      i = end + 1;
+    } else if (/[0-9]/.test(ch)) {
+      const match = /^[0-9]+(\.[0-9]+)?/.exec(sql.slice(i));
+      tokens.push({ type: 'number', value: match[0] });
+      i += match[0].length;
+    } else if (/[A-Za-z_]/.test(ch)) {
+      const match = /^[A-Za-z_][A-Za-z0-9_$]*/.exec(sql.slice(i));
+      tokens.push({ type: 'word', value: match[0] });
+      i += match[0].length;
+    } else {
+      const symbol = SYMBOLS.find(s => sql.startsWith(s, i));
+      if (!symbol) throw new Error(`unrecognized token: "${ch}"`);
+      tokens.push({ type: 'symbol', value: symbol });
+      i += symbol.length;
+    }
+  }
+
+  return tokens;
+}
+
+function parseSql(sql) {
+  const parser = new SqlParser(tokenize(sql));
+  const statement = parser.isKeyword('UPDATE') ? parser.parseUpdate() : parser.parseSelect();
+  parser.acceptSymbol(';');
+  if (!parser.done()) parser.fail();
+  return statement;
+}
+
+class SqlParser {
+  constructor(tokens) {
+    this.tokens = tokens;
+    this.position = 0;
+  }
+
+  peek(offset = 0) {
+    return this.tokens[this.position + offset];
+  }
+
+  next() {
+    return this.tokens[this.position++];
+  }
+
+  done() {
+    return this.position >= this.tokens.length;
+  }
+
+  fail() {
+    const token = this.peek();
+    throw new Error(token ? `near "${token.value}": syntax error` : 'incomplete input');
+  }
+
+  isKeyword(keyword, offset = 0) {
+    const token = this.peek(offset);
+    return token?.type === 'word' && token.value.toUpperCase() === keyword;
+  }
+
+  acceptKeyword(keyword) {
+    if (!this.isKeyword(keyword)) return false;
+    this.position += 1;
+    return true;
+  }
+
+  expectKeyword(keyword) {
+    if (!this.acceptKeyword(keyword)) this.fail();
+  }
+
+  isSymbol(symbol, offset = 0) {
+    const token = this.peek(offset);
+    return token?.type === 'symbol' && token.value === symbol;
+  }
+
+  acceptSymbol(symbol) {
+    if (!this.isSymbol(symbol)) return false;
+    this.position += 1;
+    return true;
+  }
+
+  expectSymbol(symbol) {
+    if (!this.acceptSymbol(symbol)) this.fail();
+  }
+
+  parseIdentifier() {
+    const token = this.next();
+    if (!token || (token.type !== 'word' && token.type !== 'identifier')) {
+      this.position -= 1;
+      this.fail();
+    }
+    let name = token.value;
+    while (this.acceptSymbol('.')) {
+      const part = this.next();
+      if (!part || (part.type !== 'word' && part.type !== 'identifier')) this.fail();
+      name += `.${part.value}`;
+    }
+    return name;
+  }
+
+  parseSelect() {
+    this.expectKeyword('SELECT');
+    const distinct = this.acceptKeyword('DISTINCT');
+    const columns = [];
+    do {
+      columns.push(this.parseColumn());
+    } while (this.acceptSymbol(','));
+
+    this.expectKeyword('FROM');
+    const table = this.parseIdentifier();
+    let alias = null;
+    if (this.acceptKeyword('AS') || (this.peek()?.type === 'word' && !CLAUSE_KEYWORDS.includes(this.peek().value.toUpperCase()))) {
+      alias = this.parseIdentifier();
+    }
+
+    const where = this.acceptKeyword('WHERE') ? this.parseExpression() : null;
+
+    const orderBy = [];
+    if (this.acceptKeyword('ORDER')) {
+      this.expectKeyword('BY');
+      do {
+        const expression = this.parseOperand();
+        const descending = this.acceptKeyword('DESC');
+        if (!descending) this.acceptKeyword('ASC');
+        let nulls = null;
+        if (this.acceptKeyword('NULLS')) {
+          nulls = this.acceptKeyword('LAST') ? 'last' : (this.expectKeyword('FIRST'), 'first');
+        }
+        orderBy.push({ expression, descending, nulls });
+      } while (this.acceptSymbol(','));
+    }
+
+    let limit = null;
+    let offset = 0;
+    if (this.acceptKeyword('LIMIT')) {
+      limit = this.parseInteger();
+      if (this.acceptKeyword('OFFSET')) {
+        offset = this.parseInteger();
+      } else if (this.acceptSymbol(',')) {
+        offset = limit;
+        limit = this.parseInteger();
+      }
+    } else if (this.acceptKeyword('OFFSET')) {
+      // SOQL allows OFFSET without LIMIT
+      offset = this.parseInteger();
+    }
+
+    return { kind: 'select', distinct, columns, table, alias, where, orderBy, limit, offset };
+  }
+
+  parseUpdate() {
+    this.expectKeyword('UPDATE');
+    const table = this.parseIdentifier();
+    this.expectKeyword('SET');
+    const assignments = [];
+    do {
+      const column = this.parseIdentifier();
+      this.expectSymbol('=');
+      assignments.push({ column, value: this.parseOperand() });
+    } while (this.acceptSymbol(','));
+    const where = this.acceptKeyword('WHERE') ? this.parseExpression() : null;
+    return { kind: 'update', table, alias: null, assignments, where };
+  }
+
+  parseColumn() {
+    if (this.acceptSymbol('*')) return { kind: 'star' };
+
+    let column;
+    if (this.isKeyword('COUNT') && this.isSymbol('(', 1)) {
+      this.position += 2;
+      if (!this.acceptSymbol('*')) this.parseIdentifier();
+      this.expectSymbol(')');
+      column = { kind: 'count', name: 'COUNT(*)' };
+    } else {
+      const expression = this.parseOperand();
+      column = { kind: 'expression', expression, name: expression.kind === 'column' ? expression.name.split('.').pop() : expression.text };
+    }
+
+    if (this.acceptKeyword('AS') || this.peek()?.type === 'identifier' || (this.peek()?.type === 'word' && !CLAUSE_KEYWORDS.includes(this.peek().value.toUpperCase()))) {
+      column.name = this.parseIdentifier();
+    }
+    return column;
+  }
+
+  parseInteger() {
+    // LIMIT -1 means no limit
+    const sign = this.acceptSymbol('-') ? -1 : 1;
+    const token = this.next();
+    if (token?.type !== 'number') {
+      this.position -= 1;
+      this.fail();
+    }
+    return sign * Number(token.value);
+  }
+
+  parseExpression() {
+    let left = this.parseAnd();
+    while (this.acceptKeyword('OR')) {
+      left = { kind: 'or', left, right: this.parseAnd() };
+    }
+    return left;
+  }
+
+  parseAnd() {
+    let left = this.parseNot();
+    while (this.acceptKeyword('AND')) {
+      left = { kind: 'and', left, right: this.parseNot() };
+    }
+    return left;
+  }
+
+  parseNot() {
+    if (this.acceptKeyword('NOT')) {
+      return { kind: 'not', operand: this.parseNot() };
+    }
+    return this.parsePredicate();
+  }
+
+  parsePredicate() {
+    if (this.isSymbol('(') && !this.isKeyword('SELECT', 1)) {
+      this.expectSymbol('(');
+      const expression = this.parseExpression();
+      this.expectSymbol(')');
+      return expression;
+    }
+
+    const left = this.parseOperand();
+
+    if (this.acceptKeyword('IS')) {
+      const negated = this.acceptKeyword('NOT');
+      this.expectKeyword('NULL');
+      return { kind: 'isNull', operand: left, negated };
+    }
+
+    const negated = this.acceptKeyword('NOT');
+
+    if (this.acceptKeyword('LIKE')) {
+      const right = this.parseOperand();
+      const escape = this.acceptKeyword('ESCAPE') ? this.parseOperand() : null;
+      return { kind: 'like', left, right, escape, negated };
+    }
+
+    if (this.acceptKeyword('IN')) {
+      this.expectSymbol('(');
+      if (this.isKeyword('SELECT')) {
+        const subquery = this.parseSelect();
+        this.expectSymbol(')');
+        return { kind: 'in', left, subquery, negated };
+      }
+      const values = [];
+      if (!this.acceptSymbol(')')) {
+        do {
+          values.push(this.parseOperand());
+        } while (this.acceptSymbol(','));
+        this.expectSymbol(')');
+      }
+      return { kind: 'in', left, values, negated };
+    }
+
+    if (this.acceptKeyword('BETWEEN')) {
+      const low = this.parseOperand();
+      this.expectKeyword('AND');
+      return { kind: 'between', left, low, high: this.parseOperand(), negated };
+    }
+
+    if (negated) this.fail();
+
+    const token = this.peek();
+    if (token?.type === 'symbol' && COMPARISON_OPERATORS.includes(token.value)) {
+      this.position += 1;
+      return { kind: 'compare', operator: token.value, left, right: this.parseOperand() };
+    }
+
+    // A bare operand is true when it is a non-zero number or a 'TRUE' string.
+    return { kind: 'truthy', operand: left };
+  }
+
+  parseOperand() {
+    let operand = this.parsePrimary();
+    while (this.acceptSymbol('||')) {
+      operand = { kind: 'concat', left: operand, right: this.parsePrimary(), text: '' };
+    }
+    return operand;
+  }
+
+  parsePrimary() {
+    const token = this.peek();
+    if (!token) this.fail();
+
+    if (token.type === 'string') {
+      this.position += 1;
+      return { kind: 'literal', value: token.value, text: `'${token.value}'` };
+    }
+    if (token.type === 'number') {
+      this.position += 1;
+      return { kind: 'literal', value: token.value, text: token.value };
+    }
+    if (this.isSymbol('-') && this.peek(1)?.type === 'number') {
+      this.position += 2;
+      return { kind: 'literal', value: `-${this.peek(-1).value}`, text: `-${this.peek(-1).value}` };
+    }
+    if (this.isKeyword('NULL')) {
+      this.position += 1;
+      return { kind: 'literal', value: null, text: 'NULL' };
+    }
+    if (token.type === 'word' && ['UPPER', 'LOWER'].includes(token.value.toUpperCase()) && this.isSymbol('(', 1)) {
+      this.position += 2;
+      const operand = this.parseOperand();
+      this.expectSymbol(')');
+      return { kind: 'function', name: token.value.toUpperCase(), operand, text: `${token.value}(...)` };
+    }
+    if (this.isKeyword('CAST') && this.isSymbol('(', 1)) {
+      this.position += 2;
+      const operand = this.parseOperand();
+      this.expectKeyword('AS');
+      const type = this.parseIdentifier().toUpperCase();
+      this.expectSymbol(')');
+      return { kind: 'cast', type, operand, text: `CAST(... AS ${type})` };
+    }
+    if (token.type === 'word' || token.type === 'identifier') {
+      const name = this.parseIdentifier();
+      return { kind: 'column', name, text: name };
+    }
+    this.fail();
+  }
+}
+
+const CLAUSE_KEYWORDS = ['FROM', 'WHERE', 'ORDER', 'LIMIT', 'OFFSET', 'GROUP', 'SET'];
+const COMPARISON_OPERATORS = ['=', '==', '!=', '<>', '<', '>', '<=', '>='];
+
+function executeSelect(statement, resolveTable) {
+  let rows = [...resolveTable(statement.table).values()];
+
+  if (statement.where) {
+    rows = rows.filter(row => evaluate(statement.where, row, statement, resolveTable) === true);
+  }
+
+  if (statement.columns.some(column => column.kind === 'count')) {
+    const row = {};
+    for (const column of statement.columns) {
+      row[column.name] = column.kind === 'count' ? String(rows.length) : evaluate(column.expression, rows[0] || {}, statement, resolveTable);
+    }
+    return [row];
+  }
+
+  if (statement.orderBy.length) {
+    rows = [...rows].sort((a, b) => {
+      for (const { expression, descending, nulls } of statement.orderBy) {
+        const left = evaluate(expression, a, statement, resolveTable);
+        const right = evaluate(expression, b, statement, resolveTable);
+        if (left === right) continue;
+        if (left === null || right === null) {
+          const nullsFirst = nulls ? nulls === 'first' : !descending;
+          return (left === null) === nullsFirst ? -1 : 1;
+        }
+        const order = compareValues(left, right);
+        if (order !== 0) return descending ? -order : order;
+      }
+      return 0;
+    });
+  }
+
+  let results = rows.map(row => project(row, statement, resolveTable));
+
+  if (statement.distinct) {
+    const seen = new Set();
+    results = results.filter(row => {
+      const key = JSON.stringify(row);
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  }
+
+  const end = statement.limit === null || statement.limit < 0 ? undefined : statement.offset + statement.limit;
+  return results.slice(statement.offset, end);
+}
+
+function executeUpdate(statement, resolveTable) {
+  let count = 0;
+  for (const row of resolveTable(statement.table).values()) {
+    if (statement.where && evaluate(statement.where, row, statement, resolveTable) !== true) continue;
+    const values = statement.assignments.map(({ column, value }) => [column, evaluate(value, row, statement, resolveTable)]);
+    for (const [column, value] of values) {
+      row[resolveColumnName(row, column, statement)] = value;
+    }
+    count += 1;
+  }
+  return count;
+}
+
+function project(row, statement, resolveTable) {
+  const result = {};
+  for (const column of statement.columns) {
+    if (column.kind === 'star') {
+      Object.assign(result, row);
+    } else {
+      result[column.name] = evaluate(column.expression, row, statement, resolveTable);
+    }
+  }
+  return result;
+}
+
+function evaluate(node, row, statement, resolveTable) {
+  const value = (operand) => evaluate(operand, row, statement, resolveTable);
+
+  switch (node.kind) {
+    case 'literal':
+      return node.value;
+    case 'column':
+      return row[resolveColumnName(row, node.name, statement)] ?? null;
+    case 'function': {
+      const operand = value(node.operand);
+      if (operand === null) return null;
+      return node.name === 'UPPER' ? operand.toUpperCase() : operand.toLowerCase();
+    }
+    case 'cast': {
+      const operand = value(node.operand);
+      if (operand === null) return null;
+      if (node.type === 'TEXT') return String(operand);
+      // SQLite converts the longest numeric prefix and treats anything else as 0
+      const number = parseFloat(operand) || 0;
+      return node.type === 'INTEGER' ? Math.trunc(number) : number;
+    }
+    case 'concat': {
+      const left = value(node.left);
+      const right = value(node.right);
+      return left === null || right === null ? null : `${left}${right}`;
+    }
+    case 'and':
+      return value(node.left) === true && value(node.right) === true;
+    case 'or':
+      return value(node.left) === true || value(node.right) === true;
+    case 'not':
+      return value(node.operand) !== true;
+    case 'truthy': {
+      const operand = value(node.operand);
+      return operand !== null && (String(operand).toUpperCase() === 'TRUE' || (isNumeric(operand) && Number(operand) !== 0));
+    }
+    case 'isNull':
+      return (value(node.operand) === null) !== node.negated;
+    case 'compare': {
+      const [left, right] = withAffinity(node.left, value(node.left), node.right, value(node.right));
+      if (left === null || right === null) return false;
+      const order = compareValues(left, right);
+      switch (node.operator) {
+        case '=':
+        case '==':
+          return order === 0;
+        case '!=':
+        case '<>':
+          return order !== 0;
+        case '<':
+          return order < 0;
+        case '>':
+          return order > 0;
+        case '<=':
+          return order <= 0;
+        default:
+          return order >= 0;
+      }
+    }
+    case 'like': {
+      const left = value(node.left);
+      const pattern = value(node.right);
+      const escape = node.escape ? value(node.escape) : null;
+      if (left === null || pattern === null) return false;
+      if (node.escape && (escape === null || String(escape).length !== 1)) {
+        throw new Error('ESCAPE expression must be a single character');
+      }
+      return likeToRegExp(pattern, escape).test(String(left)) !== node.negated;
+    }
+    case 'in': {
+      const left = value(node.left);
+      if (left === null) return false;
+      const candidates = node.subquery
+        ? executeSelect(node.subquery, resolveTable).map(result => Object.values(result)[0])
+        : node.values.map(candidate => withAffinity(node.left, left, candidate, value(candidate))[1]);
+      return candidates.some(candidate => candidate !== null && compareValues(left, candidate) === 0) !== node.negated;
+    }
+    case 'between': {
+      const left = value(node.left);
+      const low = withAffinity(node.left, left, node.low, value(node.low))[1];
+      const high = withAffinity(node.left, left, node.high, value(node.high))[1];
+      if (left === null || low === null || high === null) return false;
+      return (compareValues(left, low) >= 0 && compareValues(left, high) <= 0) !== node.negated;
+    }
+    default:
+      throw new Error(`Unsupported expression: ${node.kind}`);
+  }
+}
+
+/* Column names are case-insensitive in SQLite and may be qualified with the table name or alias. */
+function resolveColumnName(row, name, statement) {
+  let column = name;
+  const qualifier = name.lastIndexOf('.');
+  if (qualifier !== -1) {
+    const table = name.slice(0, qualifier).toLowerCase();
+    if (table === statement.table.toLowerCase() || table === statement.alias?.toLowerCase()) {
+      column = name.slice(qualifier + 1);
+    }
+  }
+  if (Object.hasOwn(row, column)) return column;
+  return Object.keys(row).find(key => key.toLowerCase() === column.toLowerCase()) || column;
+}
+
+function isNumeric(value) {
+  return typeof value === 'number' || (typeof value === 'string' && value.trim() !== '' && !Number.isNaN(Number(value)));
+}
+
+/* The affinity of an expression: columns are TEXT, CAST gives its type's affinity, anything else has none. */
+function affinityOf(node) {
+  if (node.kind === 'column') return 'TEXT';
+  if (node.kind === 'cast') return node.type === 'TEXT' ? 'TEXT' : 'NUMERIC';
+  return null;
+}
+
+/* Converts two operands as SQLite does before comparing them: numeric affinity turns numeric text
+ * into a number, and otherwise TEXT affinity turns a number without affinity into text. */
+function withAffinity(leftNode, left, rightNode, right) {
+  const leftAffinity = affinityOf(leftNode);
+  const rightAffinity = affinityOf(rightNode);
+  const convert = (operand, own, other) => {
+    if (operand === null || own === other) return operand;
+    if (other === 'NUMERIC' && own !== 'NUMERIC') return isNumeric(operand) ? Number(operand) : operand;
+    if (other === 'TEXT' && own === null && typeof operand === 'number') return String(operand);
+    return operand;
+  };
+  return [convert(left, leftAffinity, rightAffinity), convert(right, rightAffinity, leftAffinity)];
+}
+
+/* Orders values by SQLite storage class: numbers before text, numbers by value and text by code unit. */
+function compareValues(left, right) {
+  const leftNumber = typeof left === 'number' || typeof left === 'boolean';
+  const rightNumber = typeof right === 'number' || typeof right === 'boolean';
+  if (leftNumber && rightNumber) return Math.sign(Number(left) - Number(right));
+  if (leftNumber !== rightNumber) return leftNumber ? -1 : 1;
+  const a = String(left);
+  const b = String(right);
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+/* Converts a LIKE pattern to a regular expression. A character after the ESCAPE character is matched literally. */
+function likeToRegExp(pattern, escape = null) {
+  const literal = ch => ch.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  let source = '';
+  const chars = [...String(pattern)];
+  for (let index = 0; index < chars.length; index++) {
+    const ch = chars[index];
+    if (escape !== null && ch === String(escape) && index + 1 < chars.length) {
+      source += literal(chars[++index]);
+    } else {
+      source += ch === '%' ? '.*' : ch === '_' ? '.' : literal(ch);
+    }
+  }
+  return new RegExp(`^${source}$`, 'is');
+}
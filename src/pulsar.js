@@ -1,3 +1,1546 @@
+/**
+ * Base class for every error raised by the Pulsar SDK.
+ *
+ * Each error carries the JSAPI request `type` it originated from, the SObject name (`object`)
+ * when the request targeted one, and the raw bridge `response` when one was received.
+ */
+export class PulsarError extends Error {
+  /**
+   * @param {string} message - Human readable error message.
+   * @param {object} [details] - Context about the failed request.
+   * @param {string} [details.type] - The JSAPI request type (e.g., 'read', 'getLayout').
+   * @param {string} [details.object] - The SObject name the request targeted, if any.
+   * @param {any} [details.response] - The raw response received from the bridge, if any.
+   * @param {any} [details.cause] - The underlying error, if any.
+   */
+  constructor(message, { type, object, response, cause } = {}) {
+    super(message, cause === undefined ? undefined : { cause });
+    this.name = 'PulsarError';
+    this.type = type;
+    this.object = object;
+    this.response = response;
+  }
+}
+
+/**
+ * Raised when a method is called with missing or invalid arguments. No request is sent to the bridge.
+ */
+export class PulsarValidationError extends PulsarError {
+  /**
+   * @param {string} message - Human readable error message.
+   * @param {object} [details] - Context about the failed request, plus the `fieldErrors` found when
+   *   record values were checked against the SObject schema.
+   */
+  constructor(message, { fieldErrors, ...details } = {}) {
+    super(message, details);
+    this.name = 'PulsarValidationError';
+    this.fieldErrors = fieldErrors;
+  }
+}
+
+/**
+ * Raised when the Pulsar JSAPI answers a request with an error response.
+ */
+export class PulsarBridgeError extends PulsarError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'PulsarBridgeError';
+  }
+}
+
+/**
+ * Raised when a method that requires the bridge is called before `init()` has completed.
+ */
+export class PulsarNotInitializedError extends PulsarError {
+  constructor(message = 'Pulsar bridge not initialized. Call init() first.', details) {
+    super(message, details);
+    this.name = 'PulsarNotInitializedError';
+  }
+}
+
+/**
+ * Raised when a request does not receive a response within its timeout.
+ */
+export class PulsarTimeoutError extends PulsarError {
+  /**
+   * @param {string} message - Human readable error message.
+   * @param {object} [details] - Context about the failed request, plus the elapsed `timeout` in milliseconds.
+   */
+  constructor(message, { timeout, ...details } = {}) {
+    super(message, details);
+    this.name = 'PulsarTimeoutError';
+    this.timeout = timeout;
+  }
+}
+
+/**
+ * Raised when a request is cancelled through its AbortSignal.
+ */
+export class PulsarAbortError extends PulsarError {
+  /**
+   * @param {string} message - Human readable error message.
+   * @param {object} [details] - Context about the failed request, plus the signal's abort `reason`.
+   */
+  constructor(message, { reason, ...details } = {}) {
+    super(message, details);
+    this.name = 'PulsarAbortError';
+    this.reason = reason;
+  }
+}
+
+/**
+ * Raised when a method, event, or option is not supported by the connected Pulsar version or platform.
+ */
+export class PulsarUnsupportedError extends PulsarError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'PulsarUnsupportedError';
+  }
+}
+
+/**
+ * Raised when the bridge responds successfully but the response cannot be parsed or is not in the expected shape.
+ */
+export class PulsarResponseFormatError extends PulsarError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'PulsarResponseFormatError';
+  }
+}
+
+/**
+ * JSAPI request types, events, and options that are not available on every Pulsar release.
+ * `minVersion` is the first Pulsar version that supports the entry; `platforms` restricts it
+ * to specific platforms as reported by `getPlatform()`.
+ */
+const VERSION_REQUIREMENTS = {
+  custom_oauth: { minVersion: '12' },
+  useEdge: { minVersion: '15', platforms: ['windows'] }
+};
+
+/**
+ * Compares two dotted version strings numerically.
+ * @param {string|number} a
+ * @param {string|number} b
+ * @returns {number} A negative number if a < b, 0 if equal, a positive number if a > b.
+ */
+function compareVersions(a, b) {
+  const left = String(a).split('.').map(part => parseInt(part, 10) || 0);
+  const right = String(b).split('.').map(part => parseInt(part, 10) || 0);
+  for (let i = 0; i < Math.max(left.length, right.length); i++) {
+    const diff = (left[i] ?? 0) - (right[i] ?? 0);
+    if (diff !== 0) return diff;
+  }
+  return 0;
+}
+
+/**
+ * Schema field types whose Pulsar string values are converted to numbers in typed mode.
+ */
+const NUMERIC_FIELD_TYPES = ['int', 'long', 'double', 'currency', 'percent'];
+
+/**
+ * Converts a Pulsar string value to a JavaScript value based on its schema field type.
+ * Values of unknown or text-like types are returned unchanged.
+ * @param {any} value - The value as returned by Pulsar.
+ * @param {string} [fieldType] - The DescribeSObjectResult field type (e.g., 'boolean', 'date').
+ * @returns {any}
+ */
+function fromPulsarValue(value, fieldType) {
+  if (typeof value !== 'string') return value;
+
+  if (fieldType === 'multipicklist') {
+    return value === '' ? [] : value.split(';');
+  }
+  if (fieldType === 'boolean') {
+    return value === '' ? null : value.trim().toLowerCase() === 'true' || value.trim() === '1';
+  }
+  if (NUMERIC_FIELD_TYPES.includes(fieldType)) {
+    if (value.trim() === '') return null;
+    const number = Number(value);
+    return Number.isNaN(number) ? value : number;
+  }
+  if (fieldType === 'date' || fieldType === 'datetime') {
+    if (value === '') return null;
+    // Date-only values have no time zone; treat them as local midnight so they display as stored.
+    const dateOnly = fieldType === 'date' && /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+    const date = dateOnly
+      ? new Date(Number(dateOnly[1]), Number(dateOnly[2]) - 1, Number(dateOnly[3]))
+      : new Date(value);
+    return Number.isNaN(date.getTime()) ? value : date;
+  }
+  return value;
+}
+
+/**
+ * Converts a JavaScript value to the string format Pulsar stores, based on its schema field type.
+ * @param {any} value - The JavaScript value.
+ * @param {string} [fieldType] - The DescribeSObjectResult field type.
+ * @returns {any}
+ */
+function toPulsarValue(value, fieldType) {
+  if (value === null || value === undefined) return value;
+
+  if (value instanceof Date) {
+    if (Number.isNaN(value.getTime())) return value;
+    if (fieldType === 'date') {
+      const pad = (n) => String(n).padStart(2, '0');
+      return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+    }
+    return value.toISOString();
+  }
+  if (typeof value === 'boolean') return value ? 'TRUE' : 'FALSE';
+  if (typeof value === 'number') return String(value);
+  if (Array.isArray(value)) return value.join(';');
+  return value;
+}
+
+/**
+ * Schema field types whose values are limited to the field's `length`.
+ */
+const TEXT_FIELD_TYPES = ['string', 'textarea', 'email', 'phone', 'url', 'picklist', 'multipicklist', 'combobox', 'encryptedstring'];
+
+/**
+ * A 15 or 18 character Salesforce Id, or a temporary Id Pulsar assigns to records created offline.
+ */
+const RECORD_ID_PATTERN = /^(?:[a-zA-Z0-9]{15}|[a-zA-Z0-9]{18}|CURIUM_\w+)$/;
+
+/**
+ * Checks a non-blank value in Pulsar's string format against its schema field. Required fields and
+ * createable/updateable flags are checked by the caller.
+ * @param {object} field - The DescribeSObjectResult field.
+ * @param {any} value - The value to write.
+ * @returns {{code: string, message: string}|null} The problem with the value, or null if it is valid.
+ */
+function fieldValueError(field, value) {
+  const { name, type } = field;
+  const text = String(value);
+
+  if (TEXT_FIELD_TYPES.includes(type) && field.length > 0 && text.length > field.length) {
+    return { code: 'STRING_TOO_LONG', message: `${name} is longer than ${field.length} characters.` };
+  }
+  if (NUMERIC_FIELD_TYPES.includes(type)) {
+    const number = /^\s*[-+]?(\d*)(?:\.(\d*))?\s*$/.exec(text);
+    if (!number || (!number[1] && !number[2])) {
+      return { code: 'INVALID_TYPE_ON_FIELD_IN_RECORD', message: `${name} must be a number.` };
+    }
+    const integerDigits = number[1].replace(/^0+/, '').length;
+    const decimalDigits = (number[2] ?? '').replace(/0+$/, '').length;
+    if (type === 'int' || type === 'long') {
+      if (decimalDigits > 0) {
+        return { code: 'INVALID_TYPE_ON_FIELD_IN_RECORD', message: `${name} must be a whole number.` };
+      }
+      if (field.digits > 0 && integerDigits > field.digits) {
+        return { code: 'NUMBER_OUTSIDE_VALID_RANGE', message: `${name} cannot have more than ${field.digits} digits.` };
+      }
+    } else if (field.precision > 0) {
+      const scale = field.scale ?? 0;
+      if (integerDigits > field.precision - scale) {
+        return { code: 'NUMBER_OUTSIDE_VALID_RANGE', message: `${name} cannot have more than ${field.precision - scale} digits before the decimal point.` };
+      }
+      if (decimalDigits > scale) {
+        return { code: 'NUMBER_OUTSIDE_VALID_RANGE', message: `${name} cannot have more than ${scale} decimal places.` };
+      }
+    }
+  }
+  if ((type === 'picklist' || type === 'multipicklist') && field.restrictedPicklist) {
+    const allowed = (field.picklistValues ?? []).filter(entry => entry.active !== false).map(entry => entry.value);
+    const invalid = (type === 'multipicklist' ? text.split(';') : [text]).find(entry => !allowed.includes(entry));
+    if (invalid !== undefined) {
+      return { code: 'INVALID_OR_NULL_FOR_RESTRICTED_PICKLIST', message: `${name} does not allow the value '${invalid}'.` };
+    }
+  }
+  if (type === 'reference' && !RECORD_ID_PATTERN.test(text)) {
+    return { code: 'MALFORMED_ID', message: `${name} is not a valid record Id.` };
+  }
+  if (type === 'email' && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(text)) {
+    return { code: 'INVALID_EMAIL_ADDRESS', message: `${name} is not a valid email address.` };
+  }
+  if (type === 'phone' && !/^\+?[\d\s().-]*\d[\d\s().-]*(?:\s*(?:x|ext\.?)\s*\d+)?$/i.test(text)) {
+    return { code: 'INVALID_PHONE', message: `${name} is not a valid phone number.` };
+  }
+  if (type === 'url') {
+    let valid = !/\s/.test(text);
+    try {
+      // Salesforce accepts URLs without a scheme, such as www.example.com.
+      new URL(/^[a-z][a-z\d+.-]*:/i.test(text) ? text : `http://${text}`);
+    } catch (error) {
+      valid = false;
+    }
+    if (!valid) return { code: 'INVALID_URL', message: `${name} is not a valid URL.` };
+  }
+  return null;
+}
+
+/**
+ * Splits a SQLite statement into code segments and segments that must be left untouched:
+ * string literals, quoted identifiers, and comments.
+ * @param {string} sql - The SQLite statement.
+ * @returns {{text: string, code: boolean, comment: boolean}[]}
+ */
+function sqlSegments(sql) {
+  const closers = { "'": "'", '"': '"', '`': '`', '[': ']' };
+  const segments = [];
+  let code = '';
+  let i = 0;
+
+  while (i < sql.length) {
+    const ch = sql[i];
+    let end = -1;
+    let comment = false;
+
+    if (closers[ch]) {
+      let j = i + 1;
+      for (;;) {
+        j = sql.indexOf(closers[ch], j);
+        if (j === -1) {
+          j = sql.length;
+          break;
+        }
+        // A doubled quote is an escaped quote, not the end of the literal
+        if (ch !== '[' && sql[j + 1] === ch) {
+          j += 2;
+          continue;
+        }
+        break;
+      }
+      end = Math.min(j + 1, sql.length);
+    } else if (sql.startsWith('--', i)) {
+      const j = sql.indexOf('\n', i);
+      end = j === -1 ? sql.length : j;
+      comment = true;
+    } else if (sql.startsWith('/*', i)) {
+      const j = sql.indexOf('*/', i + 2);
+      end = j === -1 ? sql.length : j + 2;
+      comment = true;
+    }
+
+    if (end === -1) {
+      code += ch;
+      i++;
+      continue;
+    }
+    if (code) segments.push({ text: code, code: true, comment: false });
+    code = '';
+    segments.push({ text: sql.slice(i, end), code: false, comment });
+    i = end;
+  }
+  if (code) segments.push({ text: code, code: true, comment: false });
+
+  return segments;
+}
+
+/**
+ * Formats a JavaScript value as a SQLite literal. Strings are quoted with embedded quotes
+ * doubled, booleans use Pulsar's 'TRUE'/'FALSE' strings, Dates become quoted ISO strings and
+ * arrays expand to a comma-separated list for use with `IN (?)`.
+ * @param {any} value - The value to format.
+ * @returns {string}
+ * @throws {TypeError} If the value cannot be represented safely.
+ */
+function formatSqlLiteral(value) {
+  if (value === null || value === undefined) return 'NULL';
+  if (typeof value === 'string') return `'${value.replace(/'/g, "''")}'`;
+  if (typeof value === 'boolean') return value ? "'TRUE'" : "'FALSE'";
+  if (typeof value === 'bigint') return String(value);
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value)) throw new TypeError(`${value} is not a finite number`);
+    return String(value);
+  }
+  if (value instanceof Date) {
+    if (Number.isNaN(value.getTime())) throw new TypeError('Invalid Date');
+    return `'${value.toISOString()}'`;
+  }
+  if (Array.isArray(value)) {
+    if (value.some(Array.isArray)) throw new TypeError('nested arrays are not supported');
+    return value.length === 0 ? 'NULL' : value.map(formatSqlLiteral).join(', ');
+  }
+  throw new TypeError(`unsupported value of type ${typeof value}`);
+}
+
+/**
+ * Validates a SQLite statement and binds positional `?` parameters as escaped literals.
+ * Placeholders inside string literals, quoted identifiers and comments are ignored.
+ * @param {string} method - The SDK method name, used in error messages.
+ * @param {string} sql - The SQLite statement or clause.
+ * @param {any[]} [params] - Values for the `?` placeholders.
+ * @param {object} details - Error details (type, object) for thrown errors.
+ * @returns {string} The statement with parameters bound.
+ * @throws {PulsarValidationError} If the statement contains more than one statement, or the parameters do not match the placeholders.
+ */
+function prepareSql(method, sql, params, details) {
+  const segments = sqlSegments(sql);
+
+  // Anything other than whitespace and comments after a ';' is a second statement
+  const terminator = segments.findIndex(segment => segment.code && segment.text.includes(';'));
+  if (terminator !== -1) {
+    const rest = [
+      { ...segments[terminator], text: segments[terminator].text.slice(segments[terminator].text.indexOf(';') + 1) },
+      ...segments.slice(terminator + 1)
+    ];
+    if (rest.some(segment => segment.code ? segment.text.replace(/;/g, '').trim() : !segment.comment)) {
+      throw new PulsarValidationError(`${method} accepts a single SQLite statement.`, details);
+    }
+  }
+
+  const values = params ?? [];
+  const placeholders = segments.reduce((count, segment) => count + (segment.code ? segment.text.split('?').length - 1 : 0), 0);
+  if (placeholders !== values.length) {
+    throw new PulsarValidationError(
+      `${method} expected ${placeholders} query parameter${placeholders === 1 ? '' : 's'} but received ${values.length}.`,
+      details
+    );
+  }
+
+  let index = 0;
+  return segments.map(segment => {
+    if (!segment.code) return segment.text;
+    return segment.text.replace(/\?/g, () => {
+      const position = index++;
+      try {
+        return formatSqlLiteral(values[position]);
+      } catch (error) {
+        throw new PulsarValidationError(`${method} cannot bind query parameter ${position + 1}: ${error.message}.`, { ...details, cause: error });
+      }
+    });
+  }).join('');
+}
+
+/**
+ * Returns whether a SQLite statement is an UPDATE, ignoring leading whitespace and comments.
+ * @param {string} sql - The SQLite statement.
+ * @returns {boolean}
+ */
+function isUpdateStatement(sql) {
+  const first = sqlSegments(sql).find(segment => !segment.comment && (!segment.code || segment.text.trim()));
+  return !!first && first.code && /^\s*update\b/i.test(first.text);
+}
+
+/**
+ * Returns whether an argument is an options object rather than a `params` array, for methods
+ * that accept their options in place of `params`.
+ * @param {any} value
+ * @returns {boolean}
+ */
+function isOptionsObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Largest OFFSET Salesforce accepts in a SOQL query.
+ */
+const SOQL_MAX_OFFSET = 2000;
+
+/**
+ * Splits a SOQL query into its top-level clauses. The first part holds the SELECT list and has no
+ * keyword; every following part starts with its clause keyword. Subqueries and string literals are
+ * not split.
+ * @param {string} query - The SOQL query.
+ * @returns {{keyword: string|null, text: string}[]}
+ */
+function soqlParts(query) {
+  const parts = [{ keyword: null, text: '' }];
+  let depth = 0;
+  let start = 0;
+  let fromFound = false;
+
+  for (let i = 0; i < query.length; i++) {
+    const char = query[i];
+    if (char === "'") {
+      for (i++; i < query.length && query[i] !== "'"; i++) {
+        if (query[i] === '\\') i++;
+      }
+    } else if (char === '(') {
+      depth++;
+    } else if (char === ')') {
+      depth--;
+    } else if (depth === 0 && /\w/.test(char) && !/\w/.test(query[i - 1] ?? '')) {
+      const match = (fromFound
+        ? /^(USING\s+SCOPE|WHERE|WITH|GROUP\s+BY|HAVING|ORDER\s+BY|LIMIT|OFFSET|FOR|UPDATE)\b/i
+        : /^(FROM)\b/i).exec(query.slice(i));
+      if (match) {
+        parts.at(-1).text = query.slice(start, i).trim();
+        parts.push({ keyword: match[1].toUpperCase().replace(/\s+/g, ' '), text: '' });
+        fromFound = true;
+        start = i;
+        i += match[0].length - 1;
+      }
+    }
+  }
+  parts.at(-1).text = query.slice(start).trim();
+  return parts;
+}
+
+/**
+ * Rebuilds a SOQL query from its parts, adding or replacing the clauses used to fetch a further batch.
+ * @param {{keyword: string|null, text: string}[]} parts - The query parts from `soqlParts()`.
+ * @param {object} page - The changes to make.
+ * @param {boolean} [page.orderById] - Add `ORDER BY Id`.
+ * @param {string} [page.afterId] - Only return records with an Id after this one.
+ * @param {number} [page.offset] - Records to skip, in addition to any OFFSET in the query.
+ * @param {number} [page.limit] - Replacement for the query's LIMIT.
+ * @returns {string}
+ */
+function soqlPage(parts, { orderById, afterId, offset, limit }) {
+  parts = parts.map(part => ({ ...part }));
+  const find = (keyword) => parts.find(part => part.keyword === keyword);
+  const insert = (keyword, text, before) => {
+    const index = parts.findIndex(part => before.includes(part.keyword));
+    parts.splice(index === -1 ? parts.length : index, 0, { keyword, text });
+  };
+
+  if (afterId !== undefined) {
+    const condition = `Id > '${String(afterId).replace(/[\\']/g, '\\$&')}'`;
+    const where = find('WHERE');
+    if (where) {
+      where.text = `WHERE (${where.text.slice('WHERE'.length).trim()}) AND ${condition}`;
+    } else {
+      insert('WHERE', `WHERE ${condition}`, ['WITH', 'GROUP BY', 'HAVING', 'ORDER BY', 'LIMIT', 'OFFSET', 'FOR', 'UPDATE']);
+    }
+  }
+  if (orderById) {
+    insert('ORDER BY', 'ORDER BY Id', ['LIMIT', 'OFFSET', 'FOR', 'UPDATE']);
+  }
+  if (limit !== undefined) {
+    find('LIMIT').text = `LIMIT ${limit}`;
+  }
+  if (offset !== undefined) {
+    const existing = find('OFFSET');
+    if (existing) {
+      existing.text = `OFFSET ${soqlNumber(parts, 'OFFSET') + offset}`;
+    } else {
+      insert('OFFSET', `OFFSET ${offset}`, ['FOR', 'UPDATE']);
+    }
+  }
+  return parts.map(part => part.text).join(' ');
+}
+
+/**
+ * Returns the numeric value of a LIMIT or OFFSET clause.
+ * @param {{keyword: string|null, text: string}[]} parts - The query parts from `soqlParts()`.
+ * @param {'LIMIT'|'OFFSET'} keyword - The clause to read.
+ * @returns {number|null} The value, or null if the query has no such clause or it is not a literal number.
+ */
+function soqlNumber(parts, keyword) {
+  const match = /^\w+\s+(\d+)$/.exec(parts.find(part => part.keyword === keyword)?.text ?? '');
+  return match ? Number(match[1]) : null;
+}
+
+/**
+ * SOQL date literals that stand for a range of days, and a function returning the first day of the
+ * range and the day after it, given today's date parts and the `n` of `LAST_N_DAYS:n`-style literals.
+ */
+const SOQL_DATE_RANGES = {
+  TODAY: (y, m, d) => [[y, m, d], [y, m, d + 1]],
+  YESTERDAY: (y, m, d) => [[y, m, d - 1], [y, m, d]],
+  TOMORROW: (y, m, d) => [[y, m, d + 1], [y, m, d + 2]],
+  LAST_N_DAYS: (y, m, d, n) => [[y, m, d - n], [y, m, d + 1]],
+  NEXT_N_DAYS: (y, m, d, n) => [[y, m, d + 1], [y, m, d + 1 + n]],
+  LAST_90_DAYS: (y, m, d) => [[y, m, d - 90], [y, m, d + 1]],
+  NEXT_90_DAYS: (y, m, d) => [[y, m, d + 1], [y, m, d + 91]],
+  THIS_WEEK: (y, m, d, n, w) => [[y, m, w], [y, m, w + 7]],
+  LAST_WEEK: (y, m, d, n, w) => [[y, m, w - 7], [y, m, w]],
+  NEXT_WEEK: (y, m, d, n, w) => [[y, m, w + 7], [y, m, w + 14]],
+  THIS_MONTH: (y, m) => [[y, m, 1], [y, m + 1, 1]],
+  LAST_MONTH: (y, m) => [[y, m - 1, 1], [y, m, 1]],
+  NEXT_MONTH: (y, m) => [[y, m + 1, 1], [y, m + 2, 1]],
+  THIS_YEAR: (y) => [[y, 0, 1], [y + 1, 0, 1]],
+  LAST_YEAR: (y) => [[y - 1, 0, 1], [y, 0, 1]],
+  NEXT_YEAR: (y) => [[y + 1, 0, 1], [y + 2, 0, 1]]
+};
+
+/**
+ * Returns the local-time start and exclusive end of a SOQL date range literal. Weeks start on Sunday.
+ * @param {string} name - The literal name (e.g., 'TODAY', 'LAST_N_DAYS').
+ * @param {number} [n] - The number of days for `LAST_N_DAYS:n` and `NEXT_N_DAYS:n`.
+ * @param {Date} [now] - The current time.
+ * @returns {[Date, Date]}
+ */
+function soqlDateRange(name, n, now = new Date()) {
+  const y = now.getFullYear();
+  const m = now.getMonth();
+  const d = now.getDate();
+  return SOQL_DATE_RANGES[name](y, m, d, n, d - now.getDay()).map(parts => new Date(...parts));
+}
+
+/**
+ * Splits a SOQL query into tokens. Dotted relationship paths are kept as a single word, and string
+ * literals are unescaped, except for `\%` and `\_`, which only have meaning in LIKE patterns.
+ * @param {string} query - The SOQL query.
+ * @returns {{type: string, value: string, index: number}[]}
+ * @throws {PulsarValidationError} If the query contains a character that cannot start a token.
+ */
+function tokenizeSoql(query) {
+  const patterns = [
+    ['space', /\s+/y],
+    ['string', /'(?:[^'\\]|\\.)*'/y],
+    ['datetime', /\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(?:\.\d+)?(?:Z|[+-]\d{2}:?\d{2})/y],
+    ['date', /\d{4}-\d{2}-\d{2}(?![\w:])/y],
+    ['number', /-?\d+(?:\.\d+)?(?![\w.])/y],
+    ['word', /[A-Za-z_]\w*(?:\.[A-Za-z_]\w*)*(?:\s*:\s*\d+)?/y],
+    ['symbol', /<=|>=|!=|<>|[=<>(),]/y]
+  ];
+  const escapes = { n: '\n', t: '\t', r: '\r', b: '\b', f: '\f', '%': '\\%', _: '\\_' };
+  const tokens = [];
+
+  for (let index = 0; index < query.length;) {
+    const [type, pattern] = patterns.find(([, pattern]) => {
+      pattern.lastIndex = index;
+      return pattern.test(query);
+    }) ?? [];
+    if (!type) {
+      throw new PulsarValidationError(`offlineSoql could not parse the query near '${query.slice(index, index + 20)}'.`, { type: 'select' });
+    }
+    const text = query.slice(index, pattern.lastIndex);
+    if (type !== 'space') {
+      tokens.push({
+        type,
+        value: type === 'string' ? text.slice(1, -1).replace(/\\(.)/g, (_, char) => escapes[char] ?? char) : text,
+        index
+      });
+    }
+    index = pattern.lastIndex;
+  }
+  return tokens;
+}
+
+/**
+ * Parses the subset of SOQL that `offlineSoql()` can run against the local database.
+ */
+class SoqlParser {
+
+  /**
+   * @param {string} query - The SOQL query.
+   */
+  constructor(query) {
+    this.query = query;
+    this.tokens = tokenizeSoql(query);
+    this.position = 0;
+  }
+
+  /**
+   * Parses the query.
+   * @returns {{object: string, fields: string[][], where: object|null, orderBy: object[], limit: number|null, offset: number|null}}
+   * @throws {PulsarValidationError} If the query is not valid SOQL or uses unsupported syntax.
+   */
+  parse() {
+    this.expectKeyword('SELECT');
+    const fields = [];
+    do {
+      if (this.isSymbol('(')) this.unsupported('subqueries');
+      fields.push(this.parsePath());
+      if (this.isSymbol('(')) this.unsupported(`functions such as ${fields.pop().join('.')}()`);
+    } while (this.acceptSymbol(','));
+
+    this.expectKeyword('FROM');
+    const object = this.parsePath();
+    if (object.length > 1) this.fail(object.join('.'));
+
+    const where = this.acceptKeyword('WHERE') ? this.parseOr() : null;
+    const orderBy = [];
+    if (this.acceptKeyword('ORDER')) {
+      this.expectKeyword('BY');
+      do {
+        const path = this.parsePath();
+        const direction = this.acceptKeyword('DESC') ? 'DESC' : (this.acceptKeyword('ASC'), 'ASC');
+        let nulls = null;
+        if (this.acceptKeyword('NULLS')) {
+          nulls = this.acceptKeyword('LAST') ? 'LAST' : (this.expectKeyword('FIRST'), 'FIRST');
+        }
+        orderBy.push({ path, direction, nulls });
+      } while (this.acceptSymbol(','));
+    }
+    const limit = this.acceptKeyword('LIMIT') ? this.parseInteger() : null;
+    const offset = this.acceptKeyword('OFFSET') ? this.parseInteger() : null;
+
+    const rest = this.peek();
+    if (rest) {
+      const clause = { GROUP: 'GROUP BY', HAVING: 'HAVING', WITH: 'WITH', USING: 'USING SCOPE', FOR: 'FOR', UPDATE: 'UPDATE' }[rest.value.toUpperCase()];
+      if (clause) this.unsupported(`${clause} clauses`);
+      this.fail(rest.value);
+    }
+    return { object: object[0], fields, where, orderBy, limit, offset };
+  }
+
+  parseOr() {
+    let left = this.parseAnd();
+    while (this.acceptKeyword('OR')) {
+      left = { kind: 'or', left, right: this.parseAnd() };
+    }
+    return left;
+  }
+
+  parseAnd() {
+    let left = this.parseNot();
+    while (this.acceptKeyword('AND')) {
+      left = { kind: 'and', left, right: this.parseNot() };
+    }
+    return left;
+  }
+
+  parseNot() {
+    if (this.acceptKeyword('NOT')) {
+      return { kind: 'not', operand: this.parseNot() };
+    }
+    if (this.acceptSymbol('(')) {
+      const expression = this.parseOr();
+      this.expectSymbol(')');
+      return expression;
+    }
+    return this.parseCondition();
+  }
+
+  parseCondition() {
+    const path = this.parsePath();
+
+    if (this.acceptKeyword('LIKE')) {
+      const value = this.parseValue();
+      if (value.kind !== 'string') this.fail(this.peek(-1).value);
+      return { kind: 'condition', path, operator: 'LIKE', value };
+    }
+    const negated = this.acceptKeyword('NOT');
+    if (this.acceptKeyword('IN')) {
+      this.expectSymbol('(');
+      if (this.isKeyword('SELECT')) this.unsupported('semi-join subqueries');
+      const values = [];
+      do {
+        values.push(this.parseValue());
+      } while (this.acceptSymbol(','));
+      this.expectSymbol(')');
+      return { kind: 'condition', path, operator: negated ? 'NOT IN' : 'IN', value: values };
+    }
+    if (negated) this.fail('NOT');
+    if (this.isKeyword('INCLUDES') || this.isKeyword('EXCLUDES')) this.unsupported(this.peek().value.toUpperCase());
+
+    const token = this.next();
+    if (token?.type !== 'symbol' || !['=', '!=', '<>', '<', '<=', '>', '>='].includes(token.value)) {
+      this.position -= 1;
+      this.fail(token?.value);
+    }
+    return { kind: 'condition', path, operator: token.value === '<>' ? '!=' : token.value, value: this.parseValue() };
+  }
+
+  parseValue() {
+    const token = this.next();
+    if (!token) this.fail();
+
+    if (['string', 'number', 'date', 'datetime'].includes(token.type)) {
+      return { kind: token.type, value: token.value };
+    }
+    if (token.type === 'word') {
+      const word = token.value.toUpperCase();
+      if (word === 'NULL') return { kind: 'null' };
+      if (word === 'TRUE' || word === 'FALSE') return { kind: 'boolean', value: word === 'TRUE' };
+
+      const [name, n] = word.split(/\s*:\s*/);
+      if (Object.hasOwn(SOQL_DATE_RANGES, name) && (n === undefined) === !name.includes('_N_')) {
+        return { kind: 'range', name, n: n === undefined ? undefined : Number(n) };
+      }
+      if (/^(LAST|NEXT|THIS)_|_(QUARTER|FISCAL)/.test(name)) this.unsupported(`the date literal ${name}`);
+    }
+    this.position -= 1;
+    this.fail(token.value);
+  }
+
+  parsePath() {
+    const token = this.next();
+    if (token?.type !== 'word' || token.value.includes(':')) {
+      this.position -= 1;
+      this.fail(token?.value);
+    }
+    return token.value.split('.');
+  }
+
+  parseInteger() {
+    const token = this.next();
+    if (token?.type !== 'number' || !/^\d+$/.test(token.value)) {
+      this.position -= 1;
+      this.fail(token?.value);
+    }
+    return Number(token.value);
+  }
+
+  peek(offset = 0) {
+    return this.tokens[this.position + offset];
+  }
+
+  next() {
+    return this.tokens[this.position++];
+  }
+
+  isKeyword(keyword) {
+    const token = this.peek();
+    return token?.type === 'word' && token.value.toUpperCase() === keyword;
+  }
+
+  acceptKeyword(keyword) {
+    if (!this.isKeyword(keyword)) return false;
+    this.position += 1;
+    return true;
+  }
+
+  expectKeyword(keyword) {
+    if (!this.acceptKeyword(keyword)) this.fail(this.peek()?.value, keyword);
+  }
+
+  isSymbol(symbol) {
+    const token = this.peek();
+    return token?.type === 'symbol' && token.value === symbol;
+  }
+
+  acceptSymbol(symbol) {
+    if (!this.isSymbol(symbol)) return false;
+    this.position += 1;
+    return true;
+  }
+
+  expectSymbol(symbol) {
+    if (!this.acceptSymbol(symbol)) this.fail(this.peek()?.value, `'${symbol}'`);
+  }
+
+  fail(near, expected) {
+    const found = near === undefined ? 'end of query' : `'${near}'`;
+    throw new PulsarValidationError(
+      `offlineSoql could not parse the query: ${expected ? `expected ${expected} but found` : 'unexpected'} ${found}.`,
+      { type: 'select' }
+    );
+  }
+
+  unsupported(feature) {
+    throw new PulsarValidationError(`offlineSoql does not support ${feature}.`, { type: 'select' });
+  }
+}
+
+/**
+ * Converts a Pulsar string value to the JSON type Salesforce returns for its schema field type:
+ * booleans and numbers are converted, empty values become null, and everything else stays a string.
+ * @param {any} value - The value as returned by Pulsar.
+ * @param {string} [fieldType] - The DescribeSObjectResult field type.
+ * @returns {any}
+ */
+function toSoqlValue(value, fieldType) {
+  if (value === '' || value === undefined) return null;
+  return fieldType === 'boolean' || NUMERIC_FIELD_TYPES.includes(fieldType) ? fromPulsarValue(value, fieldType) : value;
+}
+
+/**
+ * Returns the SQLite column list needed to shape the records of one SObject in an offline SOQL query:
+ * the selected fields plus the reference fields of selected parent relationships.
+ * @param {{fields: Map<string, string>, relations: Map<string, {field: string}>}} node - The selected fields and relationships.
+ * @param {boolean} [withId=false] - Include the Id field.
+ * @returns {string}
+ */
+function soqlColumns(node, withId = false) {
+  const relationFields = [...node.relations.values()].map(relation => relation.field);
+  return [...new Set([...(withId ? ['Id'] : []), ...node.fields.keys(), ...relationFields])].join(', ');
+}
+
+/**
+ * Converts a parsed SOQL literal to the value bound for a field.
+ * @param {{kind: string, value: string}} literal - The parsed literal.
+ * @returns {string|number}
+ */
+function soqlLiteral(literal) {
+  if (literal.kind === 'number') return Number(literal.value);
+  if (literal.kind === 'datetime') return new Date(literal.value.replace(/([+-]\d{2})(\d{2})$/, '$1:$2')).toISOString();
+  return literal.value;
+}
+
+/**
+ * Translates a single SOQL condition on a field to SQLite, pushing its bound values onto `params`.
+ *
+ * SOQL treats null as an ordinary value (`Name != 'x'` matches records without a Name), and Pulsar stores
+ * empty values as ''. Conditions are therefore written as positive tests that are never NULL, and
+ * `!=`, `NOT IN`, `= null` and `= false` are returned as negations of them.
+ *
+ * @param {{name: string, type: string}} field - The schema field the condition applies to.
+ * @param {string} operator - The SOQL operator.
+ * @param {object|object[]} value - The parsed literal, or literals for IN and NOT IN.
+ * @param {any[]} params - Receives the values for the `?` placeholders, in order.
+ * @returns {{negated: boolean, sql: string}}
+ * @throws {PulsarValidationError} If the operator cannot be used with the value.
+ */
+function soqlPredicate(field, operator, value, params) {
+  const name = field.name;
+  const present = `${name} IS NOT NULL AND ${name} != ''`;
+  const invalid = () => {
+    throw new PulsarValidationError(`offlineSoql cannot compare ${name} ${operator} ${value.kind ?? 'a list'}.`, { type: 'select' });
+  };
+
+  if (operator === 'IN' || operator === 'NOT IN') {
+    const values = value.filter(item => item.kind !== 'null');
+    if (values.some(item => !['string', 'number', 'date', 'datetime'].includes(item.kind))) invalid();
+    const column = values.some(item => item.kind === 'number') ? `CAST(${name} AS REAL)` : name;
+    let sql = `(${present} AND ${column} IN (?))`;
+    params.push(values.map(soqlLiteral));
+    if (values.length < value.length) sql = `(${sql} OR NOT (${present}))`;
+    return { negated: operator === 'NOT IN', sql };
+  }
+  if (value.kind === 'null' || value.kind === 'boolean') {
+    if (operator !== '=' && operator !== '!=') invalid();
+    return value.kind === 'null'
+      ? { negated: operator === '=', sql: `(${present})` }
+      : { negated: (operator === '=') !== value.value, sql: `(${name} IS NOT NULL AND UPPER(${name}) IN ('TRUE', '1'))` };
+  }
+  if (operator === 'LIKE') {
+    params.push(value.value);
+    return { negated: false, sql: `(${present} AND ${name} LIKE ?${/\\[%_]/.test(value.value) ? " ESCAPE '\\'" : ''})` };
+  }
+  if (value.kind === 'range') {
+    const [start, end] = soqlDateRange(value.name, value.n).map(date => toPulsarValue(date, field.type));
+    const bounds = {
+      '=': [['>=', start], ['<', end]],
+      '!=': [['>=', start], ['<', end]],
+      '<': [['<', start]],
+      '<=': [['<', end]],
+      '>': [['>=', end]],
+      '>=': [['>=', start]]
+    }[operator];
+    params.push(...bounds.map(([, bound]) => bound));
+    return { negated: operator === '!=', sql: `(${present} AND ${bounds.map(([op]) => `${name} ${op} ?`).join(' AND ')})` };
+  }
+
+  const column = value.kind === 'number' ? `CAST(${name} AS REAL)` : name;
+  params.push(soqlLiteral(value));
+  return { negated: operator === '!=', sql: `(${present} AND ${column} ${operator === '!=' ? '=' : operator} ?)` };
+}
+
+/**
+ * Comparison operators accepted by `PulsarQuery.where(field, operator, value)`.
+ */
+const QUERY_OPERATORS = ['=', '!=', '<>', '<', '<=', '>', '>=', 'LIKE', 'NOT LIKE'];
+
+/**
+ * Fluent builder for local SQLite queries against a single SObject. Create one with
+ * `pulsar.query(objectName)`, chain conditions, and call `run()` to execute it through `select()`.
+ *
+ * Field names are checked against the SObject schema before the query is sent, and every value
+ * is bound as an escaped parameter, so no part of the query needs to be written by hand.
+ *
+ * @example
+ * const workOrders = await pulsar.query('WorkOrder')
+ *   .fields(['Id', 'Subject', 'Priority'])
+ *   .where({ Status: 'New' })
+ *   .whereIn('Priority', ['High', 'Critical'])
+ *   .orderBy('CreatedDate', 'desc')
+ *   .limit(50)
+ *   .run({ typed: true });
+ */
+export class PulsarQuery {
+
+  /**
+   * @param {Pulsar} pulsar - The Pulsar instance used to run the query.
+   * @param {string} objectName - Name of the SObject to query.
+   * @throws {PulsarValidationError} If `objectName` is not a valid SObject name.
+   */
+  constructor(pulsar, objectName) {
+    this.pulsar = pulsar;
+    this.objectName = objectName;
+    this._identifier(objectName, 'query requires a valid SObject name.');
+    this._fields = null;
+    this._conditions = [];
+    this._orderBy = [];
+    this._limit = null;
+  }
+
+  /**
+   * Sets the fields to return. Defaults to all fields.
+   * @param {string[]} names - Field API names.
+   * @returns {PulsarQuery} This query, for chaining.
+   * @throws {PulsarValidationError} If `names` is not a non-empty array of field names.
+   */
+  fields(names) {
+    if (!Array.isArray(names) || names.length === 0) {
+      throw new PulsarValidationError('fields requires a non-empty array of field names.', this._details());
+    }
+    this._fields = names.map(name => this._identifier(name));
+    return this;
+  }
+
+  /**
+   * Adds conditions that records must match. Conditions from every call are combined with `AND`.
+   *
+   * Pass an object to match fields by equality: `null` matches empty values and an array matches
+   * any of its values. Pass a field, operator and value to use another comparison.
+   *
+   * @param {object|string} conditions - Field values to match, or a field name.
+   * @param {string} [operator] - One of `=`, `!=`, `<>`, `<`, `<=`, `>`, `>=`, `LIKE` or `NOT LIKE`.
+   * @param {any} [value] - The value to compare against.
+   * @returns {PulsarQuery} This query, for chaining.
+   * @throws {PulsarValidationError} If a field name or operator is invalid.
+   *
+   * @example
+   * pulsar.query('Account').where({ Industry: 'Energy', ParentId: null }).where('Name', 'LIKE', `%${term}%`);
+   */
+  where(conditions, operator, value) {
+    if (typeof conditions === 'string') {
+      const op = typeof operator === 'string' ? operator.trim().toUpperCase() : operator;
+      if (!QUERY_OPERATORS.includes(op)) {
+        throw new PulsarValidationError(`where does not support the operator '${operator}'.`, this._details());
+      }
+      this._addCondition(conditions, op, value);
+      return this;
+    }
+    if (typeof conditions !== 'object' || conditions === null || Array.isArray(conditions)) {
+      throw new PulsarValidationError('where requires an object of field values or a field, operator and value.', this._details());
+    }
+    for (const [field, fieldValue] of Object.entries(conditions)) {
+      this._addCondition(field, Array.isArray(fieldValue) ? 'IN' : '=', fieldValue);
+    }
+    return this;
+  }
+
+  /**
+   * Adds a condition that matches records whose field equals any of the given values.
+   * An empty array matches no records.
+   * @param {string} field - Field API name.
+   * @param {any[]} values - The values to match.
+   * @returns {PulsarQuery} This query, for chaining.
+   * @throws {PulsarValidationError} If `field` is invalid or `values` is not an array.
+   */
+  whereIn(field, values) {
+    if (!Array.isArray(values)) {
+      throw new PulsarValidationError('whereIn requires an array of values.', this._details());
+    }
+    this._addCondition(field, 'IN', values);
+    return this;
+  }
+
+  /**
+   * Adds a sort order. Later calls break ties left by earlier ones.
+   * @param {string} field - Field API name.
+   * @param {'asc'|'desc'} [direction='asc'] - Sort direction.
+   * @returns {PulsarQuery} This query, for chaining.
+   * @throws {PulsarValidationError} If `field` or `direction` is invalid.
+   */
+  orderBy(field, direction = 'asc') {
+    const dir = typeof direction === 'string' ? direction.toUpperCase() : direction;
+    if (dir !== 'ASC' && dir !== 'DESC') {
+      throw new PulsarValidationError(`orderBy direction must be 'asc' or 'desc'.`, this._details());
+    }
+    this._orderBy.push({ field: this._identifier(field), direction: dir });
+    return this;
+  }
+
+  /**
+   * Limits the number of records returned.
+   * @param {number} count - Maximum number of records.
+   * @returns {PulsarQuery} This query, for chaining.
+   * @throws {PulsarValidationError} If `count` is not a non-negative integer.
+   */
+  limit(count) {
+    if (!Number.isInteger(count) || count < 0) {
+      throw new PulsarValidationError('limit requires a non-negative integer.', this._details());
+    }
+    this._limit = count;
+    return this;
+  }
+
+  /**
+   * Compiles the query to a SQLite statement and the parameters for its `?` placeholders,
+   * as they would be passed to `select()`. Field names are not checked against the schema, so numeric
+   * fields are not yet cast as they are when the query runs.
+   * @returns {{query: string, params: any[]}}
+   *
+   * @example
+   * pulsar.query('Account').where({ Industry: 'Energy' }).toSQL();
+   * // { query: 'SELECT * FROM Account WHERE Industry = ?', params: ['Energy'] }
+   */
+  toSQL() {
+    const { query, bindings } = this._compile();
+    return { query, params: bindings.map(binding => binding.value) };
+  }
+
+  /**
+   * Checks the field names against the SObject schema and runs the query through `select()`.
+   * `Date` values are written in the format Pulsar stores for the field's type.
+   * @param {RecordRequestOptions} [options] - Optional typed mode, timeout and cancellation settings for this request.
+   * @returns {Promise<object[]>} Matching records.
+   * @throws {PulsarValidationError} If the query references fields that are not on the SObject.
+   */
+  async run(options = {}) {
+    const { query, params } = await this._prepare(false, options);
+    return this.pulsar.select(this.objectName, query, params, options);
+  }
+
+  /**
+   * Checks the field names against the SObject schema and counts the matching records.
+   * The fields, sort order and limit of the query are ignored.
+   * @param {RequestOptions} [options] - Optional timeout and cancellation settings for this request.
+   * @returns {Promise<number>} The number of matching records.
+   * @throws {PulsarValidationError} If the query references fields that are not on the SObject.
+   *
+   * @example
+   * const open = await pulsar.query('WorkOrder').where({ Status: 'New' }).count();
+   */
+  async count(options = {}) {
+    const { query, params } = await this._prepare(true, options);
+    const [row] = await this.pulsar.select(this.objectName, query, params, { ...options, typed: false });
+    return Number(row?.count ?? 0);
+  }
+
+  /**
+   * Internal method to check the field names against the SObject schema, compile the query with
+   * numeric fields cast for comparison and ordering, and convert the bound values.
+   * @param {boolean} count - Compile a statement that counts the matching records instead.
+   * @param {RequestOptions} options - Timeout and cancellation settings for the schema request.
+   * @returns {Promise<{query: string, params: any[]}>} The statement and parameters to pass to `select()`.
+   * @throws {PulsarValidationError} If the query references fields that are not on the SObject.
+   */
+  async _prepare(count, options) {
+    const types = await this.pulsar._fieldTypes(this.objectName, options);
+    const fieldType = (name) => types.get(name) ?? types.get(name.toLowerCase());
+
+    const referenced = [
+      ...(this._fields ?? []),
+      ...this._conditions.map(condition => condition.field),
+      ...this._orderBy.map(order => order.field)
+    ];
+    const unknown = [...new Set(referenced.filter(name => !fieldType(name)))];
+    if (unknown.length) {
+      throw new PulsarValidationError(
+        `query found unknown ${this.objectName} field${unknown.length === 1 ? '' : 's'}: ${unknown.join(', ')}.`,
+        this._details()
+      );
+    }
+
+    const { query, bindings } = this._compile(count, fieldType);
+    // Numeric fields are compared through CAST(... AS REAL), which only equals numbers.
+    const toParam = (value, type) => {
+      if (value instanceof Date) return toPulsarValue(value, type);
+      if (NUMERIC_FIELD_TYPES.includes(type) && typeof value === 'string' && value.trim() !== '' && Number.isFinite(Number(value))) return Number(value);
+      return value;
+    };
+    const params = bindings.map(({ field, value }) => Array.isArray(value)
+      ? value.map(item => toParam(item, fieldType(field)))
+      : toParam(value, fieldType(field)));
+
+    return { query, params };
+  }
+
+  /**
+   * Internal method to compile the query to a SQLite statement with `?` placeholders.
+   *
+   * Pulsar stores every value as text, so fields whose type is numeric are compared and sorted
+   * through `CAST(... AS REAL)`, skipping empty values as `offlineSoql()` does.
+   * @param {boolean} [count=false] - Compile a statement that counts the matching records instead.
+   * @param {function(string): (string|undefined)} [fieldType] - Looks up a field's schema type.
+   * @returns {{query: string, bindings: {field: string, value: any}[]}} The statement, and the field and value for each placeholder.
+   */
+  _compile(count = false, fieldType = () => undefined) {
+    const bindings = [];
+    const numeric = field => NUMERIC_FIELD_TYPES.includes(fieldType(field));
+    const columns = count ? 'COUNT(*) AS count' : (this._fields ? this._fields.join(', ') : '*');
+    let query = `SELECT ${columns} FROM ${this.objectName}`;
+
+    if (this._conditions.length) {
+      query += ' WHERE ' + this._conditions.map(({ field, operator, value }) => {
+        // Pulsar stores empty fields as '', so null matches both NULL and the empty string.
+        if (value === null || value === undefined) {
+          if (operator === '=') return `(${field} IS NULL OR ${field} = '')`;
+          if (operator === '!=' || operator === '<>') return `(${field} IS NOT NULL AND ${field} != '')`;
+        }
+        bindings.push({ field, value });
+        if (numeric(field) && operator !== 'LIKE' && operator !== 'NOT LIKE') {
+          const present = `${field} IS NOT NULL AND ${field} != ''`;
+          const cast = `CAST(${field} AS REAL)`;
+          if (operator === '!=' || operator === '<>') return `NOT (${present} AND ${cast} = ?)`;
+          return `(${present} AND ${cast} ${operator === 'IN' ? 'IN (?)' : `${operator} ?`})`;
+        }
+        return operator === 'IN' ? `${field} IN (?)` : `${field} ${operator} ?`;
+      }).join(' AND ');
+    }
+    if (count) {
+      return { query, bindings };
+    }
+    if (this._orderBy.length) {
+      query += ' ORDER BY ' + this._orderBy.map(({ field, direction }) => `${numeric(field) ? `CAST(${field} AS REAL)` : field} ${direction}`).join(', ');
+    }
+    if (this._limit !== null) {
+      query += ` LIMIT ${this._limit}`;
+    }
+    return { query, bindings };
+  }
+
+  /**
+   * Internal method to record a condition.
+   * @param {string} field - Field API name.
+   * @param {string} operator - SQLite comparison operator.
+   * @param {any} value - The value to compare against.
+   */
+  _addCondition(field, operator, value) {
+    this._conditions.push({ field: this._identifier(field), operator, value });
+  }
+
+  /**
+   * Internal method to validate an SObject or field name so it can be written into the query.
+   * @param {any} name - The name to validate.
+   * @param {string} [message] - The error message to use.
+   * @returns {string} The name.
+   * @throws {PulsarValidationError} If `name` is not a plain identifier.
+   */
+  _identifier(name, message = `query received an invalid field name: ${String(name)}.`) {
+    if (typeof name !== 'string' || !/^[A-Za-z_][A-Za-z0-9_]*$/.test(name)) {
+      throw new PulsarValidationError(message, this._details());
+    }
+    return name;
+  }
+
+  /**
+   * Internal method to build error details for this query.
+   * @returns {{type: string, object: string}}
+   */
+  _details() {
+    return { type: 'select', object: this.objectName };
+  }
+}
+
+/**
+ * Repository for the records of a single SObject. Create one with `pulsar.model(objectName)`.
+ *
+ * Wraps `read()`, `create()`, `update()` and `delete()` for the SObject, and checks field names
+ * against the SObject schema so typos are reported before any request reaches the bridge.
+ *
+ * @example
+ * const WorkOrders = pulsar.model('WorkOrder');
+ * const workOrder = await WorkOrders.findById(workOrderId);
+ * workOrder.Status = 'Completed';
+ * await WorkOrders.save(workOrder);
+ */
+export class PulsarModel {
+
+  /**
+   * @param {Pulsar} pulsar - The Pulsar instance used to send requests.
+   * @param {string} objectName - Name of the SObject.
+   * @throws {PulsarValidationError} If `objectName` is not a valid SObject name.
+   */
+  constructor(pulsar, objectName) {
+    if (typeof objectName !== 'string' || !/^[A-Za-z_][A-Za-z0-9_]*$/.test(objectName)) {
+      throw new PulsarValidationError('model requires a valid SObject name.', { object: objectName });
+    }
+    this.pulsar = pulsar;
+    this.objectName = objectName;
+  }
+
+  /**
+   * Starts a query builder for the SObject, for conditions other than exact matches.
+   * @returns {PulsarQuery}
+   */
+  query() {
+    return this.pulsar.query(this.objectName);
+  }
+
+  /**
+   * Reads the records that match all of the filters.
+   * @param {object} [filters={}] - Field-value filters (exact match).
+   * @param {ReadOptions} [options] - Optional related records, typed mode, timeout and cancellation settings for this request.
+   * @returns {Promise<object[]>} The matching records.
+   * @throws {PulsarValidationError} If a filter names a field that is not on the SObject.
+   */
+  async find(filters = {}, options = {}) {
+    await this._checkFields(Object.keys(filters), 'read', options);
+    return this.pulsar.read(this.objectName, filters, options);
+  }
+
+  /**
+   * Reads the first record that matches all of the filters.
+   * @param {object} [filters={}] - Field-value filters (exact match).
+   * @param {ReadOptions} [options] - Optional related records, typed mode, timeout and cancellation settings for this request.
+   * @returns {Promise<object|null>} The record, or null if none match.
+   * @throws {PulsarValidationError} If a filter names a field that is not on the SObject.
+   */
+  async findOne(filters = {}, options = {}) {
+    const [record] = await this.find(filters, options);
+    return record ?? null;
+  }
+
+  /**
+   * Reads a record by Id.
+   * @param {string} id - Salesforce Id of the record.
+   * @param {ReadOptions} [options] - Optional related records, typed mode, timeout and cancellation settings for this request.
+   * @returns {Promise<object|null>} The record, or null if it is not in the local database.
+   * @throws {PulsarValidationError} If `id` is missing.
+   */
+  async findById(id, options = {}) {
+    if (typeof id !== 'string' || !id) {
+      throw new PulsarValidationError('findById requires a record Id.', { type: 'read', object: this.objectName });
+    }
+    return this.findOne({ Id: id }, options);
+  }
+
+  /**
+   * Counts the records that match all of the filters.
+   * @param {object} [filters={}] - Field-value filters. `null` matches empty values and an array matches any of its values.
+   * @param {RequestOptions} [options] - Optional timeout and cancellation settings for this request.
+   * @returns {Promise<number>} The number of matching records.
+   * @throws {PulsarValidationError} If a filter names a field that is not on the SObject.
+   */
+  async count(filters = {}, options = {}) {
+    return this.query().where(filters).count(options);
+  }
+
+  /**
+   * Creates the record if it has no `Id`, and otherwise updates it with its other fields.
+   * An `attributes` property, as found on SOQL results, is ignored.
+   * @param {object} record - The record's field values.
+   * @param {RecordRequestOptions} [options] - Optional typed mode, timeout and cancellation settings for this request.
+   * @returns {Promise<string>} The Id of the created or updated record.
+   * @throws {PulsarValidationError} If `record` is not an object or has fields that are not on the SObject.
+   */
+  async save(record, options = {}) {
+    if (typeof record !== 'object' || record === null || Array.isArray(record)) {
+      throw new PulsarValidationError('save requires a record object.', { object: this.objectName });
+    }
+    const { Id, attributes, ...fields } = record;
+    const type = Id ? 'update' : 'create';
+    await this._checkFields(Object.keys(fields), type, options);
+
+    return Id
+      ? this.pulsar.update(this.objectName, Id, fields, {}, options)
+      : this.pulsar.create(this.objectName, fields, {}, options);
+  }
+
+  /**
+   * Deletes a record.
+   * @param {string|object} record - The record, or its Id.
+   * @param {RequestOptions} [options] - Optional timeout and cancellation settings for this request.
+   * @returns {Promise<string>} The Id of the deleted record.
+   * @throws {PulsarValidationError} If no Id is given.
+   */
+  async destroy(record, options = {}) {
+    const id = typeof record === 'string' ? record : record?.Id;
+    if (typeof id !== 'string' || !id) {
+      throw new PulsarValidationError('destroy requires a record or record Id.', { type: 'delete', object: this.objectName });
+    }
+    return this.pulsar.delete(this.objectName, id, options);
+  }
+
+  /**
+   * Loads the records related to a record through a parent or child relationship, like the
+   * `include` option of `read()`.
+   * @param {object} record - A record of this SObject.
+   * @param {string} relationshipName - A parent relationship (e.g., 'Account') or child relationship (e.g., 'Contacts').
+   * @param {RecordRequestOptions} [options] - Optional typed mode, timeout and cancellation settings for this request.
+   * @returns {Promise<object|object[]|null>} The parent record or null for a parent relationship; an array of records for a child relationship.
+   * @throws {PulsarValidationError} If `relationshipName` is not a relationship of the SObject.
+   *
+   * @example
+   * const account = await pulsar.model('Contact').related(contact, 'Account');
+   * const contacts = await pulsar.model('Account').related(account, 'Contacts');
+   */
+  async related(record, relationshipName, options = {}) {
+    if (typeof record !== 'object' || record === null) {
+      throw new PulsarValidationError('related requires a record object.', { type: 'read', object: this.objectName });
+    }
+    const relationships = await this.pulsar._includedRelationships(this.objectName, [relationshipName], options);
+    const [loaded] = await this.pulsar._attachRelated([{ ...record }], relationships, options);
+    return loaded[relationships[0].name];
+  }
+
+  /**
+   * Internal method to check field names against the SObject schema.
+   * @param {string[]} names - Field names.
+   * @param {string} type - The JSAPI request type, for error details.
+   * @param {RequestOptions} options - Timeout and cancellation settings for the schema request.
+   * @throws {PulsarValidationError} If any of the names is not a field of the SObject.
+   */
+  async _checkFields(names, type, options) {
+    if (!names.length) {
+      return;
+    }
+    const types = await this.pulsar._fieldTypes(this.objectName, options);
+    const unknown = names.filter(name => !types.has(name) && !types.has(name.toLowerCase()));
+    if (unknown.length) {
+      throw new PulsarValidationError(
+        `model found unknown ${this.objectName} field${unknown.length === 1 ? '' : 's'}: ${unknown.join(', ')}.`,
+        { type, object: this.objectName }
+      );
+    }
+  }
+}
+
+/**
+ * Placeholder for the Id of a record created, updated or deleted in a `pulsar.transaction()`.
+ * It is replaced with the real Id when a later operation of the transaction uses it.
+ */
+class PulsarTransactionRef {
+  /**
+   * @param {object} operation - The transaction operation that produces the Id.
+   */
+  constructor(operation) {
+    this.operation = operation;
+  }
+}
+
+/**
+ * Records the operations of a `pulsar.transaction()`. Each method returns a handle whose `ref`
+ * can be used in place of the record's Id by later operations of the same transaction, and whose
+ * `id` holds the real Id once the operation has run.
+ */
+export class PulsarTransaction {
+
+  /**
+   * @param {Pulsar} pulsar - The Pulsar instance used to run the operations.
+   */
+  constructor(pulsar) {
+    this.pulsar = pulsar;
+    this._operations = [];
+    this._closed = false;
+  }
+
+  /**
+   * Adds a record creation. The record is deleted again if a later operation fails.
+   * @param {string} objectName - Name of the SObject.
+   * @param {object} fields - Fields and values for the new record. Values may be refs.
+   * @param {object} [args] - Optional args, as for `create()`.
+   * @returns {{ref: PulsarTransactionRef, id: string|null}} A handle for the created record.
+   * @throws {PulsarValidationError} If the arguments are invalid.
+   */
+  create(objectName, fields, args = {}) {
+    this._checkRecord('create', objectName, fields);
+    return this._add({
+      type: 'create',
+      objectName,
+      run: (options) => this.pulsar.create(objectName, this._resolveFields(fields), args, options),
+      undo: (id, options) => this.pulsar.delete(objectName, id, options)
+    });
+  }
+
+  /**
+   * Adds a record update. Updates are not reverted if a later operation fails.
+   * @param {string} objectName - Name of the SObject.
+   * @param {string|PulsarTransactionRef} id - Id of the record, or a ref from an earlier operation.
+   * @param {object} fields - Fields and values to update. Values may be refs.
+   * @param {object} [args] - Optional args, as for `update()`.
+   * @returns {{ref: PulsarTransactionRef, id: string|null}} A handle for the updated record.
+   * @throws {PulsarValidationError} If the arguments are invalid.
+   */
+  update(objectName, id, fields, args = {}) {
+    this._checkRecord('update', objectName, fields);
+    this._checkId('update', objectName, id);
+    return this._add({
+      type: 'update',
+      objectName,
+      run: (options) => this.pulsar.update(objectName, this._resolve(id), this._resolveFields(fields), args, options)
+    });
+  }
+
+  /**
+   * Adds a record deletion. Deletions are not reverted if a later operation fails.
+   * @param {string} objectName - Name of the SObject.
+   * @param {string|PulsarTransactionRef} id - Id of the record, or a ref from an earlier operation.
+   * @returns {{ref: PulsarTransactionRef, id: string|null}} A handle for the deleted record.
+   * @throws {PulsarValidationError} If the arguments are invalid.
+   */
+  delete(objectName, id) {
+    this._checkRecord('delete', objectName, {});
+    this._checkId('delete', objectName, id);
+    return this._add({
+      type: 'delete',
+      objectName,
+      run: (options) => this.pulsar.delete(objectName, this._resolve(id), options)
+    });
+  }
+
+  /**
+   * Adds a file upload, as `createSFFile()` does. The file is deleted again if a later operation fails.
+   * @param {string|PulsarTransactionRef} parentId - Id of the parent record, or a ref from an earlier operation.
+   * @param {string} name - Name of the file.
+   * @param {string} body - Base64 encoded file data.
+   * @param {object} [options] - Optional additional fields, as for `createSFFile()`.
+   * @returns {{ref: PulsarTransactionRef, id: string|null}} A handle for the new ContentDocument.
+   * @throws {PulsarValidationError} If the arguments are invalid.
+   */
+  createSFFile(parentId, name, body, options = {}) {
+    this._checkId('createSFFile', undefined, parentId);
+    return this._add({
+      type: 'createSFFile',
+      run: (requestOptions) => this.pulsar.createSFFile(this._resolve(parentId), name, body, options, requestOptions),
+      undo: (id, requestOptions) => this.pulsar.deleteSFFile([id], requestOptions)
+    });
+  }
+
+  /**
+   * Internal method to record an operation and create its handle.
+   * @param {object} operation - The operation, with `type`, `objectName`, `run` and optionally `undo`.
+   * @returns {{ref: PulsarTransactionRef, id: string|null}}
+   * @throws {PulsarValidationError} If the transaction function has already returned.
+   */
+  _add(operation) {
+    if (this._closed) {
+      throw new PulsarValidationError('transaction operations must be added before the transaction function returns.', { type: operation.type, object: operation.objectName });
+    }
+    operation.id = null;
+    this._operations.push(operation);
+    return {
+      ref: new PulsarTransactionRef(operation),
+      get id() { return operation.id; }
+    };
+  }
+
+  /**
+   * Internal method to validate the SObject name and fields of an operation.
+   * @param {string} type - The operation type, for error messages.
+   * @param {string} objectName - Name of the SObject.
+   * @param {object} fields - The operation's fields.
+   * @throws {PulsarValidationError} If the SObject name or fields are invalid, or a field value is a ref that cannot be used.
+   */
+  _checkRecord(type, objectName, fields) {
+    if (typeof objectName !== 'string' || !objectName) {
+      throw new PulsarValidationError(`transaction ${type} requires a valid objectName string.`, { type, object: objectName });
+    }
+    if (typeof fields !== 'object' || fields === null || Array.isArray(fields)) {
+      throw new PulsarValidationError(`transaction ${type} requires an object of field values.`, { type, object: objectName });
+    }
+    Object.values(fields).forEach(value => this._checkRef(type, objectName, value));
+  }
+
+  /**
+   * Internal method to validate a record Id argument.
+   * @param {string} type - The operation type, for error messages.
+   * @param {string} [objectName] - Name of the SObject.
+   * @param {any} id - A record Id or ref.
+   * @throws {PulsarValidationError} If `id` is neither a non-empty string nor a usable ref.
+   */
+  _checkId(type, objectName, id) {
+    if (!(id instanceof PulsarTransactionRef) && (typeof id !== 'string' || !id)) {
+      throw new PulsarValidationError(`transaction ${type} requires a record Id or ref.`, { type, object: objectName });
+    }
+    this._checkRef(type, objectName, id);
+  }
+
+  /**
+   * Internal method to check that a ref comes from an earlier operation of this transaction.
+   * @param {string} type - The operation type, for error messages.
+   * @param {string} [objectName] - Name of the SObject.
+   * @param {any} value - A value that may be a ref.
+   * @throws {PulsarValidationError} If `value` is a ref from another transaction.
+   */
+  _checkRef(type, objectName, value) {
+    if (value instanceof PulsarTransactionRef && !this._operations.includes(value.operation)) {
+      throw new PulsarValidationError('transaction refs can only be used by later operations of the same transaction.', { type, object: objectName });
+    }
+  }
+
+  /**
+   * Internal method to replace a ref with the Id returned by its operation.
+   * @param {any} value - A value that may be a ref.
+   * @returns {any}
+   */
+  _resolve(value) {
+    return value instanceof PulsarTransactionRef ? value.operation.id : value;
+  }
+
+  /**
+   * Internal method to replace refs in field values.
+   * @param {object} fields - Field values.
+   * @returns {object}
+   */
+  _resolveFields(fields) {
+    return Object.fromEntries(Object.entries(fields).map(([name, value]) => [name, this._resolve(value)]));
+  }
+}
+
 /**
  * This class provides a helpful starting point for developing on the Pulsar for Salesforce platform. Instantiating this object in any Pulsar context will connect you to the platform via the WebViewJavasScriptBridge.
  *
@@ -5,18 +1548,45 @@
  */
 export class Pulsar {
 
-  constructor() {
+  /**
+   * @param {object} [options] - Optional client configuration.
+   * @param {number} [options.timeout=0] - Default timeout, in milliseconds, applied to every JSAPI request. `0` disables the timeout.
+   * @param {boolean} [options.metadataCache=false] - Cache schema, layout, picklist, and listview metadata responses. See `clearMetadataCache()`.
+   */
+  constructor(options = {}) {
     this.bridge = null;
     this.pulsar = null;
     this.isInitialized = false;
+    this.timeout = options.timeout ?? 0;
+    this._writeQueueTail = Promise.resolve();
+    this._writeQueueDepth = 0;
+    this._middleware = [];
+    this._eventSubscribers = new Map();
+    this.capabilities = null;
+    this._metadataCache = options.metadataCache ? new Map() : null;
+    this._metadataCacheHits = 0;
+    this._metadataCacheMisses = 0;
+    this._watchingMetadataInvalidation = false;
+    this._keyPrefixes = new Map();
+    this._describedForKeyPrefix = new Set();
+    this._liveQueries = new Set();
   }
 
-  /* Initializes Pulsar and acquires the bridge. If we are in an FSL context, we will also have the pulsar object initialized as well. It is a good idea to wrap your call to init (async () => {})(). This ensures that the init method executes as early as possible and is not blocked by loading processes. */
-  async init() {
-    return new Promise((resolve, reject) => {
+  /**
+   * Number of write requests (create, update, delete, file uploads, etc.) that are
+   * either in flight or waiting in the write queue. Useful for driving busy indicators.
+   * @returns {number}
+   */
+  get writeQueueDepth() {
+    return this._writeQueueDepth;
+  }
+
+  /* Initializes Pulsar and acquires the bridge. If we are in an FSL context, we will also have the pulsar object initialized as well. It is a good idea to wrap your call to init (async () => {})(). This ensures that the init method executes as early as possible and is not blocked by loading processes. Pass { loadCapabilities: true } to also populate `capabilities` before init resolves. */
+  async init({ loadCapabilities = false } = {}) {
+    await new Promise((resolve, reject) => {
       if (this.isInitialized) {
         console.log('Pulsar: Initialization requested, but Pulsar is already initialized.');
-        reject(new Error('Pulsar is already initialized.'));
+        reject(new PulsarError('Pulsar is already initialized.', { type: 'init' }));
       }
       console.log('Pulsar: Initializing...')
       // Embedded context
@@ -49,72 +1619,318 @@ export class Pulsar {
         const initTimeout = setTimeout(() => {
           console.log('Pulsar: Failed to initialize. Did not register to receive WebViewJavascriptBridgeReady event in time.');
           document.removeEventListener('WebViewJavascriptBridgeReady', onBridgeReady);
-          reject(new Error('Pulsar bridge initialization timed out.'));
+          reject(new PulsarTimeoutError('Pulsar bridge initialization timed out.', { type: 'init', timeout: 5000 }));
         }, 5000);
       }
     });
+
+    if (loadCapabilities) {
+      await this.loadCapabilities();
+    }
+    return this;
+  }
+
+  /**
+   * @typedef {Object} PulsarCapabilities
+   * @property {string|null} platform - The platform reported by `getPlatform()` (e.g., "ios", "windows"), or null if unavailable.
+   * @property {string|null} version - The Pulsar bridge version, or null if the bridge does not report one.
+   * @property {Object.<string, {available: boolean, value: (string|undefined)}>} features - Platform features keyed by featureName.
+   */
+
+  /**
+   * Loads the platform, Pulsar version, and platform features into `capabilities`.
+   * Called automatically by `init({ loadCapabilities: true })`.
+   *
+   * Older Pulsar versions that do not implement `getPlatform` or `getPlatformFeatures` are
+   * tolerated; the corresponding capability is left empty.
+   *
+   * @param {RequestOptions} [requestOptions] - Optional timeout and cancellation settings for this request.
+   * @returns {Promise<PulsarCapabilities>} The loaded capabilities.
+   *
+   * @example
+   * const { platform, version } = await pulsar.loadCapabilities();
+   */
+  async loadCapabilities(requestOptions = {}) {
+    // A bridge error only means this Pulsar version does not know the request
+    const tolerateBridgeError = (fallback) => (error) => {
+      if (error instanceof PulsarBridgeError) return fallback;
+      throw error;
+    };
+
+    const [platform, features] = await Promise.all([
+      this.getPlatform(requestOptions).catch(tolerateBridgeError(null)),
+      this.getPlatformFeatures(requestOptions).catch(tolerateBridgeError([]))
+    ]);
+
+    const version = this.bridge?.version;
+    this.capabilities = {
+      platform: typeof platform === 'string' ? platform : null,
+      version: version === undefined || version === null ? null : String(version),
+      features: Object.fromEntries((Array.isArray(features) ? features : []).map(feature => [
+        feature.featureName,
+        { available: this._isTrue(feature.isAvailable), value: feature.value }
+      ]))
+    };
+
+    return this.capabilities;
+  }
+
+  /**
+   * Returns whether an event, option, request type, or platform feature is supported by the connected Pulsar.
+   *
+   * Names are checked against the SDK's known version requirements (e.g., 'custom_oauth' requires
+   * Pulsar 12+), then against the platform features reported by `getPlatformFeatures()`. The answer is
+   * `undefined` when the SDK cannot judge: the name is neither a known requirement nor a reported
+   * feature, or `capabilities` has not been loaded or lacks the platform or version the requirement needs.
+   *
+   * @param {string} name - An event name, option name, request type, or platform featureName.
+   * @returns {boolean|undefined} `true` if supported, `false` if not, or `undefined` if unknown.
+   * @throws {PulsarValidationError} If name is not a string.
+   *
+   * @example
+   * await pulsar.init({ loadCapabilities: true });
+   * if (pulsar.supports('custom_oauth')) {
+   *   pulsar.on('custom_oauth', onOAuthComplete);
+   * }
+   */
+  supports(name) {
+    if (!name || typeof name !== 'string') {
+      throw new PulsarValidationError('supports requires a valid name string.');
+    }
+
+    if (Object.hasOwn(VERSION_REQUIREMENTS, name)) {
+      const { minVersion, platforms } = VERSION_REQUIREMENTS[name];
+      const { platform, version } = this.capabilities ?? {};
+      if (platforms) {
+        if (!platform) return undefined;
+        if (!platforms.includes(platform.toLowerCase())) return false;
+      }
+      if (minVersion) {
+        if (!version) return undefined;
+        return compareVersions(version, minVersion) >= 0;
+      }
+      return true;
+    }
+
+    return this.capabilities?.features?.[name]?.available;
+  }
+
+  /**
+   * Subscribes to a Pulsar bridge or pulsar object event.
+   *
+   * Any number of subscribers may listen to the same event. The SDK registers a single native
+   * handler per event and fans each event out to every subscriber in subscription order, so
+   * independent components no longer replace each other's handlers. Sync-related events are
+   * automatically delegated to the pulsar object in embedded contexts to avoid bridge handler conflicts.
+   *
+   * @param {string} eventName - Name of the event to listen for (e.g., 'syncDataFinished').
+   * @param {function(any, function=): void} handlerFn - Callback invoked with the event data and, for bridge events, the native response callback.
+   * @returns {function(): void} A function that removes this subscription.
+   * @throws {PulsarNotInitializedError} If the bridge is not initialized.
+   * @throws {PulsarValidationError} If the parameters are invalid.
+   *
+   * @example
+   * const unsubscribe = pulsar.on('syncDataFinished', () => refreshList());
+   * // Later
+   * unsubscribe();
+   */
+  on(eventName, handlerFn) {
+    if (!this.bridge) {
+      throw new PulsarNotInitializedError();
+    }
+    if (typeof eventName !== 'string' || typeof handlerFn !== 'function') {
+      throw new PulsarValidationError('Invalid parameters: eventName must be a string and handlerFn must be a function.');
+    }
+    this._assertSupported(eventName, { type: eventName });
+
+    let subscribers = this._eventSubscribers.get(eventName);
+    if (!subscribers) {
+      subscribers = [];
+      this._eventSubscribers.set(eventName, subscribers);
+      this._registerNativeHandler(eventName, (data, responseCallback) => {
+        // Copy so subscribers removing themselves do not disturb this dispatch.
+        for (const subscriber of [...subscribers]) {
+          try {
+            subscriber.fn(data, responseCallback);
+          } catch (error) {
+            console.error(`Pulsar: Error in '${eventName}' event handler.`, error);
+          }
+        }
+      });
+    }
+
+    const subscriber = { fn: handlerFn, original: handlerFn };
+    subscribers.push(subscriber);
+
+    return () => this._removeSubscriber(eventName, subscriber);
+  }
+
+  /**
+   * Subscribes to a Pulsar event for a single occurrence. The subscription is removed
+   * before the handler runs.
+   *
+   * @param {string} eventName - Name of the event to listen for.
+   * @param {function(any, function=): void} handlerFn - Callback invoked the next time the event fires.
+   * @returns {function(): void} A function that removes the subscription if it has not fired yet.
+   * @throws {PulsarNotInitializedError} If the bridge is not initialized.
+   * @throws {PulsarValidationError} If the parameters are invalid.
+   */
+  once(eventName, handlerFn) {
+    if (typeof handlerFn !== 'function') {
+      throw new PulsarValidationError('Invalid parameters: eventName must be a string and handlerFn must be a function.');
+    }
+
+    const unsubscribe = this.on(eventName, (...args) => {
+      unsubscribe();
+      handlerFn(...args);
+    });
+
+    // Allow off(eventName, handlerFn) to remove the once subscription as well
+    const subscribers = this._eventSubscribers.get(eventName);
+    subscribers[subscribers.length - 1].original = handlerFn;
+
+    return unsubscribe;
   }
 
+  /**
+   * Removes event subscriptions. When the last subscriber for an event is removed, the
+   * SDK's native handler for that event is deregistered as well.
+   *
+   * @param {string} eventName - Name of the event.
+   * @param {function} [handlerFn] - The handler passed to `on()` or `once()`. If omitted, every application subscriber for
+   * the event is removed; the SDK's own subscriptions (metadata cache invalidation, live queries) are kept.
+   * @throws {PulsarValidationError} If eventName is not a string.
+   */
+  off(eventName, handlerFn) {
+    if (typeof eventName !== 'string') {
+      throw new PulsarValidationError('Invalid parameter: eventName must be a string.');
+    }
+
+    const subscribers = this._eventSubscribers.get(eventName);
+    if (!subscribers) return;
+
+    for (const subscriber of subscribers.filter(s => (handlerFn ? s.original === handlerFn : !s.internal))) {
+      this._removeSubscriber(eventName, subscriber);
+    }
+  }
 
   /**
    * Registers an event handler for Pulsar bridge or pulsar object events.
-   * Automatically delegates sync-related events in embedded contexts to avoid bridge handler conflicts.
+   *
+   * Equivalent to `on()`: the handler is added alongside any existing handlers for the event
+   * rather than replacing them.
    *
    * @param {string} handlerName - Name of the event to listen for.
    * @param {function} handlerFn - Callback to execute when the event is triggered.
+   * @returns {function(): void} A function that removes this handler.
    */
   registerHandler(handlerName, handlerFn) {
     if (!this.bridge) {
-      throw new Error('Pulsar bridge not initialized. Call init() first.');
+      throw new PulsarNotInitializedError();
     }
     if (typeof handlerName !== 'string' || typeof handlerFn !== 'function') {
-      throw new Error('Invalid parameters: handlerName must be a string and handlerFn must be a function.');
-    }
-
-    const isEmbedded = !!this.pulsar;
-    const isSyncHandler = ['syncDataUpdate', 'syncDataFinished'].includes(handlerName);
-
-    if (isEmbedded && isSyncHandler) {
-      // Use embedded-safe registration via pulsar object
-      if (handlerName === 'syncDataUpdate') {
-        this.pulsar.addSyncDataUpdateHandler(handlerFn);
-      } else if (handlerName === 'syncDataFinished') {
-        this.pulsar.addSyncFinishedHandler(handlerFn);
-      }
-    } else {
-      // Use raw bridge handler
-      this.bridge.registerHandler(handlerName, handlerFn);
+      throw new PulsarValidationError('Invalid parameters: handlerName must be a string and handlerFn must be a function.');
     }
+    return this.on(handlerName, handlerFn);
   }
 
   /**
-   * Deregisters an event handler from Pulsar bridge or pulsar object.
+   * Deregisters event handlers from Pulsar bridge or pulsar object.
    * Avoids using bridge deregistration in embedded contexts for sync-related events.
    *
    * @param {string} handlerName - Name of the event to stop listening to.
+   * @param {function} [handlerFn] - Remove only this handler. If omitted, every application handler for the event is removed.
    */
-  deregisterHandler(handlerName) {
+  deregisterHandler(handlerName, handlerFn) {
     if (!this.bridge) {
-      throw new Error('Pulsar bridge not initialized. Call init() first.');
+      throw new PulsarNotInitializedError();
     }
     if (typeof handlerName !== 'string') {
-      throw new Error('Invalid parameter: handlerName must be a string.');
+      throw new PulsarValidationError('Invalid parameter: handlerName must be a string.');
     }
 
-    const isEmbedded = !!this.pulsar;
-    const isSyncHandler = ['syncDataUpdate', 'syncDataFinished'].includes(handlerName);
+    const subscribed = this._eventSubscribers.has(handlerName);
+    this.off(handlerName, handlerFn);
+    if (!handlerFn && !subscribed) {
+      this._deregisterNativeHandler(handlerName);
+    }
+  }
 
-    if (isEmbedded && isSyncHandler) {
-      // Use embedded-safe deregistration via pulsar object
-      if (handlerName === 'syncDataUpdate') {
-        this.pulsar.removeSyncDataUpdateHandler();
-      } else if (handlerName === 'syncDataFinished') {
-        this.pulsar.removeSyncFinishedHandler();
-      }
-    } else {
-      // Use raw bridge deregistration
-      this.bridge.deregisterHandler(handlerName);
+  /**
+   * @typedef {Object} MetadataCacheStats
+   * @property {boolean} enabled - Whether the metadata cache was enabled in the constructor.
+   * @property {number} size - Number of cached responses.
+   * @property {number} hits - Number of requests answered from the cache.
+   * @property {number} misses - Number of requests that were sent to the bridge and cached.
+   */
+
+  /**
+   * Returns usage statistics for the metadata cache.
+   * @returns {MetadataCacheStats}
+   */
+  metadataCacheStats() {
+    return {
+      enabled: !!this._metadataCache,
+      size: this._metadataCache?.size ?? 0,
+      hits: this._metadataCacheHits,
+      misses: this._metadataCacheMisses
+    };
+  }
+
+  /**
+   * Clears cached schema, layout, picklist, and listview metadata. The cache is also cleared
+   * automatically when the `invalidateLayout` event fires and when a sync finishes.
+   *
+   * @param {string} [objectName] - Only clear metadata for this SObject. If omitted, the whole cache is cleared.
+   *
+   * @example
+   * pulsar.clearMetadataCache('Account');
+   */
+  clearMetadataCache(objectName) {
+    if (!this._metadataCache) return;
+    if (!objectName) {
+      this._metadataCache.clear();
+      return;
+    }
+    for (const [key, entry] of this._metadataCache) {
+      if (entry.object === objectName) this._metadataCache.delete(key);
+    }
+  }
+
+  /**
+   * Registers a middleware that wraps every JSAPI request sent through this instance.
+   *
+   * A middleware is called with the outgoing request object and a `next` function. Calling
+   * `next()` (optionally with a replacement request) passes the request to the next middleware,
+   * or to the bridge after the last one, and resolves with the raw `{ type, data }` response.
+   * The middleware returns (or resolves with) the response that the caller will see, so it may
+   * inspect or rewrite it, or skip `next()` entirely and return a synthetic response.
+   *
+   * Middleware run in registration order on the way out and in reverse order on the way back.
+   * Throwing (or rejecting) rejects the request with that error.
+   *
+   * @param {function(object, function(object=): Promise<object>): (object|Promise<object>)} middleware - The middleware function.
+   * @returns {function(): void} A function that removes the middleware.
+   * @throws {PulsarValidationError} If `middleware` is not a function.
+   *
+   * @example
+   * const removeLogger = pulsar.use(async (request, next) => {
+   *   const started = Date.now();
+   *   const response = await next();
+   *   console.log(`${request.type} took ${Date.now() - started}ms`);
+   *   return response;
+   * });
+   */
+  use(middleware) {
+    if (typeof middleware !== 'function') {
+      throw new PulsarValidationError('use requires a middleware function.');
     }
+    this._middleware.push(middleware);
+
+    return () => {
+      const index = this._middleware.indexOf(middleware);
+      if (index !== -1) this._middleware.splice(index, 1);
+    };
   }
 
 
@@ -122,17 +1938,76 @@ export class Pulsar {
    * JSAPI Methods
    ****************************** */
   /**
-   * Read records from a Salesforce object. All values for all fields are returned as strings.
+   * Per-request settings accepted as the final argument of every JSAPI method.
+   * @typedef {Object} RequestOptions
+   * @property {number} [timeout] - Milliseconds to wait for a response before rejecting with a `PulsarTimeoutError`. Overrides the constructor default; `0` disables the timeout.
+   * @property {AbortSignal} [signal] - Signal that rejects the request with a `PulsarAbortError` when aborted.
+   */
+  /**
+   * Per-request settings for methods that read or write record values. Extends `RequestOptions`.
+   * @typedef {Object} RecordRequestOptions
+   * @property {boolean} [typed=false] - Convert values between Pulsar's string format and JavaScript
+   *   types (booleans, numbers, Dates, and string arrays for multi-select picklists) using the SObject schema.
+   * @property {number} [timeout] - See `RequestOptions`.
+   * @property {AbortSignal} [signal] - See `RequestOptions`.
+   */
+  /**
+   * Per-request settings for `create()` and `update()`. Extends `RecordRequestOptions`.
+   * @typedef {Object} WriteRequestOptions
+   * @property {boolean} [validate=false] - Check the values against the SObject schema with `validateRecord()`
+   *   before writing, and reject with a `PulsarValidationError` listing the `fieldErrors` instead of calling the bridge.
+   * @property {boolean} [typed=false] - See `RecordRequestOptions`.
+   * @property {number} [timeout] - See `RequestOptions`.
+   * @property {AbortSignal} [signal] - See `RequestOptions`.
+   */
+  /**
+   * Per-request settings for `read()`. Extends `RecordRequestOptions`.
+   * @typedef {Object} ReadOptions
+   * @property {string[]} [include] - Parent and child relationship names (e.g., 'Account', 'WorkOrderLineItems')
+   *   whose related records are attached to each record under the relationship name.
+   * @property {boolean} [typed=false] - See `RecordRequestOptions`.
+   * @property {number} [timeout] - See `RequestOptions`.
+   * @property {AbortSignal} [signal] - See `RequestOptions`.
+   */
+  /**
+   * Read records from a Salesforce object. All values for all fields are returned as strings
+   * unless `options.typed` is set.
+   *
+   * Related records can be loaded with the records by listing relationship names in `options.include`.
+   * A parent relationship (e.g., 'Account') attaches the parent record, or null; a child relationship
+   * (e.g., 'WorkOrderLineItems') attaches an array of child records. Related records are fetched with one
+   * `select()` per related SObject, however many records were read.
+   *
    * @param {string} objectName - Name of the SObject (e.g., 'Account')
    * @param {object} filters - Field-value filters (exact match)
+   * @param {ReadOptions} [options] - Optional related records, typed mode, timeout and cancellation settings for this request.
    * @returns {Promise<object[]>}
+   * @throws {PulsarValidationError} If `options.include` names a relationship that is not on the SObject.
+   *
+   * @example
+   * const [account] = await pulsar.read('Account', { Id: accountId }, { typed: true });
+   * account.AnnualRevenue; // 1500000 (number)
+   *
+   * @example
+   * const [workOrder] = await pulsar.read('WorkOrder', { Id: workOrderId }, { include: ['Account', 'Contact', 'WorkOrderLineItems'] });
+   * console.log(workOrder.Account?.Name, workOrder.WorkOrderLineItems.length);
    */
-  async read(objectName, filters = {}) {
-    return this._send({
+  async read(objectName, filters = {}, options = {}) {
+    const { include, ...requestOptions } = options;
+    const relationships = include === undefined ? null : await this._includedRelationships(objectName, include, requestOptions);
+
+    if (requestOptions.typed) {
+      filters = await this._toPulsarFields(objectName, filters, requestOptions);
+    }
+
+    const records = await this._send({
       type: 'read',
       object: objectName,
       data: filters
-    });
+    }, requestOptions);
+
+    const result = requestOptions.typed ? await this._toTypedRecords(objectName, records, requestOptions) : records;
+    return relationships ? this._attachRelated(result, relationships, requestOptions) : result;
   }
 
   /**
@@ -140,15 +2015,24 @@ export class Pulsar {
    * @param {string} objectName - Name of the SObject (e.g., 'Contact')
    * @param {object} fields - Fields and values for the new record
    * @param {object} [args] - Optional args (e.g., allowEditOnFailure)
+   * @param {WriteRequestOptions} [options] - Optional validation, typed mode, timeout and cancellation settings for this request.
    * @returns {Promise<string>} - The Id of the created record.
+   * @throws {PulsarValidationError} If `options.validate` is set and a value does not fit the SObject schema. The error's `fieldErrors` lists the problems.
    */
-  async create(objectName, fields = {}, args = {}) {
-    return this._send({
+  async create(objectName, fields = {}, args = {}, options = {}) {
+    if (options.typed) {
+      fields = await this._toPulsarFields(objectName, fields, options);
+    }
+    if (options.validate) {
+      await this._checkFieldValues('create', objectName, fields, options);
+    }
+
+    return this._queueWrite({
       type: 'create',
       object: objectName,
       data: fields,
       args
-    });
+    }, options);
   }
 
   /**
@@ -158,15 +2042,17 @@ export class Pulsar {
    * @param {string} id - Salesforce Id of the record to update.
    * @param {object} fields - Fields and values to update.
    * @param {object} [args] - Optional arguments, such as skipLayoutRequiredFieldCheck.
+   * @param {WriteRequestOptions} [options] - Optional validation, typed mode, timeout and cancellation settings for this request.
    * @returns {Promise<string>} The Id of the updated record.
+   * @throws {PulsarValidationError} If `options.validate` is set and a value does not fit the SObject schema. The error's `fieldErrors` lists the problems.
    */
-  async update(objectName, id, fields = {}, args = {}) {
+  async update(objectName, id, fields = {}, args = {}, options = {}) {
     if (!objectName || typeof objectName !== 'string') {
-      throw new Error('Update requires a valid objectName string.');
+      throw new PulsarValidationError('Update requires a valid objectName string.', { type: 'update', object: objectName });
     }
 
     if (!id || typeof id !== 'string') {
-      throw new Error(`Update requires a valid 'id' string.`);
+      throw new PulsarValidationError(`Update requires a valid 'id' string.`, { type: 'update', object: objectName });
     }
 
     if (
@@ -174,10 +2060,17 @@ export class Pulsar {
       fields === null ||
       Array.isArray(fields)
     ) {
-      throw new Error('Update requires a valid fields object.');
+      throw new PulsarValidationError('Update requires a valid fields object.', { type: 'update', object: objectName });
     }
 
-    return this._send({
+    if (options.typed) {
+      fields = await this._toPulsarFields(objectName, fields, options);
+    }
+    if (options.validate) {
+      await this._checkFieldValues('update', objectName, fields, options);
+    }
+
+    return this._queueWrite({
       type: 'update',
       object: objectName,
       data: {
@@ -185,45 +2078,326 @@ export class Pulsar {
         Id: id
       },
       args
-    });
+    }, options);
+  }
+
+  /**
+   * @typedef {Object} FieldError
+   * @property {string} field - The field name.
+   * @property {string} code - The problem, using Salesforce status codes where one exists (e.g., 'REQUIRED_FIELD_MISSING',
+   *   'STRING_TOO_LONG', 'INVALID_OR_NULL_FOR_RESTRICTED_PICKLIST', 'MALFORMED_ID', 'INVALID_PHONE').
+   * @property {string} message - Human readable description of the problem.
+   */
+
+  /**
+   * Checks record values against the SObject schema from `getSObjectSchema()` without writing them.
+   *
+   * Checks unknown fields, the createable and updateable flags, required (non-nillable) fields, text length,
+   * numeric digits, precision and scale, restricted picklist values, reference Ids, and email, phone and URL
+   * formats. Required fields that are missing are only reported for 'create'; for 'update' only fields that
+   * are being cleared are checked. Checks that need the server, such as validation rules and duplicate
+   * rules, are not performed.
+   *
+   * @param {string} objectName - Name of the SObject (e.g., 'Contact').
+   * @param {object} fields - Fields and values to check.
+   * @param {'create'|'update'} [operation='create'] - The write the values are for.
+   * @param {RecordRequestOptions} [options] - Optional typed mode, timeout and cancellation settings for the schema request.
+   * @returns {Promise<FieldError[]>} - The problems found, or an empty array if the values are valid.
+   * @throws {PulsarValidationError} If the arguments are invalid.
+   *
+   * @example
+   * const fieldErrors = await pulsar.validateRecord('Contact', { LastName: '', Email: 'jo@' });
+   * // [{ field: 'LastName', code: 'REQUIRED_FIELD_MISSING', message: 'LastName is required.' },
+   * //  { field: 'Email', code: 'INVALID_EMAIL_ADDRESS', message: 'Email is not a valid email address.' }]
+   */
+  async validateRecord(objectName, fields, operation = 'create', options = {}) {
+    if (!objectName || typeof objectName !== 'string') {
+      throw new PulsarValidationError('validateRecord requires a valid objectName string.', { type: 'getSObjectSchema', object: objectName });
+    }
+    if (typeof fields !== 'object' || fields === null || Array.isArray(fields)) {
+      throw new PulsarValidationError('validateRecord requires a fields object.', { type: 'getSObjectSchema', object: objectName });
+    }
+    if (operation !== 'create' && operation !== 'update') {
+      throw new PulsarValidationError("validateRecord requires operation to be 'create' or 'update'.", { type: 'getSObjectSchema', object: objectName });
+    }
+
+    if (options.typed) {
+      fields = await this._toPulsarFields(objectName, fields, options);
+    }
+    return this._fieldErrors(operation, objectName, fields, options);
   }
 
   /**
    * Delete a Salesforce record by Id
    * @param {string} objectName - Name of the SObject
    * @param {string} id - Salesforce record Id
+   * @param {RequestOptions} [requestOptions] - Optional timeout and cancellation settings for this request.
    * @returns {Promise<string>} - The Id of the deleted record.
    */
-  async delete(objectName, id) {
-    if (!id) throw new Error(`Delete requires an 'id' value.`);
-    return this._send({
+  async delete(objectName, id, requestOptions = {}) {
+    if (!id) throw new PulsarValidationError(`Delete requires an 'id' value.`, { type: 'delete', object: objectName });
+    return this._queueWrite({
       type: 'delete',
       object: objectName,
       data: { Id: id }
-    });
+    }, requestOptions);
+  }
+
+  /**
+   * Runs a group of writes as a unit of work. The function receives a `PulsarTransaction` and adds
+   * operations to it; once the function returns, the operations run one after another in the order
+   * they were added.
+   *
+   * Each operation returns a handle whose `ref` stands in for the record's Id in later operations,
+   * so records can reference records created earlier in the same transaction. Refs are replaced
+   * with the Ids returned by Pulsar, including temporary `CURIUM_` Ids for records created offline.
+   *
+   * If an operation fails, the records and files created by earlier operations are deleted in
+   * reverse order and the error is rethrown. Updates and deletions are not reverted. The deletions
+   * use the `timeout` option but not the `signal`, so an aborted transaction is still rolled back.
+   *
+   * @param {function(PulsarTransaction): any} work - Adds the operations. May be async.
+   * @param {RecordRequestOptions} [options] - Optional typed mode, timeout and cancellation settings for every operation.
+   * @returns {Promise<any>} The value returned by `work`, once every operation has run.
+   * @throws {PulsarValidationError} If `work` is not a function or an operation is invalid.
+   * @throws {PulsarError} The error of the failed operation. If some created records could not be deleted,
+   *   a `PulsarError` whose `cause` is that error and whose `orphanedIds` lists the records left behind.
+   *
+   * @example
+   * const workOrder = await pulsar.transaction(tx => {
+   *   const wo = tx.create('WorkOrder', { Subject: 'Replace boiler', AccountId: accountId });
+   *   tx.create('WorkOrderLineItem', { WorkOrderId: wo.ref, Description: 'Remove old unit' });
+   *   tx.createSFFile(wo.ref, 'quote.pdf', quoteBase64);
+   *   return wo;
+   * });
+   * console.log(workOrder.id);
+   */
+  async transaction(work, options = {}) {
+    if (typeof work !== 'function') {
+      throw new PulsarValidationError('transaction requires a function.', { type: 'transaction' });
+    }
+    const tx = new PulsarTransaction(this);
+    let result;
+    try {
+      result = await work(tx);
+    } finally {
+      tx._closed = true;
+    }
+
+    const completed = [];
+    try {
+      for (const operation of tx._operations) {
+        operation.id = await operation.run(options);
+        completed.push(operation);
+      }
+    } catch (error) {
+      // The rollback must not inherit the caller's signal: if it aborted, every delete would be rejected at once.
+      const { signal, ...undoOptions } = options;
+      const orphanedIds = [];
+      for (const operation of completed.reverse()) {
+        if (!operation.undo) continue;
+        try {
+          await operation.undo(operation.id, undoOptions);
+        } catch (undoError) {
+          orphanedIds.push(operation.id);
+        }
+      }
+      if (orphanedIds.length) {
+        const rollbackError = new PulsarError(
+          `transaction failed and could not delete ${orphanedIds.length} created record${orphanedIds.length === 1 ? '' : 's'}: ${orphanedIds.join(', ')}.`,
+          { type: error?.type, object: error?.object, cause: error }
+        );
+        rollbackError.orphanedIds = orphanedIds;
+        throw rollbackError;
+      }
+      throw error;
+    }
+    return result;
+  }
+
+  /**
+   * Perform a local read-only SQLIte SELECT query on Pulsar's local database.
+   * Useful for complex filters and local cache querying. All values for all fields
+   * are returned as strings unless `options.typed` is set, in which case columns that
+   * match a field of `objectName` are converted using its schema.
+   *
+   * Pass `params` to bind values to `?` placeholders in the query. Values are escaped by the
+   * SDK, so user input never needs to be quoted by hand. An array value expands to a list,
+   * for use with `IN (?)`.
+   *
+   * @param {string} objectName - Name of the SObject (e.g., 'Account')
+   * @param {string} query - SQLite SELECT query string
+   * @param {any[]} [params] - Values for the `?` placeholders in `query`. May be omitted.
+   * @param {RecordRequestOptions} [options] - Optional typed mode, timeout and cancellation settings for this request.
+   * @returns {Promise<object[]>} - Array of matching records
+   * @throws {PulsarValidationError} If the query is invalid, contains more than one statement, or does not match `params`.
+   *
+   * @example
+   * const accounts = await pulsar.select('Account', 'SELECT * FROM Account WHERE Name LIKE ? AND Industry IN (?)', [`%${term}%`, ['Energy', 'Technology']]);
+   */
+  async select(objectName, query, params, options) {
+    // Support the unparameterized form select(objectName, query, options)
+    if (isOptionsObject(params)) {
+      [params, options] = [undefined, params];
+    }
+    options ??= {};
+
+    if (!query || typeof query !== 'string') {
+      throw new PulsarValidationError('Select query must be a valid SQLite string.', { type: 'select', object: objectName });
+    }
+    query = prepareSql('select', query, params, { type: 'select', object: objectName });
+
+    const records = await this._send({
+      type: 'select',
+      object: objectName,
+      data: {
+        query
+      }
+    }, options);
+
+    return options.typed ? this._toTypedRecords(objectName, records, options) : records;
+  }
+
+  /**
+   * Starts a fluent local query against an SObject. The query is compiled to SQLite, its field
+   * names are checked against the SObject schema, and it is executed through `select()` when
+   * `run()` is called.
+   * @param {string} objectName - Name of the SObject (e.g., 'WorkOrder')
+   * @returns {PulsarQuery} A query builder for `objectName`.
+   * @throws {PulsarValidationError} If `objectName` is not a valid SObject name.
+   *
+   * @example
+   * const workOrders = await pulsar.query('WorkOrder')
+   *   .where({ Status: 'New' })
+   *   .whereIn('Priority', ['High', 'Critical'])
+   *   .orderBy('CreatedDate', 'desc')
+   *   .limit(50)
+   *   .fields(['Id', 'Subject', 'Priority'])
+   *   .run();
+   */
+  query(objectName) {
+    return new PulsarQuery(this, objectName);
+  }
+
+  /**
+   * Returns a repository for the records of an SObject, with `find`, `findById`, `findOne`, `count`,
+   * `save`, `destroy` and `related` methods. Field names are checked against the SObject schema.
+   * @param {string} objectName - Name of the SObject (e.g., 'Account')
+   * @returns {PulsarModel} A repository for `objectName`.
+   * @throws {PulsarValidationError} If `objectName` is not a valid SObject name.
+   *
+   * @example
+   * const Accounts = pulsar.model('Account');
+   * const id = await Accounts.save({ Name: 'Acme', Industry: 'Energy' });
+   * const contacts = await Accounts.related(await Accounts.findById(id), 'Contacts');
+   */
+  model(objectName) {
+    return new PulsarModel(this, objectName);
   }
 
   /**
-   * Perform a local read-only SQLIte SELECT query on Pulsar's local database.
-   * Useful for complex filters and local cache querying. All values for all fields
-   * are returned as strings.
+   * Settings for `liveQuery()`. Extends `RecordRequestOptions`; `typed`, `timeout` and `signal` apply to every run.
+   * @typedef {Object} LiveQueryOptions
+   * @property {any[]} [params] - Values for `?` placeholders in the query, as for `select()`.
+   * @property {number} [debounce=100] - Milliseconds to wait after a change before re-running the query, so bursts of changes cause a single run.
+   * @property {function(Error): void} [onError] - Called when a run fails. Defaults to logging the error.
+   * @property {boolean} [typed=false] - See `RecordRequestOptions`.
+   * @property {number} [timeout] - See `RequestOptions`.
+   * @property {AbortSignal} [signal] - See `RequestOptions`.
+   */
+  /**
+   * Runs a `select()` query and keeps its results up to date. The query runs immediately, and runs
+   * again whenever a sync finishes (`syncDataFinished`) or this SDK instance writes records of
+   * `objectName` (create, update, delete, `updateQuery()`, and so on). The callback is called with the
+   * records after the first run, and after later runs only if the records changed.
+   *
+   * @param {string} objectName - Name of the SObject the query reads, and whose writes trigger a re-run.
+   * @param {string} query - A SQLite SELECT statement.
+   * @param {function(object[]): void} callback - Called with the query results.
+   * @param {LiveQueryOptions} [options] - Optional parameters, debounce, error handler, typed mode, timeout and cancellation settings.
+   * @returns {function(): void} A function that stops the live query.
+   * @throws {PulsarNotInitializedError} If the bridge is not initialized.
+   * @throws {PulsarValidationError} If the parameters are invalid.
    *
-   * @param {string} objectName - Name of the SObject (e.g., 'Account')
-   * @param {string} query - SQLite SELECT query string
-   * @returns {Promise<object[]>} - Array of matching records
+   * @example
+   * const stop = pulsar.liveQuery('WorkOrder', 'SELECT Id, Subject FROM WorkOrder WHERE Status = ?', renderList, { params: ['New'] });
+   * // Later
+   * stop();
    */
-  async select(objectName, query) {
-    if (!query || typeof query !== 'string') {
-      throw new Error('Select query must be a valid SQLite string.');
+  liveQuery(objectName, query, callback, options = {}) {
+    if (typeof objectName !== 'string' || !objectName) {
+      throw new PulsarValidationError('liveQuery requires a valid objectName string.', { type: 'select', object: objectName });
+    }
+    if (typeof query !== 'string' || !query.trim()) {
+      throw new PulsarValidationError('Select query must be a valid SQLite string.', { type: 'select', object: objectName });
+    }
+    if (typeof callback !== 'function') {
+      throw new PulsarValidationError('liveQuery requires a callback function.', { type: 'select', object: objectName });
+    }
+    const { params, debounce = 100, onError, ...requestOptions } = options;
+    if (typeof debounce !== 'number' || !(debounce >= 0)) {
+      throw new PulsarValidationError('liveQuery requires debounce to be a non-negative number of milliseconds.', { type: 'select', object: objectName });
     }
 
-    return this._send({
-      type: 'select',
-      object: objectName,
-      data: {
-        query
+    let active = true;
+    let timer = null;
+    let running = false;
+    let rerun = false;
+    let lastResult;
+
+    const run = async () => {
+      running = true;
+      rerun = false;
+      let records;
+      try {
+        records = await (params === undefined
+          ? this.select(objectName, query, requestOptions)
+          : this.select(objectName, query, params, requestOptions));
+      } catch (error) {
+        if (active) {
+          if (onError) onError(error);
+          else console.error(`Pulsar: Error in live query on ${objectName}.`, error);
+        }
       }
-    });
+      running = false;
+
+      if (records && active) {
+        const serialized = JSON.stringify(records);
+        if (serialized !== lastResult) {
+          lastResult = serialized;
+          try {
+            callback(records);
+          } catch (error) {
+            console.error(`Pulsar: Error in live query callback on ${objectName}.`, error);
+          }
+        }
+      }
+      if (rerun) schedule();
+    };
+    const schedule = () => {
+      if (!active) return;
+      if (running) {
+        rerun = true;
+        return;
+      }
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        timer = null;
+        run();
+      }, debounce);
+    };
+
+    const stopSyncSubscription = this._onInternal('syncDataFinished', () => schedule());
+    const entry = { objectName: objectName.toLowerCase(), schedule };
+    this._liveQueries.add(entry);
+    run();
+
+    return () => {
+      active = false;
+      clearTimeout(timer);
+      this._liveQueries.delete(entry);
+      stopSyncSubscription();
+    };
   }
 
   /**
@@ -243,8 +2417,9 @@ export class Pulsar {
    * retrieve and the SObject specified in the `FROM` clause.
    *
    * @param {string} query - A complete SOQL query string.
+   * @param {RequestOptions} [requestOptions] - Optional timeout and cancellation settings for this request.
    * @returns {Promise<SOQLQueryResult>} The Salesforce SOQL query result.
-   * @throws {Error} If `query` is missing or is not a string.
+   * @throws {PulsarError} If `query` is missing or is not a string.
    *
    * @example
    * const accounts = await pulsar.soqlQuery(
@@ -253,15 +2428,191 @@ export class Pulsar {
    *
    * console.log(accounts);
    */
-  async soqlQuery(query) {
+  async soqlQuery(query, requestOptions = {}) {
     if (typeof query !== 'string' || !query.trim()) {
-      throw new Error('SOQL query must be a valid string.');
+      throw new PulsarValidationError('SOQL query must be a valid string.', { type: 'soqlquery' });
     }
 
     return this._send({
       type: 'soqlquery',
       data: { query }
-    });
+    }, requestOptions);
+  }
+
+  /**
+   * Settings for methods that fetch every batch of a SOQL query. Extends `RequestOptions`;
+   * `timeout` and `signal` apply to each batch request.
+   * @typedef {Object} SOQLPagingOptions
+   * @property {number} [maxRecords=50000] - Stop after this many records.
+   * @property {number} [timeout] - See `RequestOptions`.
+   * @property {AbortSignal} [signal] - See `RequestOptions`.
+   */
+  /**
+   * Executes a SOQL query and keeps fetching batches until every matching record has been returned,
+   * or `options.maxRecords` is reached.
+   *
+   * Pulsar has no request for the next batch of a query, so further batches are fetched by re-running
+   * the query for the records after the last one received. Queries without an ORDER BY are sorted and
+   * continued by Id, and must select Id. Queries with an ORDER BY are continued with OFFSET, which
+   * Salesforce limits to 2000 records.
+   *
+   * @param {string} query - A complete SOQL query string.
+   * @param {SOQLPagingOptions} [options] - Optional record cap, timeout and cancellation settings.
+   * @returns {Promise<SOQLQueryResult>} All records, with `done` set to false if `maxRecords` cut the result short.
+   * @throws {PulsarValidationError} If `query` is invalid, or a further batch is needed and the query cannot be continued.
+   *
+   * @example
+   * const { records } = await pulsar.soqlQueryAll("SELECT Id, Name FROM Account WHERE Industry = 'Technology'");
+   */
+  async soqlQueryAll(query, options = {}) {
+    const { maxRecords, requestOptions } = this._soqlPagingOptions('soqlQueryAll', query, options);
+    const records = [];
+    let totalSize;
+    let done = true;
+
+    for await (const page of this._soqlPages(query, requestOptions)) {
+      totalSize ??= page.totalSize;
+      const room = maxRecords - records.length;
+      records.push(...page.records.slice(0, room));
+      if (page.records.length > room || (page.records.length === room && !page.done)) {
+        done = false;
+        break;
+      }
+    }
+    return { totalSize, done, records };
+  }
+
+  /**
+   * Executes a SOQL query and returns an async iterator over its records. Batches are fetched as the
+   * iterator is consumed, in the same way as `soqlQueryAll()`, and iteration stops after
+   * `options.maxRecords` records.
+   *
+   * @param {string} query - A complete SOQL query string.
+   * @param {SOQLPagingOptions} [options] - Optional record cap, timeout and cancellation settings.
+   * @returns {AsyncGenerator<object>} The matching records.
+   * @throws {PulsarValidationError} If `query` or `options.maxRecords` is invalid. Errors fetching a batch are thrown by the iterator.
+   *
+   * @example
+   * for await (const workOrder of pulsar.soqlQueryIterator('SELECT Id, Subject FROM WorkOrder', { maxRecords: 10000 })) {
+   *   console.log(workOrder.Subject);
+   * }
+   */
+  soqlQueryIterator(query, options = {}) {
+    const { maxRecords, requestOptions } = this._soqlPagingOptions('soqlQueryIterator', query, options);
+    return this._soqlRecords(query, maxRecords, requestOptions);
+  }
+
+  /**
+   * Executes a SOQL query against Pulsar's local database, so code written for `soqlQuery()` also
+   * works offline. The query is translated to SQLite and executed through `select()`.
+   *
+   * A practical subset of SOQL is supported: field lists with parent relationship paths
+   * (e.g., `Account.Owner.Name`), WHERE with AND, OR, NOT, comparisons, IN, NOT IN and LIKE,
+   * date literals such as TODAY and LAST_N_DAYS:n, ORDER BY, LIMIT and OFFSET. Field and relationship
+   * names are resolved using the SObject schemas.
+   *
+   * Records are returned in the shape Salesforce uses: booleans and numbers are converted from
+   * Pulsar's string values, empty values are null, and parent relationships are nested objects.
+   *
+   * @param {string} query - A SOQL query string.
+   * @param {RequestOptions} [requestOptions] - Optional timeout and cancellation settings for this request.
+   * @returns {Promise<SOQLQueryResult>} The matching local records.
+   * @throws {PulsarValidationError} If the query is invalid, uses unsupported SOQL, or references unknown fields.
+   *
+   * @example
+   * const { records } = await pulsar.offlineSoql(
+   *   "SELECT Id, Subject, Account.Name FROM WorkOrder WHERE Status IN ('New', 'Scheduled') AND StartDate = TODAY ORDER BY Priority"
+   * );
+   */
+  async offlineSoql(query, requestOptions = {}) {
+    if (typeof query !== 'string' || !query.trim()) {
+      throw new PulsarValidationError('SOQL query must be a valid string.', { type: 'select' });
+    }
+    const statement = new SoqlParser(query).parse();
+    const schemas = this._soqlSchemas(requestOptions);
+    const root = { object: statement.object, fields: new Map(), relations: new Map() };
+
+    for (const path of statement.fields) {
+      const { hops, field } = await this._resolveSoqlPath(statement.object, path, schemas);
+      let node = root;
+      for (const hop of hops) {
+        if (!node.relations.has(hop.name)) {
+          node.relations.set(hop.name, { field: hop.field, node: { object: hop.object, fields: new Map(), relations: new Map() } });
+        }
+        node = node.relations.get(hop.name).node;
+      }
+      node.fields.set(field.name, field.type);
+    }
+
+    const params = [];
+    let sql = `SELECT ${soqlColumns(root)} FROM ${statement.object}`;
+    if (statement.where) {
+      sql += ` WHERE ${await this._soqlCondition(statement.object, statement.where, schemas, params)}`;
+    }
+    if (statement.orderBy.length) {
+      const orderBy = [];
+      for (const { path, direction, nulls } of statement.orderBy) {
+        const { hops, field } = await this._resolveSoqlPath(statement.object, path, schemas);
+        if (hops.length) {
+          throw new PulsarValidationError('offlineSoql does not support ORDER BY on relationship fields.', { type: 'select', object: statement.object });
+        }
+        const column = NUMERIC_FIELD_TYPES.includes(field.type) ? `CAST(${field.name} AS REAL)` : field.name;
+        orderBy.push(`${column} ${direction}${nulls ? ` NULLS ${nulls}` : ''}`);
+      }
+      sql += ` ORDER BY ${orderBy.join(', ')}`;
+    }
+    if (statement.limit !== null || statement.offset !== null) {
+      sql += ` LIMIT ${statement.limit ?? -1}`;
+    }
+    if (statement.offset !== null) {
+      sql += ` OFFSET ${statement.offset}`;
+    }
+
+    const rows = await this.select(statement.object, sql, params, requestOptions);
+    const records = await this._soqlShape(root, rows, requestOptions);
+    return { totalSize: records.length, done: true, records };
+  }
+
+  /**
+   * @typedef {SOQLQueryResult} HybridQueryResult
+   * @property {'salesforce'|'local'} source - Where the records came from.
+   */
+  /**
+   * Executes a SOQL query against Salesforce when the device is connected, and against Pulsar's
+   * local database with `offlineSoql()` otherwise.
+   *
+   * The device is considered connected when Pulsar is in online mode (`getOnlineStatus()`) and has
+   * network access (`getNetworkStatus()`). If the Salesforce query fails or times out and the device
+   * is no longer connected, the query is run locally instead.
+   *
+   * @param {string} query - A SOQL query string, within the subset supported by `offlineSoql()`.
+   * @param {RequestOptions} [requestOptions] - Optional timeout and cancellation settings for this request.
+   * @returns {Promise<HybridQueryResult>} The query result, with `source` set to `'salesforce'` or `'local'`.
+   * @throws {PulsarValidationError} If `query` is invalid, or the query runs locally and is not supported by `offlineSoql()`.
+   *
+   * @example
+   * const result = await pulsar.hybridQuery("SELECT Id, Subject FROM WorkOrder WHERE Status = 'New'");
+   * if (result.source === 'local') {
+   *   showBanner('Showing cached data');
+   * }
+   */
+  async hybridQuery(query, requestOptions = {}) {
+    if (typeof query !== 'string' || !query.trim()) {
+      throw new PulsarValidationError('SOQL query must be a valid string.', { type: 'soqlquery' });
+    }
+
+    if (await this._isConnected(requestOptions)) {
+      try {
+        return { ...await this.soqlQuery(query, requestOptions), source: 'salesforce' };
+      } catch (error) {
+        const connectionLost = (error instanceof PulsarBridgeError || error instanceof PulsarTimeoutError)
+          && !await this._isConnected(requestOptions);
+        if (!connectionLost) {
+          throw error;
+        }
+      }
+    }
+    return { ...await this.offlineSoql(query, requestOptions), source: 'local' };
   }
 
   /**
@@ -470,28 +2821,29 @@ export class Pulsar {
    * @param {string} objectName - API name of the SObject (e.g., 'Account', 'Contact').
    * @param {string} [recordTypeId] - Salesforce Record Type Id. This is the most common form.
    * @param {string} [recordTypeName] - Developer Name of the Record Type (used if Id is not provided).
+   * @param {RequestOptions} [requestOptions] - Optional timeout and cancellation settings for this request.
    * @returns {Promise<DescribeLayout>} A parsed layout metadata object.
-   * @throws {Error} If the layout response cannot be parsed or is in an unexpected format.
+   * @throws {PulsarError} If the layout response cannot be parsed or is in an unexpected format.
    *
    * @note Only one of `recordTypeId` or `recordTypeName` is required. If both are provided, `recordTypeId` takes precedence.
    *
    * @see {@link https://developer.salesforce.com/docs/atlas.en-us.api.meta/api/sforce_api_calls_describelayout_describelayoutresult.htm Salesforce DescribeLayoutResult reference}
   */
-  async getLayout(objectName, recordTypeId, recordTypeName) {
-    const response = await this._send({
+  async getLayout(objectName, recordTypeId, recordTypeName, requestOptions = {}) {
+    const response = await this._sendCached({
       type: 'getLayout',
       object: objectName,
       data: {
         ...(recordTypeName && { RecordTypeName: recordTypeName }),
         ...(!recordTypeName && recordTypeId && { RecordTypeId: recordTypeId }),
       }
-    });
+    }, requestOptions);
 
     if (typeof response === 'string') {
       try {
         return JSON.parse(response); // Handles Pulsar 11.0 and older
-      } catch {
-        throw new Error('Failed to parse layout response');
+      } catch (error) {
+        throw new PulsarResponseFormatError('Failed to parse layout response', { type: 'getLayout', object: objectName, response, cause: error });
       }
     }
 
@@ -499,7 +2851,7 @@ export class Pulsar {
       return response; // Handles Pulsar 12.0+
     }
 
-    throw new Error(`Unexpected return type. Expected JSON object or string, but received ${typeof response}.`);
+    throw new PulsarResponseFormatError(`Unexpected return type. Expected JSON object or string, but received ${typeof response}.`, { type: 'getLayout', object: objectName, response });
   }
 
 
@@ -521,15 +2873,16 @@ export class Pulsar {
    * @param {string} [recordTypeId] - Optional Salesforce Record Type Id.
    * @param {string} [recordTypeName] - Optional Developer Name of the Record Type (takes precedence over Id if both are provided).
    * @param {string} [layoutMode='display'] - Optional layout mode to fetch ('display' or 'edit').
+   * @param {RequestOptions} [requestOptions] - Optional timeout and cancellation settings for this request.
    * @returns {Promise<GetLayoutSectionResult[]>} An array of layout section objects.
-   * @throws {Error} If the response is malformed or cannot be parsed.
+   * @throws {PulsarError} If the response is malformed or cannot be parsed.
    *
    * @example
    * const sections = await pulsar.getLayoutSections('Account', '012000000000123', null, 'edit');
   */
-  async getLayoutSections(objectName, recordTypeId, recordTypeName, layoutMode = 'display') {
+  async getLayoutSections(objectName, recordTypeId, recordTypeName, layoutMode = 'display', requestOptions = {}) {
     if (!objectName || typeof objectName !== 'string') {
-      throw new Error('getLayoutSections requires a valid objectName string.');
+      throw new PulsarValidationError('getLayoutSections requires a valid objectName string.', { type: 'getLayoutSections', object: objectName });
     }
 
     const data = {};
@@ -542,17 +2895,17 @@ export class Pulsar {
       data.LayoutMode = layoutMode;
     }
 
-    const response = await this._send({
+    const response = await this._sendCached({
       type: 'getLayoutSections',
       object: objectName,
       data,
-    });
+    }, requestOptions);
 
     if (typeof response === 'string') {
       try {
         return JSON.parse(response); // Support Pulsar < 12.0
-      } catch {
-        throw new Error('Failed to parse layout sections response');
+      } catch (error) {
+        throw new PulsarResponseFormatError('Failed to parse layout sections response', { type: 'getLayoutSections', object: objectName, response, cause: error });
       }
     }
 
@@ -560,7 +2913,7 @@ export class Pulsar {
       return response;
     }
 
-    throw new Error(`Unexpected return type from getLayoutSections. Expected array or JSON string, but received ${typeof response}.`);
+    throw new PulsarResponseFormatError(`Unexpected return type from getLayoutSections. Expected array or JSON string, but received ${typeof response}.`, { type: 'getLayoutSections', object: objectName, response });
   }
 
 
@@ -590,16 +2943,17 @@ export class Pulsar {
    * @param {string} [recordTypeId] - Salesforce Record Type Id.
    * @param {string} [recordTypeName] - Developer Name of the Record Type (takes precedence over Id).
    * @param {string} [layoutMode='display'] - Layout mode to fetch ('display' or 'edit').
+   * @param {RequestOptions} [requestOptions] - Optional timeout and cancellation settings for this request.
    * @returns {Promise<GetLayoutFieldResult[]>} - An array of layout field metadata entries.
-   * @throws {Error} If the objectName is invalid or the response is malformed.
+   * @throws {PulsarError} If the objectName is invalid or the response is malformed.
    *
   */
-  async getLayoutFields(objectName, recordTypeId, recordTypeName, layoutMode = 'display') {
+  async getLayoutFields(objectName, recordTypeId, recordTypeName, layoutMode = 'display', requestOptions = {}) {
     if (!objectName || typeof objectName !== 'string') {
-      throw new Error('getLayoutFields requires a valid objectName string.');
+      throw new PulsarValidationError('getLayoutFields requires a valid objectName string.', { type: 'getLayoutFields', object: objectName });
     }
 
-    const response = await this._send({
+    const response = await this._sendCached({
       type: 'getLayoutFields',
       object: objectName,
       data: {
@@ -607,13 +2961,13 @@ export class Pulsar {
         ...(!recordTypeName && recordTypeId && { RecordTypeId: recordTypeId }),
         ...(layoutMode && { LayoutMode: layoutMode })
       }
-    });
+    }, requestOptions);
 
     if (typeof response === 'string') {
       try {
         return JSON.parse(response); // Pulsar < 12.0
-      } catch {
-        throw new Error('Failed to parse layout fields response');
+      } catch (error) {
+        throw new PulsarResponseFormatError('Failed to parse layout fields response', { type: 'getLayoutFields', object: objectName, response, cause: error });
       }
     }
 
@@ -621,7 +2975,7 @@ export class Pulsar {
       return response;
     }
 
-    throw new Error(`Unexpected return type from getLayoutFields. Expected array or JSON string, but received ${typeof response}.`);
+    throw new PulsarResponseFormatError(`Unexpected return type from getLayoutFields. Expected array or JSON string, but received ${typeof response}.`, { type: 'getLayoutFields', object: objectName, response });
   }
 
 
@@ -637,15 +2991,16 @@ export class Pulsar {
    * @param {string} objectName - API name of the SObject (e.g., 'Contact', 'Account').
    * @param {string} [recordTypeId] - Salesforce Record Type Id.
    * @param {string} [recordTypeName] - Developer name of the record type (takes precedence over Id).
+   * @param {RequestOptions} [requestOptions] - Optional timeout and cancellation settings for this request.
    * @returns {Promise<string[]>} - Array of field API names in the compact layout.
-   * @throws {Error} If the bridge is not initialized or the response is malformed.
+   * @throws {PulsarError} If the bridge is not initialized or the response is malformed.
   */
-  async getCompactLayoutFields(objectName, recordTypeId, recordTypeName) {
+  async getCompactLayoutFields(objectName, recordTypeId, recordTypeName, requestOptions = {}) {
     if (!objectName || typeof objectName !== 'string') {
-      throw new Error('getCompactLayoutFields requires a valid objectName string.');
+      throw new PulsarValidationError('getCompactLayoutFields requires a valid objectName string.', { type: 'getCompactLayoutFields', object: objectName });
     }
 
-    const response = await this._send({
+    const response = await this._sendCached({
       type: 'getCompactLayoutFields',
       object: objectName,
       data: {
@@ -653,10 +3008,10 @@ export class Pulsar {
         ...(recordTypeName && { RecordTypeName: recordTypeName }),
         ...(!recordTypeName && recordTypeId && { RecordTypeId: recordTypeId }),
       },
-    });
+    }, requestOptions);
 
     if (!Array.isArray(response)) {
-      throw new Error('Unexpected response format from getCompactLayoutFields. Expected array of field names.');
+      throw new PulsarResponseFormatError('Unexpected response format from getCompactLayoutFields. Expected array of field names.', { type: 'getCompactLayoutFields', object: objectName, response });
     }
 
     return response;
@@ -768,28 +3123,31 @@ export class Pulsar {
    * relationships, and record type mappings.
    *
    * @param {string} objectName - Name of the SObject (e.g., 'Account', 'Contact').
+   * @param {RequestOptions} [requestOptions] - Optional timeout and cancellation settings for this request.
    * @returns {Promise<DescribeSObjectResult>} Parsed DescribeSObjectResult schema metadata.
-   * @throws {Error} If the schema response cannot be parsed or is not in the expected format.
+   * @throws {PulsarError} If the schema response cannot be parsed or is not in the expected format.
    *
    * @see {@link https://developer.salesforce.com/docs/atlas.en-us.api.meta/api/sforce_api_calls_describesobjects_describesobjectresult.htm Salesforce DescribeSObjectResult reference }
    */
-  async getSObjectSchema(objectName) {
-    const response = await this._send({
+  async getSObjectSchema(objectName, requestOptions = {}) {
+    const response = await this._sendCached({
       type: 'getSObjectSchema',
       object: objectName,
       data: {},
-    });
+    }, requestOptions);
 
     // The expected response is a JSON string representation of a DescribeSObjectResult
     if (typeof response === 'string') {
       try {
-        return JSON.parse(response);
-      } catch {
-        throw new Error('Failed to parse schema response');
+        const schema = JSON.parse(response);
+        this._rememberKeyPrefix(objectName, schema);
+        return schema;
+      } catch (error) {
+        throw new PulsarResponseFormatError('Failed to parse schema response', { type: 'getSObjectSchema', object: objectName, response, cause: error });
       }
     }
 
-    throw new Error(`Unexpected return type. Expected JSON string but received ${typeof response}.`);
+    throw new PulsarResponseFormatError(`Unexpected return type. Expected JSON string but received ${typeof response}.`, { type: 'getSObjectSchema', object: objectName, response });
   }
 
   /**
@@ -799,9 +3157,10 @@ export class Pulsar {
    * @param {Object} record - The base record (e.g., Contact) corresponding to an SObject.
    * @param {string} path - Dot-separated field path to resolve.
    * @param {string} sObjectType - The base Salesforce object type (e.g., 'Contact').
+   * @param {RequestOptions} [requestOptions] - Optional timeout and cancellation settings for this request.
    * @returns {Promise<string|null>} - The resolved value or null.
    */
-  async resolveSOQLFieldPath(record, path, sObjectType) {
+  async resolveSOQLFieldPath(record, path, sObjectType, requestOptions = {}) {
     let parts = path.split('.');
 
     // Strip root type qualifier if present
@@ -814,7 +3173,7 @@ export class Pulsar {
 
     for (let i = 0; i < parts.length; i++) {
       const field = parts[i];
-      const schema = await this.getSObjectSchema(currentType);
+      const schema = await this.getSObjectSchema(currentType, requestOptions);
 
       // Final part: return the value
       if (i === parts.length - 1) {
@@ -828,24 +3187,10 @@ export class Pulsar {
       const refId = currentRecord?.[relationshipField.name];
       if (!refId) return null;
 
-      let refType = null;
-
-      // Try to infer type from polymorphic reference (e.g., WhatId, WhoId)
-      if (Array.isArray(relationshipField.referenceTo)) {
-        if (relationshipField.referenceTo.length === 1) {
-          refType = relationshipField.referenceTo[0];
-        } else {
-          // Try to use __type or attributes.type if available
-          refType =
-            currentRecord?.[relationshipField.name + '__r']?.attributes?.type ||
-            currentRecord?.[relationshipField.name]?.attributes?.type ||
-            relationshipField.referenceTo[0]; // fallback guess
-        }
-      }
-
+      const refType = await this._referenceType(currentRecord, relationshipField, requestOptions);
       if (!refType) return null;
 
-      const results = await this.read(refType, { Id: refId });
+      const results = await this.read(refType, { Id: refId }, requestOptions);
       currentRecord = results?.[0];
       currentType = refType;
 
@@ -855,6 +3200,137 @@ export class Pulsar {
     return null;
   }
 
+  /**
+   * Resolves several field paths (e.g., 'Account.Owner.Name') for a list of records of the same SObject type.
+   *
+   * Paths are resolved the same way as `resolveSOQLFieldPath()`, but one hop at a time for all records
+   * together: the reference Ids needed at each hop are grouped by SObject, and each related SObject is
+   * fetched with a single `select()`. Schemas are requested once per SObject, and related records shared
+   * by several paths are only fetched once.
+   *
+   * @param {Object[]} records - The base records, all of type `sObjectType`.
+   * @param {string[]} paths - Dot-separated field paths to resolve.
+   * @param {string} sObjectType - The base Salesforce object type (e.g., 'WorkOrder').
+   * @param {RequestOptions} [requestOptions] - Optional timeout and cancellation settings for each request.
+   * @returns {Promise<Object<string, string|null>[]>} One object per record, in the same order, mapping each path to its resolved value or null.
+   * @throws {PulsarValidationError} If `records`, `paths` or `sObjectType` is invalid.
+   *
+   * @example
+   * const workOrders = await pulsar.read('WorkOrder', { Status: 'New' });
+   * const values = await pulsar.resolveSOQLFieldPaths(workOrders, ['Account.Name', 'Account.Owner.Name'], 'WorkOrder');
+   * console.log(values[0]['Account.Owner.Name']);
+   */
+  async resolveSOQLFieldPaths(records, paths, sObjectType, requestOptions = {}) {
+    if (!Array.isArray(records)) {
+      throw new PulsarValidationError('resolveSOQLFieldPaths requires an array of records.', { type: 'select', object: sObjectType });
+    }
+    if (!Array.isArray(paths) || paths.some(path => typeof path !== 'string' || !path)) {
+      throw new PulsarValidationError('resolveSOQLFieldPaths requires an array of field paths.', { type: 'select', object: sObjectType });
+    }
+    if (typeof sObjectType !== 'string' || !sObjectType) {
+      throw new PulsarValidationError('resolveSOQLFieldPaths requires an SObject type.', { type: 'select' });
+    }
+
+    const relationships = new Map();
+    const relationshipsOf = (objectName) => {
+      if (!relationships.has(objectName)) {
+        relationships.set(objectName, this.getSObjectSchema(objectName, requestOptions).then(schema => new Map(
+          Object.values(schema.fields ?? {})
+            .filter(field => field.relationshipName)
+            .map(field => [field.relationshipName, field])
+        )));
+      }
+      return relationships.get(objectName);
+    };
+    // Related records by SObject and Id; null for Ids that are not in the local database.
+    const related = new Map();
+    const results = records.map(() => ({}));
+
+    let pending = [];
+    for (const path of paths) {
+      let parts = path.split('.');
+      if (parts[0] === sObjectType) {
+        parts = parts.slice(1);
+      }
+      records.forEach((record, index) => pending.push({ index, path, parts, record, type: sObjectType }));
+    }
+
+    while (pending.length) {
+      const hops = [];
+      for (const item of pending) {
+        const [part, ...rest] = item.parts;
+        if (!rest.length) {
+          results[item.index][item.path] = item.record?.[part] ?? null;
+          continue;
+        }
+        const relationshipField = item.record ? (await relationshipsOf(item.type)).get(part) : null;
+        const refId = relationshipField ? item.record[relationshipField.name] : null;
+        const refType = refId ? await this._referenceType(item.record, relationshipField, requestOptions) : null;
+        if (!refType) {
+          results[item.index][item.path] = null;
+          continue;
+        }
+        hops.push({ ...item, parts: rest, refId, type: refType });
+      }
+
+      const missing = new Map();
+      for (const { type, refId } of hops) {
+        if (!related.has(type)) {
+          related.set(type, new Map());
+        }
+        if (!related.get(type).has(refId)) {
+          if (!missing.has(type)) {
+            missing.set(type, new Set());
+          }
+          missing.get(type).add(refId);
+        }
+      }
+      for (const [type, ids] of missing) {
+        const rows = await this.select(type, `SELECT * FROM ${type} WHERE Id IN (?)`, [[...ids]], requestOptions);
+        const byId = related.get(type);
+        rows.forEach(row => byId.set(row.Id, row));
+        ids.forEach(id => byId.has(id) || byId.set(id, null));
+      }
+
+      pending = hops.map(({ refId, ...item }) => ({ ...item, record: related.get(item.type).get(refId) }));
+    }
+
+    return results;
+  }
+
+  /**
+   * Returns the SObject type of a record Id, using the three-character key prefix at the start of every
+   * Salesforce Id (e.g., '001' for Account).
+   *
+   * Key prefixes are learned from the `keyPrefix` of every schema returned by `getSObjectSchema()`. When the
+   * prefix is not known yet, the schemas of the `candidates` SObjects are requested to find it. Pass the
+   * `referenceTo` list of a polymorphic reference field (e.g., WhatId) as candidates.
+   *
+   * @param {string} id - A record Id.
+   * @param {string[]} [candidates=[]] - SObjects the Id may belong to.
+   * @param {RequestOptions} [requestOptions] - Optional timeout and cancellation settings for the schema requests.
+   * @returns {Promise<string|null>} The SObject name, or null if no known SObject uses the Id's key prefix.
+   * @throws {PulsarValidationError} If `id` is not a string of at least three characters.
+   *
+   * @example
+   * const type = await pulsar.sObjectTypeForId(task.WhatId, ['Account', 'Opportunity', 'Case']);
+   * const [parent] = await pulsar.read(type, { Id: task.WhatId });
+   */
+  async sObjectTypeForId(id, candidates = [], requestOptions = {}) {
+    if (typeof id !== 'string' || id.length < 3) {
+      throw new PulsarValidationError('sObjectTypeForId requires a record Id.', { type: 'getSObjectSchema' });
+    }
+    const prefix = id.slice(0, 3);
+    if (!this._keyPrefixes.has(prefix)) {
+      const undescribed = [...new Set(candidates)].filter(name => !this._describedForKeyPrefix.has(name));
+      // Objects that are not available on the device cannot own the Id, so failed schema requests are ignored.
+      await Promise.allSettled(undescribed.map(async (name) => {
+        this._rememberKeyPrefix(name, await this.getSObjectSchema(name, requestOptions));
+      }));
+    }
+    return this._keyPrefixes.get(prefix) ?? null;
+  }
+
 
   /**
  * Initiates a Pulsar sync operation.
@@ -905,10 +3381,11 @@ export class Pulsar {
  * @param {boolean} [options.useCompositeGraph] -
  *   Explicitly use the Salesforce Composite Graph API.
  *
+ * @param {RequestOptions} [requestOptions] - Optional timeout and cancellation settings for this request.
  * @returns {Promise<void>} Resolves when the sync request has been initiated.
  *   Does not wait for sync completion.
  */
-async syncData(options = {}) {
+async syncData(options = {}, requestOptions = {}) {
   const validKeys = [
     'miniSyncEnabled',
     'miniSyncObjectList',
@@ -933,7 +3410,7 @@ async syncData(options = {}) {
   return this._send({
     type: 'syncdata',
     data
-  });
+  }, requestOptions);
 }
 
   /**
@@ -950,6 +3427,7 @@ async syncData(options = {}) {
    * not indicate whether automatic syncing is enabled; use
    * `getAutosyncStatus()` for that configuration value.
    *
+   * @param {RequestOptions} [requestOptions] - Optional timeout and cancellation settings for this request.
    * @returns {Promise<SyncStatusResult>} An object indicating whether a sync is currently running.
    *
    * @example
@@ -961,28 +3439,30 @@ async syncData(options = {}) {
    *   console.log('No sync is currently running.');
    * }
    */
-  async syncStatus() {
+  async syncStatus(requestOptions = {}) {
     return this._send({
       type: 'syncstatus'
-    });
+    }, requestOptions);
   }
 
   /**
    * Returns whether a Pulsar sync operation is currently running.
    *
+   * @param {RequestOptions} [requestOptions] - Optional timeout and cancellation settings for this request.
    * @returns {Promise<boolean>} `true` if a sync is currently running; otherwise `false`.
-   * @throws {Error} If the sync status response does not contain the expected `syncrunning` field.
+   * @throws {PulsarError} If the sync status response does not contain the expected `syncrunning` field.
    */
-  async syncRunning() {
-    const status = await this.syncStatus();
+  async syncRunning(requestOptions = {}) {
+    const status = await this.syncStatus(requestOptions);
 
     if (
       typeof status !== 'object' ||
       status === null ||
       !Object.hasOwn(status, 'syncrunning')
     ) {
-      throw new Error(
-        'Unexpected response format from syncStatus. Expected a syncrunning field.'
+      throw new PulsarResponseFormatError(
+        'Unexpected response format from syncStatus. Expected a syncrunning field.',
+        { type: 'syncstatus', response: status }
       );
     }
 
@@ -1033,6 +3513,7 @@ async syncData(options = {}) {
    * sync. To determine whether a sync is currently running, use `syncStatus()`
    * or `syncRunning()`.
    *
+   * @param {RequestOptions} [requestOptions] - Optional timeout and cancellation settings for this request.
    * @returns {Promise<SyncInfoResult>} Information reported for the most recent sync operation.
    *
    * @example
@@ -1042,30 +3523,31 @@ async syncData(options = {}) {
    * console.log('Last successful sync:', info.lastsuccessfulsync);
    * console.log('Server records processed:', info.serverprocessedcount);
    */
-  async syncInfo() {
+  async syncInfo(requestOptions = {}) {
     return this._send({
       type: 'syncinfo'
-    });
+    }, requestOptions);
   }
 
   /**
    * Attempts to interrupt an active sync process.
    * This is useful for cancelling long-running or user-aborted syncs.
    *
+   * @param {RequestOptions} [requestOptions] - Optional timeout and cancellation settings for this request.
    * @returns {Promise<boolean>} - Resolves to true if a sync was interrupted, false if no active sync was found.
-   * @throws {Error} If the request fails or bridge is not initialized.
+   * @throws {PulsarError} If the request fails or bridge is not initialized.
    */
-  async interruptSync() {
+  async interruptSync(requestOptions = {}) {
     const response = await this._send({
       type: "interruptsync",
       data: {} // required but empty
-    });
+    }, requestOptions);
 
     if (typeof response === 'object' && response !== null && 'success' in response) {
       return Boolean(response.success);
     }
 
-    throw new Error("Unexpected response format from interruptSync.");
+    throw new PulsarResponseFormatError("Unexpected response format from interruptSync.", { type: 'interruptsync', response });
   }
 
   /**
@@ -1097,14 +3579,15 @@ async syncData(options = {}) {
   /**
    * Retrieves information about the currently logged-in Salesforce user and the Pulsar environment.
    *
+   * @param {RequestOptions} [requestOptions] - Optional timeout and cancellation settings for this request.
    * @returns {Promise<UserInfo>} A promise resolving to a UserInfo object containing user and environment details
-   * @throws {Error} If the bridge is not initialized or the response is malformed
+   * @throws {PulsarError} If the bridge is not initialized or the response is malformed
    */
-  async userInfo() {
+  async userInfo(requestOptions = {}) {
     return this._send({
       type: 'userInfo',
       data: {} // Required by API, must be an empty object
-    });
+    }, requestOptions);
   }
 
 
@@ -1120,12 +3603,13 @@ async syncData(options = {}) {
   /**
    * Calls the JSAPI "getPlatformFeatures" method.
    *
+   * @param {RequestOptions} [requestOptions] - Optional timeout and cancellation settings for this request.
    * @returns {Promise<PlatformFeature[]>} - Array of feature objects.
   */
-  async getPlatformFeatures() {
+  async getPlatformFeatures(requestOptions = {}) {
     return this._send({
       type: 'getPlatformFeatures'
-    });
+    }, requestOptions);
   }
 
 
@@ -1153,23 +3637,25 @@ async syncData(options = {}) {
    * @param {number} [options.printoptions.footerheight] - Height of the footer section (in points).
    * @param {boolean} [options.printoptions.useEdge] - Use the Chromium-based PDF renderer (recommended on Windows 15.0+).
    *
+   * @param {RequestOptions} [requestOptions] - Optional timeout and cancellation settings for this request.
    * @returns {Promise<string>} - Resolves with the path to the saved file.
-   * @throws {Error} If the bridge is uninitialized, the filename is missing, or the response is malformed.
+   * @throws {PulsarError} If the bridge is uninitialized, the filename is missing, or the response is malformed.
    */
-  async saveAs(options = {}) {
+  async saveAs(options = {}, requestOptions = {}) {
 
-    if (!options.filename) throw new Error('saveAs requires a filename.');
+    if (!options.filename) throw new PulsarValidationError('saveAs requires a filename.', { type: 'saveAs' });
+    if (options.printoptions?.useEdge) this._assertSupported('useEdge', { type: 'saveAs' });
 
     const response = await this._send({
       type: 'saveAs',
       data: options,
-    });
+    }, requestOptions);
 
     if (typeof response === 'object' && response !== null && 'FilePath' in response) {
       return response.FilePath;
     }
 
-    throw new Error('Unexpected response from saveAs.');
+    throw new PulsarResponseFormatError('Unexpected response from saveAs.', { type: 'saveAs', response });
   }
 
 
@@ -1189,24 +3675,25 @@ async syncData(options = {}) {
    *   @param {string} [options.contentType] - MIME type of the file (e.g., "application/pdf").
    *   @param {string} [options.networkId] - Experience Cloud Network Id (for Communities).
    *   @param {...any} [options.customFields] - Any additional custom fields.
+   * @param {RequestOptions} [requestOptions] - Optional timeout and cancellation settings for this request.
    * @returns {Promise<string>} - Resolves with the new ContentDocument Id.
-   * @throws {Error} If the bridge is uninitialized or required parameters are missing/invalid.
+   * @throws {PulsarError} If the bridge is uninitialized or required parameters are missing/invalid.
    */
-  async createSFFile(parentId, name, body, options = {}) {
+  async createSFFile(parentId, name, body, options = {}, requestOptions = {}) {
 
     if (!parentId || typeof parentId !== 'string') {
-      throw new Error('createSFFile requires a valid parentId string.');
+      throw new PulsarValidationError('createSFFile requires a valid parentId string.', { type: 'createSFFile' });
     }
     if (!name || typeof name !== 'string') {
-      throw new Error('createSFFile requires a valid file name string.');
+      throw new PulsarValidationError('createSFFile requires a valid file name string.', { type: 'createSFFile' });
     }
     if (!body || typeof body !== 'string') {
-      throw new Error('createSFFile requires a valid base64-encoded body string.');
+      throw new PulsarValidationError('createSFFile requires a valid base64-encoded body string.', { type: 'createSFFile' });
     }
 
     const { contentType, networkId, ...customFields } = options;
 
-    return this._send({
+    return this._queueWrite({
       type: 'createSFFile',
       data: {
         ParentId: parentId,
@@ -1216,7 +3703,7 @@ async syncData(options = {}) {
         ...(networkId && { NetworkId: networkId }),
         ...customFields
       }
-    });
+    }, requestOptions);
   }
 
   /**
@@ -1242,21 +3729,22 @@ async syncData(options = {}) {
    *   @param {string} [options.contentType] - MIME type of the file (e.g., "image/jpeg").
    *   @param {string} [options.networkId] - Salesforce Experience Cloud (Community) Network Id.
    *   @param {...any} [options.customFields] - Any additional custom fields.
+   * @param {RequestOptions} [requestOptions] - Optional timeout and cancellation settings for this request.
    * @returns {Promise<SFFileResult>} - Resolves with an object containing the new AttachmentId, ContentDocumentId, ContentVersionId and FileURL.
-   * @throws {Error} If the bridge is uninitialized or required parameters are missing/invalid.
+   * @throws {PulsarError} If the bridge is uninitialized or required parameters are missing/invalid.
    */
-  async createSFFileFromFilePath(parentId, filePath, options = {}) {
+  async createSFFileFromFilePath(parentId, filePath, options = {}, requestOptions = {}) {
 
     if (!parentId || typeof parentId !== 'string') {
-      throw new Error('createSFFileFromFilePath requires a valid parentId string.');
+      throw new PulsarValidationError('createSFFileFromFilePath requires a valid parentId string.', { type: 'createSFFileFromFilePath' });
     }
     if (!filePath || typeof filePath !== 'string') {
-      throw new Error('createSFFileFromFilePath requires a valid filePath string.');
+      throw new PulsarValidationError('createSFFileFromFilePath requires a valid filePath string.', { type: 'createSFFileFromFilePath' });
     }
 
     const { name, contentType, networkId, ...customFields } = options;
 
-    return this._send({
+    return this._queueWrite({
       type: 'createSFFileFromFilePath',
       data: {
         ParentId: parentId,
@@ -1266,7 +3754,7 @@ async syncData(options = {}) {
         ...(networkId && { NetworkId: networkId }),
         ...customFields
       }
-    });
+    }, requestOptions);
   }
 
 
@@ -1281,18 +3769,19 @@ async syncData(options = {}) {
    *   @param {string} [options.name] - Optional file name to assign (defaults to the captured image name).
    *   @param {string} [options.networkId] - Optional Salesforce Experience Cloud (Community) Network Id.
    *   @param {...any} [options.customFields] - Any additional custom fields to pass (e.g., MyCustomField__c).
+   * @param {RequestOptions} [requestOptions] - Optional timeout and cancellation settings for this request.
    * @returns {Promise<SFFileResult>} - Resolves with an object containing the new AttachmentId, ContentDocumentId, ContentVersionId and FileURL.
-   * @throws {Error} If the bridge is uninitialized or parentId is invalid
+   * @throws {PulsarError} If the bridge is uninitialized or parentId is invalid
    */
-  async createSFFileFromCamera(parentId, options = {}) {
+  async createSFFileFromCamera(parentId, options = {}, requestOptions = {}) {
 
     if (!parentId || typeof parentId !== 'string') {
-      throw new Error('createSFFileFromCamera requires a valid parentId string.');
+      throw new PulsarValidationError('createSFFileFromCamera requires a valid parentId string.', { type: 'createSFFileFromCamera' });
     }
 
     const { name, networkId, ...customFields } = options;
 
-    return this._send({
+    return this._queueWrite({
       type: 'createSFFileFromCamera',
       data: {
         ParentId: parentId,
@@ -1300,7 +3789,7 @@ async syncData(options = {}) {
         ...(networkId && { NetworkId: networkId }),
         ...customFields
       }
-    });
+    }, requestOptions);
   }
 
   /**
@@ -1370,19 +3859,20 @@ async syncData(options = {}) {
    * }
    *
    * @param {Array<SFFileInput>} files - Array of file objects to upload
+   * @param {RequestOptions} [requestOptions] - Optional timeout and cancellation settings for this request.
    * @returns {Promise<CreateSFFileBatchResponse>} - The full batch response including summary and results
-   * @throws {Error} If the bridge is uninitialized or input is invalid
+   * @throws {PulsarError} If the bridge is uninitialized or input is invalid
   */
-  async createSFFileBatch(files) {
+  async createSFFileBatch(files, requestOptions = {}) {
 
     if (!Array.isArray(files) || files.length === 0 || !files.every(f => typeof f === 'object')) {
-      throw new Error('createSFFileBatch requires an array of file objects.');
+      throw new PulsarValidationError('createSFFileBatch requires an array of file objects.', { type: 'createSFFileBatch' });
     }
 
-    return this._send({
+    return this._queueWrite({
       type: 'createSFFileBatch',
       data: files
-    });
+    }, requestOptions);
   }
 
   /**
@@ -1439,19 +3929,20 @@ async syncData(options = {}) {
 
    *
    * @param {Array<SFFilePathInput>} files - Array of files to upload from local paths
+   * @param {RequestOptions} [requestOptions] - Optional timeout and cancellation settings for this request.
    * @returns {Promise<CreateSFFileBatchResponse>} - Batch result object with summary and results
-   * @throws {Error} If the bridge is uninitialized or input is invalid
+   * @throws {PulsarError} If the bridge is uninitialized or input is invalid
    */
-  async createSFFileFromFilePathBatch(files) {
+  async createSFFileFromFilePathBatch(files, requestOptions = {}) {
 
     if (!Array.isArray(files) || files.length === 0 || !files.every(f => typeof f === 'object')) {
-      throw new Error('createSFFileFromFilePathBatch requires an array of file objects.');
+      throw new PulsarValidationError('createSFFileFromFilePathBatch requires an array of file objects.', { type: 'createSFFileFromFilePathBatch' });
     }
 
-    return this._send({
+    return this._queueWrite({
       type: 'createSFFileFromFilePathBatch',
       data: files
-    });
+    }, requestOptions);
   }
 
 
@@ -1479,13 +3970,14 @@ async syncData(options = {}) {
    * @param {string} fileId - The Salesforce Id of the ContentDocument or ContentVersion record to retrieve.
    * @param {boolean} [returnBase64Data=false] - If true, includes `VersionData` and `ThumbBody` in the response.
    * @param {boolean} [downloadVersionData=true] - If true and online, Pulsar will download the latest file version from Salesforce.
+   * @param {RequestOptions} [requestOptions] - Optional timeout and cancellation settings for this request.
    * @returns {Promise<SFFileReadResult[]>} A Promise resolving to an array with a single File object.
-   * @throws {Error} If the bridge is uninitialized or the fileId is invalid.
+   * @throws {PulsarError} If the bridge is uninitialized or the fileId is invalid.
   */
-  async readSFFile(fileId, returnBase64Data = false, downloadVersionData = true) {
+  async readSFFile(fileId, returnBase64Data = false, downloadVersionData = true, requestOptions = {}) {
 
     if (!fileId || typeof fileId !== 'string') {
-      throw new Error('readSFFile requires a valid fileId string.');
+      throw new PulsarValidationError('readSFFile requires a valid fileId string.', { type: 'readSFFile' });
     }
 
     return this._send({
@@ -1495,7 +3987,7 @@ async syncData(options = {}) {
         ReturnBase64Data: returnBase64Data,
         DownloadVersionData: downloadVersionData
       }
-    });
+    }, requestOptions);
   }
 
 
@@ -1507,25 +3999,40 @@ async syncData(options = {}) {
    *
    * @param {string} objectName - The name of the Salesforce SObject to update (e.g., 'Account').
    * @param {string} query - A raw SQLite UPDATE query string (e.g., "UPDATE Account SET Status__c = 'Active' WHERE Type = 'Customer'").
+   * @param {any[]} [params] - Values for the `?` placeholders in `query`. May be omitted.
+   * @param {RequestOptions} [requestOptions] - Optional timeout and cancellation settings for this request.
    * @returns {Promise<object>} - The response from the local database update, typically `{ data: 'success' }` or includes error info.
-   * @throws {Error} If the bridge is uninitialized or inputs are invalid.
+   * @throws {PulsarError} If the bridge is uninitialized or inputs are invalid.
+   * @throws {PulsarValidationError} If the query is not a single UPDATE statement or does not match `params`.
+   *
+   * @example
+   * await pulsar.updateQuery('Account', 'UPDATE Account SET Status__c = ? WHERE Id = ?', ['Active', accountId]);
   */
-  async updateQuery(objectName, query) {
+  async updateQuery(objectName, query, params, requestOptions) {
+    // Support the unparameterized form updateQuery(objectName, query, requestOptions)
+    if (isOptionsObject(params)) {
+      [params, requestOptions] = [undefined, params];
+    }
+    requestOptions ??= {};
 
     if (!objectName || typeof objectName !== 'string') {
-      throw new Error('updateQuery requires a valid objectName string.');
+      throw new PulsarValidationError('updateQuery requires a valid objectName string.', { type: 'updateQuery', object: objectName });
     }
     if (!query || typeof query !== 'string') {
-      throw new Error('updateQuery requires a valid SQLite query string.');
+      throw new PulsarValidationError('updateQuery requires a valid SQLite query string.', { type: 'updateQuery', object: objectName });
+    }
+    if (!isUpdateStatement(query)) {
+      throw new PulsarValidationError('updateQuery only accepts UPDATE statements.', { type: 'updateQuery', object: objectName });
     }
+    query = prepareSql('updateQuery', query, params, { type: 'updateQuery', object: objectName });
 
-    return this._send({
+    return this._queueWrite({
       type: 'updateQuery',
       object: objectName,
       data: {
         query
       }
-    });
+    }, requestOptions);
   }
 
   /**
@@ -1549,25 +4056,180 @@ async syncData(options = {}) {
    *
    * @param {string} objectName - Name of the SObject (e.g., 'Account', 'Contact').
    * @param {string[]} idList - Array of Salesforce record Ids to delete.
+   * @param {RequestOptions} [requestOptions] - Optional timeout and cancellation settings for this request.
    * @returns {Promise<DeleteSFFileBatchResponse>} - An object with a `summary` and a `results` map.
-   * @throws {Error} If the bridge is uninitialized or inputs are invalid.
+   * @throws {PulsarError} If the bridge is uninitialized or inputs are invalid.
    */
-  async deleteBatch(objectName, idList) {
+  async deleteBatch(objectName, idList, requestOptions = {}) {
 
     if (!objectName || typeof objectName !== 'string') {
-      throw new Error('deleteBatch requires a valid objectName string.');
+      throw new PulsarValidationError('deleteBatch requires a valid objectName string.', { type: 'deletebatch', object: objectName });
     }
     if (!Array.isArray(idList) || idList.length === 0 || !idList.every(id => typeof id === 'string')) {
-      throw new Error('deleteBatch requires a non-empty array of string Ids.');
+      throw new PulsarValidationError('deleteBatch requires a non-empty array of string Ids.', { type: 'deletebatch', object: objectName });
     }
 
-    return this._send({
+    return this._queueWrite({
       type: 'deletebatch',
       object: objectName,
       data: {
         objectIdList: idList
       }
+    }, requestOptions);
+  }
+
+  /**
+   * @typedef {object} RecordBatchResult
+   * @property {string} success - `"TRUE"` or `"FALSE"`
+   * @property {string} objectId - The record Id, or a temporary object Id (e.g., "CURIUM_..."). Empty if the record was not created.
+   * @property {string} error - Error message if `success` is `"FALSE"`, otherwise empty.
+  */
+
+  /**
+   * @typedef {object} RecordBatchResponse
+   * @property {{ success: "TRUE" | "FALSE" }} summary - Overall success status of the batch
+   * @property {Object.<string, RecordBatchResult>} results - Result for each record, keyed by its index in the input array
+  */
+
+  /**
+   * Per-request settings for `createBatch()` and `updateBatch()`. Extends `WriteRequestOptions`;
+   * `validate`, `typed`, `timeout` and `signal` apply to each record.
+   * @typedef {Object} RecordBatchOptions
+   * @property {boolean} [stopOnError=false] - Stop at the first failed record. Later records are reported as not attempted.
+   * @property {boolean} [validate=false] - See `WriteRequestOptions`. A record with invalid values is reported as failed.
+   * @property {boolean} [typed=false] - See `RecordRequestOptions`.
+   * @property {number} [timeout] - See `RequestOptions`.
+   * @property {AbortSignal} [signal] - See `RequestOptions`.
+   */
+
+  /**
+   * Creates multiple records of an SObject and reports the outcome of each, in the same shape as `deleteBatch()`.
+   *
+   * Pulsar has no batch create request, so the records are created one at a time, in order, through `create()`.
+   * A failed record does not stop the batch unless `options.stopOnError` is set. Cancelling the request
+   * through `options.signal` always stops it.
+   *
+   * @param {string} objectName - Name of the SObject (e.g., 'WorkOrderLineItem').
+   * @param {object[]} records - Field values for each new record.
+   * @param {RecordBatchOptions} [options] - Optional stop-on-error, typed mode, timeout and cancellation settings.
+   * @returns {Promise<RecordBatchResponse>} - An object with a `summary` and a `results` map keyed by index.
+   * @throws {PulsarValidationError} If `objectName` or `records` is invalid.
+   *
+   * @example
+   * const { summary, results } = await pulsar.createBatch('WorkOrderLineItem', lineItems);
+   * if (summary.success === 'FALSE') {
+   *   Object.entries(results).filter(([, result]) => result.success === 'FALSE').forEach(([index, result]) => console.warn(index, result.error));
+   * }
+   */
+  async createBatch(objectName, records, options = {}) {
+    this._checkRecordBatch('createBatch', objectName, records, 'create');
+
+    return this._runRecordBatch(records, options, (record, requestOptions) => this.create(objectName, record, {}, requestOptions));
+  }
+
+  /**
+   * Updates multiple records of an SObject and reports the outcome of each, in the same shape as `deleteBatch()`.
+   * Every record must include its `Id`; its other fields are the values to update.
+   *
+   * Pulsar has no batch update request, so the records are updated one at a time, in order, through `update()`.
+   * A failed record does not stop the batch unless `options.stopOnError` is set. Cancelling the request
+   * through `options.signal` always stops it.
+   *
+   * @param {string} objectName - Name of the SObject (e.g., 'WorkOrder').
+   * @param {object[]} records - The records to update, each with an `Id`.
+   * @param {RecordBatchOptions} [options] - Optional stop-on-error, typed mode, timeout and cancellation settings.
+   * @returns {Promise<RecordBatchResponse>} - An object with a `summary` and a `results` map keyed by index.
+   * @throws {PulsarValidationError} If `objectName` or `records` is invalid, or a record has no `Id`.
+   *
+   * @example
+   * await pulsar.updateBatch('WorkOrder', selected.map(workOrder => ({ Id: workOrder.Id, Status: 'Completed' })));
+   */
+  async updateBatch(objectName, records, options = {}) {
+    this._checkRecordBatch('updateBatch', objectName, records, 'update');
+    if (!records.every(record => typeof record.Id === 'string' && record.Id)) {
+      throw new PulsarValidationError('updateBatch requires every record to have an Id.', { type: 'update', object: objectName });
+    }
+
+    return this._runRecordBatch(records, options, ({ Id, ...fields }, requestOptions) => this.update(objectName, Id, fields, {}, requestOptions));
+  }
+
+  /**
+   * @typedef {RecordBatchResult} UpsertResult
+   * @property {'created'|'updated'|'failed'} outcome - What happened to the record.
+  */
+
+  /**
+   * @typedef {object} UpsertResponse
+   * @property {{ success: "TRUE" | "FALSE" }} summary - Overall success status of the upsert
+   * @property {Object.<string, UpsertResult>} results - Result for each record, keyed by its index in the input array
+  */
+
+  /**
+   * Creates or updates records, matching them to existing local records by an external Id field.
+   *
+   * Existing records are looked up with a single `select()` on `externalIdField`. Records with a match are
+   * updated through `update()` and the rest are created through `create()`, one at a time and in order, so a
+   * value that appears twice creates the record once and then updates it. A record whose value matches more
+   * than one local record fails without being written. Results use the same shape as `createBatch()`, plus
+   * the `outcome` of each record.
+   *
+   * @param {string} objectName - Name of the SObject (e.g., 'Asset').
+   * @param {string} externalIdField - The field that identifies records (e.g., 'SerialNumber' or 'Legacy_Id__c').
+   * @param {object[]} records - Field values for each record, including `externalIdField`.
+   * @param {RecordBatchOptions} [options] - Optional stop-on-error, typed mode, timeout and cancellation settings.
+   * @returns {Promise<UpsertResponse>} - An object with a `summary` and a `results` map keyed by index.
+   * @throws {PulsarValidationError} If the arguments are invalid, `externalIdField` is not a field of the SObject, or a record has no value for it.
+   *
+   * @example
+   * const { results } = await pulsar.upsert('Asset', 'SerialNumber', [{ SerialNumber: scannedCode, Status: 'Installed' }]);
+   * console.log(results[0].outcome, results[0].objectId); // 'updated', '02i...'
+   */
+  async upsert(objectName, externalIdField, records, options = {}) {
+    this._checkRecordBatch('upsert', objectName, records, 'upsert');
+    if (typeof externalIdField !== 'string' || !/^[A-Za-z_][A-Za-z0-9_]*$/.test(externalIdField)) {
+      throw new PulsarValidationError('upsert requires a valid externalIdField name.', { type: 'upsert', object: objectName });
+    }
+    const values = records.map(record => record[externalIdField]);
+    if (values.some(value => (typeof value !== 'string' && typeof value !== 'number') || value === '')) {
+      throw new PulsarValidationError(`upsert requires every record to have a ${externalIdField} value.`, { type: 'upsert', object: objectName });
+    }
+
+    const { stopOnError, ...requestOptions } = options;
+    const types = await this._fieldTypes(objectName, requestOptions);
+    if (!types.has(externalIdField) && !types.has(externalIdField.toLowerCase())) {
+      throw new PulsarValidationError(`upsert found no field '${externalIdField}' on ${objectName}.`, { type: 'upsert', object: objectName });
+    }
+
+    const keys = [...new Set(values.map(String))];
+    const rows = await this.select(objectName, `SELECT Id, ${externalIdField} FROM ${objectName} WHERE ${externalIdField} IN (?)`, [keys], requestOptions);
+    const existing = new Map();
+    for (const row of rows) {
+      const key = row[externalIdField] ?? row[Object.keys(row).find(name => name.toLowerCase() === externalIdField.toLowerCase())];
+      existing.set(String(key), [...(existing.get(String(key)) ?? []), row.Id]);
+    }
+
+    const outcomes = new Map();
+    const response = await this._runRecordBatch(records, options, async (record, batchOptions, index) => {
+      const key = String(record[externalIdField]);
+      const ids = existing.get(key) ?? [];
+      if (ids.length > 1) {
+        throw new PulsarValidationError(`upsert found ${ids.length} ${objectName} records with ${externalIdField} '${key}'.`, { type: 'upsert', object: objectName });
+      }
+      const { Id, ...fields } = record;
+      if (ids.length === 1) {
+        outcomes.set(index, 'updated');
+        return this.update(objectName, ids[0], fields, {}, batchOptions);
+      }
+      const id = await this.create(objectName, fields, {}, batchOptions);
+      existing.set(key, [id]);
+      outcomes.set(index, 'created');
+      return id;
     });
+
+    for (const [index, result] of Object.entries(response.results)) {
+      result.outcome = result.success === 'TRUE' ? outcomes.get(Number(index)) : 'failed';
+    }
+    return response;
   }
 
 
@@ -1593,15 +4255,30 @@ async syncData(options = {}) {
    * - `ThumbPath` (string): Local relative or absolute path to the thumbnail
    *
    * @param {string} filter - SQLite WHERE clause filter for ContentVersion (e.g., "ContentDocumentId = '069xx0000001234'")
+   * @param {any[]} [params] - Values for the `?` placeholders in `filter`. May be omitted.
    * @param {boolean} [downloadVersionData=true] - If true and online, Pulsar will download the latest file versions from Salesforce.
+   * @param {RequestOptions} [requestOptions] - Optional timeout and cancellation settings for this request.
    * @returns {Promise<QueryContentResult[]>} - Array of ContentVersion metadata objects
-   * @throws {Error} If the bridge is uninitialized or the filter is invalid
+   * @throws {PulsarError} If the bridge is uninitialized or the filter is invalid
+   *
+   * @example
+   * const files = await pulsar.queryContent('ContentDocumentId IN (?)', [documentIds]);
    */
-  async queryContent(filter, downloadVersionData = true) {
+  async queryContent(filter, params, downloadVersionData, requestOptions) {
+    // Support the unparameterized forms queryContent(filter, downloadVersionData, requestOptions)
+    // and queryContent(filter, requestOptions)
+    if (typeof params === 'boolean') {
+      [params, downloadVersionData, requestOptions] = [undefined, params, downloadVersionData];
+    } else if (isOptionsObject(params)) {
+      [params, downloadVersionData, requestOptions] = [undefined, undefined, params];
+    }
+    downloadVersionData ??= true;
+    requestOptions ??= {};
 
     if (!filter || typeof filter !== 'string') {
-      throw new Error('queryContent requires a valid SQLite filter string.');
+      throw new PulsarValidationError('queryContent requires a valid SQLite filter string.', { type: 'queryContent' });
     }
+    filter = prepareSql('queryContent', filter, params, { type: 'queryContent' });
 
     return this._send({
       type: 'queryContent',
@@ -1609,7 +4286,7 @@ async syncData(options = {}) {
         filter,
         DownloadVersionData: downloadVersionData
       }
-    });
+    }, requestOptions);
   }
 
 
@@ -1620,21 +4297,22 @@ async syncData(options = {}) {
    * On success, returns true if deletion completed successfully.
    *
    * @param {string[]} documentIdList - Array of Salesforce ContentDocument Ids to delete (e.g., ["069abc123456789"]).
+   * @param {RequestOptions} [requestOptions] - Optional timeout and cancellation settings for this request.
    * @returns {Promise<boolean>} - Resolves true if successful
-   * @throws {Error} If the bridge is uninitialized, the list is invalid, or an error occurs
+   * @throws {PulsarError} If the bridge is uninitialized, the list is invalid, or an error occurs
    */
-  async deleteSFFile(documentIdList) {
+  async deleteSFFile(documentIdList, requestOptions = {}) {
 
     if (!Array.isArray(documentIdList) || documentIdList.length === 0 || !documentIdList.every(id => typeof id === 'string')) {
-      throw new Error('deleteSFFile requires an array of valid ContentDocument Id strings.');
+      throw new PulsarValidationError('deleteSFFile requires an array of valid ContentDocument Id strings.', { type: 'deleteSFFile' });
     }
 
-    const response = await this._send({
+    const response = await this._queueWrite({
       type: 'deleteSFFile',
       data: {
         documentIdList
       }
-    });
+    }, requestOptions);
 
     if (typeof response === 'object' && response !== null && response.success === true) {
       return true;
@@ -1645,7 +4323,7 @@ async syncData(options = {}) {
       return true;
     }
 
-    throw new Error('Unexpected response from deleteSFFile.');
+    throw new PulsarResponseFormatError('Unexpected response from deleteSFFile.', { type: 'deleteSFFile', response });
   }
 
 
@@ -1662,13 +4340,14 @@ async syncData(options = {}) {
    *   @param {string} [options.afterDate] - ISO 8601 timestamp to filter feed items created after this date.
    *   @param {string} [options.beforeDate] - ISO 8601 timestamp to filter feed items created before this date.
    *   @param {string} [options.orderBy] - Order by clause (e.g., "CreatedDate ASC").
+   * @param {RequestOptions} [requestOptions] - Optional timeout and cancellation settings for this request.
    * @returns {Promise<object[]>} - Array of Chatter FeedItem objects.
-   * @throws {Error} If the bridge is uninitialized or input is invalid.
+   * @throws {PulsarError} If the bridge is uninitialized or input is invalid.
    */
-  async chatterGetFeed(parentId, options = {}) {
+  async chatterGetFeed(parentId, options = {}, requestOptions = {}) {
 
     if (!parentId || typeof parentId !== 'string') {
-      throw new Error('chatterGetFeed requires a valid parentId string.');
+      throw new PulsarValidationError('chatterGetFeed requires a valid parentId string.', { type: 'chattergetfeed' });
     }
 
     const { afterDate, beforeDate, orderBy } = options;
@@ -1683,10 +4362,10 @@ async syncData(options = {}) {
     const response = await this._send({
       type: 'chattergetfeed',
       data: requestData
-    });
+    }, requestOptions);
 
     if (!Array.isArray(response)) {
-      throw new Error('Unexpected response from chatterGetFeed. Expected an array of FeedItem objects.');
+      throw new PulsarResponseFormatError('Unexpected response from chatterGetFeed. Expected an array of FeedItem objects.', { type: 'chattergetfeed', response });
     }
 
     return response;
@@ -1701,13 +4380,14 @@ async syncData(options = {}) {
    * @param {string} message - The message to post.
    * @param {string} parentId - Salesforce Id of the object (e.g., Account) to post to.
    * @param {string} [parentFeedItemId] - Optional Id of the parent feed item to post a comment on.
+   * @param {RequestOptions} [requestOptions] - Optional timeout and cancellation settings for this request.
    * @returns {Promise<void>}
-   * @throws {Error} If the bridge is not initialized or inputs are invalid.
+   * @throws {PulsarError} If the bridge is not initialized or inputs are invalid.
    */
-  async chatterPostFeed(message, parentId, parentFeedItemId) {
+  async chatterPostFeed(message, parentId, parentFeedItemId, requestOptions = {}) {
 
     if (!message || typeof message !== 'string' || !parentId || typeof parentId !== 'string') {
-      throw new Error('chatterPostFeed requires a message and parentId.');
+      throw new PulsarValidationError('chatterPostFeed requires a message and parentId.', { type: 'chatterpostfeed' });
     }
 
     const data = {
@@ -1719,7 +4399,7 @@ async syncData(options = {}) {
     const response = await this._send({
       type: 'chatterpostfeed',
       data
-    });
+    }, requestOptions);
 
     // Success returns no data, error throws in _send
     if (response !== null && typeof response !== 'undefined') {
@@ -1740,18 +4420,19 @@ async syncData(options = {}) {
    * Retrieves a named Pulsar Setting from the configuration table.
    *
    * @param {string} key - The key of the Pulsar Setting to retrieve.
+   * @param {RequestOptions} [requestOptions] - Optional timeout and cancellation settings for this request.
    * @returns {Promise<GetSettingResponse>} - An object with the keys "Exists" and the setting key which maps to the setting value.
-   * @throws {Error} If the key is missing or the request fails.
+   * @throws {PulsarError} If the key is missing or the request fails.
    */
-  async getSetting(key) {
+  async getSetting(key, requestOptions = {}) {
     if (!key || typeof key !== 'string') {
-      throw new Error('getSetting requires a valid key string.');
+      throw new PulsarValidationError('getSetting requires a valid key string.', { type: 'getSetting' });
     }
 
     return this._send({
       type: 'getSetting',
       data: { key }
-    });
+    }, requestOptions);
   }
 
 
@@ -1768,8 +4449,9 @@ async syncData(options = {}) {
    * The response includes the file name, full file path, and the content associated with the setting key.
    *
    * @param {string} key - The Pulsar Setting key to retrieve as an attachment.
+   * @param {RequestOptions} [requestOptions] - Optional timeout and cancellation settings for this request.
    * @returns {Promise<GetSettingAttachmentResponse>} - A dictionary with FileName, FilePath, key which includes the key that was used to get this content.
-   * @throws {Error} If the bridge is uninitialized or the setting is missing.
+   * @throws {PulsarError} If the bridge is uninitialized or the setting is missing.
    *
    * Example:
    * ```
@@ -1778,15 +4460,15 @@ async syncData(options = {}) {
    * console.log(result.FileURL);  // e.g., 'file:///storage/.../example.pdf'
    * ```
    */
-  async getSettingAttachment(key) {
+  async getSettingAttachment(key, requestOptions = {}) {
     if (!key || typeof key !== 'string') {
-      throw new Error('getSettingAttachment requires a valid key string.');
+      throw new PulsarValidationError('getSettingAttachment requires a valid key string.', { type: 'getSettingAttachment' });
     }
 
     return this._send({
       type: 'getSettingAttachment',
       data: { key }
-    });
+    }, requestOptions);
   }
 
 
@@ -1807,13 +4489,14 @@ async syncData(options = {}) {
    * @param {object} params - Parameters to locate the content.
    * @param {string} [params.Id] - Salesforce ContentDocument Id (e.g., '069xx0000001234').
    * @param {string} [params.Title] - Title of the document (e.g., 'Safety Guide').
+   * @param {RequestOptions} [requestOptions] - Optional timeout and cancellation settings for this request.
    * @returns {Promise<GetContentUrlResult>} - Resolves with an object containing `url` and `title`.
-   * @throws {Error} If neither Id nor Title is provided, or the bridge is uninitialized.
+   * @throws {PulsarError} If neither Id nor Title is provided, or the bridge is uninitialized.
    */
-  async getContentUrl({ Id, Title }) {
+  async getContentUrl({ Id, Title }, requestOptions = {}) {
 
     if (!Id && !Title) {
-      throw new Error('getContentUrl requires at least one of Id or Title.');
+      throw new PulsarValidationError('getContentUrl requires at least one of Id or Title.', { type: 'getContentUrl' });
     }
 
     return this._send({
@@ -1822,7 +4505,7 @@ async syncData(options = {}) {
         ...(Id && { Id }),
         ...(Title && { Title })
       }
-    });
+    }, requestOptions);
   }
 
 
@@ -1831,15 +4514,16 @@ async syncData(options = {}) {
    *
    * Returns the string 'TRUE' if auto-sync is enabled, or 'FALSE' if disabled.
    *
+   * @param {RequestOptions} [requestOptions] - Optional timeout and cancellation settings for this request.
    * @returns {Promise<string>} - 'TRUE' or 'FALSE' indicating auto-sync status.
-   * @throws {Error} If the bridge is uninitialized or the request fails.
+   * @throws {PulsarError} If the bridge is uninitialized or the request fails.
   */
-  async getAutosyncStatus() {
+  async getAutosyncStatus(requestOptions = {}) {
 
     return this._send({
       type: 'getAutosyncStatus',
       data: {}
-    });
+    }, requestOptions);
   }
 
 
@@ -1847,17 +4531,18 @@ async syncData(options = {}) {
    * Sets Pulsar's auto-sync status.
    *
    * @param {boolean|string} enable - Pass `true` or `'TRUE'` to enable, `false` or `'FALSE'` to disable.
+   * @param {RequestOptions} [requestOptions] - Optional timeout and cancellation settings for this request.
    * @returns {Promise<string>} - 'TRUE' or 'FALSE' indicating final status after attempt.
-   * @throws {Error} If the bridge is uninitialized or input is invalid.
+   * @throws {PulsarError} If the bridge is uninitialized or input is invalid.
   */
-  async setAutosyncStatus(enable) {
+  async setAutosyncStatus(enable, requestOptions = {}) {
 
     const statusString = this._isTrue(enable) ? 'TRUE' : 'FALSE';
 
     return this._send({
       type: 'setAutosyncStatus',
       data: statusString
-    });
+    }, requestOptions);
   }
 
 
@@ -1876,13 +4561,14 @@ async syncData(options = {}) {
    *   fullphoto: string   // URL for full-size photo
    * }
    *
+   * @param {RequestOptions} [requestOptions] - Optional timeout and cancellation settings for this request.
    * @returns {Promise<UserPhotoResult>}
   */
-  async userPhoto() {
+  async userPhoto(requestOptions = {}) {
     return this._send({
       type: 'userPhoto',
       data: {}
-    });
+    }, requestOptions);
   }
 
 
@@ -1890,27 +4576,29 @@ async syncData(options = {}) {
    * Returns whether the local development server is enabled.
    *
    * @param {string} [docId] - Optional document Id.
+   * @param {RequestOptions} [requestOptions] - Optional timeout and cancellation settings for this request.
    * @returns {Promise<string>} "TRUE" or "FALSE"
   */
-  async getDevServerEnabled(docId) {
+  async getDevServerEnabled(docId, requestOptions = {}) {
     return this._send({
       type: 'getDevServerEnabled',
       args: docId ? { docId } : {},
       data: {}
-    });
+    }, requestOptions);
   }
 
 
   /**
    * Retrieves the current platform (e.g., "windows", "android", "ios").
    *
+   * @param {RequestOptions} [requestOptions] - Optional timeout and cancellation settings for this request.
    * @returns {Promise<string>} Platform string.
   */
-  async getPlatform() {
+  async getPlatform(requestOptions = {}) {
     return this._send({
       type: 'getPlatform',
       data: {}
-    });
+    }, requestOptions);
   }
 
 
@@ -1925,13 +4613,14 @@ async syncData(options = {}) {
    * Retrieves the device's current location coordinates.
    *
    * @param {string} [locationAccuracy="Medium"] - Accuracy level: "Fine", "Medium", or "Coarse".
+   * @param {RequestOptions} [requestOptions] - Optional timeout and cancellation settings for this request.
    * @returns {Promise<LocationResult>} An object with `longitude`, `latitude`, and `locationAccuracy`.
   */
-  async getLocation(locationAccuracy = 'Medium') {
+  async getLocation(locationAccuracy = 'Medium', requestOptions = {}) {
     return this._send({
       type: 'getLocation',
       data: { locationAccuracy }
-    });
+    }, requestOptions);
   }
 
 
@@ -1940,11 +4629,12 @@ async syncData(options = {}) {
    *
    * @param {string[]} labelNames - List of custom label names to retrieve.
    * @param {string} [locale] - Optional locale (e.g., "es_MX").
+   * @param {RequestOptions} [requestOptions] - Optional timeout and cancellation settings for this request.
    * @returns {Promise<object>} Object with label name/value pairs.
   */
-  async getCustomLabels(labelNames, locale) {
+  async getCustomLabels(labelNames, locale, requestOptions = {}) {
     if (!Array.isArray(labelNames) || labelNames.length === 0) {
-      throw new Error('getCustomLabels requires a non-empty labelNames array.');
+      throw new PulsarValidationError('getCustomLabels requires a non-empty labelNames array.', { type: 'getCustomLabels' });
     }
     return this._send({
       type: 'getCustomLabels',
@@ -1952,7 +4642,7 @@ async syncData(options = {}) {
         labelNames,
         ...(locale && { locale })
       }
-    });
+    }, requestOptions);
   }
 
 
@@ -1961,11 +4651,12 @@ async syncData(options = {}) {
    *
    * @param {string} message - The message to log.
    * @param {string} [level="info"] - Optional log level: "info", "warn", "error", "debug", or "Verbose".
+   * @param {RequestOptions} [requestOptions] - Optional timeout and cancellation settings for this request.
    * @returns {Promise<void>} Resolves if logging succeeds.
   */
-  async logMessage(message, level = 'info') {
+  async logMessage(message, level = 'info', requestOptions = {}) {
     if (!message || typeof message !== 'string') {
-      throw new Error('logMessage requires a valid message string.');
+      throw new PulsarValidationError('logMessage requires a valid message string.', { type: 'logMessage' });
     }
 
     return this._send({
@@ -1974,7 +4665,7 @@ async syncData(options = {}) {
         message,
         level
       }
-    });
+    }, requestOptions);
   }
 
   /**
@@ -2111,6 +4802,7 @@ async syncData(options = {}) {
    *
    * @param {string} [templateId] - Optional. The Id of the Service Report Template.
    * @param {string} [templateName] - Optional. The name of the Service Report Template.
+   * @param {RequestOptions} [requestOptions] - Optional timeout and cancellation settings for this request.
    * @returns {Promise<GetFSLTemplateResponse>} - The `data` from a `GetFSLTemplateResponse`.
    *
    * @example
@@ -2118,7 +4810,7 @@ async syncData(options = {}) {
    * const byId = await pulsar.getFSLTemplate("0TTxx0000000001");
    * const byName = await pulsar.getFSLTemplate(undefined, "Report Template A");
   */
-  async getFSLTemplate(templateId, templateName) {
+  async getFSLTemplate(templateId, templateName, requestOptions = {}) {
     const data = {};
     if (typeof templateId === 'string') {
       data.TemplateId = templateId;
@@ -2129,7 +4821,7 @@ async syncData(options = {}) {
     return this._send({
       type: 'getfsltemplate',
       data
-    });
+    }, requestOptions);
   }
 
 
@@ -2148,6 +4840,7 @@ async syncData(options = {}) {
    * @param {string} [id] - Optional record Id the Flow is launched from.
    * @param {string} [userId] - Optional User Id (defaults to current user if omitted).
    * @param {string} [parentId] - Optional parent record Id (e.g., Work Order Id).
+   * @param {RequestOptions} [requestOptions] - Optional timeout and cancellation settings for this request.
    * @returns {Promise<object>} - The raw `executefslflowResponse` object returned by the bridge.
    *
    * @example
@@ -2161,9 +4854,9 @@ async syncData(options = {}) {
    * );
    * console.log(result.executed); // true if Flow was shown
   */
-  async executeFSLFlow(flowName, flowId, actionLabel, id, userId, parentId) {
+  async executeFSLFlow(flowName, flowId, actionLabel, id, userId, parentId, requestOptions = {}) {
     if (!flowName && !flowId) {
-      throw new Error('executeFSLFlow requires either flowName or flowId.');
+      throw new PulsarValidationError('executeFSLFlow requires either flowName or flowId.', { type: 'executeFSLFlow' });
     }
 
     return this._send({
@@ -2176,7 +4869,7 @@ async syncData(options = {}) {
         ...(userId && { UserId: userId }),
         ...(parentId && { ParentId: parentId })
       }
-    });
+    }, requestOptions);
   }
 
 
@@ -2191,6 +4884,7 @@ async syncData(options = {}) {
    * @param {string} templateId - The Id of the Service Report Template used to generate this report.
    * @param {string} documentName - The desired file name for the uploaded document (e.g., "report.pdf").
    * @param {string} contentType - The MIME type of the file (e.g., "application/pdf").
+   * @param {RequestOptions} [requestOptions] - Optional timeout and cancellation settings for this request.
    * @returns {Promise<string>} - Resolves with the Id of the newly created ServiceReport.
    *
    * @example
@@ -2203,24 +4897,24 @@ async syncData(options = {}) {
    *   "application/pdf"
    * );
   */
-  async createServiceReportFromFilePath(parentId, filePath, templateId, documentName, contentType) {
+  async createServiceReportFromFilePath(parentId, filePath, templateId, documentName, contentType, requestOptions = {}) {
     if (!parentId || typeof parentId !== 'string') {
-      throw new Error('createServiceReportFromFilePath requires a valid parentId string.');
+      throw new PulsarValidationError('createServiceReportFromFilePath requires a valid parentId string.', { type: 'createservicereportfromfilepath' });
     }
     if (!filePath || typeof filePath !== 'string') {
-      throw new Error('createServiceReportFromFilePath requires a valid filePath string.');
+      throw new PulsarValidationError('createServiceReportFromFilePath requires a valid filePath string.', { type: 'createservicereportfromfilepath' });
     }
     if (!templateId || typeof templateId !== 'string') {
-      throw new Error('createServiceReportFromFilePath requires a valid templateId string.');
+      throw new PulsarValidationError('createServiceReportFromFilePath requires a valid templateId string.', { type: 'createservicereportfromfilepath' });
     }
     if (!documentName || typeof documentName !== 'string') {
-      throw new Error('createServiceReportFromFilePath requires a valid documentName string.');
+      throw new PulsarValidationError('createServiceReportFromFilePath requires a valid documentName string.', { type: 'createservicereportfromfilepath' });
     }
     if (!contentType || typeof contentType !== 'string') {
-      throw new Error('createServiceReportFromFilePath requires a valid contentType string.');
+      throw new PulsarValidationError('createServiceReportFromFilePath requires a valid contentType string.', { type: 'createservicereportfromfilepath' });
     }
 
-    return this._send({
+    return this._queueWrite({
       type: 'createservicereportfromfilepath',
       data: {
         ParentId: parentId,
@@ -2229,7 +4923,7 @@ async syncData(options = {}) {
         DocumentName: documentName,
         ContentType: contentType
       }
-    });
+    }, requestOptions);
   }
 
 
@@ -2255,19 +4949,20 @@ async syncData(options = {}) {
    * an object from it.
    *
    * @param {string} objectName - (required) The API name of the Salesforce SObject (e.g., 'Account').
+   * @param {RequestOptions} [requestOptions] - Optional timeout and cancellation settings for this request.
    * @returns {Promise<ListviewLabelMap>} - A dictionary of Listview Labels indexed by their Ids.
-   * @throws {Error} If the bridge is uninitialized or the objectName is invalid.
+   * @throws {PulsarError} If the bridge is uninitialized or the objectName is invalid.
   */
-  async listviewInfo(objectName) {
+  async listviewInfo(objectName, requestOptions = {}) {
     if (!objectName || typeof objectName !== 'string') {
-      throw new Error('listviewInfo requires a valid objectName string.');
+      throw new PulsarValidationError('listviewInfo requires a valid objectName string.', { type: 'listviewInfo', object: objectName });
     }
 
     return this._send({
       type: 'listviewInfo',
       object: objectName,
       data: {} // currently no additional parameters supported
-    });
+    }, requestOptions);
   }
 
   /**
@@ -2275,6 +4970,7 @@ async syncData(options = {}) {
    *
    * @param {string} objectName - The API name of the Salesforce object (e.g., 'Account').
    * @param {string} listViewId - The ID of the list view to open (e.g., from pulsar.listviewInfo()). Listview IDs can be obtained from pulsar.listviewInfo(objectName).
+   * @param {RequestOptions} [requestOptions] - Optional timeout and cancellation settings for this request.
    * @returns {Promise<void>} Resolves when the action has been initiated.
    *
    * @example
@@ -2292,12 +4988,12 @@ async syncData(options = {}) {
    * await pulsar.viewList('Account', listviewId);
    *
   */
-  async viewList(objectName, listViewId) {
+  async viewList(objectName, listViewId, requestOptions = {}) {
     return this._send({
       type: 'viewList',
       object: objectName,
       data: { listViewId }
-    });
+    }, requestOptions);
   }
 
   /**
@@ -2320,9 +5016,10 @@ async syncData(options = {}) {
    *
    * @param {string} objectName - The API name of the SObject (e.g., `"Account"`).
    * @param {string} listviewId - The unique ID of the listview to retrieve metadata for.
+   * @param {RequestOptions} [requestOptions] - Optional timeout and cancellation settings for this request.
    * @returns {Promise<ListviewLayout>} A promise resolving to a layout spec for listview rendering.
    *
-   * @throws {Error} If `objectName` or `listviewId` are missing or not strings.
+   * @throws {PulsarError} If `objectName` or `listviewId` are missing or not strings.
    *
    * @example
    * const listviews = await pulsar.listviewInfo('Account');
@@ -2330,19 +5027,19 @@ async syncData(options = {}) {
    * const listviewLayout = await pulsar.listviewMetadata('Account', listviewId);
    * console.log(listviewLayout.fields); // e.g., ['Name', 'Industry', 'OwnerId']
   */
-  async listviewMetadata(objectName, listviewId) {
+  async listviewMetadata(objectName, listviewId, requestOptions = {}) {
     if (!objectName || typeof objectName !== 'string') {
-      throw new Error('listviewMetadata requires a valid objectName string.');
+      throw new PulsarValidationError('listviewMetadata requires a valid objectName string.', { type: 'listviewmetadata', object: objectName });
     }
     if (!listviewId || typeof listviewId !== 'string') {
-      throw new Error('listviewMetadata requires a valid listviewId string.');
+      throw new PulsarValidationError('listviewMetadata requires a valid listviewId string.', { type: 'listviewmetadata', object: objectName });
     }
 
-    return this._send({
+    return this._sendCached({
       type: 'listviewmetadata',
       object: objectName,
       data: { 'listviewid': listviewId }
-    });
+    }, requestOptions);
   }
 
 
@@ -2351,39 +5048,42 @@ async syncData(options = {}) {
    * Displays a confirmation prompt when the user attempts to leave the page.
    * Call with an empty string to disable.
    * @param {string} message - The confirmation message to display.
+   * @param {RequestOptions} [requestOptions] - Optional timeout and cancellation settings for this request.
    * @returns {Promise<void>}
   */
-  async setLeavePageMessage(message) {
+  async setLeavePageMessage(message, requestOptions = {}) {
     return this._send({
       type: 'setLeavePageMessage',
       object: '',
       data: message || ''
-    });
+    }, requestOptions);
   }
 
   /**
    * Closes the current HTML document (acts like pressing Done).
+   * @param {RequestOptions} [requestOptions] - Optional timeout and cancellation settings for this request.
    * @returns {Promise<void>}
   */
-  async exit() {
+  async exit(requestOptions = {}) {
     return this._send({
       type: 'exit',
       data: {}
-    });
+    }, requestOptions);
   }
 
   /**
    * Opens the Pulsar native create screen for the given SObject.
    * @param {string} objectName - Salesforce object API name.
    * @param {object} fields - Fields and default values to prefill.
+   * @param {RequestOptions} [requestOptions] - Optional timeout and cancellation settings for this request.
    * @returns {Promise<object>} - Response includes createResult and createId.
   */
-  async showCreate(objectName, fields = {}) {
+  async showCreate(objectName, fields = {}, requestOptions = {}) {
     return this._send({
       type: 'showCreate',
       object: objectName,
       data: fields
-    });
+    }, requestOptions);
   }
 
   /**
@@ -2392,14 +5092,15 @@ async syncData(options = {}) {
    * @param {string} objectName - The Salesforce object type (e.g., "Account").
    * @param {string} Id - The record Id of the object to view.
    * @param {string} [editmode='FALSE'] - Whether to open in edit mode or not, "FALSE" is the default.
+   * @param {RequestOptions} [requestOptions] - Optional timeout and cancellation settings for this request.
    * @returns {Promise<object>} - Response from the platform UI.
   */
-  async viewObject(objectName, Id, editmode = 'FALSE') {
+  async viewObject(objectName, Id, editmode = 'FALSE', requestOptions = {}) {
     if (!objectName || typeof objectName !== 'string') {
-      throw new Error('viewObject requires a valid objectName string.');
+      throw new PulsarValidationError('viewObject requires a valid objectName string.', { type: 'viewObject', object: objectName });
     }
     if (!Id || typeof Id !== 'string') {
-      throw new Error('viewObject requires a valid Id string.');
+      throw new PulsarValidationError('viewObject requires a valid Id string.', { type: 'viewObject', object: objectName });
     }
 
     return this._send({
@@ -2409,7 +5110,7 @@ async syncData(options = {}) {
         Id,
         editmode
       }
-    });
+    }, requestOptions);
   }
 
 
@@ -2419,17 +5120,18 @@ async syncData(options = {}) {
    * @param {string} objectName - The Salesforce object type of the parent (e.g., "Account").
    * @param {string} parentId - The Id of the parent record.
    * @param {string} relationshipName - The API name of the relationship (e.g., "Contacts").
+   * @param {RequestOptions} [requestOptions] - Optional timeout and cancellation settings for this request.
    * @returns {Promise<object>} - Response from the platform UI.
   */
-  async viewRelated(objectName, parentId, relationshipName) {
+  async viewRelated(objectName, parentId, relationshipName, requestOptions = {}) {
     if (!objectName || typeof objectName !== 'string') {
-      throw new Error('viewRelated requires a valid objectName string.');
+      throw new PulsarValidationError('viewRelated requires a valid objectName string.', { type: 'viewRelated', object: objectName });
     }
     if (!parentId || typeof parentId !== 'string') {
-      throw new Error('viewRelated requires a valid parentId string.');
+      throw new PulsarValidationError('viewRelated requires a valid parentId string.', { type: 'viewRelated', object: objectName });
     }
     if (!relationshipName || typeof relationshipName !== 'string') {
-      throw new Error('viewRelated requires a valid relationshipName string.');
+      throw new PulsarValidationError('viewRelated requires a valid relationshipName string.', { type: 'viewRelated', object: objectName });
     }
 
     return this._send({
@@ -2439,13 +5141,14 @@ async syncData(options = {}) {
         parentId,
         relationshipName
       }
-    });
+    }, requestOptions);
   }
 
   /**
    * Allows the user to select one or more records from a filtered or listview-based selection screen.
    * @param {string} objectName - The object API name (e.g., "Account").
    * @param {object} data - Optional filter criteria or Listview key.
+   * @param {RequestOptions} [requestOptions] - Optional timeout and cancellation settings for this request.
    * @returns {Promise<object[]>} - Array of selected SObject records.
    *
    * ⚠️ WARNING: This returns an array of selected objects. Even if you expect only one selection,
@@ -2455,23 +5158,24 @@ async syncData(options = {}) {
    * const [selected] = await pulsar.lookupObject("Contact", { filter: "Active" });
    * const contactId = selected?.Id;
   */
-  async lookupObject(objectName, data = {}) {
+  async lookupObject(objectName, data = {}, requestOptions = {}) {
     return this._send({
       type: 'lookupObject',
       object: objectName,
       data
-    });
+    }, requestOptions);
   }
 
   /**
    * Opens the device barcode scanner and returns scanned value.
+   * @param {RequestOptions} [requestOptions] - Optional timeout and cancellation settings for this request.
    * @returns {Promise<string>} - Contains the scanned barcode string.
    */
-  async scanBarcode() {
+  async scanBarcode(requestOptions = {}) {
     return this._send({
       type: 'scanBarcode',
       data: {}
-    }).then( response => response['barcode'] );
+    }, requestOptions).then( response => response['barcode'] );
   }
 
   /**
@@ -2479,9 +5183,10 @@ async syncData(options = {}) {
    * @param {string} ActionName - Salesforce API name of the Quick Action.
    * @param {string} [contextId] - Optional context record Id.
    * @param {object} [fields={}] - Default field values.
+   * @param {RequestOptions} [requestOptions] - Optional timeout and cancellation settings for this request.
    * @returns {Promise<object>} - Contains executed and quickActionResult flags.
   */
-  async executeQuickAction(ActionName, contextId, fields = {}) {
+  async executeQuickAction(ActionName, contextId, fields = {}, requestOptions = {}) {
     return this._send({
       type: 'executeQuickAction',
       data: {
@@ -2489,7 +5194,7 @@ async syncData(options = {}) {
         ...(contextId && { ContextId: contextId }),
         ...fields
       }
-    });
+    }, requestOptions);
   }
 
 
@@ -2507,37 +5212,40 @@ async syncData(options = {}) {
   /**
    * Opens the device camera to capture a photo.
    * @param {string} [quality='medium'] - Photo quality: "high", "medium", or "low".
+   * @param {RequestOptions} [requestOptions] - Optional timeout and cancellation settings for this request.
    * @returns {Promise<PhotoFileMetadata>} - Promise resolving to a photo file metadata object.
   */
-  async cameraPhoto(quality = 'medium') {
+  async cameraPhoto(quality = 'medium', requestOptions = {}) {
     return this._send({
       type: 'cameraPhoto',
       data: { quality }
-    });
+    }, requestOptions);
   }
 
 
   /**
    * Opens the device gallery to pick photos.
+   * @param {RequestOptions} [requestOptions] - Optional timeout and cancellation settings for this request.
    * @returns {Promise<PhotoFileMetadata[]>} - Promise resolving to an array of photo file metadata objects.
    */
-  async cameraPhotoPicker() {
+  async cameraPhotoPicker(requestOptions = {}) {
     return this._send({
       type: 'cameraPhotoPicker',
       data: {}
-    });
+    }, requestOptions);
   }
 
 
   /**
    * Opens the file picker dialog for arbitrary file selection.
+   * @param {RequestOptions} [requestOptions] - Optional timeout and cancellation settings for this request.
    * @returns {Promise<object[]>} - Array of file metadata objects.
   */
-  async filePicker() {
+  async filePicker(requestOptions = {}) {
     return this._send({
       type: 'filePicker',
       data: {}
-    });
+    }, requestOptions);
   }
 
   /**
@@ -2548,9 +5256,10 @@ async syncData(options = {}) {
    * @param {string} [options.scheme] - URL scheme (e.g., 'https://').
    * @param {string} [options.path] - Path and host (e.g., 'example.com/path').
    * @param {object} [options.queryParams] - Query parameter key/value pairs.
+   * @param {RequestOptions} [requestOptions] - Optional timeout and cancellation settings for this request.
    * @returns {Promise<object>} - Response from browser launch.
   */
-  async displayUrl({ fullUrl, externalBrowser, scheme, path, queryParams } = {}) {
+  async displayUrl({ fullUrl, externalBrowser, scheme, path, queryParams } = {}, requestOptions = {}) {
     return this._send({
       type: 'displayUrl',
       data: {
@@ -2560,19 +5269,20 @@ async syncData(options = {}) {
         ...(path && { path }),
         ...(queryParams && { queryParams })
       }
-    });
+    }, requestOptions);
   }
 
 
   /**
    * Retrieves the current online/offline status of the Pulsar client.
    *
+   * @param {RequestOptions} [requestOptions] - Optional timeout and cancellation settings for this request.
    * @returns {Promise<object>} - A promise that resolves to an object with `online` set to `true` or `false`.
   */
-  async getOnlineStatus() {
+  async getOnlineStatus(requestOptions = {}) {
     return this._send({
       type: 'getOnlineStatus'
-    }).then( result => { return result === 'TRUE'; });
+    }, requestOptions).then( result => { return result === 'TRUE'; });
   }
 
   /**
@@ -2581,24 +5291,26 @@ async syncData(options = {}) {
    * This allows simulation of offline mode for testing or operational purposes.
    *
    * @param {boolean} online - `true` to set online mode, `false` to go offline.
+   * @param {RequestOptions} [requestOptions] - Optional timeout and cancellation settings for this request.
    * @returns {Promise<object>} - A promise that resolves to a status confirmation object.
-   * @throws {Error} If the `online` parameter is not a boolean.
+   * @throws {PulsarError} If the `online` parameter is not a boolean.
   */
-  async setOnlineStatus(online) {
+  async setOnlineStatus(online, requestOptions = {}) {
     if (typeof online !== 'boolean') {
-      throw new Error('setOnlineStatus requires a boolean parameter.');
+      throw new PulsarValidationError('setOnlineStatus requires a boolean parameter.', { type: 'setOnlineStatus' });
     }
 
     return this._send({
       type: 'setOnlineStatus',
       data: online ? 'TRUE' : 'FALSE'
-    }).then( result => { return result === 'TRUE'; });
+    }, requestOptions).then( result => { return result === 'TRUE'; });
   }
 
 
   /**
    * Retrieves the current network connectivity status from the Pulsar runtime.
    *
+   * @param {RequestOptions} [requestOptions] - Optional timeout and cancellation settings for this request.
    * @returns {Promise<object>} - A promise that resolves to an object with the following fields:
    *   @property {string} isConnected - `"TRUE"` if the device has network access, `"FALSE"` otherwise.
    *   @property {string} connectionType - The type of connection (e.g., `"Wifi"`, `"Cellular"`, `"Unknown"`).
@@ -2609,10 +5321,10 @@ async syncData(options = {}) {
    *   console.warn('Device has no network connection:', status.connectionType);
    * }
   */
-  async getNetworkStatus() {
+  async getNetworkStatus(requestOptions = {}) {
     return this._send({
       type: 'getNetworkStatus'
-    });
+    }, requestOptions);
   }
 
 
@@ -2628,20 +5340,21 @@ async syncData(options = {}) {
    * @param {string} [recordTypeId] - Optional Salesforce Record Type Id.
    * @param {string} [controllerFieldName] - Optional API name of the controlling field (if applicable).
    * @param {string} [controllerFieldValue] - Optional value for the controlling field.
+   * @param {RequestOptions} [requestOptions] - Optional timeout and cancellation settings for this request.
    * @returns {Promise<{ itemIds: string[], itemLabels: string[] }>} - The filtered picklist values and labels.
   */
-  async getPicklist(objectName, fieldName, recordTypeId, controllerFieldName, controllerFieldValue) {
+  async getPicklist(objectName, fieldName, recordTypeId, controllerFieldName, controllerFieldValue, requestOptions = {}) {
     const data = {
       ...(recordTypeId && { RecordTypeId: recordTypeId }),
       ...(controllerFieldName && controllerFieldValue && { [controllerFieldName]: controllerFieldValue })
     };
 
-    return await this._send({
+    return await this._sendCached({
       type: 'getPicklist',
       object: objectName,
       fieldName,
       data
-    });
+    }, requestOptions);
   }
 
 
@@ -2655,15 +5368,16 @@ async syncData(options = {}) {
    * @param {string} objectName - The API name of the SObject (e.g., 'Account').
    * @param {string} fieldName - The API name of the picklist field (e.g., 'Type').
    * @param {string} [recordTypeId] - Optional Salesforce Record Type Id.
+   * @param {RequestOptions} [requestOptions] - Optional timeout and cancellation settings for this request.
    * @returns {Promise<{ itemIds: string[], itemLabels: string[] }>} - The full picklist values and labels.
-   * @throws {Error} If parameters are missing or invalid.
+   * @throws {PulsarError} If parameters are missing or invalid.
   */
-  async getUnfilteredPicklist(objectName, fieldName, recordTypeId) {
+  async getUnfilteredPicklist(objectName, fieldName, recordTypeId, requestOptions = {}) {
     if (!objectName || typeof objectName !== 'string') {
-      throw new Error('getUnfilteredPicklist requires a valid objectName string.');
+      throw new PulsarValidationError('getUnfilteredPicklist requires a valid objectName string.', { type: 'getUnfilteredPicklist', object: objectName });
     }
     if (!fieldName || typeof fieldName !== 'string') {
-      throw new Error('getUnfilteredPicklist requires a valid fieldName string.');
+      throw new PulsarValidationError('getUnfilteredPicklist requires a valid fieldName string.', { type: 'getUnfilteredPicklist', object: objectName });
     }
 
     return await this._send({
@@ -2671,7 +5385,7 @@ async syncData(options = {}) {
       object: objectName,
       fieldName,
       data: recordTypeId ? { RecordTypeId: recordTypeId } : {}
-    });
+    }, requestOptions);
   }
 
 
@@ -2687,10 +5401,11 @@ async syncData(options = {}) {
    * @param {string[]} [attach] - Array of file paths to attach.
    * @param {string} [subject] - Subject of the email.
    * @param {string} [body] - Body text of the email.
+   * @param {RequestOptions} [requestOptions] - Optional timeout and cancellation settings for this request.
    * @returns {Promise<void>} Resolves when the email composer is successfully launched.
-   * @throws {Error} If the bridge is uninitialized or input is invalid.
+   * @throws {PulsarError} If the bridge is uninitialized or input is invalid.
   */
-  async mail(to, cc, attach, subject, body) {
+  async mail(to, cc, attach, subject, body, requestOptions = {}) {
     return this._send({
       type: 'mail',
       data: {
@@ -2700,7 +5415,7 @@ async syncData(options = {}) {
         ...(typeof subject === 'string' && subject && { subject }),
         ...(typeof body === 'string' && body && { body }),
       }
-    });
+    }, requestOptions);
   }
 
 
@@ -2712,22 +5427,832 @@ async syncData(options = {}) {
   /**
    * Internal method to send a Pulsar JSAPI request via the bridge
    * @param {object} request - Pulsar JSAPI request payload
+   * @param {RequestOptions} [requestOptions] - Timeout and cancellation settings for this request.
+   * @returns {Promise<object>} - Response data or error
+   */
+  _send(request, { timeout = this.timeout, signal } = {}) {
+    const { type, object } = request;
+    try {
+      this._assertSupported(type, { type, object });
+    } catch (error) {
+      return Promise.reject(error);
+    }
+
+    return this._settleRequest(request, () => this._dispatch(request).then((response) => {
+      if (response?.type === 'error') {
+        throw new PulsarBridgeError(response.data || 'Unknown Pulsar JSAPI error', { type, object, response });
+      }
+      return response?.data;
+    }), { timeout, signal });
+  }
+
+  /**
+   * Internal method to settle a request's work within its timeout and cancellation settings.
+   * The work is not started when the signal is already aborted.
+   * @param {object} request - Pulsar JSAPI request payload, used for error details
+   * @param {function(): Promise<*>} run - Starts the work and returns its promise
+   * @param {RequestOptions} requestOptions - Timeout and cancellation settings for this request.
+   * @returns {Promise<*>} - The work's result, or a PulsarAbortError / PulsarTimeoutError
+   */
+  _settleRequest(request, run, { timeout, signal }) {
+    return new Promise((resolve, reject) => {
+      const { type, object } = request;
+      const abortError = () => new PulsarAbortError(`Pulsar request '${type}' was aborted.`, { type, object, reason: signal.reason });
+      if (signal?.aborted) return reject(abortError());
+
+      let settled = false;
+      let timer = null;
+
+      // Only the first outcome counts; late bridge callbacks are ignored.
+      const settle = (fn, value) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', onAbort);
+        fn(value);
+      };
+      const onAbort = () => settle(reject, abortError());
+
+      if (timeout > 0) {
+        timer = setTimeout(() => settle(reject, new PulsarTimeoutError(`Pulsar request '${type}' timed out after ${timeout}ms.`, { type, object, timeout })), timeout);
+      }
+      signal?.addEventListener('abort', onAbort, { once: true });
+
+      run().then(value => settle(resolve, value), error => settle(reject, error));
+    });
+  }
+
+  /**
+   * Internal method to send a metadata request, answering identical requests from the
+   * metadata cache when it is enabled. Failed requests are not cached.
+   *
+   * The cached bridge request carries no caller's timeout or signal; each caller waits on it
+   * with its own settings and receives its own copy of the response.
+   * @param {object} request - Pulsar JSAPI request payload
+   * @param {RequestOptions} [requestOptions] - Timeout and cancellation settings for this request.
    * @returns {Promise<object>} - Response data or error
    */
-  _send(request) {
+  _sendCached(request, requestOptions) {
+    if (!this._metadataCache) return this._send(request, requestOptions);
+    this._watchMetadataInvalidation();
+
+    const key = JSON.stringify(request);
+    let entry = this._metadataCache.get(key);
+    const evict = () => {
+      if (this._metadataCache.get(key) === entry) this._metadataCache.delete(key);
+    };
+
+    if (entry) {
+      this._metadataCacheHits++;
+    } else {
+      this._metadataCacheMisses++;
+      entry = { object: request.object, promise: this._send(request, { timeout: 0 }) };
+      this._metadataCache.set(key, entry);
+      entry.promise.catch(evict);
+    }
+
+    const { timeout = this.timeout, signal } = requestOptions ?? {};
+    return this._settleRequest(request, () => entry.promise, { timeout, signal }).then(
+      data => structuredClone(data),
+      (error) => {
+        // A bridge that never answers must not pin the entry; the next caller retries.
+        if (error instanceof PulsarTimeoutError) evict();
+        throw error;
+      }
+    );
+  }
+
+  /**
+   * Internal method to clear the metadata cache whenever Pulsar reports changed layouts or finishes a sync.
+   */
+  _watchMetadataInvalidation() {
+    if (this._watchingMetadataInvalidation || !this.bridge) return;
+    this._watchingMetadataInvalidation = true;
+
+    this._onInternal('invalidateLayout', () => this.clearMetadataCache());
+    this._onInternal('syncDataFinished', () => this.clearMetadataCache());
+  }
+
+  /**
+   * Internal method to run a request through the registered middleware and, unless a
+   * middleware short-circuits, hand it to the bridge.
+   * @param {object} request - Pulsar JSAPI request payload
+   * @returns {Promise<object>} - The raw `{ type, data }` response message
+   */
+  _dispatch(request) {
+    const middleware = [...this._middleware];
+
+    const run = (index, currentRequest) => {
+      if (index === middleware.length) {
+        return this._bridgeSend(currentRequest);
+      }
+      try {
+        const next = (nextRequest = currentRequest) => run(index + 1, nextRequest);
+        return Promise.resolve(middleware[index](currentRequest, next));
+      } catch (error) {
+        return Promise.reject(error);
+      }
+    };
+
+    return run(0, request);
+  }
+
+  /**
+   * Internal method to hand a request to the bridge and wait for its callback.
+   * @param {object} request - Pulsar JSAPI request payload
+   * @returns {Promise<object>} - The raw `{ type, data }` response message
+   */
+  _bridgeSend(request) {
     return new Promise((resolve, reject) => {
-      if (!this.bridge) return reject(new Error('Pulsar bridge not initialized. Call init() first.'));
+      if (!this.bridge) {
+        return reject(new PulsarNotInitializedError(undefined, { type: request.type, object: request.object }));
+      }
+      this.bridge.send(request, resolve);
+    });
+  }
+
+  /**
+   * Internal method to send a write request through the FIFO write queue.
+   * Pulsar does not support concurrent create, update, or delete requests, so each
+   * queued request is only handed to the bridge once the bridge has answered every earlier
+   * write, even one whose promise already rejected with a timeout or abort.
+   * A failed write does not block the writes queued behind it.
+   * @param {object} request - Pulsar JSAPI request payload
+   * @param {RequestOptions} [requestOptions] - Timeout and cancellation settings. The timeout starts once the request
+   * is dispatched; an abort rejects the request at once, and a write aborted while queued is never dispatched.
+   * @returns {Promise<object>} - Response data or error
+   */
+  _queueWrite(request, { timeout = this.timeout, signal } = {}) {
+    let dequeued = false;
+    const dequeue = () => {
+      if (dequeued) return;
+      dequeued = true;
+      this._writeQueueDepth--;
+    };
+    // Resolves once it is this write's turn, with the pending bridge response, or null if it was aborted while queued.
+    // The bridge request itself has no timeout or signal, so it settles only when the bridge answers.
+    let dispatched = false;
+    const start = () => {
+      if (signal?.aborted) return null;
+      dispatched = true;
+      return { response: this._send(request, { timeout: 0 }) };
+    };
+    const turn = this._writeQueueDepth === 0
+      ? new Promise(resolve => resolve(start()))
+      : this._writeQueueTail.then(start);
+
+    this._writeQueueDepth++;
+    this._writeQueueTail = turn.then(started => started?.response).then(dequeue, dequeue);
+
+    const result = this._settleRequest(request, () => turn.then(started => started && this._settleRequest(
+      request,
+      () => started.response,
+      { timeout }
+    )), { timeout: 0, signal });
+    result.then(() => this._refreshLiveQueries(request.object), (error) => {
+      // A write aborted while queued stops counting at once; its turn is skipped.
+      if (error instanceof PulsarAbortError && !dispatched) dequeue();
+    });
+
+    return result;
+  }
+
+  /**
+   * Internal method to schedule a re-run of the live queries on an SObject after a write.
+   * @param {string} [objectName] - Name of the SObject that was written.
+   */
+  _refreshLiveQueries(objectName) {
+    if (typeof objectName !== 'string') return;
+    const name = objectName.toLowerCase();
+    for (const liveQuery of this._liveQueries) {
+      if (liveQuery.objectName === name) liveQuery.schedule();
+    }
+  }
+
+  /**
+   * Internal method to subscribe the SDK itself to an event. Internal subscriptions survive
+   * `off()` and `deregisterHandler()` calls that omit the handler.
+   * @param {string} eventName - Name of the event.
+   * @param {function(any, function=): void} handlerFn - Callback invoked with the event data.
+   * @returns {function(): void} A function that removes this subscription.
+   */
+  _onInternal(eventName, handlerFn) {
+    const unsubscribe = this.on(eventName, handlerFn);
+    const subscribers = this._eventSubscribers.get(eventName);
+    subscribers[subscribers.length - 1].internal = true;
+    return unsubscribe;
+  }
+
+  /**
+   * Internal method to remove a single event subscriber, deregistering the native
+   * handler once no subscribers remain.
+   * @param {string} eventName - Name of the event.
+   * @param {object} subscriber - The subscriber entry created by `on()`.
+   */
+  _removeSubscriber(eventName, subscriber) {
+    const subscribers = this._eventSubscribers.get(eventName);
+    const index = subscribers ? subscribers.indexOf(subscriber) : -1;
+    if (index === -1) return;
+
+    subscribers.splice(index, 1);
+    if (subscribers.length === 0) {
+      this._eventSubscribers.delete(eventName);
+      if (this.bridge) this._deregisterNativeHandler(eventName);
+    }
+  }
+
+  /**
+   * Internal method to register the native handler for an event.
+   * Sync-related events are registered through the pulsar object in embedded contexts.
+   * @param {string} eventName - Name of the event.
+   * @param {function} handlerFn - The native handler.
+   */
+  _registerNativeHandler(eventName, handlerFn) {
+    if (this.pulsar && eventName === 'syncDataUpdate') {
+      this.pulsar.addSyncDataUpdateHandler(handlerFn);
+    } else if (this.pulsar && eventName === 'syncDataFinished') {
+      this.pulsar.addSyncFinishedHandler(handlerFn);
+    } else {
+      this.bridge.registerHandler(eventName, handlerFn);
+    }
+  }
+
+  /**
+   * Internal method to deregister the native handler for an event.
+   * Sync-related events are deregistered through the pulsar object in embedded contexts.
+   * @param {string} eventName - Name of the event.
+   */
+  _deregisterNativeHandler(eventName) {
+    if (this.pulsar && eventName === 'syncDataUpdate') {
+      this.pulsar.removeSyncDataUpdateHandler();
+    } else if (this.pulsar && eventName === 'syncDataFinished') {
+      this.pulsar.removeSyncFinishedHandler();
+    } else {
+      this.bridge.deregisterHandler(eventName);
+    }
+  }
+
+  /**
+   * Internal method to reject version-gated requests, events, and options early once
+   * capabilities have been loaded.
+   * @param {string} name - The request type, event, or option name to check.
+   * @param {object} details - Error details (type, object) for the thrown error.
+   * @throws {PulsarUnsupportedError} If `name` has a known requirement the connected Pulsar does not meet.
+   */
+  _assertSupported(name, details) {
+    if (!this.capabilities || !Object.hasOwn(VERSION_REQUIREMENTS, name) || this.supports(name) !== false) return;
+
+    const { minVersion, platforms } = VERSION_REQUIREMENTS[name];
+    const requirement = [
+      platforms && `on ${platforms.join(' or ')}`,
+      minVersion && `Pulsar ${minVersion}+`
+    ].filter(Boolean).join(', ');
+    const found = [this.capabilities.platform, this.capabilities.version && `Pulsar ${this.capabilities.version}`].filter(Boolean).join(', ');
+
+    throw new PulsarUnsupportedError(
+      `'${name}' is unsupported on this Pulsar version. Requires ${requirement}${found ? `; found ${found}` : ''}.`,
+      details
+    );
+  }
+
+  /**
+   * Internal method to check whether Pulsar is in online mode and the device has network access.
+   * @param {RequestOptions} requestOptions - Timeout and cancellation settings for the status requests.
+   * @returns {Promise<boolean>}
+   */
+  async _isConnected(requestOptions) {
+    const [online, network] = await Promise.all([
+      this.getOnlineStatus(requestOptions),
+      this.getNetworkStatus(requestOptions)
+    ]);
+    return online && network?.isConnected === 'TRUE';
+  }
+
+  /**
+   * Internal method to validate the arguments of the SOQL paging methods.
+   * @param {string} method - The SDK method name, used in error messages.
+   * @param {string} query - The SOQL query.
+   * @param {SOQLPagingOptions} options - The options passed to the method.
+   * @returns {{maxRecords: number, requestOptions: RequestOptions}}
+   * @throws {PulsarValidationError} If `query` or `options.maxRecords` is invalid.
+   */
+  _soqlPagingOptions(method, query, options) {
+    const { maxRecords = 50000, ...requestOptions } = options;
+    if (typeof query !== 'string' || !query.trim()) {
+      throw new PulsarValidationError('SOQL query must be a valid string.', { type: 'soqlquery' });
+    }
+    if (!Number.isInteger(maxRecords) || maxRecords < 1) {
+      throw new PulsarValidationError(`${method} requires maxRecords to be a positive integer.`, { type: 'soqlquery' });
+    }
+    return { maxRecords, requestOptions };
+  }
 
-      this.bridge.send(request, (response) => {
-        if (response.type === 'error') {
-          reject(new Error(response.data || 'Unknown Pulsar JSAPI error'));
-        } else {
-          resolve(response.data);
+  /**
+   * Internal method to fetch the batches of a SOQL query until Salesforce reports it is done.
+   * @param {string} query - The SOQL query.
+   * @param {RequestOptions} requestOptions - Timeout and cancellation settings for each batch request.
+   * @returns {AsyncGenerator<SOQLQueryResult>}
+   * @throws {PulsarValidationError} If a further batch is needed and the query cannot be continued.
+   */
+  async *_soqlPages(query, requestOptions) {
+    const parts = soqlParts(query.trim());
+    const aggregate = parts.some(part => part.keyword === 'GROUP BY')
+      || /\b(COUNT|COUNT_DISTINCT|SUM|AVG|MIN|MAX)\s*\(/i.test(parts[0].text);
+    const ordered = parts.some(part => part.keyword === 'ORDER BY');
+    const limit = soqlNumber(parts, 'LIMIT');
+    const details = { type: 'soqlquery' };
+    let request = aggregate || ordered ? query : soqlPage(parts, { orderById: true });
+    let fetched = 0;
+
+    for (;;) {
+      const result = await this.soqlQuery(request, requestOptions);
+      const page = Array.isArray(result)
+        ? { totalSize: result.length, done: true, records: result }
+        : { ...result, done: result?.done !== false, records: result?.records ?? [] };
+      yield page;
+
+      fetched += page.records.length;
+      if (page.done || page.records.length === 0 || (limit !== null && fetched >= limit)) return;
+      const remaining = limit === null ? undefined : limit - fetched;
+
+      if (aggregate) {
+        throw new PulsarValidationError('Cannot fetch further batches of an aggregate SOQL query.', details);
+      }
+      if (ordered) {
+        if ((soqlNumber(parts, 'OFFSET') ?? 0) + fetched > SOQL_MAX_OFFSET) {
+          throw new PulsarValidationError(
+            `Cannot fetch records past OFFSET ${SOQL_MAX_OFFSET} of a SOQL query with ORDER BY. Remove ORDER BY to page by Id.`,
+            details
+          );
         }
-      });
+        request = soqlPage(parts, { offset: fetched, limit: remaining });
+      } else {
+        const lastId = page.records.at(-1).Id;
+        if (!lastId) {
+          throw new PulsarValidationError('The SOQL query must select Id to fetch further batches.', details);
+        }
+        request = soqlPage(parts, { orderById: true, afterId: lastId, limit: remaining });
+      }
+    }
+  }
+
+  /**
+   * Internal method to iterate over the records of a SOQL query, across batches.
+   * @param {string} query - The SOQL query.
+   * @param {number} maxRecords - Stop after this many records.
+   * @param {RequestOptions} requestOptions - Timeout and cancellation settings for each batch request.
+   * @returns {AsyncGenerator<object>}
+   */
+  async *_soqlRecords(query, maxRecords, requestOptions) {
+    let count = 0;
+    for await (const page of this._soqlPages(query, requestOptions)) {
+      for (const record of page.records) {
+        if (count++ >= maxRecords) return;
+        yield record;
+      }
+    }
+  }
+
+  /**
+   * Internal method to create a schema lookup for translating a SOQL query. Each schema is requested
+   * once and indexed by lower-cased field name and relationship name, as SOQL names are case-insensitive.
+   * @param {RequestOptions} requestOptions - Timeout and cancellation settings for the schema requests.
+   * @returns {function(string): Promise<{fields: Map<string, object>, relationships: Map<string, object>}>}
+   */
+  _soqlSchemas(requestOptions) {
+    const schemas = new Map();
+    return (objectName) => {
+      if (!schemas.has(objectName)) {
+        schemas.set(objectName, this.getSObjectSchema(objectName, requestOptions).then(schema => {
+          const fields = new Map();
+          const relationships = new Map();
+          for (const field of Object.values(schema?.fields ?? {})) {
+            fields.set(field.name.toLowerCase(), field);
+            if (field.relationshipName) relationships.set(field.relationshipName.toLowerCase(), field);
+          }
+          return { fields, relationships };
+        }));
+      }
+      return schemas.get(objectName);
+    };
+  }
+
+  /**
+   * Internal method to resolve a SOQL field path to the relationships it traverses and the field it ends on.
+   * @param {string} objectName - The SObject the path starts from.
+   * @param {string[]} path - The path segments (e.g., ['Account', 'Owner', 'Name']).
+   * @param {function(string): Promise<object>} schemas - Schema lookup from `_soqlSchemas()`.
+   * @returns {Promise<{hops: {name: string, field: string, object: string}[], field: object}>}
+   * @throws {PulsarValidationError} If a relationship or field does not exist.
+   */
+  async _resolveSoqlPath(objectName, path, schemas) {
+    const hops = [];
+    let current = objectName;
+    let segments = path;
+
+    // SOQL allows fields to be qualified with the queried SObject name
+    if (segments.length > 1 && segments[0].toLowerCase() === objectName.toLowerCase()
+      && !(await schemas(objectName)).relationships.has(segments[0].toLowerCase())) {
+      segments = segments.slice(1);
+    }
+
+    for (const name of segments.slice(0, -1)) {
+      const relationship = (await schemas(current)).relationships.get(name.toLowerCase());
+      const target = relationship?.referenceTo?.[0];
+      if (!target) {
+        throw new PulsarValidationError(`offlineSoql found no relationship '${name}' on ${current}.`, { type: 'select', object: objectName });
+      }
+      hops.push({ name: relationship.relationshipName, field: relationship.name, object: target });
+      current = target;
+    }
+
+    const field = (await schemas(current)).fields.get(segments.at(-1).toLowerCase());
+    if (!field) {
+      throw new PulsarValidationError(`offlineSoql found no field '${segments.at(-1)}' on ${current}.`, { type: 'select', object: objectName });
+    }
+    return { hops, field };
+  }
+
+  /**
+   * Internal method to translate a parsed SOQL WHERE expression to SQLite. Conditions on parent
+   * relationship fields become `IN` sub-selects on the parent SObject.
+   * @param {string} objectName - The SObject the expression applies to.
+   * @param {object} node - The parsed expression.
+   * @param {function(string): Promise<object>} schemas - Schema lookup from `_soqlSchemas()`.
+   * @param {any[]} params - Receives the values for the `?` placeholders, in order.
+   * @returns {Promise<string>}
+   */
+  async _soqlCondition(objectName, node, schemas, params) {
+    if (node.kind === 'and' || node.kind === 'or') {
+      const left = await this._soqlCondition(objectName, node.left, schemas, params);
+      const right = await this._soqlCondition(objectName, node.right, schemas, params);
+      return `(${left} ${node.kind.toUpperCase()} ${right})`;
+    }
+    if (node.kind === 'not') {
+      return `NOT ${await this._soqlCondition(objectName, node.operand, schemas, params)}`;
+    }
+
+    const { hops, field } = await this._resolveSoqlPath(objectName, node.path, schemas);
+    const { negated, sql } = soqlPredicate(field, node.operator, node.value, params);
+    const condition = hops.reduceRight(
+      (inner, hop) => `(${hop.field} IS NOT NULL AND ${hop.field} IN (SELECT Id FROM ${hop.object} WHERE ${inner}))`,
+      sql
+    );
+    return negated ? `NOT ${condition}` : condition;
+  }
+
+  /**
+   * Internal method to convert local rows to SOQL-shaped records, loading the parent records of
+   * relationship fields with one `select()` per relationship.
+   * @param {object} node - The fields and relationships selected from this SObject.
+   * @param {object[]} rows - Rows as returned by `select()`.
+   * @param {RequestOptions} requestOptions - Timeout and cancellation settings for the parent queries.
+   * @returns {Promise<object[]>}
+   */
+  async _soqlShape(node, rows, requestOptions) {
+    const parents = new Map();
+    for (const [name, relation] of node.relations) {
+      const ids = [...new Set(rows.map(row => row[relation.field]).filter(Boolean))];
+      const parentRows = ids.length
+        ? await this.select(
+          relation.node.object,
+          `SELECT ${soqlColumns(relation.node, true)} FROM ${relation.node.object} WHERE Id IN (?)`,
+          [ids],
+          requestOptions
+        )
+        : [];
+      const records = await this._soqlShape(relation.node, parentRows, requestOptions);
+      parents.set(name, new Map(parentRows.map((row, index) => [row.Id, records[index]])));
+    }
+
+    return rows.map(row => {
+      const record = { attributes: { type: node.object } };
+      for (const [name, type] of node.fields) {
+        record[name] = toSoqlValue(row[name], type);
+      }
+      for (const [name, relation] of node.relations) {
+        record[name] = parents.get(name).get(row[relation.field]) ?? null;
+      }
+      return record;
+    });
+  }
+
+  /**
+   * Internal method to validate the arguments of `createBatch()` and `updateBatch()`.
+   * @param {string} method - The SDK method name, used in error messages.
+   * @param {string} objectName - Name of the SObject.
+   * @param {object[]} records - The records.
+   * @param {string} type - The JSAPI request type each record is written with.
+   * @throws {PulsarValidationError} If `objectName` is not a string or `records` is not a non-empty array of objects.
+   */
+  _checkRecordBatch(method, objectName, records, type) {
+    if (!objectName || typeof objectName !== 'string') {
+      throw new PulsarValidationError(`${method} requires a valid objectName string.`, { type, object: objectName });
+    }
+    if (!Array.isArray(records) || records.length === 0 || !records.every(record => typeof record === 'object' && record !== null && !Array.isArray(record))) {
+      throw new PulsarValidationError(`${method} requires a non-empty array of record objects.`, { type, object: objectName });
+    }
+  }
+
+  /**
+   * Internal method to write the records of a batch one at a time and collect a result for each.
+   * @param {object[]} records - The records.
+   * @param {RecordBatchOptions} options - The batch options.
+   * @param {function(object, RecordRequestOptions, number): Promise<string>} write - Writes one record, given its index, and resolves to its Id.
+   * @returns {Promise<RecordBatchResponse>}
+   */
+  async _runRecordBatch(records, options, write) {
+    const { stopOnError = false, ...requestOptions } = options;
+    const results = {};
+    let stopReason = null;
+
+    for (const [index, record] of records.entries()) {
+      if (stopReason) {
+        results[index] = { objectId: record.Id ?? '', success: 'FALSE', error: stopReason };
+        continue;
+      }
+      try {
+        const objectId = await write(record, requestOptions, index);
+        results[index] = { objectId: objectId ?? record.Id ?? '', success: 'TRUE', error: '' };
+      } catch (error) {
+        results[index] = { objectId: record.Id ?? '', success: 'FALSE', error: error.message };
+        if (error instanceof PulsarAbortError) {
+          stopReason = 'Not attempted because the batch was cancelled.';
+        } else if (stopOnError) {
+          stopReason = 'Not attempted because an earlier record failed.';
+        }
+      }
+    }
+
+    const success = Object.values(results).every(result => result.success === 'TRUE');
+    return { summary: { success: success ? 'TRUE' : 'FALSE' }, results };
+  }
+
+  /**
+   * Internal method to look up the relationships named in the `include` option of `read()`.
+   * @param {string} objectName - Name of the SObject being read.
+   * @param {string[]} include - Parent and child relationship names, matched case-insensitively.
+   * @param {RequestOptions} requestOptions - Timeout and cancellation settings for the schema request.
+   * @returns {Promise<Array<{name: string, field?: Field, child?: object}>>} Each relationship with its reference field (parents) or child relationship.
+   * @throws {PulsarValidationError} If `include` is not an array of names, or a name is not a relationship of the SObject.
+   */
+  async _includedRelationships(objectName, include, requestOptions) {
+    if (!Array.isArray(include) || include.some(name => typeof name !== 'string' || !name)) {
+      throw new PulsarValidationError('read requires include to be an array of relationship names.', { type: 'read', object: objectName });
+    }
+    const schema = await this.getSObjectSchema(objectName, requestOptions);
+    const fields = Object.values(schema.fields ?? {});
+
+    return include.map(name => {
+      const lower = name.toLowerCase();
+      const field = fields.find(candidate => candidate.relationshipName?.toLowerCase() === lower);
+      if (field) {
+        return { name: field.relationshipName, field };
+      }
+      const child = (schema.childRelationships ?? []).find(candidate => candidate.relationshipName?.toLowerCase() === lower);
+      if (child) {
+        return { name: child.relationshipName, child };
+      }
+      throw new PulsarValidationError(`read found no relationship '${name}' on ${objectName}.`, { type: 'read', object: objectName });
     });
   }
 
+  /**
+   * Internal method to load and attach related records for the `include` option of `read()`.
+   * Parent Ids are grouped by SObject and child relationships by child SObject, so each related
+   * SObject is fetched with a single `select()`.
+   * @param {object[]} records - The records that were read.
+   * @param {Array<{name: string, field?: Field, child?: object}>} relationships - From `_includedRelationships()`.
+   * @param {RecordRequestOptions} requestOptions - Typed mode, timeout and cancellation settings for the selects.
+   * @returns {Promise<object[]>} The records, with related records attached under the relationship names.
+   */
+  async _attachRelated(records, relationships, requestOptions) {
+    if (!records.length) {
+      return records;
+    }
+
+    // Parent Ids per SObject, and the SObject each record's reference points to.
+    const parentIds = new Map();
+    const parentTypes = new Map();
+    // Reference fields per child SObject.
+    const childFields = new Map();
+
+    for (const { name, field, child } of relationships) {
+      if (child) {
+        if (!childFields.has(child.childSObject)) {
+          childFields.set(child.childSObject, new Set());
+        }
+        childFields.get(child.childSObject).add(child.field);
+        continue;
+      }
+      const types = [];
+      for (const record of records) {
+        const id = record[field.name];
+        const type = id ? await this._referenceType(record, field, requestOptions) : null;
+        types.push(type);
+        if (type) {
+          if (!parentIds.has(type)) {
+            parentIds.set(type, new Set());
+          }
+          parentIds.get(type).add(id);
+        }
+      }
+      parentTypes.set(name, types);
+    }
+
+    const ids = records.map(record => record.Id).filter(Boolean);
+    const [parents, children] = await Promise.all([
+      Promise.all([...parentIds].map(async ([type, typeIds]) => {
+        const rows = await this.select(type, `SELECT * FROM ${type} WHERE Id IN (?)`, [[...typeIds]], requestOptions);
+        return [type, new Map(rows.map(row => [row.Id, row]))];
+      })),
+      Promise.all([...childFields].map(async ([type, typeFields]) => {
+        const conditions = [...typeFields].map(name => `${name} IN (?)`).join(' OR ');
+        const rows = await this.select(type, `SELECT * FROM ${type} WHERE ${conditions}`, [...typeFields].map(() => ids), requestOptions);
+        return [type, rows];
+      }))
+    ]);
+    const parentsByType = new Map(parents);
+    const childrenByType = new Map(children);
+
+    for (const { name, field, child } of relationships) {
+      if (child) {
+        const byParent = new Map();
+        for (const row of childrenByType.get(child.childSObject)) {
+          const parentId = row[child.field];
+          if (!byParent.has(parentId)) {
+            byParent.set(parentId, []);
+          }
+          byParent.get(parentId).push(row);
+        }
+        records.forEach(record => { record[name] = byParent.get(record.Id) ?? []; });
+      } else {
+        const types = parentTypes.get(name);
+        records.forEach((record, index) => {
+          record[name] = types[index] ? parentsByType.get(types[index]).get(record[field.name]) ?? null : null;
+        });
+      }
+    }
+    return records;
+  }
+
+  /**
+   * Internal method to determine the SObject a reference field points to for a record.
+   * Polymorphic references (e.g., WhatId, WhoId) use the type of a related record on the record when
+   * present, then the key prefix of the referenced Id, and otherwise fall back to the first SObject in `referenceTo`.
+   * @param {object} record - The record holding the reference.
+   * @param {Field} field - The reference field's schema.
+   * @param {RequestOptions} [requestOptions] - Timeout and cancellation settings for schema requests.
+   * @returns {Promise<string|null>} The referenced SObject name, or null if it cannot be determined.
+   */
+  async _referenceType(record, field, requestOptions) {
+    if (!Array.isArray(field.referenceTo)) {
+      return null;
+    }
+    if (field.referenceTo.length === 1) {
+      return field.referenceTo[0];
+    }
+    const hint = record?.[field.name + '__r']?.attributes?.type || record?.[field.name]?.attributes?.type;
+    if (hint) {
+      return hint;
+    }
+    const id = record?.[field.name];
+    if (typeof id === 'string' && id.length >= 3) {
+      const type = await this.sObjectTypeForId(id, field.referenceTo, requestOptions);
+      if (field.referenceTo.includes(type)) {
+        return type;
+      }
+    }
+    return field.referenceTo[0] || null;
+  }
+
+  /**
+   * Internal method to record the key prefix of an SObject from its schema, for `sObjectTypeForId()`.
+   * @param {string} objectName - Name of the SObject.
+   * @param {DescribeSObjectResult} [schema] - The SObject's schema.
+   */
+  _rememberKeyPrefix(objectName, schema) {
+    this._describedForKeyPrefix.add(objectName);
+    if (typeof schema?.keyPrefix === 'string' && schema.keyPrefix) {
+      this._keyPrefixes.set(schema.keyPrefix, schema.name || objectName);
+    }
+  }
+
+  /**
+   * Internal method to look up the schema field types for an SObject.
+   * @param {string} objectName - Name of the SObject.
+   * @param {RequestOptions} [requestOptions] - Timeout and cancellation settings for the schema request.
+   * @returns {Promise<Map<string, string>>} Field types keyed by field name, plus lower-cased field name.
+   */
+  async _fieldTypes(objectName, requestOptions) {
+    const schema = await this.getSObjectSchema(objectName, requestOptions);
+    const types = new Map();
+    for (const field of Object.values(schema?.fields ?? {})) {
+      types.set(field.name, field.type);
+      // SQLite column names are case-insensitive
+      if (!types.has(field.name.toLowerCase())) types.set(field.name.toLowerCase(), field.type);
+    }
+    return types;
+  }
+
+  /**
+   * Internal method to convert Pulsar string values in records to JavaScript values.
+   * @param {string} objectName - Name of the SObject the records belong to.
+   * @param {object[]} records - Records as returned by Pulsar.
+   * @param {RequestOptions} [requestOptions] - Timeout and cancellation settings for the schema request.
+   * @returns {Promise<object[]>}
+   */
+  async _toTypedRecords(objectName, records, requestOptions) {
+    if (!Array.isArray(records)) return records;
+    const types = await this._fieldTypes(objectName, requestOptions);
+
+    return records.map(record => Object.fromEntries(Object.entries(record).map(([name, value]) => [
+      name,
+      fromPulsarValue(value, types.get(name) ?? types.get(name.toLowerCase()))
+    ])));
+  }
+
+  /**
+   * Internal method to convert JavaScript field values to Pulsar's string format.
+   * @param {string} objectName - Name of the SObject the fields belong to.
+   * @param {object} fields - Field values to convert.
+   * @param {RequestOptions} [requestOptions] - Timeout and cancellation settings for the schema request.
+   * @returns {Promise<object>}
+   */
+  async _toPulsarFields(objectName, fields, requestOptions) {
+    if (typeof fields !== 'object' || fields === null) return fields;
+    const types = await this._fieldTypes(objectName, requestOptions);
+
+    return Object.fromEntries(Object.entries(fields).map(([name, value]) => [
+      name,
+      toPulsarValue(value, types.get(name) ?? types.get(name.toLowerCase()))
+    ]));
+  }
+
+  /**
+   * Internal method to check record values in Pulsar's string format against the SObject schema.
+   * @param {'create'|'update'} operation - The write the values are for.
+   * @param {string} objectName - Name of the SObject.
+   * @param {object} fields - Fields and values to check.
+   * @param {RequestOptions} [requestOptions] - Timeout and cancellation settings for the schema request.
+   * @returns {Promise<FieldError[]>}
+   */
+  async _fieldErrors(operation, objectName, fields, requestOptions) {
+    const schema = await this.getSObjectSchema(objectName, requestOptions);
+    const schemaFields = new Map(Object.values(schema?.fields ?? {}).map(field => [field.name.toLowerCase(), field]));
+    const flag = operation === 'create' ? 'createable' : 'updateable';
+    const isBlank = value => value === null || value === undefined || value === '';
+    // Booleans are never nillable but default to false, so they are never missing.
+    const isRequired = field => field.nillable === false && !field.defaultedOnCreate && field.type !== 'boolean' && field.type !== 'id';
+    const required = field => ({ field: field.name, code: 'REQUIRED_FIELD_MISSING', message: `${field.name} is required.` });
+    const errors = [];
+
+    for (const [name, value] of Object.entries(fields)) {
+      if (name === 'attributes' || (operation === 'update' && name.toLowerCase() === 'id')) continue;
+      const field = schemaFields.get(name.toLowerCase());
+      if (!field) {
+        errors.push({ field: name, code: 'INVALID_FIELD', message: `${objectName} has no field ${name}.` });
+      } else if (field[flag] === false) {
+        errors.push({ field: field.name, code: 'INVALID_FIELD_FOR_INSERT_UPDATE', message: `${field.name} cannot be ${operation === 'create' ? 'set when creating a record' : 'updated'}.` });
+      } else if (isBlank(value)) {
+        if (isRequired(field)) errors.push(required(field));
+      } else {
+        const error = fieldValueError(field, value);
+        if (error) errors.push({ field: field.name, ...error });
+      }
+    }
+
+    if (operation === 'create') {
+      const provided = new Set(Object.keys(fields).map(name => name.toLowerCase()));
+      for (const field of schemaFields.values()) {
+        if (field.createable !== false && isRequired(field) && !provided.has(field.name.toLowerCase())) {
+          errors.push(required(field));
+        }
+      }
+    }
+    return errors;
+  }
+
+  /**
+   * Internal method to reject a write whose values do not fit the SObject schema.
+   * @param {'create'|'update'} type - The request type.
+   * @param {string} objectName - Name of the SObject.
+   * @param {object} fields - Fields and values in Pulsar's string format.
+   * @param {RequestOptions} [requestOptions] - Timeout and cancellation settings for the schema request.
+   * @returns {Promise<void>}
+   * @throws {PulsarValidationError} If any field has a problem, with the problems in `fieldErrors`.
+   */
+  async _checkFieldValues(type, objectName, fields, requestOptions) {
+    const fieldErrors = await this._fieldErrors(type, objectName, fields, requestOptions);
+    if (fieldErrors.length === 0) return;
+
+    const names = [...new Set(fieldErrors.map(error => error.field))];
+    throw new PulsarValidationError(
+      `${type} found invalid ${objectName} field${names.length === 1 ? '' : 's'}: ${names.join(', ')}.`,
+      { type, object: objectName, fieldErrors }
+    );
+  }
+
   /**
    * Internal method to evaluate if an argument is true or not.
    * @param {any} value The value to interpret.
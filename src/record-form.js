@@ -0,0 +1,475 @@
+import { PulsarValidationError } from './pulsar.js';
+
+/**
+ * A `<pulsar-record-form>` custom element that renders a Salesforce edit layout as a form and saves it.
+ *
+ * Sections, field order, labels, required flags and editability come from the edit layout returned by
+ * `getLayout()`; field types come from `getSObjectSchema()` and picklist options from `getPicklist()`.
+ * Saving calls `create()` or `update()` with `validate: true`, so values that do not fit the schema are
+ * shown next to their fields instead of being sent to Pulsar.
+ *
+ * The form renders into its own light DOM, so the app's stylesheet applies to it. Each section is a
+ * `fieldset.pulsar-section` and each field a `div.pulsar-field` with a `data-field` attribute.
+ *
+ * @example
+ * import { Pulsar } from './pulsar.js';
+ * import './record-form.js';
+ *
+ * const form = document.querySelector('pulsar-record-form'); // <pulsar-record-form object="Account" record-id="001..." mode="edit">
+ * form.pulsar = pulsar;
+ * form.addEventListener('save', event => console.log('Saved', event.detail.id));
+ */
+export class PulsarRecordForm extends HTMLElement {
+  static observedAttributes = ['object', 'record-id', 'record-type-id', 'mode'];
+
+  constructor() {
+    super();
+    this._pulsar = null;
+    this._loadId = 0;
+    this._loadScheduled = false;
+    this._record = null;
+    this._fields = [];
+    /** @type {Promise<void>} Settles when the most recent load has finished. */
+    this.ready = Promise.resolve();
+  }
+
+  /**
+   * The Pulsar instance used to load and save the record. The form loads once this is set and the
+   * element is connected.
+   * @type {import('./pulsar.js').Pulsar}
+   */
+  get pulsar() {
+    return this._pulsar;
+  }
+
+  set pulsar(pulsar) {
+    this._pulsar = pulsar;
+    this._scheduleLoad();
+  }
+
+  /** @type {string} The SObject name, from the `object` attribute. */
+  get objectName() {
+    return this.getAttribute('object');
+  }
+
+  set objectName(value) {
+    this.setAttribute('object', value);
+  }
+
+  /** @type {string|null} The Id of the record to edit, from the `record-id` attribute. */
+  get recordId() {
+    return this.getAttribute('record-id');
+  }
+
+  set recordId(value) {
+    if (value) this.setAttribute('record-id', value);
+    else this.removeAttribute('record-id');
+  }
+
+  /**
+   * 'edit' to update the record in `record-id`, or 'new' to create a record. Defaults to 'edit' when
+   * `record-id` is set and 'new' otherwise.
+   * @type {'new'|'edit'}
+   */
+  get mode() {
+    const mode = this.getAttribute('mode');
+    if (mode === 'new' || mode === 'edit') return mode;
+    return this.recordId ? 'edit' : 'new';
+  }
+
+  set mode(value) {
+    this.setAttribute('mode', value);
+  }
+
+  /** @type {object|null} The record as it was loaded, in Pulsar's string format. Null in 'new' mode. */
+  get record() {
+    return this._record;
+  }
+
+  connectedCallback() {
+    this._scheduleLoad();
+  }
+
+  attributeChangedCallback(name, oldValue, newValue) {
+    if (oldValue !== newValue) this._scheduleLoad();
+  }
+
+  /**
+   * Loads the layout, schema, picklists and record, and renders the form. Called automatically when the
+   * element is connected and whenever `pulsar` or an observed attribute changes.
+   *
+   * Dispatches `load` when the form is rendered, or `error` with the error in `detail.error` if it could not be loaded.
+   * @returns {Promise<void>}
+   */
+  load() {
+    const loadId = ++this._loadId;
+    this.ready = this._load(loadId).catch(error => {
+      if (loadId !== this._loadId) return;
+      this.replaceChildren(formError(error.message));
+      this.dispatchEvent(new CustomEvent('error', { detail: { error } }));
+    });
+    return this.ready;
+  }
+
+  /**
+   * Returns the values of the editable fields in Pulsar's string format.
+   * @returns {object}
+   */
+  getValues() {
+    return Object.fromEntries(this._fields.filter(field => field.editable).map(field => [field.name, readInput(field)]));
+  }
+
+  /**
+   * Saves the form. Required layout fields are checked first; the values are then written with `create()`
+   * in 'new' mode or, for changed fields only, `update()` in 'edit' mode. After a record is created the
+   * form switches to editing it.
+   *
+   * Dispatches `save` with `{ id, mode, fields }` on success. Field problems are shown next to their fields;
+   * other failures are shown above the form and dispatch `error`.
+   * @returns {Promise<string|null>} The record Id, or null if the form was not saved.
+   */
+  async save() {
+    const { pulsar, objectName, mode } = this;
+    this._clearErrors();
+
+    const values = this.getValues();
+    const missing = this._fields.filter(field => field.editable && field.required && values[field.name] === '');
+    if (missing.length > 0) {
+      missing.forEach(field => this._showFieldError(field.name, `${field.label} is required.`));
+      return null;
+    }
+
+    const fields = mode === 'new'
+      ? values
+      : Object.fromEntries(Object.entries(values).filter(([name, value]) => value !== (this._record?.[name] ?? '')));
+
+    let id;
+    try {
+      if (mode === 'new') {
+        id = await pulsar.create(objectName, fields, {}, { validate: true });
+      } else if (Object.keys(fields).length > 0) {
+        id = await pulsar.update(objectName, this.recordId, fields, {}, { validate: true });
+      } else {
+        id = this.recordId;
+      }
+    } catch (error) {
+      if (error instanceof PulsarValidationError && error.fieldErrors) {
+        error.fieldErrors.forEach(fieldError => this._showFieldError(fieldError.field, fieldError.message));
+      } else {
+        this.prepend(formError(error.message));
+        this.dispatchEvent(new CustomEvent('error', { detail: { error } }));
+      }
+      return null;
+    }
+
+    this.dispatchEvent(new CustomEvent('save', { detail: { id, mode, fields } }));
+    if (mode === 'new') {
+      this.recordId = id;
+      if (this.hasAttribute('mode')) this.mode = 'edit';
+    } else {
+      this._record = { ...this._record, ...fields };
+    }
+    return id;
+  }
+
+  /**
+   * Internal method to load the form once the current task has finished setting attributes.
+   */
+  _scheduleLoad() {
+    if (this._loadScheduled) return;
+    this._loadScheduled = true;
+    queueMicrotask(() => {
+      this._loadScheduled = false;
+      if (this.isConnected && this._pulsar && this.objectName) this.load();
+    });
+  }
+
+  /**
+   * Internal method to fetch the metadata and record and render the form.
+   * @param {number} loadId - Identifies this load, so a superseded load does not render.
+   */
+  async _load(loadId) {
+    const { pulsar, objectName, mode, recordId } = this;
+    const [record] = mode === 'edit' ? await pulsar.read(objectName, { Id: recordId }) : [null];
+    if (mode === 'edit' && !record) {
+      throw new Error(`No ${objectName} record found with Id ${recordId}.`);
+    }
+
+    const recordTypeId = this.getAttribute('record-type-id') || record?.RecordTypeId || undefined;
+    const [layout, schema] = await Promise.all([
+      pulsar.getLayout(objectName, recordTypeId),
+      pulsar.getSObjectSchema(objectName)
+    ]);
+    const schemaFields = new Map(Object.values(schema?.fields ?? {}).map(field => [field.name, field]));
+
+    const sections = (layout.editLayoutSections ?? []).map(section => ({
+      heading: isTrue(section.useHeading) ? section.heading : '',
+      fields: layoutSectionFields(section, schemaFields, mode === 'new' ? 'editableForNew' : 'editableForUpdate')
+    }));
+    const fields = sections.flatMap(section => section.fields);
+
+    await Promise.all(fields.filter(field => field.type === 'picklist' || field.type === 'multipicklist').map(async (field) => {
+      const { itemIds = [], itemLabels = [] } = await pulsar.getPicklist(objectName, field.name, recordTypeId) ?? {};
+      field.options = itemIds.map((value, index) => ({ value, label: itemLabels[index] ?? value }));
+    }));
+    if (loadId !== this._loadId) return;
+
+    this._record = record;
+    this._fields = fields;
+    this._render(sections, record ?? {});
+    this.dispatchEvent(new CustomEvent('load', { detail: { record, mode } }));
+  }
+
+  /**
+   * Internal method to replace the element's content with the form.
+   * @param {{heading: string, fields: object[]}[]} sections - The sections to render.
+   * @param {object} record - The values to show.
+   */
+  _render(sections, record) {
+    const form = document.createElement('form');
+    form.noValidate = true;
+    form.addEventListener('submit', (event) => {
+      event.preventDefault();
+      this.save();
+    });
+
+    for (const section of sections) {
+      const fieldset = document.createElement('fieldset');
+      fieldset.className = 'pulsar-section';
+      if (section.heading) {
+        const legend = document.createElement('legend');
+        legend.textContent = section.heading;
+        fieldset.append(legend);
+      }
+      for (const field of section.fields) {
+        fieldset.append(renderField(field, record[field.name] ?? ''));
+      }
+      form.append(fieldset);
+    }
+
+    const button = document.createElement('button');
+    button.type = 'submit';
+    button.textContent = 'Save';
+    form.append(button);
+    this.replaceChildren(form);
+  }
+
+  /**
+   * Internal method to show a problem below a field, or above the form if the field is not on it.
+   * @param {string} name - The field name.
+   * @param {string} message - The problem.
+   */
+  _showFieldError(name, message) {
+    const container = this.querySelector(`.pulsar-field[data-field="${name}"]`);
+    if (!container) {
+      this.prepend(formError(message));
+      return;
+    }
+    container.classList.add('pulsar-field-invalid');
+    container.querySelector('[name]')?.setAttribute('aria-invalid', 'true');
+    const error = document.createElement('div');
+    error.className = 'pulsar-field-error';
+    error.textContent = message;
+    container.append(error);
+  }
+
+  /**
+   * Internal method to remove the problems shown by an earlier save.
+   */
+  _clearErrors() {
+    this.querySelectorAll('.pulsar-field-error, .pulsar-form-error').forEach(node => node.remove());
+    this.querySelectorAll('.pulsar-field-invalid').forEach(node => node.classList.remove('pulsar-field-invalid'));
+    this.querySelectorAll('[aria-invalid]').forEach(node => node.removeAttribute('aria-invalid'));
+  }
+}
+
+/**
+ * Layout flags arrive as booleans or, from older Pulsar versions, as "TRUE"/"FALSE" strings.
+ * @param {any} value
+ * @returns {boolean}
+ */
+function isTrue(value) {
+  return value === true || (typeof value === 'string' && value.toUpperCase() === 'TRUE');
+}
+
+/**
+ * Whether a stored boolean field value is true. Pulsar stores true as "TRUE" or "1".
+ * @param {string} value
+ * @returns {boolean}
+ */
+function isChecked(value) {
+  return isTrue(value) || value === '1';
+}
+
+/**
+ * Collects the fields of a layout section in tab order. Compound fields such as addresses are split
+ * into their component fields; placeholders and non-field components are skipped.
+ *
+ * A section `tabOrder` of `LeftToRight` orders fields row by row and `TopToBottom` column by column.
+ * Sections without one fall back to the components' own `tabOrder`.
+ * @param {object} section - A DescribeLayoutSection.
+ * @param {Map<string, object>} schemaFields - Schema fields by name.
+ * @param {'editableForNew'|'editableForUpdate'} editableFlag - The layout flag that makes a field editable.
+ * @returns {object[]}
+ */
+export function layoutSectionFields(section, schemaFields, editableFlag) {
+  const entries = [];
+  (section.layoutRows ?? []).forEach((row, rowIndex) => {
+    (row.layoutItems ?? []).forEach((item, columnIndex) => {
+      if (isTrue(item.placeholder)) return;
+      for (const component of item.layoutComponents ?? []) {
+        const parts = component.components?.length ? component.components : [component];
+        for (const part of parts.filter(entry => entry.type === 'Field' && entry.value)) {
+          const schemaField = schemaFields.get(part.value);
+          const field = {
+            name: part.value,
+            label: parts.length > 1 ? schemaField?.label ?? part.value : item.label || schemaField?.label || part.value,
+            type: schemaField?.type ?? 'string',
+            length: schemaField?.length,
+            required: isTrue(item.required),
+            editable: isTrue(item[editableFlag]),
+            displayLines: Number(part.displayLines ?? component.displayLines ?? 1),
+            tabOrder: Number(part.tabOrder ?? component.tabOrder ?? 0),
+            options: []
+          };
+          entries.push({ field, row: rowIndex, column: columnIndex });
+        }
+      }
+    });
+  });
+
+  // Array.prototype.sort is stable, so the parts of a compound field keep their order.
+  const compare = {
+    LeftToRight: (a, b) => a.row - b.row || a.column - b.column,
+    TopToBottom: (a, b) => a.column - b.column || a.row - b.row
+  }[section.tabOrder] ?? ((a, b) => a.field.tabOrder - b.field.tabOrder);
+  return entries.sort(compare).map(entry => entry.field);
+}
+
+let fieldCount = 0;
+
+const INPUT_TYPES = {
+  int: 'number',
+  long: 'number',
+  double: 'number',
+  currency: 'number',
+  percent: 'number',
+  date: 'date',
+  datetime: 'datetime-local',
+  email: 'email',
+  phone: 'tel',
+  url: 'url'
+};
+
+/**
+ * Creates the label and input for a field.
+ * @param {object} field - The field from `layoutSectionFields()`.
+ * @param {string} value - The value in Pulsar's string format.
+ * @returns {HTMLElement}
+ */
+function renderField(field, value) {
+  const id = `pulsar-field-${++fieldCount}`;
+  let input;
+
+  if (field.type === 'picklist' || field.type === 'multipicklist') {
+    input = document.createElement('select');
+    const multiple = field.type === 'multipicklist';
+    input.multiple = multiple;
+    if (multiple) {
+      input.size = Math.max(field.displayLines, 4);
+    } else {
+      input.append(new Option('--None--', ''));
+    }
+    const selected = multiple ? value.split(';') : [value];
+    // Keep stored values getPicklist() does not offer (inactive, another record type, dependent
+    // lists), so saving another field does not clear them.
+    const offered = new Set(field.options.map(option => option.value));
+    const missing = selected.filter(entry => entry && !offered.has(entry)).map(entry => ({ value: entry, label: entry }));
+    for (const option of [...field.options, ...missing]) {
+      input.append(new Option(option.label, option.value, false, selected.includes(option.value)));
+    }
+    if (!multiple) input.value = value;
+  } else if (field.type === 'textarea') {
+    input = document.createElement('textarea');
+    input.rows = Math.max(field.displayLines, 2);
+    input.value = value;
+  } else {
+    input = document.createElement('input');
+    if (field.type === 'boolean') {
+      input.type = 'checkbox';
+      input.checked = isChecked(value);
+    } else {
+      input.type = INPUT_TYPES[field.type] ?? 'text';
+      if (field.type === 'double' || field.type === 'currency' || field.type === 'percent') input.step = 'any';
+      input.value = field.type === 'datetime' ? toLocalDateTime(value) : value;
+    }
+  }
+
+  input.id = id;
+  input.name = field.name;
+  input.disabled = !field.editable;
+  input.required = field.required && field.editable;
+  if (field.length > 0 && 'maxLength' in input && field.type !== 'boolean') input.maxLength = field.length;
+
+  const label = document.createElement('label');
+  label.htmlFor = id;
+  label.textContent = field.label;
+
+  const container = document.createElement('div');
+  container.className = 'pulsar-field';
+  container.dataset.field = field.name;
+  container.append(label, input);
+  field.input = input;
+  field.initialValue = value;
+  return container;
+}
+
+/**
+ * Reads a field's input as a value in Pulsar's string format.
+ * @param {object} field - A rendered field.
+ * @returns {string}
+ */
+function readInput(field) {
+  const { input } = field;
+  if (field.type === 'boolean') {
+    // Pulsar stores booleans as "TRUE" or "1"; an untouched checkbox keeps the stored form.
+    if (field.initialValue && input.checked === isChecked(field.initialValue)) return field.initialValue;
+    return input.checked ? 'TRUE' : 'FALSE';
+  }
+  if (field.type === 'multipicklist') return [...input.selectedOptions].map(option => option.value).join(';');
+  if (field.type === 'datetime') {
+    // The input drops seconds and the time zone, so an untouched input keeps the stored value.
+    if (input.value === toLocalDateTime(field.initialValue)) return field.initialValue;
+    return input.value ? new Date(input.value).toISOString() : '';
+  }
+  return input.value;
+}
+
+/**
+ * Converts a Pulsar datetime value to the local time format of a `datetime-local` input.
+ * @param {string} value - An ISO 8601 datetime, or an empty string.
+ * @returns {string}
+ */
+function toLocalDateTime(value) {
+  const date = new Date(value);
+  if (!value || Number.isNaN(date.getTime())) return '';
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+/**
+ * Creates a message shown above the form.
+ * @param {string} message
+ * @returns {HTMLElement}
+ */
+function formError(message) {
+  const error = document.createElement('div');
+  error.className = 'pulsar-form-error';
+  error.setAttribute('role', 'alert');
+  error.textContent = message;
+  return error;
+}
+
+if (typeof customElements !== 'undefined' && !customElements.get('pulsar-record-form')) {
+  customElements.define('pulsar-record-form', PulsarRecordForm);
+}
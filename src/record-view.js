@@ -0,0 +1,374 @@
+/**
+ * A `<pulsar-record-view>` custom element that renders a record read-only from its Salesforce layout.
+ *
+ * The highlights panel and detail sections come from `getLayout()`. Values are formatted by their
+ * `getSObjectSchema()` field type, lookups show the related record's name instead of its Id, and compound
+ * layout components such as addresses, names and locations are joined with the layout's separators.
+ * Sections with `useCollapsibleSection` can be expanded and collapsed.
+ *
+ * The view renders into its own light DOM, so the app's stylesheet applies to it.
+ *
+ * @example
+ * import './record-view.js';
+ *
+ * const view = document.querySelector('pulsar-record-view'); // <pulsar-record-view object="Account" record-id="001...">
+ * view.pulsar = pulsar;
+ */
+export class PulsarRecordView extends HTMLElement {
+  static observedAttributes = ['object', 'record-id', 'record-type-id', 'currency'];
+
+  constructor() {
+    super();
+    this._pulsar = null;
+    this._loadId = 0;
+    this._loadScheduled = false;
+    this._record = null;
+    /** @type {Promise<void>} Settles when the most recent load has finished. */
+    this.ready = Promise.resolve();
+  }
+
+  /**
+   * The Pulsar instance used to load the record. The view loads once this is set and the element is connected.
+   * @type {import('./pulsar.js').Pulsar}
+   */
+  get pulsar() {
+    return this._pulsar;
+  }
+
+  set pulsar(pulsar) {
+    this._pulsar = pulsar;
+    this._scheduleLoad();
+  }
+
+  /** @type {string} The SObject name, from the `object` attribute. */
+  get objectName() {
+    return this.getAttribute('object');
+  }
+
+  set objectName(value) {
+    this.setAttribute('object', value);
+  }
+
+  /** @type {string} The Id of the record to show, from the `record-id` attribute. */
+  get recordId() {
+    return this.getAttribute('record-id');
+  }
+
+  set recordId(value) {
+    this.setAttribute('record-id', value);
+  }
+
+  /** @type {object|null} The record as it was loaded, in Pulsar's string format. */
+  get record() {
+    return this._record;
+  }
+
+  connectedCallback() {
+    this._scheduleLoad();
+  }
+
+  attributeChangedCallback(name, oldValue, newValue) {
+    if (oldValue !== newValue) this._scheduleLoad();
+  }
+
+  /**
+   * Loads the layout, schema and record, and renders the view. Called automatically when the element is
+   * connected and whenever `pulsar` or an observed attribute changes. Call it again to show changes to the record.
+   *
+   * Dispatches `load` when the view is rendered, or `error` with the error in `detail.error` if it could not be loaded.
+   * @returns {Promise<void>}
+   */
+  load() {
+    const loadId = ++this._loadId;
+    this.ready = this._load(loadId).catch(error => {
+      if (loadId !== this._loadId) return;
+      const message = document.createElement('div');
+      message.className = 'pulsar-view-error';
+      message.setAttribute('role', 'alert');
+      message.textContent = error.message;
+      this.replaceChildren(message);
+      this.dispatchEvent(new CustomEvent('error', { detail: { error } }));
+    });
+    return this.ready;
+  }
+
+  /**
+   * Internal method to load the view once the current task has finished setting attributes.
+   */
+  _scheduleLoad() {
+    if (this._loadScheduled) return;
+    this._loadScheduled = true;
+    queueMicrotask(() => {
+      this._loadScheduled = false;
+      if (this.isConnected && this._pulsar && this.objectName && this.recordId) this.load();
+    });
+  }
+
+  /**
+   * Internal method to fetch the layout, schema, record and lookup names and render the view.
+   * @param {number} loadId - Identifies this load, so a superseded load does not render.
+   */
+  async _load(loadId) {
+    const { pulsar, objectName, recordId } = this;
+    const [record] = await pulsar.read(objectName, { Id: recordId });
+    if (!record) {
+      throw new Error(`No ${objectName} record found with Id ${recordId}.`);
+    }
+
+    const recordTypeId = this.getAttribute('record-type-id') || record.RecordTypeId || undefined;
+    const [layout, schema] = await Promise.all([
+      pulsar.getLayout(objectName, recordTypeId),
+      pulsar.getSObjectSchema(objectName)
+    ]);
+    const schemaFields = new Map(Object.values(schema?.fields ?? {}).map(field => [field.name, field]));
+
+    // Salesforce returns the highlights panel as a single section; accept a list as well.
+    const highlights = [layout.highlightsPanelLayoutSection ?? []].flat();
+    const sections = [...highlights, ...(layout.detailLayoutSections ?? [])];
+    const names = await lookupNames(pulsar, record, sections, schemaFields);
+    if (loadId !== this._loadId) return;
+
+    const context = {
+      record,
+      schemaFields,
+      names,
+      locale: this.closest('[lang]')?.lang || undefined,
+      currency: record.CurrencyIsoCode || this.getAttribute('currency') || 'USD'
+    };
+    const content = [];
+    if (highlights.length > 0) {
+      const panel = document.createElement('div');
+      panel.className = 'pulsar-highlights';
+      highlights.forEach(section => panel.append(...renderItems(section, context)));
+      content.push(panel);
+    }
+    (layout.detailLayoutSections ?? []).forEach(section => content.push(renderSection(section, context)));
+
+    this._record = record;
+    this.replaceChildren(...content);
+    this.dispatchEvent(new CustomEvent('load', { detail: { record } }));
+  }
+}
+
+/**
+ * Layout flags arrive as booleans or, from older Pulsar versions, as "TRUE"/"FALSE" strings.
+ * @param {any} value
+ * @returns {boolean}
+ */
+function isTrue(value) {
+  return value === true || (typeof value === 'string' && value.toUpperCase() === 'TRUE');
+}
+
+/**
+ * Lists the non-placeholder layout items of a section, each with the field and separator parts of its components.
+ * @param {object} section - A DescribeLayoutSection.
+ * @returns {{label: string, parts: {type: string, value: string}[]}[]}
+ */
+function sectionItems(section) {
+  const items = [];
+  for (const row of section.layoutRows ?? []) {
+    for (const item of row.layoutItems ?? []) {
+      if (isTrue(item.placeholder)) continue;
+      const parts = (item.layoutComponents ?? []).flatMap(component => (component.components?.length ? component.components : [component]))
+        .filter(part => (part.type === 'Field' && part.value) || part.type === 'Separator');
+      if (parts.some(part => part.type === 'Field')) items.push({ label: item.label ?? '', parts });
+    }
+  }
+  return items;
+}
+
+/**
+ * Fetches the names of the records that the lookup fields on the layout point to, with one `select()`
+ * per related SObject. Lookups whose names cannot be fetched are left out and shown as Ids.
+ * @param {import('./pulsar.js').Pulsar} pulsar
+ * @param {object} record - The record being shown.
+ * @param {object[]} sections - The layout sections being shown.
+ * @param {Map<string, object>} schemaFields - Schema fields by name.
+ * @returns {Promise<Map<string, string>>} Names keyed by record Id.
+ */
+async function lookupNames(pulsar, record, sections, schemaFields) {
+  const lookups = new Map();
+  for (const section of sections) {
+    for (const { parts } of sectionItems(section)) {
+      for (const part of parts) {
+        const field = schemaFields.get(part.value);
+        if (field?.type === 'reference' && record[part.value]) lookups.set(record[part.value], field.referenceTo ?? []);
+      }
+    }
+  }
+
+  const byType = new Map();
+  await Promise.all([...lookups].map(async ([id, referenceTo]) => {
+    // Polymorphic lookups such as WhatId are matched to an SObject by the Id's key prefix.
+    const type = referenceTo.length === 1 ? referenceTo[0] : await pulsar.sObjectTypeForId(id, referenceTo).catch(() => null);
+    if (type) byType.set(type, [...(byType.get(type) ?? []), id]);
+  }));
+
+  const names = new Map();
+  await Promise.allSettled([...byType].map(async ([type, typeIds]) => {
+    const schema = await pulsar.getSObjectSchema(type);
+    const nameField = Object.values(schema?.fields ?? {}).find(field => field.nameField)?.name ?? 'Name';
+    const rows = await pulsar.select(type, `SELECT Id, ${nameField} FROM ${type} WHERE Id IN (?)`, [typeIds]);
+    rows.forEach(row => { if (row[nameField]) names.set(row.Id, row[nameField]); });
+  }));
+  return names;
+}
+
+/**
+ * Creates a detail section, as a collapsible `details` element when the layout asks for one.
+ * @param {object} section - A DescribeLayoutSection.
+ * @param {object} context - The record, schema fields, lookup names and formatting settings.
+ * @returns {HTMLElement}
+ */
+function renderSection(section, context) {
+  const heading = isTrue(section.useHeading) ? section.heading : '';
+  let element;
+  if (isTrue(section.useCollapsibleSection)) {
+    element = document.createElement('details');
+    element.open = !isTrue(section.collapsed);
+    const summary = document.createElement('summary');
+    summary.textContent = section.heading ?? '';
+    element.append(summary);
+  } else {
+    element = document.createElement('section');
+    if (heading) {
+      const title = document.createElement('h3');
+      title.textContent = heading;
+      element.append(title);
+    }
+  }
+  element.classList.add('pulsar-section');
+  element.append(...renderItems(section, context));
+  return element;
+}
+
+/**
+ * Creates a label and value for each layout item in a section.
+ * @param {object} section - A DescribeLayoutSection.
+ * @param {object} context - The record, schema fields, lookup names and formatting settings.
+ * @returns {HTMLElement[]}
+ */
+function renderItems(section, context) {
+  return sectionItems(section).map(({ label, parts }) => {
+    const fields = parts.filter(part => part.type === 'Field');
+    const container = document.createElement('div');
+    container.className = 'pulsar-field';
+    container.dataset.field = fields.map(part => part.value).join(' ');
+
+    const labelElement = document.createElement('div');
+    labelElement.className = 'pulsar-label';
+    labelElement.textContent = label || context.schemaFields.get(fields[0].value)?.label || fields[0].value;
+
+    const value = document.createElement('div');
+    value.className = 'pulsar-value';
+    // Separators are only shown between values, so a missing street or city leaves no stray comma.
+    let separator = null;
+    let hasValue = false;
+    for (const part of parts) {
+      if (part.type === 'Separator') {
+        if (hasValue) separator ??= part.value;
+        continue;
+      }
+      const node = formatValue(context.schemaFields.get(part.value), context.record[part.value], context);
+      if (!node) continue;
+      if (hasValue) appendText(value, separator ?? ' ');
+      value.append(node);
+      hasValue = true;
+      separator = null;
+    }
+    container.append(labelElement, value);
+    return container;
+  });
+}
+
+/**
+ * Formats a value in Pulsar's string format for display.
+ * @param {object} [field] - The schema field.
+ * @param {string} value - The value.
+ * @param {object} context - The lookup names and formatting settings.
+ * @returns {Node|null} The formatted value, or null if it is blank.
+ */
+function formatValue(field, value, { names, locale, currency }) {
+  const type = field?.type;
+  if (type === 'boolean') {
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.disabled = true;
+    checkbox.checked = isTrue(value) || value === '1';
+    return checkbox;
+  }
+  if (value === undefined || value === null || value === '') return null;
+
+  const number = Number(value);
+  if (['int', 'long', 'double'].includes(type) && !Number.isNaN(number)) {
+    return text(new Intl.NumberFormat(locale, { maximumFractionDigits: field.scale ?? 20 }).format(number));
+  }
+  if (type === 'currency' && !Number.isNaN(number)) {
+    try {
+      return text(new Intl.NumberFormat(locale, { style: 'currency', currency }).format(number));
+    } catch (error) {
+      // An invalid currency code throws a RangeError; show the plain number instead
+      return text(new Intl.NumberFormat(locale, { maximumFractionDigits: field.scale ?? 20 }).format(number));
+    }
+  }
+  if (type === 'percent' && !Number.isNaN(number)) {
+    return text(new Intl.NumberFormat(locale, { style: 'percent', maximumFractionDigits: field.scale ?? 20 }).format(number / 100));
+  }
+  if (type === 'date') {
+    const parts = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+    if (parts) return text(new Date(Number(parts[1]), Number(parts[2]) - 1, Number(parts[3])).toLocaleDateString(locale));
+  }
+  if (type === 'datetime') {
+    const date = new Date(value);
+    if (!Number.isNaN(date.getTime())) return text(date.toLocaleString(locale));
+  }
+  if (type === 'picklist' || type === 'multipicklist') {
+    const labels = new Map((field.picklistValues ?? []).map(entry => [entry.value, entry.label ?? entry.value]));
+    return text(value.split(';').map(entry => labels.get(entry) ?? entry).join('; '));
+  }
+  if (type === 'reference') {
+    return text(names.get(value) ?? value);
+  }
+  if (type === 'email' || type === 'phone' || type === 'url') {
+    const link = document.createElement('a');
+    link.textContent = value;
+    if (type === 'email') link.href = `mailto:${value}`;
+    if (type === 'phone') link.href = `tel:${value.replace(/[^\d+]/g, '')}`;
+    if (type === 'url') {
+      const scheme = /^([a-z][a-z\d+.-]*):/i.exec(value)?.[1].toLowerCase();
+      // Only web links are followed; a javascript: or data: URL is shown as text.
+      if (scheme && scheme !== 'http' && scheme !== 'https') return text(value);
+      link.href = scheme ? value : `http://${value}`;
+      link.target = '_blank';
+      link.rel = 'noopener';
+    }
+    return link;
+  }
+  const span = document.createElement('span');
+  appendText(span, value);
+  return span;
+}
+
+/**
+ * @param {string} value
+ * @returns {Text}
+ */
+function text(value) {
+  return document.createTextNode(value);
+}
+
+/**
+ * Appends text to an element, turning line breaks into `br` elements.
+ * @param {HTMLElement} element
+ * @param {string} value
+ */
+function appendText(element, value) {
+  String(value).split('\n').forEach((line, index) => {
+    if (index > 0) element.append(document.createElement('br'));
+    if (line) element.append(line);
+  });
+}
+
+if (typeof customElements !== 'undefined' && !customElements.get('pulsar-record-view')) {
+  customElements.define('pulsar-record-view', PulsarRecordView);
+}
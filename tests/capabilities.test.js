@@ -0,0 +1,142 @@
+import { Pulsar, PulsarUnsupportedError, PulsarValidationError } from '../src/pulsar.js';
+import { jest } from '@jest/globals';
+
+describe('Pulsar capabilities', () => {
+  let pulsar;
+  let responses;
+
+  beforeEach(() => {
+    responses = {
+      getPlatform: { type: 'getPlatformResponse', data: 'windows' },
+      getPlatformFeatures: {
+        type: 'getPlatformFeaturesResponse',
+        data: [
+          { featureName: 'OfflineMode', isAvailable: 'TRUE' },
+          { featureName: 'DarkTheme', isAvailable: 'FALSE', value: 'beta' }
+        ]
+      }
+    };
+    pulsar = new Pulsar();
+    pulsar.bridge = {
+      version: '12.1.0',
+      send: jest.fn((req, cb) => cb(responses[req.type] ?? { type: `${req.type}Response`, data: {} })),
+      registerHandler: jest.fn(),
+      deregisterHandler: jest.fn()
+    };
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('capabilities are null until loaded', () => {
+    expect(pulsar.capabilities).toBeNull();
+  });
+
+  test('loadCapabilities collects platform, version and features', async () => {
+    const capabilities = await pulsar.loadCapabilities();
+
+    expect(capabilities).toEqual({
+      platform: 'windows',
+      version: '12.1.0',
+      features: {
+        OfflineMode: { available: true, value: undefined },
+        DarkTheme: { available: false, value: 'beta' }
+      }
+    });
+    expect(pulsar.capabilities).toBe(capabilities);
+  });
+
+  test('tolerates Pulsar versions that do not implement the requests', async () => {
+    responses.getPlatformFeatures = { type: 'error', data: 'Unknown request type' };
+    pulsar.bridge.version = undefined;
+
+    await expect(pulsar.loadCapabilities()).resolves.toEqual({
+      platform: 'windows',
+      version: null,
+      features: {}
+    });
+  });
+
+  test('init({ loadCapabilities: true }) loads capabilities before resolving', async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    const bridge = pulsar.bridge;
+    const fresh = new Pulsar();
+    window.pulsar = { bridge };
+
+    await fresh.init({ loadCapabilities: true });
+
+    expect(fresh.capabilities.platform).toBe('windows');
+    window.pulsar = undefined;
+  });
+
+  describe('supports()', () => {
+    test('reports platform features', async () => {
+      await pulsar.loadCapabilities();
+
+      expect(pulsar.supports('OfflineMode')).toBe(true);
+      expect(pulsar.supports('DarkTheme')).toBe(false);
+    });
+
+    test('checks version requirements', async () => {
+      await pulsar.loadCapabilities();
+      expect(pulsar.supports('custom_oauth')).toBe(true);
+
+      pulsar.bridge.version = '11.4';
+      await pulsar.loadCapabilities();
+      expect(pulsar.supports('custom_oauth')).toBe(false);
+    });
+
+    test('checks platform requirements', async () => {
+      pulsar.bridge.version = '15.0';
+      await pulsar.loadCapabilities();
+      expect(pulsar.supports('useEdge')).toBe(true);
+
+      responses.getPlatform.data = 'ios';
+      await pulsar.loadCapabilities();
+      expect(pulsar.supports('useEdge')).toBe(false);
+    });
+
+    test('returns undefined for requirements when capabilities are not loaded', () => {
+      expect(pulsar.supports('custom_oauth')).toBeUndefined();
+    });
+
+    test('returns undefined for names it cannot judge', async () => {
+      pulsar.bridge.version = '12.1';
+      await pulsar.loadCapabilities();
+
+      expect(pulsar.supports('scanBarcode')).toBeUndefined();
+      expect(pulsar.supports('teleport')).toBeUndefined();
+    });
+
+    test('throws PulsarValidationError for invalid names', () => {
+      expect(() => pulsar.supports('')).toThrow(PulsarValidationError);
+    });
+  });
+
+  describe('early rejection', () => {
+    beforeEach(async () => {
+      pulsar.bridge.version = '11.4';
+      await pulsar.loadCapabilities();
+      pulsar.bridge.send.mockClear();
+    });
+
+    test('subscribing to a version-gated event throws PulsarUnsupportedError', () => {
+      expect(() => pulsar.on('custom_oauth', jest.fn())).toThrow(PulsarUnsupportedError);
+      expect(() => pulsar.on('custom_oauth', jest.fn()))
+        .toThrow("'custom_oauth' is unsupported on this Pulsar version. Requires Pulsar 12+; found windows, Pulsar 11.4.");
+      expect(pulsar.bridge.registerHandler).not.toHaveBeenCalled();
+    });
+
+    test('saveAs with useEdge rejects before contacting the bridge', async () => {
+      await expect(pulsar.saveAs({ filename: 'a.pdf', printoptions: { useEdge: true } }))
+        .rejects
+        .toMatchObject({ name: 'PulsarUnsupportedError', type: 'saveAs' });
+      expect(pulsar.bridge.send).not.toHaveBeenCalled();
+    });
+
+    test('ungated methods are unaffected', async () => {
+      await expect(pulsar.read('Account', {})).resolves.toEqual({});
+    });
+  });
+});
@@ -102,7 +102,7 @@ describe('Pulsar.chatterPostFeed', () => {
         Message: 'Hello world',
         Parent: '001xx000003DGX5AAO'
       }
-    });
+    }, {});
   });
 
   it('should include ParentFeedItem when posting a comment', async () => {
@@ -115,7 +115,7 @@ describe('Pulsar.chatterPostFeed', () => {
         Parent: '001xx000003DGX5AAO',
         ParentFeedItem: '0D5xx0000001XYZ'
       }
-    });
+    }, {});
   });
 
   it('should throw if message is missing or not a string', async () => {
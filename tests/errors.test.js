@@ -0,0 +1,115 @@
+import {
+  Pulsar,
+  PulsarError,
+  PulsarValidationError,
+  PulsarBridgeError,
+  PulsarNotInitializedError,
+  PulsarTimeoutError,
+  PulsarAbortError,
+  PulsarResponseFormatError
+} from '../src/pulsar.js';
+import { jest } from '@jest/globals';
+
+describe('Pulsar error hierarchy', () => {
+  let pulsar;
+  let mockSend;
+
+  beforeEach(() => {
+    mockSend = jest.fn();
+    pulsar = new Pulsar();
+    pulsar.bridge = { send: mockSend };
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('every error class extends PulsarError and Error', () => {
+    for (const ErrorClass of [
+      PulsarValidationError,
+      PulsarBridgeError,
+      PulsarNotInitializedError,
+      PulsarTimeoutError,
+      PulsarAbortError,
+      PulsarResponseFormatError
+    ]) {
+      const error = new ErrorClass('message');
+      expect(error).toBeInstanceOf(PulsarError);
+      expect(error).toBeInstanceOf(Error);
+      expect(error.name).toBe(ErrorClass.name);
+    }
+  });
+
+  test('PulsarError keeps the request details and cause', () => {
+    const cause = new SyntaxError('bad json');
+    const error = new PulsarError('Failed', { type: 'read', object: 'Account', response: 'raw', cause });
+
+    expect(error).toMatchObject({ type: 'read', object: 'Account', response: 'raw' });
+    expect(error.cause).toBe(cause);
+  });
+
+  test('bridge error responses reject with PulsarBridgeError', async () => {
+    const response = { type: 'error', data: 'Record not found' };
+    mockSend.mockImplementation((req, cb) => cb(response));
+
+    const promise = pulsar.read('Account', { Id: '001' });
+
+    await expect(promise).rejects.toBeInstanceOf(PulsarBridgeError);
+    await expect(promise).rejects.toMatchObject({
+      message: 'Record not found',
+      type: 'read',
+      object: 'Account',
+      response
+    });
+  });
+
+  test('requests before init reject with PulsarNotInitializedError', async () => {
+    pulsar.bridge = null;
+
+    await expect(pulsar.getLayout('Account')).rejects.toMatchObject({
+      name: 'PulsarNotInitializedError',
+      message: 'Pulsar bridge not initialized. Call init() first.',
+      type: 'getLayout',
+      object: 'Account'
+    });
+    expect(() => pulsar.registerHandler('event', () => {})).toThrow(PulsarNotInitializedError);
+  });
+
+  test('invalid arguments throw PulsarValidationError without sending a request', async () => {
+    await expect(pulsar.update('Account', null, {})).rejects.toMatchObject({
+      name: 'PulsarValidationError',
+      type: 'update',
+      object: 'Account'
+    });
+    await expect(pulsar.saveAs({})).rejects.toBeInstanceOf(PulsarValidationError);
+    await expect(pulsar.deleteSFFile([])).rejects.toBeInstanceOf(PulsarValidationError);
+    expect(mockSend).not.toHaveBeenCalled();
+  });
+
+  test('unparseable layout responses reject with PulsarResponseFormatError', async () => {
+    const response = { type: 'getLayoutResponse', data: '{not json' };
+    mockSend.mockImplementation((req, cb) => cb(response));
+
+    const error = await pulsar.getLayout('Account').catch(e => e);
+
+    expect(error).toBeInstanceOf(PulsarResponseFormatError);
+    expect(error.message).toBe('Failed to parse layout response');
+    expect(error).toMatchObject({ type: 'getLayout', object: 'Account', response: '{not json' });
+    expect(error.cause).toBeInstanceOf(SyntaxError);
+  });
+
+  test('unexpected response shapes reject with PulsarResponseFormatError', async () => {
+    mockSend.mockImplementation((req, cb) => cb({ type: `${req.type}Response`, data: 42 }));
+
+    await expect(pulsar.saveAs({ filename: 'a.pdf' })).rejects.toMatchObject({
+      name: 'PulsarResponseFormatError',
+      type: 'saveAs',
+      response: 42
+    });
+    await expect(pulsar.deleteSFFile(['069A'])).rejects.toMatchObject({
+      name: 'PulsarResponseFormatError',
+      type: 'deleteSFFile',
+      response: 42
+    });
+  });
+});
@@ -0,0 +1,189 @@
+import { Pulsar, PulsarNotInitializedError, PulsarValidationError } from '../src/pulsar.js';
+import { jest } from '@jest/globals';
+
+describe('Pulsar event bus', () => {
+  let pulsar;
+  let nativeHandlers;
+
+  const fire = (eventName, data, responseCallback) => nativeHandlers[eventName](data, responseCallback);
+
+  beforeEach(() => {
+    nativeHandlers = {};
+    pulsar = new Pulsar();
+    pulsar.bridge = {
+      registerHandler: jest.fn((name, fn) => { nativeHandlers[name] = fn; }),
+      deregisterHandler: jest.fn((name) => { delete nativeHandlers[name]; })
+    };
+    pulsar.pulsar = null;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('registers a single native handler and fans out to every subscriber', () => {
+    const first = jest.fn();
+    const second = jest.fn();
+
+    pulsar.on('invalidateLayout', first);
+    pulsar.on('invalidateLayout', second);
+    fire('invalidateLayout', { objectName: 'Account' });
+
+    expect(pulsar.bridge.registerHandler).toHaveBeenCalledTimes(1);
+    expect(first).toHaveBeenCalledWith({ objectName: 'Account' }, undefined);
+    expect(second).toHaveBeenCalledWith({ objectName: 'Account' }, undefined);
+  });
+
+  test('passes the native response callback through to subscribers', () => {
+    const responseCallback = jest.fn();
+    pulsar.on('customEvent', (data, respond) => respond('ok'));
+
+    fire('customEvent', {}, responseCallback);
+
+    expect(responseCallback).toHaveBeenCalledWith('ok');
+  });
+
+  test('on() returns an unsubscribe function', () => {
+    const first = jest.fn();
+    const second = jest.fn();
+
+    const unsubscribe = pulsar.on('syncDataFinished', first);
+    pulsar.on('syncDataFinished', second);
+    unsubscribe();
+    fire('syncDataFinished', {});
+
+    expect(first).not.toHaveBeenCalled();
+    expect(second).toHaveBeenCalledTimes(1);
+    expect(pulsar.bridge.deregisterHandler).not.toHaveBeenCalled();
+  });
+
+  test('deregisters the native handler when the last subscriber leaves', () => {
+    const unsubscribe = pulsar.on('syncDataFinished', jest.fn());
+    unsubscribe();
+
+    expect(pulsar.bridge.deregisterHandler).toHaveBeenCalledWith('syncDataFinished');
+
+    pulsar.on('syncDataFinished', jest.fn());
+    expect(pulsar.bridge.registerHandler).toHaveBeenCalledTimes(2);
+  });
+
+  test('once() fires a single time', () => {
+    const fn = jest.fn();
+    pulsar.once('syncDataUpdate', fn);
+
+    fire('syncDataUpdate', { progress: 1 });
+    expect(nativeHandlers.syncDataUpdate).toBeUndefined();
+
+    expect(fn).toHaveBeenCalledTimes(1);
+    expect(fn).toHaveBeenCalledWith({ progress: 1 }, undefined);
+  });
+
+  test('off() removes a specific handler, including once subscriptions', () => {
+    const kept = jest.fn();
+    const removed = jest.fn();
+    const removedOnce = jest.fn();
+
+    pulsar.on('invalidateLayout', kept);
+    pulsar.on('invalidateLayout', removed);
+    pulsar.once('invalidateLayout', removedOnce);
+    pulsar.off('invalidateLayout', removed);
+    pulsar.off('invalidateLayout', removedOnce);
+    fire('invalidateLayout', {});
+
+    expect(kept).toHaveBeenCalledTimes(1);
+    expect(removed).not.toHaveBeenCalled();
+    expect(removedOnce).not.toHaveBeenCalled();
+  });
+
+  test('off() without a handler removes every subscriber', () => {
+    pulsar.on('invalidateLayout', jest.fn());
+    pulsar.on('invalidateLayout', jest.fn());
+
+    pulsar.off('invalidateLayout');
+
+    expect(pulsar.bridge.deregisterHandler).toHaveBeenCalledTimes(1);
+    expect(nativeHandlers.invalidateLayout).toBeUndefined();
+  });
+
+  test('off() without a handler keeps the SDK\'s own subscriptions', () => {
+    const clearMetadataCache = jest.spyOn(pulsar, 'clearMetadataCache');
+    pulsar._metadataCache = new Map();
+    pulsar._watchMetadataInvalidation();
+    pulsar.on('invalidateLayout', jest.fn());
+
+    pulsar.off('invalidateLayout');
+    fire('invalidateLayout', {});
+
+    expect(pulsar.bridge.deregisterHandler).not.toHaveBeenCalled();
+    expect(clearMetadataCache).toHaveBeenCalledTimes(1);
+  });
+
+  test('a throwing subscriber does not prevent others from running', () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const second = jest.fn();
+
+    pulsar.on('invalidateLayout', () => { throw new Error('boom'); });
+    pulsar.on('invalidateLayout', second);
+    fire('invalidateLayout', {});
+
+    expect(second).toHaveBeenCalledTimes(1);
+    expect(console.error).toHaveBeenCalled();
+  });
+
+  test('registerHandler adds a subscriber instead of replacing existing ones', () => {
+    const first = jest.fn();
+    const second = jest.fn();
+
+    pulsar.registerHandler('syncDataFinished', first);
+    pulsar.registerHandler('syncDataFinished', second);
+    fire('syncDataFinished', {});
+
+    expect(first).toHaveBeenCalledTimes(1);
+    expect(second).toHaveBeenCalledTimes(1);
+  });
+
+  test('deregisterHandler with a handler only removes that handler', () => {
+    const first = jest.fn();
+    const second = jest.fn();
+
+    pulsar.registerHandler('syncDataFinished', first);
+    pulsar.registerHandler('syncDataFinished', second);
+    pulsar.deregisterHandler('syncDataFinished', first);
+    fire('syncDataFinished', {});
+
+    expect(first).not.toHaveBeenCalled();
+    expect(second).toHaveBeenCalledTimes(1);
+  });
+
+  test('fans out sync events through the pulsar object in embedded contexts', () => {
+    let embeddedHandler;
+    pulsar.pulsar = {
+      addSyncFinishedHandler: jest.fn(fn => { embeddedHandler = fn; }),
+      removeSyncFinishedHandler: jest.fn()
+    };
+    const first = jest.fn();
+    const second = jest.fn();
+
+    pulsar.on('syncDataFinished', first);
+    const unsubscribe = pulsar.on('syncDataFinished', second);
+    embeddedHandler({ success: true });
+
+    expect(pulsar.pulsar.addSyncFinishedHandler).toHaveBeenCalledTimes(1);
+    expect(pulsar.bridge.registerHandler).not.toHaveBeenCalled();
+    expect(first).toHaveBeenCalledWith({ success: true }, undefined);
+    expect(second).toHaveBeenCalledWith({ success: true }, undefined);
+
+    unsubscribe();
+    pulsar.off('syncDataFinished', first);
+    expect(pulsar.pulsar.removeSyncFinishedHandler).toHaveBeenCalledTimes(1);
+  });
+
+  test('validates parameters and bridge state', () => {
+    expect(() => pulsar.on(null, jest.fn())).toThrow(PulsarValidationError);
+    expect(() => pulsar.once('event', null)).toThrow(PulsarValidationError);
+    expect(() => pulsar.off(null)).toThrow(PulsarValidationError);
+
+    pulsar.bridge = null;
+    expect(() => pulsar.on('event', jest.fn())).toThrow(PulsarNotInitializedError);
+  });
+});
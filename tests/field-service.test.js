@@ -20,7 +20,7 @@ describe('getFSLTemplate', () => {
     expect(pulsar._send).toHaveBeenCalledWith({
       type: 'getfsltemplate',
       data: {}
-    });
+    }, {});
     expect(result).toEqual(mockResponse);
   });
 
@@ -32,7 +32,7 @@ describe('getFSLTemplate', () => {
     expect(pulsar._send).toHaveBeenCalledWith({
       type: 'getfsltemplate',
       data: { TemplateId: '0TTxx0000000001' }
-    });
+    }, {});
     expect(result).toEqual(mockResponse);
   });
 
@@ -44,7 +44,7 @@ describe('getFSLTemplate', () => {
     expect(pulsar._send).toHaveBeenCalledWith({
       type: 'getfsltemplate',
       data: { TemplateName: 'Template A' }
-    });
+    }, {});
     expect(result).toEqual(mockResponse);
   });
 
@@ -56,7 +56,7 @@ describe('getFSLTemplate', () => {
     expect(pulsar._send).toHaveBeenCalledWith({
       type: 'getfsltemplate',
       data: { TemplateId: '0TTxx0000000001' }
-    });
+    }, {});
     expect(result).toEqual(mockResponse);
   });
 });
@@ -86,7 +86,7 @@ describe('executeFSLFlow', () => {
       data: {
         FlowName: 'MyFlow'
       }
-    });
+    }, {});
     expect(result).toEqual(mockResponse);
   });
 
@@ -100,7 +100,7 @@ describe('executeFSLFlow', () => {
       data: {
         FlowId: '301ABC'
       }
-    });
+    }, {});
     expect(result).toEqual(mockResponse);
   });
 
@@ -127,7 +127,7 @@ describe('executeFSLFlow', () => {
         UserId: '005USER',
         ParentId: '0WOParent'
       }
-    });
+    }, {});
     expect(result).toEqual(mockResponse);
   });
 });
@@ -159,7 +159,7 @@ describe('createServiceReportFromFilePath', () => {
         DocumentName: validArgs[3],
         ContentType: validArgs[4]
       }
-    });
+    }, { timeout: 0 });
     expect(result).toBe('a07xx0000000001');
   });
 
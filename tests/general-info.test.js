@@ -14,7 +14,7 @@ describe('Pulsar General Info Methods', () => {
     expect(pulsar._send).toHaveBeenCalledWith({
       type: 'userPhoto',
       data: {}
-    });
+    }, {});
   });
 
   test('getDevServerEnabled should send request with and without docId', async () => {
@@ -23,14 +23,14 @@ describe('Pulsar General Info Methods', () => {
       type: 'getDevServerEnabled',
       args: { docId: 'doc123' },
       data: {}
-    });
+    }, {});
 
     await pulsar.getDevServerEnabled();
     expect(pulsar._send).toHaveBeenCalledWith({
       type: 'getDevServerEnabled',
       args: {},
       data: {}
-    });
+    }, {});
   });
 
   test('getPlatform should send correct request', async () => {
@@ -38,7 +38,7 @@ describe('Pulsar General Info Methods', () => {
     expect(pulsar._send).toHaveBeenCalledWith({
       type: 'getPlatform',
       data: {}
-    });
+    }, {});
   });
 
   test('getLocation should send default and custom accuracy', async () => {
@@ -46,13 +46,13 @@ describe('Pulsar General Info Methods', () => {
     expect(pulsar._send).toHaveBeenCalledWith({
       type: 'getLocation',
       data: { locationAccuracy: 'Medium' }
-    });
+    }, {});
 
     await pulsar.getLocation('Fine');
     expect(pulsar._send).toHaveBeenCalledWith({
       type: 'getLocation',
       data: { locationAccuracy: 'Fine' }
-    });
+    }, {});
   });
 
   test('getCustomLabels should send request with labelNames and optional locale', async () => {
@@ -60,13 +60,13 @@ describe('Pulsar General Info Methods', () => {
     expect(pulsar._send).toHaveBeenCalledWith({
       type: 'getCustomLabels',
       data: { labelNames: ['Label1', 'Label2'] }
-    });
+    }, {});
 
     await pulsar.getCustomLabels(['Label1', 'Label2'], 'fr_FR');
     expect(pulsar._send).toHaveBeenCalledWith({
       type: 'getCustomLabels',
       data: { labelNames: ['Label1', 'Label2'], locale: 'fr_FR' }
-    });
+    }, {});
   });
 
   test('getCustomLabels should throw if labelNames is invalid', async () => {
@@ -79,7 +79,7 @@ describe('Pulsar General Info Methods', () => {
     expect(pulsar._send).toHaveBeenCalledWith({
       type: 'logMessage',
       data: { message: 'Test log', level: 'info' }
-    });
+    }, {});
   });
 
   test('logMessage should send correct message with custom level', async () => {
@@ -87,7 +87,7 @@ describe('Pulsar General Info Methods', () => {
     expect(pulsar._send).toHaveBeenCalledWith({
       type: 'logMessage',
       data: { message: 'Test log', level: 'debug' }
-    });
+    }, {});
   });
 
   test('logMessage should throw if message is invalid', async () => {
@@ -20,7 +20,7 @@ describe('Pulsar.getPlatformFeatures', () => {
 
     expect(pulsar._send).toHaveBeenCalledWith({
       type: 'getPlatformFeatures'
-    });
+    }, {});
   });
 
   it('rejects if _send throws', async () => {
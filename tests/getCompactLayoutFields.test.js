@@ -33,7 +33,7 @@ describe('getCompactLayoutFields', () => {
         ObjectType: 'Contact',
         RecordTypeId: '0123456789'
       }
-    });
+    }, {});
 
     expect(result).toEqual(['Name', 'Phone']);
   });
@@ -50,7 +50,7 @@ describe('getCompactLayoutFields', () => {
         ObjectType: 'Contact',
         RecordTypeName: 'Customer_Contact'
       }
-    });
+    }, {});
 
     expect(result).toEqual(['Email', 'Title']);
   });
@@ -67,7 +67,7 @@ describe('getCompactLayoutFields', () => {
         ObjectType: 'Account',
         RecordTypeName: 'Business_Account'
       }
-    });
+    }, {});
 
     expect(result).toEqual(['Email']);
   });
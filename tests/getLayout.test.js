@@ -21,7 +21,7 @@ describe('getLayout', () => {
       data: {
         RecordTypeId: '012ABC'
       }
-    });
+    }, {});
     expect(result).toEqual(mockLayout);
   });
 
@@ -37,7 +37,7 @@ describe('getLayout', () => {
       data: {
         RecordTypeName: 'Business_Contact'
       }
-    });
+    }, {});
     expect(result).toEqual(mockLayout);
   });
 
@@ -53,7 +53,7 @@ describe('getLayout', () => {
       data: {
         RecordTypeName: 'Retail_Lead'
       }
-    });
+    }, {});
     expect(result).toEqual(mockLayout);
   });
 
@@ -98,7 +98,7 @@ describe('getLayout', () => {
       type: 'getLayout',
       object: 'Product2',
       data: {}
-    });
+    }, {});
     expect(result).toEqual(mockLayout);
   });
 });
@@ -126,7 +126,7 @@ describe('getLayoutSections', () => {
         RecordTypeId: '012XYZ',
         LayoutMode: 'edit',
       },
-    });
+    }, {});
     expect(result).toEqual(mockResult);
   });
 
@@ -143,7 +143,7 @@ describe('getLayoutSections', () => {
         RecordTypeName: 'Person_Contact',
         LayoutMode: 'display',
       },
-    });
+    }, {});
     expect(result).toEqual(mockResult);
   });
 
@@ -160,7 +160,7 @@ describe('getLayoutSections', () => {
         RecordTypeId: '012AAA',
         LayoutMode: 'display',
       },
-    });
+    }, {});
     expect(result).toEqual(mockResult);
   });
 
@@ -225,7 +225,7 @@ describe('getLayoutFields', () => {
         RecordTypeId: '012345',
         LayoutMode: 'edit',
       }
-    });
+    }, {});
     expect(result).toEqual(mockResponse);
   });
 
@@ -242,7 +242,7 @@ describe('getLayoutFields', () => {
         RecordTypeName: 'Support',
         LayoutMode: 'edit',
       }
-    });
+    }, {});
     expect(result).toEqual(mockResponse);
   });
 
@@ -259,7 +259,7 @@ describe('getLayoutFields', () => {
         RecordTypeName: 'Retail',
         LayoutMode: 'display',
       }
-    });
+    }, {});
     expect(result).toEqual(mockResponse);
   });
 
@@ -23,7 +23,7 @@ describe('getSObjectSchema', () => {
       type: 'getSObjectSchema',
       object: 'Account',
       data: {},
-    });
+    }, {});
   });
 
   test('throws error if string response is not valid JSON', async () => {
@@ -0,0 +1,82 @@
+import { Pulsar, PulsarBridgeError, PulsarValidationError } from '../src/pulsar.js';
+import { MockBridge } from '../src/mock-bridge.js';
+import { beforeEach, describe, expect, jest, test } from '@jest/globals';
+
+describe('hybridQuery', () => {
+  let pulsar;
+  let bridge;
+
+  const requestTypes = () => bridge.requests.map(request => request.type);
+
+  beforeEach(() => {
+    bridge = new MockBridge({
+      records: {
+        WorkOrder: [
+          { Subject: 'Leak', Status: 'New' },
+          { Subject: 'Boiler', Status: 'Closed' }
+        ]
+      }
+    });
+    pulsar = new Pulsar();
+    pulsar.bridge = bridge;
+  });
+
+  test('queries Salesforce when connected', async () => {
+    const result = await pulsar.hybridQuery("SELECT Id, Subject FROM WorkOrder WHERE Status = 'New'");
+
+    expect(result).toEqual({
+      totalSize: 1,
+      done: true,
+      records: [{ attributes: { type: 'WorkOrder' }, Id: '0WO000000000001AAA', Subject: 'Leak' }],
+      source: 'salesforce'
+    });
+    expect(requestTypes()).toEqual(['getOnlineStatus', 'getNetworkStatus', 'soqlquery']);
+  });
+
+  test('queries the local database when offline', async () => {
+    bridge.online = false;
+
+    const result = await pulsar.hybridQuery("SELECT Id, Subject FROM WorkOrder WHERE Status = 'New'");
+
+    expect(result).toEqual({
+      totalSize: 1,
+      done: true,
+      records: [{ attributes: { type: 'WorkOrder' }, Id: '0WO000000000001AAA', Subject: 'Leak' }],
+      source: 'local'
+    });
+    expect(requestTypes()).not.toContain('soqlquery');
+  });
+
+  test('queries the local database when the device has no network', async () => {
+    bridge.setResponse('getNetworkStatus', { isConnected: 'FALSE', connectionType: 'Unknown' });
+
+    const result = await pulsar.hybridQuery('SELECT Subject FROM WorkOrder ORDER BY Subject');
+
+    expect(result.source).toBe('local');
+    expect(result.records.map(record => record.Subject)).toEqual(['Boiler', 'Leak']);
+  });
+
+  test('falls back to the local database when the connection drops during the query', async () => {
+    jest.spyOn(pulsar, 'soqlQuery').mockImplementation(async () => {
+      bridge.online = false;
+      throw new PulsarBridgeError('Network connection was lost.', { type: 'soqlquery' });
+    });
+
+    const result = await pulsar.hybridQuery('SELECT Subject FROM WorkOrder');
+
+    expect(result.source).toBe('local');
+    expect(result.totalSize).toBe(2);
+  });
+
+  test('rethrows Salesforce errors while still connected', async () => {
+    jest.spyOn(pulsar, 'soqlQuery').mockRejectedValue(new PulsarBridgeError('INVALID_FIELD', { type: 'soqlquery' }));
+
+    await expect(pulsar.hybridQuery('SELECT Subjet FROM WorkOrder')).rejects.toThrow('INVALID_FIELD');
+    expect(requestTypes()).not.toContain('select');
+  });
+
+  test('validates the query before checking the connection', async () => {
+    await expect(pulsar.hybridQuery('')).rejects.toBeInstanceOf(PulsarValidationError);
+    expect(bridge.requests).toHaveLength(0);
+  });
+});
@@ -24,7 +24,7 @@ describe('Pulsar.interruptSync', () => {
     expect(mockSend).toHaveBeenCalledWith({
       type: 'interruptsync',
       data: {}
-    });
+    }, {});
   });
 
   test('returns false when no active sync is found', async () => {
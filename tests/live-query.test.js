@@ -0,0 +1,130 @@
+/**
+ * @jest-environment node
+ */
+import { Pulsar, PulsarNotInitializedError, PulsarValidationError } from '../src/pulsar.js';
+import { MockBridge } from '../src/mock-bridge.js';
+import { afterEach, beforeEach, describe, expect, jest, test } from '@jest/globals';
+
+describe('liveQuery', () => {
+  let pulsar;
+  let bridge;
+  let callback;
+
+  const subjects = (call) => callback.mock.calls[call][0].map(record => record.Subject);
+  const selectCount = () => bridge.requests.filter(request => request.type === 'select').length;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    bridge = new MockBridge({
+      records: {
+        WorkOrder: [
+          { Subject: 'Leak', Status: 'New' },
+          { Subject: 'Boiler', Status: 'Closed' }
+        ],
+        Account: [{ Name: 'Acme' }]
+      }
+    });
+    pulsar = new Pulsar();
+    pulsar.bridge = bridge;
+    callback = jest.fn();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('runs the query immediately', async () => {
+    pulsar.liveQuery('WorkOrder', 'SELECT Subject FROM WorkOrder WHERE Status = ?', callback, { params: ['New'] });
+    await jest.advanceTimersByTimeAsync(0);
+
+    expect(callback).toHaveBeenCalledTimes(1);
+    expect(subjects(0)).toEqual(['Leak']);
+  });
+
+  test('re-runs after writes to the SObject, debounced', async () => {
+    pulsar.liveQuery('WorkOrder', "SELECT Subject FROM WorkOrder WHERE Status = 'New' ORDER BY Subject", callback);
+    await jest.advanceTimersByTimeAsync(0);
+
+    await pulsar.create('WorkOrder', { Subject: 'Paint', Status: 'New' });
+    await pulsar.create('WorkOrder', { Subject: 'Alarm', Status: 'New' });
+    await pulsar.create('Account', { Name: 'Globex' });
+    await jest.advanceTimersByTimeAsync(50);
+    expect(callback).toHaveBeenCalledTimes(1);
+
+    await jest.advanceTimersByTimeAsync(100);
+    expect(callback).toHaveBeenCalledTimes(2);
+    expect(subjects(1)).toEqual(['Alarm', 'Leak', 'Paint']);
+    expect(selectCount()).toBe(2);
+  });
+
+  test('re-runs when a sync finishes', async () => {
+    pulsar.liveQuery('WorkOrder', 'SELECT Subject FROM WorkOrder ORDER BY Subject', callback, { debounce: 0 });
+    await jest.advanceTimersByTimeAsync(0);
+
+    bridge.seed('WorkOrder', [{ Subject: 'Synced', Status: 'New' }]);
+    bridge.emit('syncDataFinished', { success: 'TRUE' });
+    await jest.advanceTimersByTimeAsync(0);
+
+    expect(subjects(1)).toEqual(['Boiler', 'Leak', 'Synced']);
+  });
+
+  test('keeps refreshing and invalidating the metadata cache after application handlers are deregistered', async () => {
+    pulsar = new Pulsar({ metadataCache: true });
+    pulsar.bridge = bridge;
+    const handler = jest.fn();
+    pulsar.on('syncDataFinished', handler);
+    pulsar.liveQuery('WorkOrder', 'SELECT Subject FROM WorkOrder ORDER BY Subject', callback, { debounce: 0 });
+    await pulsar.getSObjectSchema('WorkOrder');
+    await jest.advanceTimersByTimeAsync(0);
+
+    pulsar.deregisterHandler('syncDataFinished');
+    bridge.seed('WorkOrder', [{ Subject: 'Synced', Status: 'New' }]);
+    bridge.emit('syncDataFinished', { success: 'TRUE' });
+    await jest.advanceTimersByTimeAsync(0);
+
+    expect(handler).not.toHaveBeenCalled();
+    expect(subjects(1)).toEqual(['Boiler', 'Leak', 'Synced']);
+    expect(pulsar.metadataCacheStats().size).toBe(0);
+  });
+
+  test('only calls back when the results change', async () => {
+    pulsar.liveQuery('WorkOrder', "SELECT Subject FROM WorkOrder WHERE Status = 'New'", callback, { debounce: 0 });
+    await jest.advanceTimersByTimeAsync(0);
+
+    await pulsar.create('WorkOrder', { Subject: 'Paint', Status: 'Closed' });
+    await jest.advanceTimersByTimeAsync(0);
+
+    expect(selectCount()).toBe(2);
+    expect(callback).toHaveBeenCalledTimes(1);
+  });
+
+  test('stops re-running once unsubscribed', async () => {
+    const stop = pulsar.liveQuery('WorkOrder', 'SELECT Subject FROM WorkOrder', callback, { debounce: 0 });
+    await jest.advanceTimersByTimeAsync(0);
+
+    stop();
+    await pulsar.create('WorkOrder', { Subject: 'Paint' });
+    bridge.emit('syncDataFinished', { success: 'TRUE' });
+    await jest.advanceTimersByTimeAsync(100);
+
+    expect(selectCount()).toBe(1);
+    expect(bridge.eventHandlers).not.toHaveProperty('syncDataFinished');
+  });
+
+  test('reports failed runs to onError', async () => {
+    const onError = jest.fn();
+    pulsar.liveQuery('Missing', 'SELECT Id FROM Missing', callback, { onError });
+    await jest.advanceTimersByTimeAsync(0);
+
+    expect(onError).toHaveBeenCalledTimes(1);
+    expect(callback).not.toHaveBeenCalled();
+  });
+
+  test('validates arguments', () => {
+    expect(() => pulsar.liveQuery('WorkOrder', '', callback)).toThrow(PulsarValidationError);
+    expect(() => pulsar.liveQuery('WorkOrder', 'SELECT Id FROM WorkOrder')).toThrow('liveQuery requires a callback function.');
+    expect(() => pulsar.liveQuery('WorkOrder', 'SELECT Id FROM WorkOrder', callback, { debounce: -1 }))
+      .toThrow('liveQuery requires debounce to be a non-negative number of milliseconds.');
+    expect(() => new Pulsar().liveQuery('WorkOrder', 'SELECT Id FROM WorkOrder', callback)).toThrow(PulsarNotInitializedError);
+  });
+});
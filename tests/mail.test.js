@@ -16,7 +16,7 @@ describe('Pulsar.mail', () => {
       data: {
         to: ['to@example.com']
       }
-    });
+    }, {});
   });
 
   it('sends email with all parameters filled', async () => {
@@ -36,7 +36,7 @@ describe('Pulsar.mail', () => {
         subject: 'Test Subject',
         body: 'Test Body'
       }
-    });
+    }, {});
   });
 
   it('handles empty arrays and blank strings gracefully', async () => {
@@ -44,7 +44,7 @@ describe('Pulsar.mail', () => {
     expect(pulsar._send).toHaveBeenCalledWith({
       type: 'mail',
       data: {}
-    });
+    }, {});
   });
 
   it('handles undefined inputs safely', async () => {
@@ -52,7 +52,7 @@ describe('Pulsar.mail', () => {
     expect(pulsar._send).toHaveBeenCalledWith({
       type: 'mail',
       data: {}
-    });
+    }, {});
   });
 
   it('handles mixed defined and undefined inputs correctly', async () => {
@@ -64,6 +64,6 @@ describe('Pulsar.mail', () => {
         attach: ['/tmp/file.pdf'],
         body: 'Hello!'
       }
-    });
+    }, {});
   });
 });
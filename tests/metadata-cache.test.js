@@ -0,0 +1,167 @@
+/**
+ * @jest-environment node
+ */
+import { Pulsar } from '../src/pulsar.js';
+import { jest } from '@jest/globals';
+
+describe('Pulsar metadata cache', () => {
+  let pulsar;
+  let nativeHandlers;
+
+  const createPulsar = (options) => {
+    const instance = new Pulsar(options);
+    instance.bridge = {
+      send: jest.fn((req, cb) => {
+        if (req.type === 'getSObjectSchema') {
+          cb({ type: 'getSObjectSchemaResponse', data: JSON.stringify({ name: req.object, fields: [] }) });
+        } else {
+          cb({ type: `${req.type}Response`, data: [{ type: req.type, object: req.object }] });
+        }
+      }),
+      registerHandler: jest.fn((name, fn) => { nativeHandlers[name] = fn; }),
+      deregisterHandler: jest.fn()
+    };
+    return instance;
+  };
+
+  beforeEach(() => {
+    nativeHandlers = {};
+    pulsar = createPulsar({ metadataCache: true });
+  });
+
+  test('is disabled by default', async () => {
+    pulsar = createPulsar();
+
+    await pulsar.getSObjectSchema('Account');
+    await pulsar.getSObjectSchema('Account');
+
+    expect(pulsar.bridge.send).toHaveBeenCalledTimes(2);
+    expect(pulsar.metadataCacheStats()).toEqual({ enabled: false, size: 0, hits: 0, misses: 0 });
+  });
+
+  test('answers repeated metadata requests from the cache', async () => {
+    const first = await pulsar.getSObjectSchema('Account');
+    const second = await pulsar.getSObjectSchema('Account');
+
+    expect(second).toEqual(first);
+    expect(pulsar.bridge.send).toHaveBeenCalledTimes(1);
+    expect(pulsar.metadataCacheStats()).toEqual({ enabled: true, size: 1, hits: 1, misses: 1 });
+  });
+
+  test('shares a pending request between concurrent callers', async () => {
+    await Promise.all([
+      pulsar.getLayoutFields('Account', '012A', null, 'edit'),
+      pulsar.getLayoutFields('Account', '012A', null, 'edit')
+    ]);
+
+    expect(pulsar.bridge.send).toHaveBeenCalledTimes(1);
+  });
+
+  test('returns a separate copy of the cached response to each caller', async () => {
+    const first = await pulsar.getLayout('Account');
+    first[0].object = 'Changed';
+    const second = await pulsar.getLayout('Account');
+
+    expect(second).toEqual([{ type: 'getLayout', object: 'Account' }]);
+    expect(second).not.toBe(first);
+  });
+
+  test('applies each caller\'s own signal and timeout to a shared request', async () => {
+    let answer;
+    pulsar.bridge.send.mockImplementationOnce((req, cb) => { answer = cb; });
+    const controller = new AbortController();
+
+    const aborted = pulsar.getLayout('Account', null, null, { signal: controller.signal });
+    const timedOut = pulsar.getLayout('Account', null, null, { timeout: 10 });
+    const waiting = pulsar.getLayout('Account', null, null, { timeout: 0 });
+    controller.abort();
+
+    await expect(aborted).rejects.toThrow("Pulsar request 'getLayout' was aborted.");
+    await expect(timedOut).rejects.toThrow("Pulsar request 'getLayout' timed out after 10ms.");
+    answer({ type: 'getLayoutResponse', data: [{ object: 'Account' }] });
+    await expect(waiting).resolves.toEqual([{ object: 'Account' }]);
+    expect(pulsar.bridge.send).toHaveBeenCalledTimes(1);
+  });
+
+  test('keys entries by object, record type and mode', async () => {
+    await pulsar.getLayout('Account', '012A');
+    await pulsar.getLayout('Account', '012B');
+    await pulsar.getLayout('Contact', '012A');
+    await pulsar.getLayoutSections('Account', '012A', null, 'display');
+    await pulsar.getLayoutSections('Account', '012A', null, 'edit');
+
+    expect(pulsar.bridge.send).toHaveBeenCalledTimes(5);
+  });
+
+  test('caches every metadata method', async () => {
+    const calls = () => Promise.all([
+      pulsar.getSObjectSchema('Account'),
+      pulsar.getLayout('Account'),
+      pulsar.getLayoutSections('Account'),
+      pulsar.getLayoutFields('Account'),
+      pulsar.getCompactLayoutFields('Account'),
+      pulsar.getPicklist('Account', 'Industry'),
+      pulsar.listviewMetadata('Account', '00BA')
+    ]);
+
+    await calls();
+    await calls();
+
+    expect(pulsar.bridge.send).toHaveBeenCalledTimes(7);
+  });
+
+  test('does not cache data requests', async () => {
+    await pulsar.read('Account', {});
+    await pulsar.read('Account', {});
+
+    expect(pulsar.bridge.send).toHaveBeenCalledTimes(2);
+  });
+
+  test('does not cache failed requests', async () => {
+    pulsar.bridge.send.mockImplementationOnce((req, cb) => cb({ type: 'error', data: 'Offline' }));
+
+    await expect(pulsar.getSObjectSchema('Account')).rejects.toThrow('Offline');
+    await pulsar.getSObjectSchema('Account');
+
+    expect(pulsar.bridge.send).toHaveBeenCalledTimes(2);
+  });
+
+  test('clearMetadataCache clears one object or everything', async () => {
+    await pulsar.getSObjectSchema('Account');
+    await pulsar.getSObjectSchema('Contact');
+
+    pulsar.clearMetadataCache('Account');
+    expect(pulsar.metadataCacheStats().size).toBe(1);
+
+    pulsar.clearMetadataCache();
+    expect(pulsar.metadataCacheStats().size).toBe(0);
+  });
+
+  test('is cleared when invalidateLayout fires', async () => {
+    await pulsar.getLayout('Account');
+
+    nativeHandlers.invalidateLayout({});
+    await pulsar.getLayout('Account');
+
+    expect(pulsar.bridge.send).toHaveBeenCalledTimes(2);
+  });
+
+  test('is cleared when a sync finishes', async () => {
+    await pulsar.getPicklist('Account', 'Industry');
+
+    nativeHandlers.syncDataFinished({});
+
+    expect(pulsar.metadataCacheStats().size).toBe(0);
+  });
+
+  test('does not disturb application event subscribers', async () => {
+    const handler = jest.fn();
+    pulsar.on('syncDataFinished', handler);
+    await pulsar.getSObjectSchema('Account');
+
+    nativeHandlers.syncDataFinished({ success: true });
+
+    expect(handler).toHaveBeenCalledWith({ success: true }, undefined);
+    expect(pulsar.bridge.registerHandler).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,112 @@
+import { Pulsar, PulsarBridgeError, PulsarValidationError } from '../src/pulsar.js';
+import { jest } from '@jest/globals';
+
+describe('Pulsar.use', () => {
+  let pulsar;
+  let mockSend;
+
+  beforeEach(() => {
+    mockSend = jest.fn((req, cb) => cb({ type: `${req.type}Response`, data: [{ Id: '001' }] }));
+    pulsar = new Pulsar();
+    pulsar.bridge = { send: mockSend };
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('throws PulsarValidationError when middleware is not a function', () => {
+    expect(() => pulsar.use('logger')).toThrow(PulsarValidationError);
+  });
+
+  test('runs middleware in registration order and unwinds in reverse', async () => {
+    const calls = [];
+    pulsar.use(async (request, next) => {
+      calls.push('outer:before');
+      const response = await next();
+      calls.push('outer:after');
+      return response;
+    });
+    pulsar.use(async (request, next) => {
+      calls.push('inner:before');
+      const response = await next();
+      calls.push('inner:after');
+      return response;
+    });
+
+    await pulsar.read('Account', {});
+
+    expect(calls).toEqual(['outer:before', 'inner:before', 'inner:after', 'outer:after']);
+  });
+
+  test('can replace the outgoing request', async () => {
+    pulsar.use((request, next) => next({ ...request, data: { ...request.data, IsDeleted: 'FALSE' } }));
+
+    await pulsar.read('Account', { Name: 'ACME' });
+
+    expect(mockSend).toHaveBeenCalledWith(
+      { type: 'read', object: 'Account', data: { Name: 'ACME', IsDeleted: 'FALSE' } },
+      expect.any(Function)
+    );
+  });
+
+  test('can rewrite the response', async () => {
+    pulsar.use(async (request, next) => {
+      const response = await next();
+      return { ...response, data: response.data.map(r => ({ ...r, Source: 'middleware' })) };
+    });
+
+    await expect(pulsar.read('Account', {})).resolves.toEqual([{ Id: '001', Source: 'middleware' }]);
+  });
+
+  test('can short-circuit with a synthetic response without a bridge', async () => {
+    pulsar.bridge = null;
+    pulsar.use((request) => ({ type: `${request.type}Response`, data: 'cached' }));
+
+    await expect(pulsar.userInfo()).resolves.toBe('cached');
+  });
+
+  test('synthetic error responses reject with PulsarBridgeError', async () => {
+    pulsar.use(() => ({ type: 'error', data: 'Not allowed' }));
+
+    await expect(pulsar.delete('Account', '001')).rejects.toMatchObject({
+      name: 'PulsarBridgeError',
+      message: 'Not allowed',
+      type: 'delete',
+      object: 'Account'
+    });
+    expect(mockSend).not.toHaveBeenCalled();
+  });
+
+  test('errors thrown by middleware reject the request', async () => {
+    const error = new Error('Session expired');
+    pulsar.use(() => { throw error; });
+
+    await expect(pulsar.read('Account', {})).rejects.toBe(error);
+    expect(mockSend).not.toHaveBeenCalled();
+  });
+
+  test('observes bridge error responses before they are rejected', async () => {
+    const seen = [];
+    mockSend.mockImplementation((req, cb) => cb({ type: 'error', data: 'Boom' }));
+    pulsar.use(async (request, next) => {
+      const response = await next();
+      seen.push(response);
+      return response;
+    });
+
+    await expect(pulsar.read('Account', {})).rejects.toBeInstanceOf(PulsarBridgeError);
+    expect(seen).toEqual([{ type: 'error', data: 'Boom' }]);
+  });
+
+  test('returns a function that removes the middleware', async () => {
+    const middleware = jest.fn((request, next) => next());
+    const remove = pulsar.use(middleware);
+
+    await pulsar.read('Account', {});
+    remove();
+    await pulsar.read('Account', {});
+
+    expect(middleware).toHaveBeenCalledTimes(1);
+  });
+});
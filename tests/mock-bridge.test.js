@@ -0,0 +1,342 @@
+import { Pulsar } from '../src/pulsar.js';
+import { MockBridge } from '../src/mock-bridge.js';
+import { beforeEach, describe, expect, jest, test } from '@jest/globals';
+
+const fixtures = () => ({
+  records: {
+    Account: [
+      { Id: '001000000000001AAA', Name: 'ACME Corp', Industry: 'Technology', NumberOfEmployees: 120, IsPartner__c: true },
+      { Id: '001000000000002AAA', Name: 'Globex', Industry: 'Energy', NumberOfEmployees: 45, IsPartner__c: false },
+      { Id: '001000000000003AAA', Name: 'Initech', Industry: 'Technology', NumberOfEmployees: 9 }
+    ],
+    Contact: [
+      { Id: '003000000000001AAA', LastName: 'Smith', AccountId: '001000000000001AAA' },
+      { Id: '003000000000002AAA', LastName: 'Jones', AccountId: '001000000000002AAA' }
+    ]
+  },
+  schemas: {
+    Account: {
+      name: 'Account',
+      keyPrefix: '001',
+      fields: [
+        { name: 'Id', type: 'id' },
+        { name: 'Name', type: 'string', nameField: true },
+        {
+          name: 'Industry',
+          type: 'picklist',
+          picklistValues: [
+            { value: 'Technology', label: 'Tech', active: true },
+            { value: 'Energy', label: 'Energy', active: true },
+            { value: 'Retired', label: 'Retired', active: false }
+          ]
+        }
+      ]
+    }
+  },
+  layouts: {
+    Account: {
+      detailLayoutSections: [
+        {
+          heading: 'Account Information',
+          useHeading: true,
+          layoutRows: [
+            {
+              layoutItems: [
+                {
+                  label: 'Account Name',
+                  required: true,
+                  editableForNew: true,
+                  editableForUpdate: true,
+                  placeholder: false,
+                  layoutComponents: [{ type: 'Field', value: 'Name', displayLines: 1, tabOrder: 1 }]
+                }
+              ]
+            }
+          ]
+        }
+      ],
+      editLayoutSections: []
+    }
+  },
+  settings: { 'pulsar.app.theme': 'dark' }
+});
+
+describe('MockBridge', () => {
+  let bridge;
+  let pulsar;
+
+  beforeEach(() => {
+    bridge = new MockBridge(fixtures());
+    pulsar = new Pulsar();
+    pulsar.bridge = bridge;
+  });
+
+  describe('initialization', () => {
+    test('attach() completes pulsar.init() in a native context', async () => {
+      const logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+      const instance = new Pulsar();
+      const ready = instance.init();
+
+      const attached = new MockBridge(fixtures()).attach();
+
+      await expect(ready).resolves.toBe(instance);
+      expect(instance.bridge).toBe(attached);
+      logSpy.mockRestore();
+    });
+
+    test('responds asynchronously', () => {
+      const callback = jest.fn();
+      bridge.send({ type: 'getPlatform', data: {} }, callback);
+      expect(callback).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('records', () => {
+    test('stores every value as a string', async () => {
+      const [acme] = await pulsar.read('Account', { Name: 'ACME Corp' });
+      expect(acme).toEqual({
+        Id: '001000000000001AAA',
+        Name: 'ACME Corp',
+        Industry: 'Technology',
+        NumberOfEmployees: '120',
+        IsPartner__c: 'TRUE'
+      });
+    });
+
+    test('read matches filters against the stored strings', async () => {
+      const results = await pulsar.read('Account', { NumberOfEmployees: 45 });
+      expect(results.map(r => r.Name)).toEqual(['Globex']);
+    });
+
+    test('stores null and undefined as empty strings', async () => {
+      const id = await pulsar.create('Account', { Name: 'Initech', Industry: null, Website: undefined });
+      await pulsar.update('Account', id, { Name: null });
+
+      const [created] = await pulsar.read('Account', { Id: id });
+      expect(created).toEqual({ Id: id, Name: '', Industry: '', Website: '' });
+      await expect(pulsar.read('Account', { Industry: null })).resolves.toEqual([created]);
+    });
+
+    test('read returns copies of the stored records', async () => {
+      const [acme] = await pulsar.read('Account', { Name: 'ACME Corp' });
+      acme.Name = 'Changed';
+      const [again] = await pulsar.read('Account', { Id: acme.Id });
+      expect(again.Name).toBe('ACME Corp');
+    });
+
+    test('create returns a new Id using the schema key prefix', async () => {
+      const id = await pulsar.create('Account', { Name: 'Umbrella', NumberOfEmployees: 5 });
+      expect(id).toMatch(/^001[0-9]{12}AAA$/);
+
+      const [created] = await pulsar.read('Account', { Id: id });
+      expect(created).toEqual({ Id: id, Name: 'Umbrella', NumberOfEmployees: '5' });
+    });
+
+    test('update merges fields into the stored record', async () => {
+      await expect(pulsar.update('Account', '001000000000002AAA', { Industry: 'Utilities' })).resolves.toBe('001000000000002AAA');
+      const [globex] = await pulsar.read('Account', { Id: '001000000000002AAA' });
+      expect(globex.Industry).toBe('Utilities');
+      expect(globex.Name).toBe('Globex');
+    });
+
+    test('update rejects for an unknown record', async () => {
+      await expect(pulsar.update('Account', '001999999999999AAA', { Name: 'Nope' }))
+        .rejects.toThrow('No Account record found with Id 001999999999999AAA.');
+    });
+
+    test('delete removes the record', async () => {
+      await pulsar.delete('Contact', '003000000000002AAA');
+      await expect(pulsar.read('Contact', {})).resolves.toHaveLength(1);
+    });
+
+    test('deleteBatch reports per-record results', async () => {
+      const result = await pulsar.deleteBatch('Account', ['001000000000001AAA', '001999999999999AAA']);
+      expect(result.summary).toEqual({ success: 'FALSE' });
+      expect(result.results['001000000000001AAA']).toEqual({ objectId: '001000000000001AAA', success: 'TRUE', error: '' });
+      expect(result.results['001999999999999AAA'].success).toBe('FALSE');
+    });
+
+    test('rejects requests for unknown objects', async () => {
+      await expect(pulsar.read('Nonexistent__c', {})).rejects.toThrow('no such table: Nonexistent__c');
+    });
+  });
+
+  describe('select', () => {
+    test('filters, sorts and projects columns', async () => {
+      const results = await pulsar.select('Account',
+        "SELECT Id, Name FROM Account WHERE Industry = 'Technology' AND CAST(NumberOfEmployees AS INTEGER) > 10 OR Name LIKE 'glo%' ORDER BY Name DESC");
+      expect(results).toEqual([
+        { Id: '001000000000002AAA', Name: 'Globex' },
+        { Id: '001000000000001AAA', Name: 'ACME Corp' }
+      ]);
+    });
+
+    test('compares stored text as text unless it is cast', async () => {
+      const names = async where => (await pulsar.select('Account', `SELECT Name FROM Account WHERE ${where} ORDER BY Name`)).map(r => r.Name);
+
+      await expect(names('NumberOfEmployees > 100')).resolves.toEqual(['ACME Corp', 'Globex', 'Initech']);
+      await expect(names("NumberOfEmployees > '100'")).resolves.toEqual(['ACME Corp', 'Globex', 'Initech']);
+      await expect(names('CAST(NumberOfEmployees AS REAL) > 100')).resolves.toEqual(['ACME Corp']);
+      await expect(names("CAST(NumberOfEmployees AS REAL) > '100'")).resolves.toEqual(['ACME Corp']);
+      await expect(names('NumberOfEmployees IN (9, 45)')).resolves.toEqual(['Globex', 'Initech']);
+
+      const sorted = await pulsar.select('Account', 'SELECT Name FROM Account ORDER BY NumberOfEmployees');
+      expect(sorted.map(r => r.Name)).toEqual(['ACME Corp', 'Globex', 'Initech']);
+      const cast = await pulsar.select('Account', 'SELECT Name FROM Account ORDER BY CAST(NumberOfEmployees AS INTEGER)');
+      expect(cast.map(r => r.Name)).toEqual(['Initech', 'Globex', 'ACME Corp']);
+    });
+
+    test('supports IN lists, IS NULL, LIMIT and OFFSET', async () => {
+      const inList = await pulsar.select('Account', "SELECT Name FROM Account WHERE Id IN ('001000000000001AAA', '001000000000003AAA') ORDER BY Name");
+      expect(inList.map(r => r.Name)).toEqual(['ACME Corp', 'Initech']);
+
+      const missing = await pulsar.select('Account', 'SELECT Name FROM Account WHERE IsPartner__c IS NULL');
+      expect(missing.map(r => r.Name)).toEqual(['Initech']);
+
+      const page = await pulsar.select('Account', 'SELECT Name FROM Account ORDER BY NumberOfEmployees LIMIT 1 OFFSET 1');
+      expect(page).toEqual([{ Name: 'Globex' }]);
+    });
+
+    test('supports sub-selects and COUNT(*)', async () => {
+      const contacts = await pulsar.select('Contact',
+        "SELECT LastName FROM Contact WHERE AccountId IN (SELECT Id FROM Account WHERE Industry = 'Technology')");
+      expect(contacts).toEqual([{ LastName: 'Smith' }]);
+
+      const count = await pulsar.select('Account', "SELECT COUNT(*) AS total FROM Account WHERE Name <> 'Globex'");
+      expect(count).toEqual([{ total: '2' }]);
+    });
+
+    test('handles escaped quotes in string literals', async () => {
+      await pulsar.create('Account', { Name: "O'Reilly" });
+      const results = await pulsar.select('Account', "SELECT Name FROM Account WHERE Name = 'O''Reilly'");
+      expect(results).toEqual([{ Name: "O'Reilly" }]);
+    });
+
+    test('rejects with a syntax error', async () => {
+      await expect(pulsar.select('Account', 'SELECT FROM WHERE')).rejects.toThrow('syntax error');
+    });
+
+    test('updateQuery applies UPDATE statements', async () => {
+      await pulsar.updateQuery('Account', "UPDATE Account SET Industry = 'Software' WHERE Industry = 'Technology'");
+      const results = await pulsar.read('Account', { Industry: 'Software' });
+      expect(results).toHaveLength(2);
+    });
+  });
+
+  describe('metadata', () => {
+    test('getSObjectSchema returns the fixture schema', async () => {
+      const schema = await pulsar.getSObjectSchema('Account');
+      expect(schema.keyPrefix).toBe('001');
+    });
+
+    test('getSObjectSchema derives a string schema from records when no fixture is given', async () => {
+      const schema = await pulsar.getSObjectSchema('Contact');
+      expect(schema.keyPrefix).toBe('003');
+      expect(schema.fields.map(f => f.name)).toEqual(['Id', 'LastName', 'AccountId']);
+    });
+
+    test('getLayout, getLayoutSections and getLayoutFields read the layout fixture', async () => {
+      const layout = await pulsar.getLayout('Account');
+      expect(layout.detailLayoutSections).toHaveLength(1);
+
+      await expect(pulsar.getLayoutSections('Account')).resolves.toEqual([
+        { display: 'TRUE', heading: 'Account Information', section: '0' }
+      ]);
+
+      await expect(pulsar.getLayoutFields('Account')).resolves.toEqual([
+        {
+          displayLines: '1',
+          tabOrder: '1',
+          type: 'Field',
+          name: 'Name',
+          label: 'Account Name',
+          placeHolder: 'FALSE',
+          required: 'TRUE',
+          editableForNew: 'TRUE',
+          editableForUpdate: 'TRUE'
+        }
+      ]);
+    });
+
+    test('getCompactLayoutFields falls back to the name field', async () => {
+      await expect(pulsar.getCompactLayoutFields('Account')).resolves.toEqual(['Name']);
+    });
+
+    test('getPicklist returns active picklist values', async () => {
+      await expect(pulsar.getPicklist('Account', 'Industry')).resolves.toEqual({
+        itemIds: ['Technology', 'Energy'],
+        itemLabels: ['Tech', 'Energy']
+      });
+    });
+  });
+
+  describe('sync and events', () => {
+    test('syncData fires syncDataFinished through the registered handler', async () => {
+      const finished = new Promise(resolve => pulsar.registerHandler('syncDataFinished', resolve));
+
+      await pulsar.syncData();
+      await expect(pulsar.syncRunning()).resolves.toBe(true);
+
+      await expect(finished).resolves.toEqual({ success: 'TRUE' });
+      await expect(pulsar.syncRunning()).resolves.toBe(false);
+    });
+
+    test('emit() invokes registered handlers', () => {
+      const handler = jest.fn();
+      pulsar.registerHandler('invalidateLayout', handler);
+
+      expect(bridge.emit('invalidateLayout', { object: 'Account' })).toBe(true);
+      expect(handler).toHaveBeenCalledWith({ object: 'Account' }, expect.any(Function));
+    });
+  });
+
+  describe('files', () => {
+    test('created files can be read and queried', async () => {
+      const documentId = await pulsar.createSFFile('001000000000001AAA', 'notes.txt', 'aGVsbG8=', { contentType: 'text/plain' });
+      expect(documentId).toMatch(/^069/);
+
+      const [file] = await pulsar.readSFFile(documentId, true);
+      expect(file.VersionData).toBe('aGVsbG8=');
+      expect(file.FileURL).toBe('http://127.0.0.1:17014/datacache/notes.txt');
+
+      const matches = await pulsar.queryContent(`ContentDocumentId = '${documentId}'`);
+      expect(matches).toHaveLength(1);
+      expect(matches[0].VersionData).toBeUndefined();
+
+      await expect(pulsar.deleteSFFile([documentId])).resolves.toBe(true);
+      await expect(pulsar.queryContent(`ContentDocumentId = '${documentId}'`)).resolves.toEqual([]);
+    });
+  });
+
+  describe('platform information', () => {
+    test('online status can be toggled and blocks SOQL while offline', async () => {
+      await expect(pulsar.soqlQuery("SELECT Id FROM Account WHERE Name = 'Globex'")).resolves.toEqual({
+        totalSize: 1,
+        done: true,
+        records: [{ attributes: { type: 'Account' }, Id: '001000000000002AAA' }]
+      });
+
+      await pulsar.setOnlineStatus(false);
+      await expect(pulsar.getOnlineStatus()).resolves.toBe(false);
+      await expect(pulsar.soqlQuery('SELECT Id FROM Account')).rejects.toThrow('offline');
+    });
+
+    test('getSetting reports whether the setting exists', async () => {
+      await expect(pulsar.getSetting('pulsar.app.theme')).resolves.toEqual({ Exists: 'TRUE', 'pulsar.app.theme': 'dark' });
+      await expect(pulsar.getSetting('missing')).resolves.toEqual({ Exists: 'FALSE' });
+    });
+
+    test('setResponse overrides a request type', async () => {
+      bridge.setResponse('scanBarcode', { barcode: '0123456789' });
+      await expect(pulsar.scanBarcode()).resolves.toBe('0123456789');
+
+      bridge.setResponse('getPlatform', () => { throw new Error('Platform unavailable'); });
+      await expect(pulsar.getPlatform()).rejects.toThrow('Platform unavailable');
+    });
+
+    test('records every request it receives', async () => {
+      await pulsar.userInfo();
+      expect(bridge.requests).toEqual([{ type: 'userInfo', data: {} }]);
+    });
+  });
+});
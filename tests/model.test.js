@@ -0,0 +1,113 @@
+import { Pulsar, PulsarModel, PulsarValidationError } from '../src/pulsar.js';
+import { MockBridge } from '../src/mock-bridge.js';
+import { beforeEach, describe, expect, test } from '@jest/globals';
+
+const schemas = {
+  Account: {
+    name: 'Account',
+    keyPrefix: '001',
+    fields: [
+      { name: 'Id', type: 'id' },
+      { name: 'Name', type: 'string' },
+      { name: 'Industry', type: 'picklist' },
+      { name: 'NumberOfEmployees', type: 'int' }
+    ],
+    childRelationships: [{ childSObject: 'Contact', field: 'AccountId', relationshipName: 'Contacts' }]
+  },
+  Contact: {
+    name: 'Contact',
+    keyPrefix: '003',
+    fields: [
+      { name: 'Id', type: 'id' },
+      { name: 'LastName', type: 'string' },
+      { name: 'AccountId', type: 'reference', relationshipName: 'Account', referenceTo: ['Account'] }
+    ]
+  }
+};
+
+describe('model', () => {
+  let pulsar;
+  let bridge;
+  let Accounts;
+
+  const requestTypes = () => bridge.requests.map(request => request.type);
+
+  beforeEach(() => {
+    bridge = new MockBridge({
+      schemas,
+      records: {
+        Account: [
+          { Id: '001000000000001AAA', Name: 'Acme', Industry: 'Energy', NumberOfEmployees: '120' },
+          { Id: '001000000000002AAA', Name: 'Globex', Industry: 'Energy', NumberOfEmployees: '' },
+          { Id: '001000000000003AAA', Name: 'Initech', Industry: 'Technology', NumberOfEmployees: '8' }
+        ],
+        Contact: [
+          { Id: '003000000000001AAA', LastName: 'Jones', AccountId: '001000000000001AAA' },
+          { Id: '003000000000002AAA', LastName: 'Smith', AccountId: '001000000000001AAA' }
+        ]
+      }
+    });
+    pulsar = new Pulsar();
+    pulsar.bridge = bridge;
+    Accounts = pulsar.model('Account');
+  });
+
+  test('model() returns a PulsarModel', () => {
+    expect(Accounts).toBeInstanceOf(PulsarModel);
+    expect(() => pulsar.model('Account; DROP TABLE Account')).toThrow('model requires a valid SObject name.');
+  });
+
+  test('find, findOne and findById read records', async () => {
+    await expect(Accounts.find({ Industry: 'Energy' })).resolves.toHaveLength(2);
+    await expect(Accounts.findOne({ Industry: 'Technology' })).resolves.toMatchObject({ Name: 'Initech' });
+    await expect(Accounts.findOne({ Industry: 'Retail' })).resolves.toBeNull();
+    await expect(Accounts.findById('001000000000002AAA', { typed: true })).resolves.toMatchObject({ Name: 'Globex', NumberOfEmployees: null });
+    await expect(Accounts.findById('001000000000009AAA')).resolves.toBeNull();
+  });
+
+  test('count counts matching records', async () => {
+    await expect(Accounts.count()).resolves.toBe(3);
+    await expect(Accounts.count({ Industry: 'Energy' })).resolves.toBe(2);
+    await expect(Accounts.count({ Industry: ['Technology', 'Retail'] })).resolves.toBe(1);
+    expect(bridge.requests.at(-1).data.query).toBe("SELECT COUNT(*) AS count FROM Account WHERE Industry IN ('Technology', 'Retail')");
+  });
+
+  test('save creates records without an Id and updates records with one', async () => {
+    const id = await Accounts.save({ Name: 'Hooli', Industry: 'Technology' });
+    const account = await Accounts.findById(id);
+
+    await expect(Accounts.save({ ...account, attributes: { type: 'Account' }, Industry: 'Retail' })).resolves.toBe(id);
+
+    await expect(Accounts.findById(id)).resolves.toMatchObject({ Name: 'Hooli', Industry: 'Retail' });
+    expect(requestTypes().filter(type => type === 'create' || type === 'update')).toEqual(['create', 'update']);
+  });
+
+  test('destroy deletes a record by record or Id', async () => {
+    await Accounts.destroy({ Id: '001000000000001AAA' });
+    await Accounts.destroy('001000000000002AAA');
+
+    await expect(Accounts.count()).resolves.toBe(1);
+    await expect(Accounts.destroy({})).rejects.toThrow('destroy requires a record or record Id.');
+  });
+
+  test('related loads parent and child relationships', async () => {
+    const acme = await Accounts.findById('001000000000001AAA');
+    const contact = await pulsar.model('Contact').findOne({ LastName: 'Jones' });
+
+    await expect(Accounts.related(acme, 'Contacts')).resolves.toHaveLength(2);
+    await expect(pulsar.model('Contact').related(contact, 'Account')).resolves.toMatchObject({ Name: 'Acme' });
+    expect(acme).not.toHaveProperty('Contacts');
+    await expect(Accounts.related(acme, 'Opportunities')).rejects.toThrow("read found no relationship 'Opportunities' on Account.");
+  });
+
+  test('unknown fields throw before any record request is sent', async () => {
+    await expect(Accounts.find({ Industy: 'Energy' }))
+      .rejects
+      .toMatchObject({ name: 'PulsarValidationError', message: 'model found unknown Account field: Industy.', type: 'read' });
+    await expect(Accounts.save({ Name: 'Hooli', Indstry: 'Retail', Emploees: 3 }))
+      .rejects
+      .toThrow('model found unknown Account fields: Indstry, Emploees.');
+    await expect(Accounts.count({ Nmae: 'Acme' })).rejects.toBeInstanceOf(PulsarValidationError);
+    expect(requestTypes().every(type => type === 'getSObjectSchema')).toBe(true);
+  });
+});
@@ -129,7 +129,7 @@ describe('viewObject', () => {
         Id: '001xx000000123',
         editmode: 'FALSE'
       }
-    });
+    }, {});
   });
 
   it('calls _send with editmode = TRUE when explicitly provided', async () => {
@@ -142,7 +142,7 @@ describe('viewObject', () => {
         Id: '001xx000000123',
         editmode: 'TRUE'
       }
-    });
+    }, {});
   });
 
   it('throws if objectName is missing', async () => {
@@ -196,7 +196,7 @@ describe('viewRelated', () => {
         parentId: '001xx000000123',
         relationshipName: 'Contacts'
       }
-    });
+    }, {});
   });
 
   it('throws if objectName is missing', async () => {
@@ -261,7 +261,7 @@ describe('viewList', () => {
       data: {
         listViewId: '00Bxx0000018XZTUA2'
       }
-    });
+    }, {});
   });
 
   it('resolves the result from _send', async () => {
@@ -0,0 +1,192 @@
+import { Pulsar, PulsarValidationError } from '../src/pulsar.js';
+import { MockBridge } from '../src/mock-bridge.js';
+import { beforeEach, describe, expect, test } from '@jest/globals';
+
+const day = (offset) => {
+  const date = new Date();
+  date.setDate(date.getDate() + offset);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+const schemas = {
+  WorkOrder: {
+    name: 'WorkOrder',
+    fields: [
+      { name: 'Id', type: 'id' },
+      { name: 'Subject', type: 'string' },
+      { name: 'Status', type: 'picklist' },
+      { name: 'Duration', type: 'double' },
+      { name: 'IsClosed', type: 'boolean' },
+      { name: 'StartDate', type: 'date' },
+      { name: 'AccountId', type: 'reference', relationshipName: 'Account', referenceTo: ['Account'] }
+    ]
+  },
+  Account: {
+    name: 'Account',
+    fields: [
+      { name: 'Id', type: 'id' },
+      { name: 'Name', type: 'string' },
+      { name: 'Industry', type: 'picklist' },
+      { name: 'OwnerId', type: 'reference', relationshipName: 'Owner', referenceTo: ['User'] }
+    ]
+  },
+  User: {
+    name: 'User',
+    fields: [{ name: 'Id', type: 'id' }, { name: 'Name', type: 'string' }]
+  }
+};
+
+describe('offlineSoql', () => {
+  let pulsar;
+  let bridge;
+
+  const subjects = (result) => result.records.map(record => record.Subject);
+
+  beforeEach(() => {
+    bridge = new MockBridge({
+      schemas,
+      records: {
+        User: [{ Id: '005000000000001AAA', Name: 'Una Owner' }],
+        Account: [
+          { Id: '001000000000001AAA', Name: 'Acme', Industry: 'Energy', OwnerId: '005000000000001AAA' },
+          { Id: '001000000000002AAA', Name: 'Globex', Industry: '' }
+        ],
+        WorkOrder: [
+          { Subject: 'Leak', Status: 'New', Duration: '9', IsClosed: 'FALSE', StartDate: day(0), AccountId: '001000000000001AAA' },
+          { Subject: 'Boiler', Status: 'Scheduled', Duration: '10', IsClosed: 'FALSE', StartDate: day(-3), AccountId: '001000000000002AAA' },
+          { Subject: "O'Hare alarm", Status: 'Closed', Duration: '2.5', IsClosed: 'TRUE', StartDate: day(5), AccountId: '' },
+          { Subject: 'Paint', Status: '', Duration: '', IsClosed: '', StartDate: '', AccountId: '' }
+        ]
+      }
+    });
+    pulsar = new Pulsar();
+    pulsar.bridge = bridge;
+  });
+
+  test('returns records in the SOQL result shape with Salesforce value types', async () => {
+    const result = await pulsar.offlineSoql("SELECT Id, Subject, Duration, IsClosed, Status FROM WorkOrder WHERE Subject = 'Paint' OR Subject = 'Leak' ORDER BY Subject");
+
+    expect(result).toEqual({
+      totalSize: 2,
+      done: true,
+      records: [
+        { attributes: { type: 'WorkOrder' }, Id: '0WO000000000001AAA', Subject: 'Leak', Duration: 9, IsClosed: false, Status: 'New' },
+        { attributes: { type: 'WorkOrder' }, Id: '0WO000000000004AAA', Subject: 'Paint', Duration: null, IsClosed: null, Status: null }
+      ]
+    });
+  });
+
+  test('translates the query to SQLite and runs it through select()', async () => {
+    await pulsar.offlineSoql("SELECT subject FROM WorkOrder WHERE status IN ('New', 'Scheduled') AND duration >= 9.5 LIMIT 10");
+
+    expect(bridge.requests.at(-1)).toMatchObject({
+      type: 'select',
+      object: 'WorkOrder',
+      data: {
+        query: "SELECT Subject FROM WorkOrder WHERE ((Status IS NOT NULL AND Status != '' AND Status IN ('New', 'Scheduled')) "
+          + "AND (Duration IS NOT NULL AND Duration != '' AND CAST(Duration AS REAL) >= 9.5)) LIMIT 10"
+      }
+    });
+  });
+
+  test('compares numbers numerically and sorts numeric fields by value', async () => {
+    const result = await pulsar.offlineSoql('SELECT Subject FROM WorkOrder WHERE Duration > 2 ORDER BY Duration DESC');
+
+    expect(subjects(result)).toEqual(['Boiler', 'Leak', "O'Hare alarm"]);
+  });
+
+  test('treats null and empty values the way SOQL does', async () => {
+    const withoutStatus = await pulsar.offlineSoql('SELECT Subject FROM WorkOrder WHERE Status = null');
+    const notNew = await pulsar.offlineSoql("SELECT Subject FROM WorkOrder WHERE Status != 'New' ORDER BY Subject");
+    const open = await pulsar.offlineSoql('SELECT Subject FROM WorkOrder WHERE IsClosed = false ORDER BY Subject');
+
+    expect(subjects(withoutStatus)).toEqual(['Paint']);
+    expect(subjects(notNew)).toEqual(['Boiler', "O'Hare alarm", 'Paint']);
+    expect(subjects(open)).toEqual(['Boiler', 'Leak', 'Paint']);
+  });
+
+  test('supports AND, OR, NOT, NOT IN and LIKE with escaped quotes', async () => {
+    const result = await pulsar.offlineSoql(
+      "SELECT Subject FROM WorkOrder WHERE (Subject LIKE 'O\\'Hare%' OR Status = 'New') AND NOT (Status NOT IN ('Closed', 'New'))"
+    );
+
+    expect(subjects(result)).toEqual(['Leak', "O'Hare alarm"]);
+  });
+
+  test('matches escaped LIKE wildcards literally', async () => {
+    bridge.seed('WorkOrder', [{ Subject: 'A_1', Status: 'New' }, { Subject: 'AB1', Status: 'New' }, { Subject: '50% off', Status: 'New' }]);
+
+    const underscore = await pulsar.offlineSoql("SELECT Subject FROM WorkOrder WHERE Subject LIKE 'A\\_%'");
+    const percent = await pulsar.offlineSoql("SELECT Subject FROM WorkOrder WHERE Subject LIKE '%\\%%'");
+
+    expect(bridge.requests.find(request => request.type === 'select').data.query).toContain("Subject LIKE 'A\\_%' ESCAPE '\\'");
+    expect(subjects(underscore)).toEqual(['A_1']);
+    expect(subjects(percent)).toEqual(['50% off']);
+  });
+
+  test('supports date literals', async () => {
+    const today = await pulsar.offlineSoql('SELECT Subject FROM WorkOrder WHERE StartDate = TODAY');
+    const recent = await pulsar.offlineSoql('SELECT Subject FROM WorkOrder WHERE StartDate = LAST_N_DAYS:7 ORDER BY StartDate');
+    const upcoming = await pulsar.offlineSoql('SELECT Subject FROM WorkOrder WHERE StartDate > TODAY');
+    const explicit = await pulsar.offlineSoql(`SELECT Subject FROM WorkOrder WHERE StartDate < ${day(0)}`);
+
+    expect(subjects(today)).toEqual(['Leak']);
+    expect(subjects(recent)).toEqual(['Boiler', 'Leak']);
+    expect(subjects(upcoming)).toEqual(["O'Hare alarm"]);
+    expect(subjects(explicit)).toEqual(['Boiler']);
+  });
+
+  test('nests parent relationship fields', async () => {
+    const result = await pulsar.offlineSoql('SELECT Subject, Account.Name, Account.Owner.Name FROM WorkOrder WHERE StartDate != null ORDER BY Subject');
+
+    expect(result.records).toEqual([
+      {
+        attributes: { type: 'WorkOrder' },
+        Subject: 'Boiler',
+        Account: { attributes: { type: 'Account' }, Name: 'Globex', Owner: null }
+      },
+      {
+        attributes: { type: 'WorkOrder' },
+        Subject: 'Leak',
+        Account: { attributes: { type: 'Account' }, Name: 'Acme', Owner: { attributes: { type: 'User' }, Name: 'Una Owner' } }
+      },
+      { attributes: { type: 'WorkOrder' }, Subject: "O'Hare alarm", Account: null }
+    ]);
+    expect(bridge.requests.filter(request => request.type === 'select')).toHaveLength(3);
+  });
+
+  test('filters on parent relationship fields', async () => {
+    const energy = await pulsar.offlineSoql("SELECT Subject FROM WorkOrder WHERE Account.Industry = 'Energy'");
+    const ownedByUna = await pulsar.offlineSoql("SELECT Subject FROM WorkOrder WHERE Account.Owner.Name LIKE 'Una%'");
+    const notEnergy = await pulsar.offlineSoql("SELECT Subject FROM WorkOrder WHERE Account.Industry != 'Energy' ORDER BY Subject");
+
+    expect(subjects(energy)).toEqual(['Leak']);
+    expect(subjects(ownedByUna)).toEqual(['Leak']);
+    expect(subjects(notEnergy)).toEqual(['Boiler', "O'Hare alarm", 'Paint']);
+  });
+
+  test('rejects unknown fields and relationships', async () => {
+    await expect(pulsar.offlineSoql('SELECT Subjet FROM WorkOrder'))
+      .rejects
+      .toThrow("offlineSoql found no field 'Subjet' on WorkOrder.");
+    await expect(pulsar.offlineSoql("SELECT Subject FROM WorkOrder WHERE Acount.Name = 'Acme'"))
+      .rejects
+      .toThrow("offlineSoql found no relationship 'Acount' on WorkOrder.");
+  });
+
+  test('rejects SOQL outside the supported subset', async () => {
+    await expect(pulsar.offlineSoql('SELECT COUNT() FROM WorkOrder')).rejects.toThrow('offlineSoql does not support functions such as COUNT().');
+    await expect(pulsar.offlineSoql('SELECT Id, (SELECT Id FROM WorkOrderLineItems) FROM WorkOrder')).rejects.toThrow('offlineSoql does not support subqueries.');
+    await expect(pulsar.offlineSoql('SELECT Status FROM WorkOrder GROUP BY Status')).rejects.toThrow('offlineSoql does not support GROUP BY clauses.');
+    await expect(pulsar.offlineSoql('SELECT Id FROM WorkOrder WHERE StartDate = THIS_QUARTER')).rejects.toThrow('offlineSoql does not support the date literal THIS_QUARTER.');
+    await expect(pulsar.offlineSoql('SELECT Id FROM WorkOrder ORDER BY Account.Name')).rejects.toThrow('offlineSoql does not support ORDER BY on relationship fields.');
+  });
+
+  test('rejects invalid queries before contacting the bridge', async () => {
+    await expect(pulsar.offlineSoql('')).rejects.toBeInstanceOf(PulsarValidationError);
+    await expect(pulsar.offlineSoql('SELECT Id WorkOrder')).rejects.toThrow("offlineSoql could not parse the query: expected FROM but found 'WorkOrder'.");
+    await expect(pulsar.offlineSoql('SELECT Id FROM WorkOrder WHERE Subject =')).rejects.toThrow('offlineSoql could not parse the query: unexpected end of query.');
+    expect(bridge.requests).toHaveLength(0);
+  });
+});
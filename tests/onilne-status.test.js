@@ -25,7 +25,7 @@ describe('Pulsar Online Status Methods', () => {
     it('should call _send with correct payload', async () => {
       pulsar._send.mockResolvedValue('TRUE');
       await pulsar.getOnlineStatus();
-      expect(pulsar._send).toHaveBeenCalledWith({ type: 'getOnlineStatus' });
+      expect(pulsar._send).toHaveBeenCalledWith({ type: 'getOnlineStatus' }, {});
     });
   });
 
@@ -48,7 +48,7 @@ describe('Pulsar Online Status Methods', () => {
       expect(pulsar._send).toHaveBeenCalledWith({
         type: 'setOnlineStatus',
         data: 'TRUE'
-      });
+      }, {});
     });
 
     it('should call _send with correct payload for false', async () => {
@@ -57,7 +57,7 @@ describe('Pulsar Online Status Methods', () => {
       expect(pulsar._send).toHaveBeenCalledWith({
         type: 'setOnlineStatus',
         data: 'FALSE'
-      });
+      }, {});
     });
 
     it('should throw an error if non-boolean value is passed', async () => {
@@ -77,7 +77,7 @@ describe('getNetworkStatus', () => {
 
     const result = await sdk.getNetworkStatus();
 
-    expect(sdk._send).toHaveBeenCalledWith({ type: 'getNetworkStatus' });
+    expect(sdk._send).toHaveBeenCalledWith({ type: 'getNetworkStatus' }, {});
     expect(result).toEqual({
       isConnected: 'TRUE',
       connectionType: 'wifi'
@@ -0,0 +1,208 @@
+import { Pulsar, PulsarValidationError } from '../src/pulsar.js';
+import { MockBridge } from '../src/mock-bridge.js';
+import { jest } from '@jest/globals';
+
+describe('parameterized queries', () => {
+  let pulsar;
+
+  const sentQuery = () => pulsar._send.mock.calls[0][0].data.query;
+
+  beforeEach(() => {
+    pulsar = new Pulsar();
+    pulsar._send = jest.fn().mockResolvedValue([]);
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('select', () => {
+    test('binds parameters as escaped literals', async () => {
+      await pulsar.select('Account', 'SELECT * FROM Account WHERE Name LIKE ? AND NumberOfEmployees > ?', ["%O'Brien%", 10]);
+
+      expect(sentQuery()).toBe("SELECT * FROM Account WHERE Name LIKE '%O''Brien%' AND NumberOfEmployees > 10");
+    });
+
+    test('expands arrays for IN lists', async () => {
+      await pulsar.select('Account', 'SELECT Id FROM Account WHERE Industry IN (?)', [['Energy', 'Tech']]);
+
+      expect(sentQuery()).toBe("SELECT Id FROM Account WHERE Industry IN ('Energy', 'Tech')");
+    });
+
+    test('formats null, booleans, dates and empty arrays', async () => {
+      await pulsar.select('Account', 'SELECT Id FROM Account WHERE A IS ? AND B = ? AND C > ? AND D IN (?)', [
+        null,
+        true,
+        new Date('2025-01-01T00:00:00.000Z'),
+        []
+      ]);
+
+      expect(sentQuery()).toBe(
+        "SELECT Id FROM Account WHERE A IS NULL AND B = 'TRUE' AND C > '2025-01-01T00:00:00.000Z' AND D IN (NULL)"
+      );
+    });
+
+    test('ignores placeholders in literals, quoted identifiers and comments', async () => {
+      await pulsar.select('Account', `SELECT "Why?" FROM Account -- why?
+        WHERE Name = 'Who?' AND Id = ? /* ? */`, ['001']);
+
+      expect(sentQuery()).toBe(`SELECT "Why?" FROM Account -- why?
+        WHERE Name = 'Who?' AND Id = '001' /* ? */`);
+    });
+
+    test('keeps supporting an options object as the third argument', async () => {
+      await pulsar.select('Account', 'SELECT Id FROM Account', { timeout: 500 });
+
+      expect(pulsar._send).toHaveBeenCalledWith(
+        { type: 'select', object: 'Account', data: { query: 'SELECT Id FROM Account' } },
+        { timeout: 500 }
+      );
+    });
+
+    test('keeps options after omitted params', async () => {
+      await pulsar.select('Account', 'SELECT Id FROM Account', null, { timeout: 500 });
+      await pulsar.select('Account', 'SELECT Id FROM Account', undefined, { typed: false });
+
+      expect(pulsar._send.mock.calls.map(([, options]) => options)).toEqual([{ timeout: 500 }, { typed: false }]);
+    });
+
+    test('accepts params and options together', async () => {
+      await pulsar.select('Account', 'SELECT Id FROM Account WHERE Id = ?', ['001'], { timeout: 500 });
+
+      expect(pulsar._send).toHaveBeenCalledWith(
+        { type: 'select', object: 'Account', data: { query: "SELECT Id FROM Account WHERE Id = '001'" } },
+        { timeout: 500 }
+      );
+    });
+
+    test('rejects a parameter count mismatch', async () => {
+      await expect(pulsar.select('Account', 'SELECT Id FROM Account WHERE Id = ? AND Name = ?', ['001']))
+        .rejects
+        .toThrow('select expected 2 query parameters but received 1.');
+      expect(pulsar._send).not.toHaveBeenCalled();
+    });
+
+    test('rejects values that cannot be bound safely', async () => {
+      await expect(pulsar.select('Account', 'SELECT Id FROM Account WHERE Id = ?', [{ Id: '001' }]))
+        .rejects
+        .toBeInstanceOf(PulsarValidationError);
+      await expect(pulsar.select('Account', 'SELECT Id FROM Account WHERE N = ?', [NaN]))
+        .rejects
+        .toThrow('select cannot bind query parameter 1: NaN is not a finite number.');
+    });
+
+    test('rejects multiple statements', async () => {
+      await expect(pulsar.select('Account', 'SELECT Id FROM Account; DELETE FROM Account'))
+        .rejects
+        .toMatchObject({ name: 'PulsarValidationError', message: 'select accepts a single SQLite statement.' });
+      expect(pulsar._send).not.toHaveBeenCalled();
+    });
+
+    test('allows a trailing semicolon, comments and semicolons inside literals', async () => {
+      await pulsar.select('Account', "SELECT Id FROM Account WHERE Name = 'a;b'; -- done");
+
+      expect(pulsar._send).toHaveBeenCalledTimes(1);
+    });
+
+    test('bound values cannot inject a second statement', async () => {
+      await pulsar.select('Account', 'SELECT Id FROM Account WHERE Name = ?', ["x'; DELETE FROM Account; --"]);
+
+      expect(sentQuery()).toBe("SELECT Id FROM Account WHERE Name = 'x''; DELETE FROM Account; --'");
+    });
+  });
+
+  describe('updateQuery', () => {
+    test('binds parameters', async () => {
+      await pulsar.updateQuery('Account', 'UPDATE Account SET Status__c = ? WHERE Id = ?', ['Active', '001']);
+
+      expect(pulsar._send).toHaveBeenCalledWith({
+        type: 'updateQuery',
+        object: 'Account',
+        data: { query: "UPDATE Account SET Status__c = 'Active' WHERE Id = '001'" }
+      }, { timeout: 0 });
+    });
+
+    test('accepts options in place of params or after omitted params', async () => {
+      await pulsar.updateQuery('Account', "UPDATE Account SET Status__c = 'Active'", { timeout: 500 });
+      await pulsar.updateQuery('Account', "UPDATE Account SET Status__c = 'Active'", null, { timeout: 600 });
+
+      expect(pulsar._send.mock.calls.map(([request]) => request.data.query)).toEqual([
+        "UPDATE Account SET Status__c = 'Active'",
+        "UPDATE Account SET Status__c = 'Active'"
+      ]);
+    });
+
+    test('rejects statements other than UPDATE', async () => {
+      await expect(pulsar.updateQuery('Account', 'DELETE FROM Account'))
+        .rejects
+        .toThrow('updateQuery only accepts UPDATE statements.');
+      await expect(pulsar.updateQuery('Account', "/* UPDATE */ SELECT 'UPDATE'"))
+        .rejects
+        .toBeInstanceOf(PulsarValidationError);
+      expect(pulsar._send).not.toHaveBeenCalled();
+    });
+
+    test('allows leading comments before UPDATE', async () => {
+      await pulsar.updateQuery('Account', '-- bulk activate\nUPDATE Account SET Status__c = ?', ['Active']);
+
+      expect(pulsar._send).toHaveBeenCalledTimes(1);
+    });
+
+    test('rejects multiple statements', async () => {
+      await expect(pulsar.updateQuery('Account', "UPDATE Account SET Name = 'a'; DROP TABLE Account"))
+        .rejects
+        .toThrow('updateQuery accepts a single SQLite statement.');
+    });
+  });
+
+  describe('queryContent', () => {
+    test('binds parameters and keeps later arguments', async () => {
+      await pulsar.queryContent('ContentDocumentId IN (?)', [['069A', '069B']], false, { timeout: 100 });
+
+      expect(pulsar._send).toHaveBeenCalledWith({
+        type: 'queryContent',
+        data: { filter: "ContentDocumentId IN ('069A', '069B')", DownloadVersionData: false }
+      }, { timeout: 100 });
+    });
+
+    test('keeps supporting the unparameterized form', async () => {
+      await pulsar.queryContent("ContentDocumentId = '069A'", false);
+
+      expect(pulsar._send).toHaveBeenCalledWith({
+        type: 'queryContent',
+        data: { filter: "ContentDocumentId = '069A'", DownloadVersionData: false }
+      }, {});
+    });
+
+    test('keeps downloadVersionData and options after omitted params', async () => {
+      await pulsar.queryContent("ContentDocumentId = '069A'", undefined, false);
+      await pulsar.queryContent("ContentDocumentId = '069A'", null, false, { timeout: 100 });
+      await pulsar.queryContent("ContentDocumentId = '069A'", { timeout: 200 });
+
+      expect(pulsar._send.mock.calls.map(([request, options]) => [request.data.DownloadVersionData, options])).toEqual([
+        [false, {}],
+        [false, { timeout: 100 }],
+        [true, { timeout: 200 }]
+      ]);
+    });
+  });
+
+  test('bound queries run against the local database', async () => {
+    pulsar = new Pulsar();
+    pulsar.bridge = new MockBridge({
+      records: {
+        Account: [
+          { Name: "O'Brien Ltd", Industry: 'Energy' },
+          { Name: 'Acme', Industry: 'Tech' },
+          { Name: 'Globex', Industry: 'Retail' }
+        ]
+      }
+    });
+
+    const byName = await pulsar.select('Account', 'SELECT Name FROM Account WHERE Name LIKE ?', ["O'B%"]);
+    const byIndustry = await pulsar.select('Account', 'SELECT Name FROM Account WHERE Industry IN (?) ORDER BY Name', [['Energy', 'Tech']]);
+
+    expect(byName).toEqual([{ Name: "O'Brien Ltd" }]);
+    expect(byIndustry).toEqual([{ Name: 'Acme' }, { Name: "O'Brien Ltd" }]);
+  });
+});
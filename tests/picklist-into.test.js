@@ -21,7 +21,7 @@ describe('getPicklist', () => {
       object: 'Account',
       fieldName: 'Type',
       data: {}
-    });
+    }, {});
 
     expect(result).toEqual(mockResponse);
   });
@@ -37,7 +37,7 @@ describe('getPicklist', () => {
       object: 'Contact',
       fieldName: 'LeadSource',
       data: { RecordTypeId: '012345' }
-    });
+    }, {});
 
     expect(result).toEqual(mockResponse);
   });
@@ -53,7 +53,7 @@ describe('getPicklist', () => {
       object: 'Product2',
       fieldName: 'Color__c',
       data: { Category__c: 'Paint' }
-    });
+    }, {});
 
     expect(result).toEqual(mockResponse);
   });
@@ -72,7 +72,7 @@ describe('getPicklist', () => {
         RecordTypeId: '012345',
         Origin: 'Email'
       }
-    });
+    }, {});
 
     expect(result).toEqual(mockResponse);
   });
@@ -90,7 +90,7 @@ describe('getPicklist', () => {
       data: {
         RecordTypeId: '012999'
       }
-    });
+    }, {});
 
     expect(result).toEqual(mockResponse);
   });
@@ -120,7 +120,7 @@ describe('getUnfilteredPicklist', () => {
       object: 'Account',
       fieldName: 'Type',
       data: {}
-    });
+    }, {});
 
     expect(result).toBe(expected);
   });
@@ -140,7 +140,7 @@ describe('getUnfilteredPicklist', () => {
       object: 'Contact',
       fieldName: 'Status',
       data: { RecordTypeId: '012345' }
-    });
+    }, {});
 
     expect(result).toBe(expected);
   });
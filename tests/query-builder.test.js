@@ -0,0 +1,169 @@
+import { Pulsar, PulsarQuery, PulsarValidationError } from '../src/pulsar.js';
+import { MockBridge } from '../src/mock-bridge.js';
+import { beforeEach, describe, expect, jest, test } from '@jest/globals';
+
+const schema = {
+  name: 'WorkOrder',
+  fields: [
+    { name: 'Id', type: 'id' },
+    { name: 'Subject', type: 'string' },
+    { name: 'Status', type: 'picklist' },
+    { name: 'Priority', type: 'picklist' },
+    { name: 'Duration', type: 'double' },
+    { name: 'StartDate', type: 'date' },
+    { name: 'CreatedDate', type: 'datetime' }
+  ]
+};
+
+describe('query builder', () => {
+  let pulsar;
+  let bridge;
+
+  beforeEach(() => {
+    bridge = new MockBridge({
+      schemas: { WorkOrder: schema },
+      records: {
+        WorkOrder: [
+          { Subject: 'Leak', Status: 'New', Priority: 'High', Duration: '1.5', StartDate: '2025-03-14', CreatedDate: '2025-03-01T10:00:00.000Z' },
+          { Subject: "O'Hare fire alarm", Status: 'New', Priority: 'Critical', Duration: '3', StartDate: '2025-03-15', CreatedDate: '2025-03-03T10:00:00.000Z' },
+          { Subject: 'Paint', Status: 'New', Priority: 'Low', Duration: '', StartDate: '', CreatedDate: '2025-03-02T10:00:00.000Z' },
+          { Subject: 'Boiler', Status: 'Closed', Priority: 'High', Duration: '2', StartDate: '2025-03-14', CreatedDate: '2025-03-04T10:00:00.000Z' }
+        ]
+      }
+    });
+    pulsar = new Pulsar();
+    pulsar.bridge = bridge;
+  });
+
+  test('query() returns a PulsarQuery', () => {
+    expect(pulsar.query('WorkOrder')).toBeInstanceOf(PulsarQuery);
+  });
+
+  test('toSQL() compiles the chain to a parameterized statement', () => {
+    const compiled = pulsar.query('WorkOrder')
+      .where({ Status: 'New', StartDate: null })
+      .whereIn('Priority', ['High', 'Critical'])
+      .where('Subject', 'like', '%fire%')
+      .orderBy('CreatedDate', 'desc')
+      .orderBy('Subject')
+      .limit(50)
+      .fields(['Id', 'Subject'])
+      .toSQL();
+
+    expect(compiled).toEqual({
+      query: "SELECT Id, Subject FROM WorkOrder WHERE Status = ? AND (StartDate IS NULL OR StartDate = '') AND Priority IN (?) AND Subject LIKE ? "
+        + 'ORDER BY CreatedDate DESC, Subject ASC LIMIT 50',
+      params: ['New', ['High', 'Critical'], '%fire%']
+    });
+  });
+
+  test('run() executes through select() and returns matching records', async () => {
+    const records = await pulsar.query('WorkOrder')
+      .where({ Status: 'New' })
+      .whereIn('Priority', ['High', 'Critical'])
+      .orderBy('CreatedDate', 'desc')
+      .limit(50)
+      .fields(['Subject', 'Priority'])
+      .run();
+
+    expect(records).toEqual([
+      { Subject: "O'Hare fire alarm", Priority: 'Critical' },
+      { Subject: 'Leak', Priority: 'High' }
+    ]);
+    expect(bridge.requests.at(-1)).toMatchObject({
+      type: 'select',
+      object: 'WorkOrder',
+      data: {
+        query: "SELECT Subject, Priority FROM WorkOrder WHERE Status = 'New' AND Priority IN ('High', 'Critical') "
+          + 'ORDER BY CreatedDate DESC LIMIT 50'
+      }
+    });
+  });
+
+  test('values are escaped', async () => {
+    const records = await pulsar.query('WorkOrder').where({ Subject: "O'Hare fire alarm" }).fields(['Subject']).run();
+
+    expect(records).toEqual([{ Subject: "O'Hare fire alarm" }]);
+  });
+
+  test('run({ typed: true }) returns typed records', async () => {
+    const [record] = await pulsar.query('WorkOrder')
+      .where('Duration', '>', 2)
+      .where({ Status: 'New' })
+      .fields(['Subject', 'Duration', 'StartDate'])
+      .run({ typed: true });
+
+    expect(record).toEqual({ Subject: "O'Hare fire alarm", Duration: 3, StartDate: new Date(2025, 2, 15) });
+  });
+
+  test('Date values are written in the stored format for the field type', async () => {
+    const records = await pulsar.query('WorkOrder')
+      .where({ StartDate: new Date(2025, 2, 14) })
+      .where('CreatedDate', '>', new Date('2025-03-03T12:00:00.000Z'))
+      .fields(['Subject'])
+      .run();
+
+    expect(records).toEqual([{ Subject: 'Boiler' }]);
+  });
+
+  test('count() counts matching records, ignoring fields, order and limit', async () => {
+    const count = await pulsar.query('WorkOrder').where({ Status: 'New' }).fields(['Subject']).orderBy('Subject').limit(1).count();
+
+    expect(count).toBe(3);
+    expect(bridge.requests.at(-1).data.query).toBe("SELECT COUNT(*) AS count FROM WorkOrder WHERE Status = 'New'");
+  });
+
+  test('an empty whereIn matches no records', async () => {
+    await expect(pulsar.query('WorkOrder').whereIn('Priority', []).run()).resolves.toEqual([]);
+  });
+
+  test('null matches fields stored as empty strings', async () => {
+    const subjects = async query => (await query.fields(['Subject']).orderBy('Subject').run()).map(record => record.Subject);
+
+    await expect(subjects(pulsar.query('WorkOrder').where({ StartDate: null }))).resolves.toEqual(['Paint']);
+    await expect(subjects(pulsar.query('WorkOrder').where('Duration', '!=', null))).resolves.toEqual(['Boiler', 'Leak', "O'Hare fire alarm"]);
+  });
+
+  test('numeric fields are compared and sorted as numbers', async () => {
+    bridge.seed('WorkOrder', [{ Subject: 'Survey', Status: 'New', Duration: '10' }]);
+
+    const records = await pulsar.query('WorkOrder').where('Duration', '>', '2').orderBy('Duration', 'desc').fields(['Subject']).run();
+
+    expect(records.map(record => record.Subject)).toEqual(['Survey', "O'Hare fire alarm"]);
+    expect(bridge.requests.at(-1).data.query).toBe(
+      "SELECT Subject FROM WorkOrder WHERE (Duration IS NOT NULL AND Duration != '' AND CAST(Duration AS REAL) > 2) ORDER BY CAST(Duration AS REAL) DESC"
+    );
+  });
+
+  test('run() rejects fields that are not on the SObject without running the query', async () => {
+    const send = jest.spyOn(bridge, 'send');
+
+    await expect(pulsar.query('WorkOrder').where({ Stauts: 'New' }).orderBy('Nmae').fields(['Id']).run())
+      .rejects
+      .toMatchObject({
+        name: 'PulsarValidationError',
+        message: 'query found unknown WorkOrder fields: Stauts, Nmae.',
+        object: 'WorkOrder'
+      });
+    expect(send.mock.calls.map(([request]) => request.type)).toEqual(['getSObjectSchema']);
+  });
+
+  test('field names are matched case-insensitively', async () => {
+    await expect(pulsar.query('WorkOrder').fields(['subject']).where({ status: 'Closed' }).run())
+      .resolves
+      .toEqual([{ subject: 'Boiler' }]);
+  });
+
+  test('validates builder arguments', () => {
+    const query = pulsar.query('WorkOrder');
+
+    expect(() => pulsar.query('WorkOrder; DROP TABLE WorkOrder')).toThrow(PulsarValidationError);
+    expect(() => query.fields([])).toThrow('fields requires a non-empty array of field names.');
+    expect(() => query.fields(['Id, Name'])).toThrow(PulsarValidationError);
+    expect(() => query.where('Status', 'IS', 'New')).toThrow("where does not support the operator 'IS'.");
+    expect(() => query.where(null)).toThrow(PulsarValidationError);
+    expect(() => query.whereIn('Status', 'New')).toThrow('whereIn requires an array of values.');
+    expect(() => query.orderBy('Subject', 'up')).toThrow("orderBy direction must be 'asc' or 'desc'.");
+    expect(() => query.limit(-1)).toThrow('limit requires a non-negative integer.');
+  });
+});
@@ -0,0 +1,107 @@
+import { Pulsar, PulsarValidationError } from '../src/pulsar.js';
+import { MockBridge } from '../src/mock-bridge.js';
+import { beforeEach, describe, expect, test } from '@jest/globals';
+
+const schemas = {
+  WorkOrder: {
+    name: 'WorkOrder',
+    keyPrefix: '0WO',
+    fields: [
+      { name: 'Id', type: 'id' },
+      { name: 'Subject', type: 'string' },
+      { name: 'AccountId', type: 'reference', relationshipName: 'Account', referenceTo: ['Account'] },
+      { name: 'ContactId', type: 'reference', relationshipName: 'Contact', referenceTo: ['Contact'] }
+    ],
+    childRelationships: [
+      { childSObject: 'WorkOrderLineItem', field: 'WorkOrderId', relationshipName: 'WorkOrderLineItems' },
+      { childSObject: 'ServiceAppointment', field: 'ParentRecordId', relationshipName: 'ServiceAppointments' }
+    ]
+  },
+  Account: { name: 'Account', keyPrefix: '001', fields: [{ name: 'Id', type: 'id' }, { name: 'Name', type: 'string' }] },
+  Contact: { name: 'Contact', keyPrefix: '003', fields: [{ name: 'Id', type: 'id' }, { name: 'LastName', type: 'string' }] },
+  WorkOrderLineItem: {
+    name: 'WorkOrderLineItem',
+    keyPrefix: '1WL',
+    fields: [
+      { name: 'Id', type: 'id' },
+      { name: 'Quantity', type: 'double' },
+      { name: 'WorkOrderId', type: 'reference', relationshipName: 'WorkOrder', referenceTo: ['WorkOrder'] }
+    ]
+  },
+  ServiceAppointment: {
+    name: 'ServiceAppointment',
+    keyPrefix: '08p',
+    fields: [
+      { name: 'Id', type: 'id' },
+      { name: 'ParentRecordId', type: 'reference', relationshipName: 'ParentRecord', referenceTo: ['WorkOrder', 'Account'] }
+    ]
+  }
+};
+
+describe('read() include', () => {
+  let pulsar;
+  let bridge;
+
+  const selects = () => bridge.requests.filter(request => request.type === 'select').map(request => request.data.query);
+
+  beforeEach(() => {
+    bridge = new MockBridge({
+      schemas,
+      records: {
+        Account: [{ Id: '001000000000001AAA', Name: 'Acme' }],
+        Contact: [{ Id: '003000000000001AAA', LastName: 'Jones' }],
+        WorkOrder: [
+          { Id: '0WO000000000001AAA', Subject: 'Leak', AccountId: '001000000000001AAA', ContactId: '003000000000001AAA' },
+          { Id: '0WO000000000002AAA', Subject: 'Paint', AccountId: '', ContactId: '' }
+        ],
+        WorkOrderLineItem: [
+          { Id: '1WL000000000001AAA', Quantity: '2', WorkOrderId: '0WO000000000001AAA' },
+          { Id: '1WL000000000002AAA', Quantity: '1', WorkOrderId: '0WO000000000001AAA' }
+        ],
+        ServiceAppointment: [{ Id: '08p000000000001AAA', ParentRecordId: '0WO000000000002AAA' }]
+      }
+    });
+    pulsar = new Pulsar();
+    pulsar.bridge = bridge;
+  });
+
+  test('attaches parent records and child record lists under the relationship names', async () => {
+    const [leak, paint] = await pulsar.read('WorkOrder', {}, { include: ['Account', 'Contact', 'WorkOrderLineItems', 'ServiceAppointments'] });
+
+    expect(leak.Account).toEqual({ Id: '001000000000001AAA', Name: 'Acme' });
+    expect(leak.Contact).toEqual({ Id: '003000000000001AAA', LastName: 'Jones' });
+    expect(leak.WorkOrderLineItems.map(item => item.Id)).toEqual(['1WL000000000001AAA', '1WL000000000002AAA']);
+    expect(leak.ServiceAppointments).toEqual([]);
+    expect(paint).toMatchObject({ Account: null, Contact: null, WorkOrderLineItems: [] });
+    expect(paint.ServiceAppointments.map(appointment => appointment.Id)).toEqual(['08p000000000001AAA']);
+  });
+
+  test('fetches each related SObject with one select', async () => {
+    await pulsar.read('WorkOrder', {}, { include: ['Account', 'Contact', 'WorkOrderLineItems'] });
+
+    expect(selects()).toEqual([
+      "SELECT * FROM Account WHERE Id IN ('001000000000001AAA')",
+      "SELECT * FROM Contact WHERE Id IN ('003000000000001AAA')",
+      "SELECT * FROM WorkOrderLineItem WHERE WorkOrderId IN ('0WO000000000001AAA', '0WO000000000002AAA')"
+    ]);
+  });
+
+  test('matches relationship names case-insensitively and converts related records in typed mode', async () => {
+    const [leak] = await pulsar.read('WorkOrder', { Subject: 'Leak' }, { include: ['workorderlineitems'], typed: true });
+
+    expect(leak.WorkOrderLineItems.map(item => item.Quantity)).toEqual([2, 1]);
+  });
+
+  test('does not select related records when no records are read', async () => {
+    await expect(pulsar.read('WorkOrder', { Subject: 'None' }, { include: ['Account'] })).resolves.toEqual([]);
+    expect(selects()).toEqual([]);
+  });
+
+  test('rejects unknown relationships before reading', async () => {
+    await expect(pulsar.read('WorkOrder', {}, { include: ['Acount'] }))
+      .rejects
+      .toThrow("read found no relationship 'Acount' on WorkOrder.");
+    await expect(pulsar.read('WorkOrder', {}, { include: 'Account' })).rejects.toBeInstanceOf(PulsarValidationError);
+    expect(bridge.requests.filter(request => request.type === 'read')).toHaveLength(0);
+  });
+});
@@ -0,0 +1,109 @@
+import { Pulsar, PulsarValidationError } from '../src/pulsar.js';
+import { MockBridge } from '../src/mock-bridge.js';
+import { beforeEach, describe, expect, test } from '@jest/globals';
+
+describe('record batches', () => {
+  let pulsar;
+  let bridge;
+
+  const rejectSubject = (type, subject) => {
+    bridge.setResponse(type, (request) => {
+      if (request.data.Subject === subject) throw new Error('FIELD_CUSTOM_VALIDATION_EXCEPTION');
+      return type === 'create' ? bridge._create(request.data, request) : bridge._update(request.data, request);
+    });
+  };
+
+  beforeEach(() => {
+    bridge = new MockBridge({
+      records: {
+        WorkOrder: [
+          { Subject: 'Leak', Status: 'New' },
+          { Subject: 'Boiler', Status: 'New' }
+        ]
+      }
+    });
+    pulsar = new Pulsar();
+    pulsar.bridge = bridge;
+  });
+
+  describe('createBatch', () => {
+    test('creates records in order and returns results keyed by index', async () => {
+      const response = await pulsar.createBatch('WorkOrder', [{ Subject: 'Paint' }, { Subject: 'Alarm' }]);
+
+      expect(response).toEqual({
+        summary: { success: 'TRUE' },
+        results: {
+          0: { objectId: '0WO000000000003AAA', success: 'TRUE', error: '' },
+          1: { objectId: '0WO000000000004AAA', success: 'TRUE', error: '' }
+        }
+      });
+      expect(bridge.requests.map(request => request.data.Subject)).toEqual(['Paint', 'Alarm']);
+    });
+
+    test('continues after a failed record by default', async () => {
+      rejectSubject('create', 'Bad');
+
+      const response = await pulsar.createBatch('WorkOrder', [{ Subject: 'Bad' }, { Subject: 'Good' }]);
+
+      expect(response.summary.success).toBe('FALSE');
+      expect(response.results[0]).toEqual({ objectId: '', success: 'FALSE', error: 'FIELD_CUSTOM_VALIDATION_EXCEPTION' });
+      expect(response.results[1].success).toBe('TRUE');
+    });
+
+    test('stops at the first failed record with stopOnError', async () => {
+      rejectSubject('create', 'Bad');
+
+      const response = await pulsar.createBatch('WorkOrder', [{ Subject: 'Good' }, { Subject: 'Bad' }, { Subject: 'Later' }], { stopOnError: true });
+
+      expect(response.results[2]).toEqual({ objectId: '', success: 'FALSE', error: 'Not attempted because an earlier record failed.' });
+      expect(bridge.requests).toHaveLength(2);
+    });
+
+    test('stops when the request is cancelled', async () => {
+      const controller = new AbortController();
+      controller.abort();
+
+      const response = await pulsar.createBatch('WorkOrder', [{ Subject: 'Paint' }, { Subject: 'Alarm' }], { signal: controller.signal });
+
+      expect(response.results[1].error).toBe('Not attempted because the batch was cancelled.');
+      expect(bridge.requests).toHaveLength(0);
+    });
+
+    test('validates arguments', async () => {
+      await expect(pulsar.createBatch('', [{}])).rejects.toThrow('createBatch requires a valid objectName string.');
+      await expect(pulsar.createBatch('WorkOrder', [])).rejects.toThrow('createBatch requires a non-empty array of record objects.');
+      await expect(pulsar.createBatch('WorkOrder', [null])).rejects.toBeInstanceOf(PulsarValidationError);
+    });
+  });
+
+  describe('updateBatch', () => {
+    test('updates records and reports their Ids', async () => {
+      const response = await pulsar.updateBatch('WorkOrder', [
+        { Id: '0WO000000000001AAA', Status: 'Closed' },
+        { Id: '0WO000000000002AAA', Status: 'Scheduled' }
+      ]);
+
+      expect(response.summary.success).toBe('TRUE');
+      expect(response.results[1]).toEqual({ objectId: '0WO000000000002AAA', success: 'TRUE', error: '' });
+      await expect(pulsar.read('WorkOrder', { Status: 'Closed' })).resolves.toMatchObject([{ Subject: 'Leak' }]);
+    });
+
+    test('reports failed records with their Id', async () => {
+      const response = await pulsar.updateBatch('WorkOrder', [
+        { Id: '0WO000000000009AAA', Status: 'Closed' },
+        { Id: '0WO000000000002AAA', Status: 'Closed' }
+      ], { stopOnError: true });
+
+      expect(response.summary.success).toBe('FALSE');
+      expect(response.results[0]).toMatchObject({ objectId: '0WO000000000009AAA', success: 'FALSE' });
+      expect(response.results[1]).toMatchObject({ objectId: '0WO000000000002AAA', success: 'FALSE', error: 'Not attempted because an earlier record failed.' });
+    });
+
+    test('requires an Id on every record', async () => {
+      await expect(pulsar.updateBatch('WorkOrder', [{ Id: '0WO000000000001AAA' }, { Status: 'Closed' }]))
+        .rejects
+        .toThrow('updateBatch requires every record to have an Id.');
+      expect(bridge.requests).toHaveLength(0);
+    });
+  });
+});
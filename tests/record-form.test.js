@@ -0,0 +1,247 @@
+import { Pulsar } from '../src/pulsar.js';
+import { MockBridge } from '../src/mock-bridge.js';
+import { PulsarRecordForm } from '../src/record-form.js';
+import { afterEach, beforeEach, describe, expect, test } from '@jest/globals';
+
+const item = (field, label, flags = {}) => ({
+  label,
+  required: false,
+  editableForNew: true,
+  editableForUpdate: true,
+  placeholder: false,
+  ...flags,
+  layoutComponents: [{ type: 'Field', value: field, displayLines: flags.displayLines ?? 1, tabOrder: flags.tabOrder }]
+});
+
+const fixtures = () => ({
+  schemas: {
+    Account: {
+      name: 'Account',
+      keyPrefix: '001',
+      fields: [
+        { name: 'Id', type: 'id', nillable: false, createable: false, updateable: false },
+        { name: 'Name', type: 'string', length: 255, nillable: false },
+        { name: 'AccountNumber', type: 'string', length: 40, nillable: true },
+        { name: 'Industry', type: 'picklist', picklistValues: [{ value: 'Energy', label: 'Energy' }, { value: 'Technology', label: 'Tech' }] },
+        { name: 'Description', type: 'textarea', length: 32000 },
+        { name: 'IsPartner__c', type: 'boolean', nillable: false },
+        { name: 'Website', type: 'url', length: 255 },
+        { name: 'LastVisit__c', type: 'datetime' }
+      ]
+    }
+  },
+  layouts: {
+    Account: {
+      editLayoutSections: [
+        {
+          heading: 'Account Information',
+          useHeading: true,
+          layoutRows: [
+            { layoutItems: [item('Name', 'Account Name', { required: true, tabOrder: 1 }), item('Industry', 'Industry', { tabOrder: 3 })] },
+            { layoutItems: [item('AccountNumber', 'Account Number', { editableForUpdate: false, tabOrder: 2 }), { placeholder: true, layoutComponents: [] }] }
+          ]
+        },
+        {
+          heading: 'Details',
+          useHeading: 'FALSE',
+          layoutRows: [
+            { layoutItems: [item('Description', 'Description', { displayLines: 5, tabOrder: 4 }), item('IsPartner__c', 'Partner', { tabOrder: 5 })] },
+            { layoutItems: [item('Website', 'Website', { tabOrder: 6 }), item('LastVisit__c', 'Last Visit', { tabOrder: 7 })] }
+          ]
+        }
+      ]
+    }
+  },
+  records: {
+    Account: [
+      { Id: '001000000000001AAA', Name: 'Acme', AccountNumber: 'A-1', Industry: 'Energy', Description: 'Boilers', IsPartner__c: 'TRUE', Website: '', LastVisit__c: '2025-03-14T09:30:15.250Z' }
+    ]
+  }
+});
+
+describe('<pulsar-record-form>', () => {
+  let pulsar;
+  let bridge;
+
+  const writes = () => bridge.requests.filter(request => request.type === 'create' || request.type === 'update');
+
+  const mount = async (attributes) => {
+    const form = document.createElement('pulsar-record-form');
+    Object.entries(attributes).forEach(([name, value]) => form.setAttribute(name, value));
+    document.body.append(form);
+    const loaded = new Promise(resolve => form.addEventListener('load', resolve, { once: true }));
+    form.pulsar = pulsar;
+    await loaded;
+    return form;
+  };
+
+  const input = (form, name) => form.querySelector(`[name="${name}"]`);
+  const submit = async (form) => {
+    const saved = new Promise(resolve => form.addEventListener('save', resolve, { once: true }));
+    form.querySelector('button[type="submit"]').click();
+    return saved;
+  };
+
+  beforeEach(() => {
+    bridge = new MockBridge(fixtures());
+    pulsar = new Pulsar();
+    pulsar.bridge = bridge;
+  });
+
+  afterEach(() => {
+    document.body.replaceChildren();
+  });
+
+  test('is registered as a custom element', () => {
+    expect(customElements.get('pulsar-record-form')).toBe(PulsarRecordForm);
+  });
+
+  test('renders sections and fields from the edit layout in tab order', async () => {
+    const form = await mount({ object: 'Account', 'record-id': '001000000000001AAA', mode: 'edit' });
+
+    const sections = [...form.querySelectorAll('fieldset.pulsar-section')];
+    expect(sections.map(section => section.querySelector('legend')?.textContent ?? null)).toEqual(['Account Information', null]);
+    expect([...sections[0].querySelectorAll('.pulsar-field')].map(field => field.dataset.field)).toEqual(['Name', 'AccountNumber', 'Industry']);
+    expect(form.querySelector('[data-field="Name"] label').textContent).toBe('Account Name');
+
+    expect(input(form, 'Name')).toMatchObject({ value: 'Acme', required: true, maxLength: 255 });
+    expect(input(form, 'AccountNumber').disabled).toBe(true);
+    expect(input(form, 'Description')).toMatchObject({ tagName: 'TEXTAREA', rows: 5, value: 'Boilers' });
+    expect(input(form, 'IsPartner__c')).toMatchObject({ type: 'checkbox', checked: true });
+    expect(input(form, 'Website').type).toBe('url');
+  });
+
+  test('orders fields row by row in LeftToRight sections and column by column in TopToBottom sections', async () => {
+    const order = async (tabOrder) => {
+      const data = fixtures();
+      const [section] = data.layouts.Account.editLayoutSections;
+      section.tabOrder = tabOrder;
+      section.layoutRows.flatMap(row => row.layoutItems).flatMap(layoutItem => layoutItem.layoutComponents).forEach(component => delete component.tabOrder);
+      bridge = new MockBridge(data);
+      pulsar.bridge = bridge;
+      const form = await mount({ object: 'Account', 'record-id': '001000000000001AAA', mode: 'edit' });
+      const fields = [...form.querySelectorAll('fieldset.pulsar-section')[0].querySelectorAll('.pulsar-field')];
+      form.remove();
+      return fields.map(field => field.dataset.field);
+    };
+
+    await expect(order('LeftToRight')).resolves.toEqual(['Name', 'Industry', 'AccountNumber']);
+    await expect(order('TopToBottom')).resolves.toEqual(['Name', 'AccountNumber', 'Industry']);
+  });
+
+  test('fills picklists from getPicklist()', async () => {
+    const form = await mount({ object: 'Account', 'record-id': '001000000000001AAA' });
+
+    const select = input(form, 'Industry');
+    expect([...select.options].map(option => [option.value, option.textContent])).toEqual([['', '--None--'], ['Energy', 'Energy'], ['Technology', 'Tech']]);
+    expect(select.value).toBe('Energy');
+    expect(bridge.requests.some(request => request.type === 'getPicklist' && request.fieldName === 'Industry')).toBe(true);
+  });
+
+  test('updates only the changed fields', async () => {
+    const form = await mount({ object: 'Account', 'record-id': '001000000000001AAA', mode: 'edit' });
+
+    input(form, 'Industry').value = 'Technology';
+    input(form, 'IsPartner__c').checked = false;
+    const { detail } = await submit(form);
+
+    expect(detail).toEqual({ id: '001000000000001AAA', mode: 'edit', fields: { Industry: 'Technology', IsPartner__c: 'FALSE' } });
+    expect(writes().map(request => request.data)).toEqual([{ Industry: 'Technology', IsPartner__c: 'FALSE', Id: '001000000000001AAA' }]);
+    await expect(pulsar.read('Account', { Id: '001000000000001AAA' })).resolves.toMatchObject([{ Industry: 'Technology' }]);
+  });
+
+  test('keeps an untouched datetime and sends an edited one in UTC', async () => {
+    const form = await mount({ object: 'Account', 'record-id': '001000000000001AAA', mode: 'edit' });
+    const lastVisit = input(form, 'LastVisit__c');
+    expect(lastVisit.type).toBe('datetime-local');
+
+    input(form, 'Name').value = 'Acme Inc';
+    await submit(form);
+    expect(writes().at(-1).data).toEqual({ Name: 'Acme Inc', Id: '001000000000001AAA' });
+
+    lastVisit.value = '2025-03-15T08:00';
+    await submit(form);
+    expect(writes().at(-1).data).toEqual({ LastVisit__c: new Date('2025-03-15T08:00').toISOString(), Id: '001000000000001AAA' });
+  });
+
+  test('treats a stored "1" boolean as checked and keeps it when saving another field', async () => {
+    bridge.seed('Account', [{ Id: '001000000000002AAA', Name: 'Globex', IsPartner__c: '1' }]);
+    const form = await mount({ object: 'Account', 'record-id': '001000000000002AAA', mode: 'edit' });
+    expect(input(form, 'IsPartner__c').checked).toBe(true);
+
+    input(form, 'Name').value = 'Globex Inc';
+    await submit(form);
+
+    expect(writes().map(request => request.data)).toEqual([{ Name: 'Globex Inc', Id: '001000000000002AAA' }]);
+  });
+
+  test('keeps a stored picklist value that getPicklist() does not offer', async () => {
+    bridge.seed('Account', [{ Id: '001000000000002AAA', Name: 'Globex', Industry: 'Mining', IsPartner__c: 'FALSE' }]);
+    const form = await mount({ object: 'Account', 'record-id': '001000000000002AAA', mode: 'edit' });
+    expect(input(form, 'Industry').value).toBe('Mining');
+
+    input(form, 'Name').value = 'Globex Inc';
+    await submit(form);
+
+    expect(writes().map(request => request.data)).toEqual([{ Name: 'Globex Inc', Id: '001000000000002AAA' }]);
+  });
+
+  test('creates a record in new mode using editableForNew and then edits it', async () => {
+    const form = await mount({ object: 'Account', mode: 'new' });
+    expect(input(form, 'AccountNumber').disabled).toBe(false);
+
+    input(form, 'Name').value = 'Globex';
+    input(form, 'AccountNumber').value = 'G-7';
+    const reloaded = new Promise(resolve => form.addEventListener('load', resolve, { once: true }));
+    const { detail } = await submit(form);
+    await reloaded;
+
+    expect(detail.mode).toBe('new');
+    expect(writes()[0]).toMatchObject({ type: 'create', data: { Name: 'Globex', AccountNumber: 'G-7', IsPartner__c: 'FALSE' } });
+    expect(form.getAttribute('record-id')).toBe(detail.id);
+    expect(form.mode).toBe('edit');
+    expect(input(form, 'AccountNumber').disabled).toBe(true);
+  });
+
+  test('shows required and schema problems next to their fields without writing', async () => {
+    const form = await mount({ object: 'Account', mode: 'new' });
+
+    await form.save();
+    expect(form.querySelector('[data-field="Name"] .pulsar-field-error').textContent).toBe('Account Name is required.');
+
+    input(form, 'Name').value = 'Globex';
+    input(form, 'Website').value = 'not a url';
+    await expect(form.save()).resolves.toBeNull();
+
+    expect(form.querySelectorAll('.pulsar-field-error')).toHaveLength(1);
+    expect(form.querySelector('[data-field="Website"] .pulsar-field-error').textContent).toBe('Website is not a valid URL.');
+    expect(input(form, 'Website').getAttribute('aria-invalid')).toBe('true');
+    expect(writes()).toHaveLength(0);
+  });
+
+  test('shows bridge errors above the form and dispatches error', async () => {
+    bridge.setResponse('update', () => { throw new Error('ENTITY_IS_LOCKED'); });
+    const form = await mount({ object: 'Account', 'record-id': '001000000000001AAA' });
+    const errors = [];
+    form.addEventListener('error', event => errors.push(event.detail.error.message));
+
+    input(form, 'Name').value = 'Acme Inc';
+    await expect(form.save()).resolves.toBeNull();
+
+    expect(form.querySelector('.pulsar-form-error').textContent).toBe('ENTITY_IS_LOCKED');
+    expect(errors).toEqual(['ENTITY_IS_LOCKED']);
+  });
+
+  test('reports a record that cannot be loaded', async () => {
+    const form = document.createElement('pulsar-record-form');
+    form.setAttribute('object', 'Account');
+    form.setAttribute('record-id', '001000000000009AAA');
+    document.body.append(form);
+    const failed = new Promise(resolve => form.addEventListener('error', resolve, { once: true }));
+    form.pulsar = pulsar;
+
+    const { detail } = await failed;
+    expect(detail.error.message).toBe('No Account record found with Id 001000000000009AAA.');
+    expect(form.querySelector('.pulsar-form-error').getAttribute('role')).toBe('alert');
+  });
+});
@@ -0,0 +1,247 @@
+import { Pulsar } from '../src/pulsar.js';
+import { MockBridge } from '../src/mock-bridge.js';
+import { PulsarRecordView } from '../src/record-view.js';
+import { afterEach, beforeEach, describe, expect, test } from '@jest/globals';
+
+const field = (name, label, extra = {}) => ({
+  label,
+  placeholder: false,
+  layoutComponents: [{ type: 'Field', value: name, ...extra }]
+});
+
+const compound = (name, label, parts) => ({
+  label,
+  placeholder: false,
+  layoutComponents: [{
+    type: 'Field',
+    value: name,
+    components: parts.map(part => (part.startsWith('|') ? { type: 'Separator', value: part.slice(1) } : { type: 'Field', value: part }))
+  }]
+});
+
+const fixtures = () => ({
+  schemas: {
+    Account: {
+      name: 'Account',
+      keyPrefix: '001',
+      fields: [
+        { name: 'Id', type: 'id' },
+        { name: 'Name', type: 'string', nameField: true },
+        { name: 'OwnerId', type: 'reference', referenceTo: ['User'] },
+        { name: 'Related__c', type: 'reference', referenceTo: ['Account', 'Contact'] },
+        { name: 'Asset__c', type: 'reference', referenceTo: ['Asset'] },
+        { name: 'AnnualRevenue', type: 'currency', scale: 2 },
+        { name: 'Discount__c', type: 'percent', scale: 1 },
+        { name: 'NumberOfEmployees', type: 'int' },
+        { name: 'Industry', type: 'picklist', picklistValues: [{ value: 'Technology', label: 'Tech' }] },
+        { name: 'Regions__c', type: 'multipicklist', picklistValues: [{ value: 'EMEA', label: 'Europe' }, { value: 'APAC', label: 'Asia' }] },
+        { name: 'Founded__c', type: 'date' },
+        { name: 'IsPartner__c', type: 'boolean' },
+        { name: 'Website', type: 'url' },
+        { name: 'Homepage__c', type: 'url' },
+        { name: 'Phone', type: 'phone' },
+        { name: 'Email__c', type: 'email' },
+        { name: 'Description', type: 'textarea' },
+        { name: 'BillingStreet', type: 'textarea' },
+        { name: 'BillingCity', type: 'string' },
+        { name: 'BillingState', type: 'string' },
+        { name: 'BillingPostalCode', type: 'string' },
+        { name: 'BillingCountry', type: 'string' },
+        { name: 'Site__Latitude__s', type: 'double', scale: 4 },
+        { name: 'Site__Longitude__s', type: 'double', scale: 4 }
+      ]
+    }
+  },
+  layouts: {
+    Account: {
+      highlightsPanelLayoutSection: {
+        layoutRows: [{ layoutItems: [field('Name', 'Account Name'), field('Industry', 'Industry')] }]
+      },
+      detailLayoutSections: [
+        {
+          heading: 'Account Information',
+          useHeading: true,
+          layoutRows: [
+            { layoutItems: [field('OwnerId', 'Owner'), field('Related__c', 'Related To')] },
+            { layoutItems: [field('Asset__c', 'Asset'), { placeholder: true, layoutComponents: [] }] },
+            { layoutItems: [field('AnnualRevenue', 'Revenue'), field('Discount__c', 'Discount')] },
+            { layoutItems: [field('NumberOfEmployees', 'Employees'), field('Regions__c', 'Regions')] },
+            { layoutItems: [field('Founded__c', 'Founded'), field('IsPartner__c', 'Partner')] },
+            { layoutItems: [field('Description', 'Description')] }
+          ]
+        },
+        {
+          heading: 'Contact Details',
+          useHeading: 'FALSE',
+          layoutRows: [
+            { layoutItems: [field('Website', 'Website'), field('Homepage__c', 'Homepage')] },
+            { layoutItems: [field('Phone', 'Phone'), field('Email__c', 'Email')] }
+          ]
+        },
+        {
+          heading: 'Address',
+          useHeading: true,
+          useCollapsibleSection: true,
+          collapsed: true,
+          layoutRows: [
+            {
+              layoutItems: [
+                compound('BillingAddress', 'Billing Address', ['BillingStreet', '|\n', 'BillingCity', '|, ', 'BillingState', '| ', 'BillingPostalCode', '|\n', 'BillingCountry']),
+                compound('Site__c', 'Site', ['Site__Latitude__s', '|, ', 'Site__Longitude__s'])
+              ]
+            }
+          ]
+        }
+      ]
+    }
+  },
+  records: {
+    Account: [{
+      Id: '001000000000001AAA',
+      Name: 'Acme',
+      OwnerId: '005000000000001AAA',
+      Related__c: '003000000000001AAA',
+      Asset__c: '02i000000000001AAA',
+      AnnualRevenue: '1250000.5',
+      Discount__c: '12.5',
+      NumberOfEmployees: '1200',
+      Industry: 'Technology',
+      Regions__c: 'EMEA;APAC',
+      Founded__c: '1999-03-04',
+      IsPartner__c: 'TRUE',
+      Website: 'www.acme.example',
+      Homepage__c: 'javascript:alert(1)',
+      Phone: '+1 (555) 010-2000',
+      Email__c: 'info@acme.example',
+      Description: 'Boilers\nand pumps',
+      BillingStreet: '1 Main St',
+      BillingCity: '',
+      BillingState: 'CA',
+      BillingPostalCode: '94105',
+      BillingCountry: 'USA',
+      Site__Latitude__s: '37.7749',
+      Site__Longitude__s: '-122.4194'
+    }],
+    User: [{ Id: '005000000000001AAA', Name: 'Sam Tech' }],
+    Contact: [{ Id: '003000000000001AAA', Name: 'Jo Jones' }]
+  }
+});
+
+describe('<pulsar-record-view>', () => {
+  let pulsar;
+  let bridge;
+
+  const mount = async (attributes = {}) => {
+    const view = document.createElement('pulsar-record-view');
+    view.setAttribute('lang', 'en-US');
+    view.setAttribute('object', 'Account');
+    view.setAttribute('record-id', '001000000000001AAA');
+    Object.entries(attributes).forEach(([name, value]) => view.setAttribute(name, value));
+    document.body.append(view);
+    const loaded = new Promise(resolve => view.addEventListener('load', resolve, { once: true }));
+    view.pulsar = pulsar;
+    await loaded;
+    return view;
+  };
+
+  const value = (view, name) => view.querySelector(`.pulsar-field[data-field="${name}"] .pulsar-value`);
+
+  beforeEach(() => {
+    bridge = new MockBridge(fixtures());
+    pulsar = new Pulsar();
+    pulsar.bridge = bridge;
+  });
+
+  afterEach(() => {
+    document.body.replaceChildren();
+  });
+
+  test('is registered as a custom element', () => {
+    expect(customElements.get('pulsar-record-view')).toBe(PulsarRecordView);
+  });
+
+  test('renders the highlights panel and detail sections', async () => {
+    const view = await mount();
+
+    const highlights = view.querySelector('.pulsar-highlights');
+    expect([...highlights.querySelectorAll('.pulsar-label')].map(label => label.textContent)).toEqual(['Account Name', 'Industry']);
+    expect(highlights.querySelector('.pulsar-value').textContent).toBe('Acme');
+
+    const sections = [...view.querySelectorAll('.pulsar-section')];
+    expect(sections.map(section => section.tagName)).toEqual(['SECTION', 'SECTION', 'DETAILS']);
+    expect(sections[0].querySelector('h3').textContent).toBe('Account Information');
+    expect(sections[1].querySelector('h3')).toBeNull();
+    expect(sections[0].querySelectorAll('.pulsar-field')).toHaveLength(10);
+  });
+
+  test('formats values by field type', async () => {
+    const view = await mount();
+
+    expect(value(view, 'AnnualRevenue').textContent).toBe('$1,250,000.50');
+    expect(value(view, 'Discount__c').textContent).toBe('12.5%');
+    expect(value(view, 'NumberOfEmployees').textContent).toBe('1,200');
+    expect(value(view, 'Industry').textContent).toBe('Tech');
+    expect(value(view, 'Regions__c').textContent).toBe('Europe; Asia');
+    expect(value(view, 'Founded__c').textContent).toBe('3/4/1999');
+    expect(value(view, 'IsPartner__c').querySelector('input')).toMatchObject({ type: 'checkbox', checked: true, disabled: true });
+    expect(value(view, 'Description').innerHTML).toBe('<span>Boilers<br>and pumps</span>');
+    expect(value(view, 'Website').querySelector('a').getAttribute('href')).toBe('http://www.acme.example');
+    expect(value(view, 'Homepage__c').querySelector('a')).toBeNull();
+    expect(value(view, 'Phone').querySelector('a').getAttribute('href')).toBe('tel:+15550102000');
+    expect(value(view, 'Email__c').querySelector('a').getAttribute('href')).toBe('mailto:info@acme.example');
+  });
+
+  test('uses the currency attribute when the record has no CurrencyIsoCode', async () => {
+    const view = await mount({ currency: 'EUR' });
+
+    expect(value(view, 'AnnualRevenue').textContent).toBe('€1,250,000.50');
+  });
+
+  test('shows a plain number when the currency code is invalid', async () => {
+    const view = await mount({ currency: 'Euro' });
+
+    expect(value(view, 'AnnualRevenue').textContent).toBe('1,250,000.5');
+    expect(value(view, 'Name').textContent).toBe('Acme');
+  });
+
+  test('shows lookup names, including polymorphic lookups, with one select per SObject', async () => {
+    const view = await mount();
+
+    expect(value(view, 'OwnerId').textContent).toBe('Sam Tech');
+    expect(value(view, 'Related__c').textContent).toBe('Jo Jones');
+    expect(value(view, 'Asset__c').textContent).toBe('02i000000000001AAA');
+    expect(bridge.requests.filter(request => request.type === 'select').map(request => request.data.query).sort()).toEqual([
+      "SELECT Id, Name FROM Contact WHERE Id IN ('003000000000001AAA')",
+      "SELECT Id, Name FROM User WHERE Id IN ('005000000000001AAA')"
+    ]);
+  });
+
+  test('joins compound fields with their separators and skips blank parts', async () => {
+    const view = await mount();
+
+    expect(value(view, 'BillingStreet BillingCity BillingState BillingPostalCode BillingCountry').innerHTML)
+      .toBe('<span>1 Main St</span><br><span>CA</span> <span>94105</span><br><span>USA</span>');
+    expect(value(view, 'Site__Latitude__s Site__Longitude__s').textContent).toBe('37.7749, -122.4194');
+  });
+
+  test('renders collapsible sections as details, honouring collapsed', async () => {
+    const view = await mount();
+
+    const details = view.querySelector('details.pulsar-section');
+    expect(details.querySelector('summary').textContent).toBe('Address');
+    expect(details.open).toBe(false);
+  });
+
+  test('reports a record that cannot be loaded', async () => {
+    const view = document.createElement('pulsar-record-view');
+    view.setAttribute('object', 'Account');
+    view.setAttribute('record-id', '001000000000009AAA');
+    document.body.append(view);
+    const failed = new Promise(resolve => view.addEventListener('error', resolve, { once: true }));
+    view.pulsar = pulsar;
+
+    const { detail } = await failed;
+    expect(detail.error.message).toBe('No Account record found with Id 001000000000009AAA.');
+    expect(view.querySelector('.pulsar-view-error').getAttribute('role')).toBe('alert');
+  });
+});
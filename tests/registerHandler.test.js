@@ -17,7 +17,11 @@ describe('Pulsar.registerHandler and deregisterHandler', () => {
     const fn = jest.fn();
     pulsar.registerHandler('invalidateLayout', fn);
 
-    expect(pulsar.bridge.registerHandler).toHaveBeenCalledWith('invalidateLayout', fn);
+    expect(pulsar.bridge.registerHandler).toHaveBeenCalledWith('invalidateLayout', expect.any(Function));
+
+    const nativeHandler = pulsar.bridge.registerHandler.mock.calls[0][1];
+    nativeHandler({ objectName: 'Account' });
+    expect(fn).toHaveBeenCalledWith({ objectName: 'Account' }, undefined);
   });
 
   test('deregisterHandler (native context) calls bridge.deregisterHandler', () => {
@@ -34,7 +38,7 @@ describe('Pulsar.registerHandler and deregisterHandler', () => {
 
     pulsar.registerHandler('syncDataUpdate', fn);
 
-    expect(pulsar.pulsar.addSyncDataUpdateHandler).toHaveBeenCalledWith(fn);
+    expect(pulsar.pulsar.addSyncDataUpdateHandler).toHaveBeenCalledWith(expect.any(Function));
     expect(pulsar.bridge.registerHandler).not.toHaveBeenCalled();
   });
 
@@ -46,7 +50,7 @@ describe('Pulsar.registerHandler and deregisterHandler', () => {
 
     pulsar.registerHandler('syncDataFinished', fn);
 
-    expect(pulsar.pulsar.addSyncFinishedHandler).toHaveBeenCalledWith(fn);
+    expect(pulsar.pulsar.addSyncFinishedHandler).toHaveBeenCalledWith(expect.any(Function));
     expect(pulsar.bridge.registerHandler).not.toHaveBeenCalled();
   });
 
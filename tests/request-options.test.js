@@ -0,0 +1,113 @@
+import { Pulsar, PulsarTimeoutError, PulsarAbortError } from '../src/pulsar.js';
+import { jest } from '@jest/globals';
+
+describe('Pulsar request options', () => {
+  let pulsar;
+  let mockSend;
+  let pendingCallback;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    pendingCallback = null;
+    mockSend = jest.fn((req, cb) => { pendingCallback = cb; });
+    pulsar = new Pulsar();
+    pulsar.bridge = { send: mockSend };
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.clearAllMocks();
+  });
+
+  test('does not time out by default', async () => {
+    const promise = pulsar.soqlQuery('SELECT Id FROM Account');
+
+    jest.advanceTimersByTime(60000);
+    pendingCallback({ type: 'soqlqueryResponse', data: { records: [] } });
+
+    await expect(promise).resolves.toEqual({ records: [] });
+  });
+
+  test('rejects with PulsarTimeoutError when the per-request timeout elapses', async () => {
+    const promise = pulsar.scanBarcode({ timeout: 1000 });
+
+    jest.advanceTimersByTime(1000);
+
+    await expect(promise).rejects.toBeInstanceOf(PulsarTimeoutError);
+    await expect(promise).rejects.toMatchObject({
+      name: 'PulsarTimeoutError',
+      type: 'scanBarcode',
+      timeout: 1000
+    });
+  });
+
+  test('applies the constructor default timeout', async () => {
+    pulsar = new Pulsar({ timeout: 500 });
+    pulsar.bridge = { send: mockSend };
+
+    const promise = pulsar.read('Account', {});
+    jest.advanceTimersByTime(500);
+
+    await expect(promise).rejects.toThrow("Pulsar request 'read' timed out after 500ms.");
+  });
+
+  test('per-request timeout overrides the constructor default', async () => {
+    pulsar = new Pulsar({ timeout: 500 });
+    pulsar.bridge = { send: mockSend };
+
+    const promise = pulsar.read('Account', {}, { timeout: 0 });
+    jest.advanceTimersByTime(5000);
+    pendingCallback({ type: 'readResponse', data: [] });
+
+    await expect(promise).resolves.toEqual([]);
+  });
+
+  test('ignores a late bridge callback after the timeout', async () => {
+    const promise = pulsar.read('Account', {}, { timeout: 100 });
+
+    jest.advanceTimersByTime(100);
+    await expect(promise).rejects.toBeInstanceOf(PulsarTimeoutError);
+
+    expect(() => pendingCallback({ type: 'readResponse', data: [] })).not.toThrow();
+  });
+
+  test('clears the timer once a response arrives', async () => {
+    const promise = pulsar.read('Account', {}, { timeout: 100 });
+
+    pendingCallback({ type: 'readResponse', data: [{ Id: '001' }] });
+    await expect(promise).resolves.toEqual([{ Id: '001' }]);
+
+    expect(jest.getTimerCount()).toBe(0);
+  });
+
+  test('rejects with PulsarAbortError when the signal is aborted', async () => {
+    const controller = new AbortController();
+    const promise = pulsar.soqlQuery('SELECT Id FROM Account', { signal: controller.signal });
+
+    controller.abort('user navigated away');
+
+    await expect(promise).rejects.toBeInstanceOf(PulsarAbortError);
+    await expect(promise).rejects.toMatchObject({
+      type: 'soqlquery',
+      reason: 'user navigated away'
+    });
+  });
+
+  test('rejects without contacting the bridge when the signal is already aborted', async () => {
+    const controller = new AbortController();
+    controller.abort();
+
+    await expect(pulsar.read('Account', {}, { signal: controller.signal }))
+      .rejects
+      .toBeInstanceOf(PulsarAbortError);
+    expect(mockSend).not.toHaveBeenCalled();
+  });
+
+  test('forwards request options through composite methods', async () => {
+    const promise = pulsar.syncRunning({ timeout: 250 });
+
+    jest.advanceTimersByTime(250);
+
+    await expect(promise).rejects.toMatchObject({ type: 'syncstatus' });
+  });
+});
@@ -0,0 +1,96 @@
+import { Pulsar, PulsarValidationError } from '../src/pulsar.js';
+import { MockBridge } from '../src/mock-bridge.js';
+import { beforeEach, describe, expect, test } from '@jest/globals';
+
+const schemas = {
+  WorkOrder: {
+    name: 'WorkOrder',
+    fields: [
+      { name: 'Id', type: 'id' },
+      { name: 'Subject', type: 'string' },
+      { name: 'AccountId', type: 'reference', relationshipName: 'Account', referenceTo: ['Account'] },
+      { name: 'OwnerId', type: 'reference', relationshipName: 'Owner', referenceTo: ['User'] }
+    ]
+  },
+  Account: {
+    name: 'Account',
+    fields: [
+      { name: 'Id', type: 'id' },
+      { name: 'Name', type: 'string' },
+      { name: 'OwnerId', type: 'reference', relationshipName: 'Owner', referenceTo: ['User'] }
+    ]
+  },
+  User: {
+    name: 'User',
+    fields: [{ name: 'Id', type: 'id' }, { name: 'Name', type: 'string' }]
+  }
+};
+
+describe('resolveSOQLFieldPaths', () => {
+  let pulsar;
+  let bridge;
+
+  const requests = (type) => bridge.requests.filter(request => request.type === type);
+
+  beforeEach(() => {
+    bridge = new MockBridge({
+      schemas,
+      records: {
+        User: [
+          { Id: '005000000000001AAA', Name: 'Una' },
+          { Id: '005000000000002AAA', Name: 'Dev' }
+        ],
+        Account: [
+          { Id: '001000000000001AAA', Name: 'Acme', OwnerId: '005000000000001AAA' },
+          { Id: '001000000000002AAA', Name: 'Globex', OwnerId: '005000000000002AAA' }
+        ]
+      }
+    });
+    pulsar = new Pulsar();
+    pulsar.bridge = bridge;
+  });
+
+  test('resolves every path for every record with one select per SObject and hop', async () => {
+    const workOrders = Array.from({ length: 200 }, (_, i) => ({
+      Subject: `Job ${i}`,
+      AccountId: i % 2 ? '001000000000001AAA' : '001000000000002AAA',
+      OwnerId: '005000000000002AAA'
+    }));
+
+    const values = await pulsar.resolveSOQLFieldPaths(workOrders, ['Subject', 'Account.Name', 'Account.Owner.Name', 'Owner.Name'], 'WorkOrder');
+
+    expect(values).toHaveLength(200);
+    expect(values[0]).toEqual({ Subject: 'Job 0', 'Account.Name': 'Globex', 'Account.Owner.Name': 'Dev', 'Owner.Name': 'Dev' });
+    expect(values[1]).toEqual({ Subject: 'Job 1', 'Account.Name': 'Acme', 'Account.Owner.Name': 'Una', 'Owner.Name': 'Dev' });
+    expect(requests('select').map(request => request.data.query)).toEqual([
+      "SELECT * FROM Account WHERE Id IN ('001000000000002AAA', '001000000000001AAA')",
+      "SELECT * FROM User WHERE Id IN ('005000000000002AAA')",
+      "SELECT * FROM User WHERE Id IN ('005000000000001AAA')"
+    ]);
+    expect(requests('getSObjectSchema').map(request => request.object)).toEqual(['WorkOrder', 'Account']);
+  });
+
+  test('returns null for missing references, related records and relationships', async () => {
+    const values = await pulsar.resolveSOQLFieldPaths([
+      { Subject: 'No account', AccountId: '' },
+      { Subject: 'Not synced', AccountId: '001000000000009AAA' }
+    ], ['Account.Name', 'Acount.Name', 'WorkOrder.Subject'], 'WorkOrder');
+
+    expect(values).toEqual([
+      { 'Account.Name': null, 'Acount.Name': null, 'WorkOrder.Subject': 'No account' },
+      { 'Account.Name': null, 'Acount.Name': null, 'WorkOrder.Subject': 'Not synced' }
+    ]);
+  });
+
+  test('does not send requests for direct fields or empty lists', async () => {
+    await expect(pulsar.resolveSOQLFieldPaths([{ Subject: 'Leak' }], ['Subject'], 'WorkOrder')).resolves.toEqual([{ Subject: 'Leak' }]);
+    await expect(pulsar.resolveSOQLFieldPaths([], ['Account.Name'], 'WorkOrder')).resolves.toEqual([]);
+    expect(bridge.requests).toHaveLength(0);
+  });
+
+  test('validates arguments', async () => {
+    await expect(pulsar.resolveSOQLFieldPaths(null, ['Name'], 'Account')).rejects.toThrow('resolveSOQLFieldPaths requires an array of records.');
+    await expect(pulsar.resolveSOQLFieldPaths([], 'Name', 'Account')).rejects.toThrow('resolveSOQLFieldPaths requires an array of field paths.');
+    await expect(pulsar.resolveSOQLFieldPaths([], ['Name'])).rejects.toBeInstanceOf(PulsarValidationError);
+  });
+});
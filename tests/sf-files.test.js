@@ -802,7 +802,7 @@ describe('deleteBatch', () => {
       data: {
         objectIdList: idList
       }
-    });
+    }, { timeout: 0 });
 
     expect(result).toEqual(mockResponse);
   });
@@ -844,7 +844,7 @@ describe('updateQuery', () => {
       data: {
         query
       }
-    });
+    }, { timeout: 0 });
 
     expect(result).toEqual(mockResponse);
   });
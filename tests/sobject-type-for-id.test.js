@@ -0,0 +1,78 @@
+import { Pulsar, PulsarValidationError } from '../src/pulsar.js';
+import { MockBridge } from '../src/mock-bridge.js';
+import { beforeEach, describe, expect, test } from '@jest/globals';
+
+const schemas = {
+  Task: {
+    name: 'Task',
+    keyPrefix: '00T',
+    fields: [
+      { name: 'Id', type: 'id' },
+      { name: 'Subject', type: 'string' },
+      { name: 'WhatId', type: 'reference', relationshipName: 'What', referenceTo: ['Account', 'Case'] }
+    ]
+  },
+  Account: { name: 'Account', keyPrefix: '001', fields: [{ name: 'Id', type: 'id' }, { name: 'Name', type: 'string' }] },
+  Case: { name: 'Case', keyPrefix: '500', fields: [{ name: 'Id', type: 'id' }, { name: 'Subject', type: 'string' }] }
+};
+
+describe('key prefixes', () => {
+  let pulsar;
+  let bridge;
+
+  const schemaRequests = () => bridge.requests.filter(request => request.type === 'getSObjectSchema').map(request => request.object);
+
+  beforeEach(() => {
+    bridge = new MockBridge({
+      schemas,
+      records: {
+        Account: [{ Id: '001000000000001AAA', Name: 'Acme' }],
+        Case: [{ Id: '500000000000001AAA', Subject: 'Broken pump' }]
+      }
+    });
+    pulsar = new Pulsar();
+    pulsar.bridge = bridge;
+  });
+
+  test('sObjectTypeForId() learns key prefixes from schemas', async () => {
+    await pulsar.getSObjectSchema('Case');
+
+    await expect(pulsar.sObjectTypeForId('500000000000001AAA')).resolves.toBe('Case');
+    await expect(pulsar.sObjectTypeForId('001000000000001AAA')).resolves.toBeNull();
+  });
+
+  test('sObjectTypeForId() requests the schemas of candidates once', async () => {
+    await expect(pulsar.sObjectTypeForId('500000000000001AAA', ['Account', 'Case'])).resolves.toBe('Case');
+    await expect(pulsar.sObjectTypeForId('001000000000001AAA', ['Account', 'Case'])).resolves.toBe('Account');
+    await expect(pulsar.sObjectTypeForId('a0B000000000001AAA', ['Account', 'Case'])).resolves.toBeNull();
+
+    expect(schemaRequests()).toEqual(['Account', 'Case']);
+  });
+
+  test('sObjectTypeForId() ignores candidates without a schema', async () => {
+    await expect(pulsar.sObjectTypeForId('500000000000001AAA', ['Opportunity', 'Case'])).resolves.toBe('Case');
+  });
+
+  test('sObjectTypeForId() validates the Id', async () => {
+    await expect(pulsar.sObjectTypeForId('')).rejects.toBeInstanceOf(PulsarValidationError);
+    await expect(pulsar.sObjectTypeForId(null)).rejects.toThrow('sObjectTypeForId requires a record Id.');
+  });
+
+  test('resolveSOQLFieldPath() resolves polymorphic references by key prefix', async () => {
+    await expect(pulsar.resolveSOQLFieldPath({ WhatId: '500000000000001AAA' }, 'What.Subject', 'Task')).resolves.toBe('Broken pump');
+    await expect(pulsar.resolveSOQLFieldPath({ WhatId: '001000000000001AAA' }, 'What.Name', 'Task')).resolves.toBe('Acme');
+  });
+
+  test('resolveSOQLFieldPaths() groups polymorphic references by key prefix', async () => {
+    const values = await pulsar.resolveSOQLFieldPaths([
+      { WhatId: '001000000000001AAA' },
+      { WhatId: '500000000000001AAA' }
+    ], ['What.Name', 'What.Subject'], 'Task');
+
+    expect(values).toEqual([
+      { 'What.Name': 'Acme', 'What.Subject': null },
+      { 'What.Name': null, 'What.Subject': 'Broken pump' }
+    ]);
+    expect(bridge.requests.filter(request => request.type === 'select').map(request => request.object)).toEqual(['Account', 'Case']);
+  });
+});
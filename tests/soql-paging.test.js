@@ -0,0 +1,144 @@
+import { Pulsar, PulsarValidationError } from '../src/pulsar.js';
+import { MockBridge } from '../src/mock-bridge.js';
+import { beforeEach, describe, expect, jest, test } from '@jest/globals';
+
+describe('SOQL paging', () => {
+  let pulsar;
+  let bridge;
+
+  const soqlRequests = () => bridge.requests.filter(request => request.type === 'soqlquery').map(request => request.data.query);
+
+  beforeEach(() => {
+    bridge = new MockBridge({
+      records: {
+        Account: Array.from({ length: 7 }, (_, i) => ({
+          Name: `Account ${i + 1}`,
+          Industry: i % 2 ? 'Energy' : 'Technology',
+          Rank: String(7 - i)
+        }))
+      }
+    }, { soqlBatchSize: 3 });
+    pulsar = new Pulsar();
+    pulsar.bridge = bridge;
+  });
+
+  describe('soqlQueryAll', () => {
+    test('fetches every batch by Id', async () => {
+      const result = await pulsar.soqlQueryAll('SELECT Id, Name FROM Account');
+
+      expect(result.done).toBe(true);
+      expect(result.totalSize).toBe(7);
+      expect(result.records.map(record => record.Name)).toEqual([1, 2, 3, 4, 5, 6, 7].map(i => `Account ${i}`));
+      expect(soqlRequests()).toEqual([
+        'SELECT Id, Name FROM Account ORDER BY Id',
+        "SELECT Id, Name FROM Account WHERE Id > '001000000000003AAA' ORDER BY Id",
+        "SELECT Id, Name FROM Account WHERE Id > '001000000000006AAA' ORDER BY Id"
+      ]);
+    });
+
+    test('keeps the WHERE clause and LIMIT of the query', async () => {
+      const result = await pulsar.soqlQueryAll("SELECT Id FROM Account WHERE Industry = 'Technology' OR Industry = 'Energy' LIMIT 5");
+
+      expect(result.records).toHaveLength(5);
+      expect(soqlRequests()[1]).toBe(
+        "SELECT Id FROM Account WHERE (Industry = 'Technology' OR Industry = 'Energy') AND Id > '001000000000003AAA' ORDER BY Id LIMIT 2"
+      );
+    });
+
+    test('continues queries with ORDER BY using OFFSET', async () => {
+      const result = await pulsar.soqlQueryAll('SELECT Name FROM Account ORDER BY Rank');
+
+      expect(result.records.map(record => record.Name)).toEqual([7, 6, 5, 4, 3, 2, 1].map(i => `Account ${i}`));
+      expect(soqlRequests()).toEqual([
+        'SELECT Name FROM Account ORDER BY Rank',
+        'SELECT Name FROM Account ORDER BY Rank OFFSET 3',
+        'SELECT Name FROM Account ORDER BY Rank OFFSET 6'
+      ]);
+    });
+
+    test('does not modify a query that fits in one batch', async () => {
+      bridge.soqlBatchSize = 2000;
+
+      const result = await pulsar.soqlQueryAll('SELECT Name FROM Account ORDER BY Name');
+
+      expect(result).toMatchObject({ totalSize: 7, done: true });
+      expect(soqlRequests()).toEqual(['SELECT Name FROM Account ORDER BY Name']);
+    });
+
+    test('stops at maxRecords and reports the result as not done', async () => {
+      const result = await pulsar.soqlQueryAll('SELECT Id FROM Account', { maxRecords: 4 });
+
+      expect(result).toMatchObject({ totalSize: 7, done: false });
+      expect(result.records).toHaveLength(4);
+      expect(soqlRequests()).toHaveLength(2);
+    });
+
+    test('requires Id to page queries without ORDER BY', async () => {
+      await expect(pulsar.soqlQueryAll('SELECT Name FROM Account'))
+        .rejects
+        .toThrow('The SOQL query must select Id to fetch further batches.');
+    });
+
+    test('rejects paging past the Salesforce OFFSET limit', async () => {
+      bridge.soqlBatchSize = 1500;
+      bridge.seed('Account', Array.from({ length: 3000 }, () => ({ Name: 'Bulk', Rank: '0' })));
+
+      await expect(pulsar.soqlQueryAll('SELECT Name FROM Account ORDER BY Rank'))
+        .rejects
+        .toThrow('Cannot fetch records past OFFSET 2000 of a SOQL query with ORDER BY. Remove ORDER BY to page by Id.');
+    });
+
+    test('passes request options to each batch', async () => {
+      const send = jest.spyOn(pulsar, '_send');
+
+      await pulsar.soqlQueryAll('SELECT Id FROM Account', { timeout: 500 });
+
+      expect(send).toHaveBeenCalledTimes(3);
+      expect(send.mock.calls.every(([, options]) => options.timeout === 500 && !('maxRecords' in options))).toBe(true);
+    });
+
+    test('validates arguments', async () => {
+      await expect(pulsar.soqlQueryAll('')).rejects.toBeInstanceOf(PulsarValidationError);
+      await expect(pulsar.soqlQueryAll('SELECT Id FROM Account', { maxRecords: 0 }))
+        .rejects
+        .toThrow('soqlQueryAll requires maxRecords to be a positive integer.');
+    });
+  });
+
+  describe('soqlQueryIterator', () => {
+    test('yields every record, fetching batches as needed', async () => {
+      const names = [];
+      for await (const record of pulsar.soqlQueryIterator('SELECT Id, Name FROM Account')) {
+        names.push(record.Name);
+        if (names.length === 2) expect(soqlRequests()).toHaveLength(1);
+      }
+
+      expect(names).toHaveLength(7);
+      expect(soqlRequests()).toHaveLength(3);
+    });
+
+    test('stops after maxRecords', async () => {
+      const records = [];
+      for await (const record of pulsar.soqlQueryIterator('SELECT Id FROM Account', { maxRecords: 5 })) {
+        records.push(record);
+      }
+
+      expect(records).toHaveLength(5);
+      expect(soqlRequests()).toHaveLength(2);
+    });
+
+    test('stops fetching when the loop exits early', async () => {
+      for await (const record of pulsar.soqlQueryIterator('SELECT Id FROM Account')) {
+        if (record) break;
+      }
+
+      expect(soqlRequests()).toHaveLength(1);
+    });
+
+    test('validates arguments immediately', () => {
+      expect(() => pulsar.soqlQueryIterator(null)).toThrow(PulsarValidationError);
+      expect(() => pulsar.soqlQueryIterator('SELECT Id FROM Account', { maxRecords: 1.5 }))
+        .toThrow('soqlQueryIterator requires maxRecords to be a positive integer.');
+    });
+  });
+});
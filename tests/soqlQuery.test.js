@@ -35,7 +35,7 @@ describe('Pulsar.soqlQuery()', () => {
       data: {
         query,
       },
-    });
+    }, {});
   });
 
   it('returns the response produced by _send()', async () => {
@@ -88,7 +88,7 @@ describe('Pulsar.soqlQuery()', () => {
       data: {
         query,
       },
-    });
+    }, {});
   });
 
   it('does not attempt to parse or modify aggregate queries', async () => {
@@ -111,7 +111,7 @@ describe('Pulsar.soqlQuery()', () => {
       data: {
         query,
       },
-    });
+    }, {});
   });
 
   test.each([
@@ -22,7 +22,7 @@ describe('Pulsar.syncInfo()', () => {
     expect(sendSpy).toHaveBeenCalledTimes(1);
     expect(sendSpy).toHaveBeenCalledWith({
       type: 'syncinfo'
-    });
+    }, {});
   });
 
   it('returns the sync information returned by _send()', async () => {
@@ -101,6 +101,6 @@ describe('Pulsar.syncInfo()', () => {
     expect(sendSpy).toHaveBeenCalledTimes(1);
     expect(sendSpy).toHaveBeenCalledWith({
       type: 'syncinfo'
-    });
+    }, {});
   });
 });
\ No newline at end of file
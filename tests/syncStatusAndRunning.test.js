@@ -22,7 +22,7 @@ describe('Pulsar.syncRunning()', () => {
     await expect(pulsar.syncRunning()).resolves.toBe(true);
 
     expect(syncStatusMock).toHaveBeenCalledTimes(1);
-    expect(syncStatusMock).toHaveBeenCalledWith();
+    expect(syncStatusMock).toHaveBeenCalledWith({});
   });
 
   it('returns false when syncrunning is FALSE', async () => {
@@ -0,0 +1,124 @@
+import { Pulsar, PulsarError, PulsarTransaction, PulsarValidationError } from '../src/pulsar.js';
+import { MockBridge } from '../src/mock-bridge.js';
+import { beforeEach, describe, expect, test } from '@jest/globals';
+
+describe('transaction', () => {
+  let pulsar;
+  let bridge;
+
+  const writes = () => bridge.requests
+    .filter(request => !['read', 'select', 'getSObjectSchema'].includes(request.type))
+    .map(request => `${request.type} ${request.object ?? ''}`.trim());
+
+  const failOn = (objectName) => {
+    bridge.setResponse('create', (request) => {
+      if (request.object === objectName) throw new Error('REQUIRED_FIELD_MISSING');
+      return bridge._create(request.data, request);
+    });
+  };
+
+  beforeEach(() => {
+    bridge = new MockBridge({ records: { WorkOrder: [], WorkOrderLineItem: [] } });
+    pulsar = new Pulsar();
+    pulsar.bridge = bridge;
+  });
+
+  test('runs operations in order and substitutes refs with created Ids', async () => {
+    const workOrder = await pulsar.transaction(tx => {
+      expect(tx).toBeInstanceOf(PulsarTransaction);
+      const wo = tx.create('WorkOrder', { Subject: 'Replace boiler' });
+      tx.create('WorkOrderLineItem', { WorkOrderId: wo.ref, Description: 'Remove old unit' });
+      tx.update('WorkOrder', wo.ref, { Status: 'Scheduled' });
+      tx.createSFFile(wo.ref, 'quote.pdf', 'SGVsbG8=');
+      return wo;
+    });
+
+    expect(workOrder.id).toBe('0WO000000000001AAA');
+    expect(writes()).toEqual(['create WorkOrder', 'create WorkOrderLineItem', 'update WorkOrder', 'createSFFile']);
+    await expect(pulsar.read('WorkOrderLineItem', { WorkOrderId: workOrder.id })).resolves.toHaveLength(1);
+    await expect(pulsar.read('WorkOrder', { Id: workOrder.id })).resolves.toMatchObject([{ Status: 'Scheduled' }]);
+    expect(bridge.requests.find(request => request.type === 'createSFFile').data.ParentId).toBe(workOrder.id);
+  });
+
+  test('substitutes temporary CURIUM_ Ids returned while offline', async () => {
+    bridge.setResponse('create', request => (request.object === 'WorkOrder' ? 'CURIUM_0WO1' : 'CURIUM_1WL1'));
+
+    await pulsar.transaction(async tx => {
+      const wo = tx.create('WorkOrder', { Subject: 'Offline job' });
+      tx.create('WorkOrderLineItem', { WorkOrderId: wo.ref });
+    });
+
+    expect(bridge.requests.at(-1).data).toEqual({ WorkOrderId: 'CURIUM_0WO1' });
+  });
+
+  test('deletes created records in reverse order when an operation fails', async () => {
+    failOn('WorkOrderLineItem');
+
+    const error = await pulsar.transaction(tx => {
+      const wo = tx.create('WorkOrder', { Subject: 'Replace boiler' });
+      tx.createSFFile(wo.ref, 'quote.pdf', 'SGVsbG8=');
+      tx.create('WorkOrderLineItem', { WorkOrderId: wo.ref });
+      tx.create('WorkOrderLineItem', { WorkOrderId: wo.ref });
+    }).catch(caught => caught);
+
+    expect(error).toMatchObject({ name: 'PulsarBridgeError', message: 'REQUIRED_FIELD_MISSING' });
+    expect(writes()).toEqual(['create WorkOrder', 'createSFFile', 'create WorkOrderLineItem', 'deleteSFFile', 'delete WorkOrder']);
+    await expect(pulsar.read('WorkOrder')).resolves.toEqual([]);
+  });
+
+  test('rolls back an aborted transaction without the aborted signal', async () => {
+    const controller = new AbortController();
+    bridge.setResponse('create', (request) => {
+      if (request.object === 'WorkOrderLineItem') controller.abort();
+      return bridge._create(request.data, request);
+    });
+
+    const error = await pulsar.transaction(tx => {
+      const wo = tx.create('WorkOrder', { Subject: 'Replace boiler' });
+      tx.create('WorkOrderLineItem', { WorkOrderId: wo.ref });
+    }, { signal: controller.signal }).catch(caught => caught);
+
+    expect(error).toMatchObject({ name: 'PulsarAbortError', message: "Pulsar request 'create' was aborted." });
+    expect(writes()).toEqual(['create WorkOrder', 'create WorkOrderLineItem', 'delete WorkOrder']);
+    await expect(pulsar.read('WorkOrder')).resolves.toEqual([]);
+  });
+
+  test('reports records that could not be deleted', async () => {
+    failOn('WorkOrderLineItem');
+    bridge.setResponse('delete', () => { throw new Error('ENTITY_IS_LOCKED'); });
+
+    const error = await pulsar.transaction(tx => {
+      const wo = tx.create('WorkOrder', { Subject: 'Replace boiler' });
+      tx.create('WorkOrderLineItem', { WorkOrderId: wo.ref });
+    }).catch(caught => caught);
+
+    expect(error).toBeInstanceOf(PulsarError);
+    expect(error.message).toBe('transaction failed and could not delete 1 created record: 0WO000000000001AAA.');
+    expect(error.orphanedIds).toEqual(['0WO000000000001AAA']);
+    expect(error.cause.message).toBe('REQUIRED_FIELD_MISSING');
+  });
+
+  test('runs nothing when the transaction function throws', async () => {
+    await expect(pulsar.transaction(tx => {
+      tx.create('WorkOrder', { Subject: 'Replace boiler' });
+      throw new Error('Cancelled');
+    })).rejects.toThrow('Cancelled');
+
+    expect(writes()).toEqual([]);
+  });
+
+  test('validates operations', async () => {
+    let leaked;
+    await pulsar.transaction(tx => { leaked = tx; });
+
+    await expect(pulsar.transaction(null)).rejects.toThrow('transaction requires a function.');
+    expect(() => leaked.create('WorkOrder', {})).toThrow('transaction operations must be added before the transaction function returns.');
+    await expect(pulsar.transaction(tx => tx.update('WorkOrder', '', {}))).rejects.toThrow('transaction update requires a record Id or ref.');
+    await expect(pulsar.transaction(tx => tx.create('WorkOrder', null))).rejects.toBeInstanceOf(PulsarValidationError);
+
+    const other = new PulsarTransaction(pulsar).create('WorkOrder', {});
+    await expect(pulsar.transaction(tx => tx.create('WorkOrderLineItem', { WorkOrderId: other.ref })))
+      .rejects
+      .toThrow('transaction refs can only be used by later operations of the same transaction.');
+  });
+});
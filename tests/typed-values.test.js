@@ -0,0 +1,139 @@
+import { Pulsar } from '../src/pulsar.js';
+import { MockBridge } from '../src/mock-bridge.js';
+import { beforeEach, describe, expect, test } from '@jest/globals';
+
+const schema = {
+  name: 'WorkOrder',
+  keyPrefix: '0WO',
+  fields: [
+    { name: 'Id', type: 'id' },
+    { name: 'Subject', type: 'string' },
+    { name: 'IsClosed', type: 'boolean' },
+    { name: 'Duration', type: 'double' },
+    { name: 'LineItemCount', type: 'int' },
+    { name: 'TotalPrice', type: 'currency' },
+    { name: 'Discount', type: 'percent' },
+    { name: 'StartDate', type: 'date' },
+    { name: 'EndDate', type: 'datetime' },
+    { name: 'Skills__c', type: 'multipicklist' }
+  ]
+};
+
+describe('typed mode', () => {
+  let pulsar;
+  let bridge;
+
+  beforeEach(() => {
+    bridge = new MockBridge({
+      schemas: { WorkOrder: schema },
+      records: {
+        WorkOrder: [{
+          Id: '0WO000000000001AAA',
+          Subject: '42',
+          IsClosed: 'TRUE',
+          Duration: '1.5',
+          LineItemCount: '3',
+          TotalPrice: '199.99',
+          Discount: '12.5',
+          StartDate: '2025-03-14',
+          EndDate: '2025-03-14T17:30:00.000Z',
+          Skills__c: 'Electrical;Plumbing'
+        }]
+      }
+    });
+    pulsar = new Pulsar();
+    pulsar.bridge = bridge;
+  });
+
+  test('read() returns strings by default', async () => {
+    const [record] = await pulsar.read('WorkOrder', {});
+
+    expect(record.IsClosed).toBe('TRUE');
+    expect(record.Duration).toBe('1.5');
+  });
+
+  test('read({ typed: true }) converts values using the schema', async () => {
+    const [record] = await pulsar.read('WorkOrder', {}, { typed: true });
+
+    expect(record).toEqual({
+      Id: '0WO000000000001AAA',
+      Subject: '42',
+      IsClosed: true,
+      Duration: 1.5,
+      LineItemCount: 3,
+      TotalPrice: 199.99,
+      Discount: 12.5,
+      StartDate: new Date(2025, 2, 14),
+      EndDate: new Date('2025-03-14T17:30:00.000Z'),
+      Skills__c: ['Electrical', 'Plumbing']
+    });
+  });
+
+  test('read({ typed: true }) serializes filter values', async () => {
+    const records = await pulsar.read('WorkOrder', { IsClosed: true }, { typed: true });
+
+    expect(records).toHaveLength(1);
+  });
+
+  test('empty values become null, or an empty array for multi-select picklists', async () => {
+    bridge.seed('WorkOrder', [{ Subject: 'Blank', IsClosed: '', Duration: '', StartDate: '', Skills__c: '' }]);
+
+    const [record] = await pulsar.read('WorkOrder', { Subject: 'Blank' }, { typed: true });
+
+    expect(record).toMatchObject({ IsClosed: null, Duration: null, StartDate: null, Skills__c: [] });
+  });
+
+  test('select({ typed: true }) converts schema columns and leaves other columns unchanged', async () => {
+    const [record] = await pulsar.select(
+      'WorkOrder',
+      'SELECT Id, isclosed, Duration AS Hours, COUNT(*) AS Total FROM WorkOrder',
+      { typed: true }
+    );
+
+    expect(record.isclosed).toBe(true);
+    expect(record.Hours).toBe('1.5');
+    expect(record.Total).toBe('1');
+  });
+
+  test('create({ typed: true }) writes values in Pulsar format', async () => {
+    const id = await pulsar.create('WorkOrder', {
+      Subject: 'New',
+      IsClosed: false,
+      Duration: 2,
+      StartDate: new Date(2025, 0, 5),
+      EndDate: new Date('2025-01-05T09:00:00.000Z'),
+      Skills__c: ['HVAC']
+    }, {}, { typed: true });
+
+    const [stored] = await pulsar.read('WorkOrder', { Id: id });
+    expect(stored).toMatchObject({
+      IsClosed: 'FALSE',
+      Duration: '2',
+      StartDate: '2025-01-05',
+      EndDate: '2025-01-05T09:00:00.000Z',
+      Skills__c: 'HVAC'
+    });
+  });
+
+  test('update({ typed: true }) round-trips through read({ typed: true })', async () => {
+    await pulsar.update('WorkOrder', '0WO000000000001AAA', {
+      IsClosed: false,
+      Skills__c: ['Carpentry'],
+      TotalPrice: null
+    }, {}, { typed: true });
+
+    const [record] = await pulsar.read('WorkOrder', { Id: '0WO000000000001AAA' }, { typed: true });
+    expect(record.IsClosed).toBe(false);
+    expect(record.Skills__c).toEqual(['Carpentry']);
+    expect(record.TotalPrice).toBeNull();
+  });
+
+  test('unparseable values are left unchanged', async () => {
+    bridge.seed('WorkOrder', [{ Subject: 'Bad', Duration: 'n/a', EndDate: 'soon' }]);
+
+    const [record] = await pulsar.read('WorkOrder', { Subject: 'Bad' }, { typed: true });
+
+    expect(record.Duration).toBe('n/a');
+    expect(record.EndDate).toBe('soon');
+  });
+});
@@ -0,0 +1,114 @@
+import { Pulsar, PulsarValidationError } from '../src/pulsar.js';
+import { MockBridge } from '../src/mock-bridge.js';
+import { beforeEach, describe, expect, test } from '@jest/globals';
+
+const schemas = {
+  Asset: {
+    name: 'Asset',
+    keyPrefix: '02i',
+    fields: [
+      { name: 'Id', type: 'id' },
+      { name: 'Name', type: 'string' },
+      { name: 'SerialNumber', type: 'string', externalId: true },
+      { name: 'Status', type: 'picklist' }
+    ]
+  }
+};
+
+describe('upsert', () => {
+  let pulsar;
+  let bridge;
+
+  const writes = () => bridge.requests
+    .filter(request => request.type === 'create' || request.type === 'update')
+    .map(request => `${request.type} ${request.data.SerialNumber}`);
+
+  beforeEach(() => {
+    bridge = new MockBridge({
+      schemas,
+      records: {
+        Asset: [
+          { Id: '02i000000000001AAA', Name: 'Boiler', SerialNumber: 'SN-1', Status: 'Installed' },
+          { Id: '02i000000000002AAA', Name: 'Pump', SerialNumber: 'SN-2', Status: 'Installed' }
+        ]
+      }
+    });
+    pulsar = new Pulsar();
+    pulsar.bridge = bridge;
+  });
+
+  test('updates matching records and creates the rest', async () => {
+    const response = await pulsar.upsert('Asset', 'SerialNumber', [
+      { SerialNumber: 'SN-2', Status: 'Obsolete' },
+      { SerialNumber: 'SN-3', Name: 'Valve', Status: 'Installed' }
+    ]);
+
+    expect(response).toEqual({
+      summary: { success: 'TRUE' },
+      results: {
+        0: { objectId: '02i000000000002AAA', success: 'TRUE', error: '', outcome: 'updated' },
+        1: { objectId: response.results[1].objectId, success: 'TRUE', error: '', outcome: 'created' }
+      }
+    });
+    expect(response.results[1].objectId).toMatch(/^02i/);
+    expect(writes()).toEqual(['update SN-2', 'create SN-3']);
+    await expect(pulsar.read('Asset', { SerialNumber: 'SN-2' })).resolves.toMatchObject([{ Name: 'Pump', Status: 'Obsolete' }]);
+  });
+
+  test('looks up existing records with one select', async () => {
+    await pulsar.upsert('Asset', 'SerialNumber', [{ SerialNumber: 'SN-1' }, { SerialNumber: 'SN-4' }, { SerialNumber: 'SN-1' }]);
+
+    expect(bridge.requests.filter(request => request.type === 'select').map(request => request.data.query))
+      .toEqual(["SELECT Id, SerialNumber FROM Asset WHERE SerialNumber IN ('SN-1', 'SN-4')"]);
+  });
+
+  test('updates the record created for a repeated value', async () => {
+    const response = await pulsar.upsert('Asset', 'SerialNumber', [
+      { SerialNumber: 'SN-5', Status: 'Shipped' },
+      { SerialNumber: 'SN-5', Status: 'Installed' }
+    ]);
+
+    expect(response.results[0].outcome).toBe('created');
+    expect(response.results[1]).toMatchObject({ objectId: response.results[0].objectId, outcome: 'updated' });
+    await expect(pulsar.read('Asset', { SerialNumber: 'SN-5' })).resolves.toMatchObject([{ Status: 'Installed' }]);
+  });
+
+  test('reports each outcome when the same record object is passed twice', async () => {
+    const asset = { SerialNumber: 'SN-6', Status: 'Shipped' };
+    const response = await pulsar.upsert('Asset', 'SerialNumber', [asset, asset]);
+
+    expect(response.results[0].outcome).toBe('created');
+    expect(response.results[1]).toMatchObject({ objectId: response.results[0].objectId, outcome: 'updated' });
+  });
+
+  test('fails records that match more than one local record', async () => {
+    bridge.seed('Asset', [{ Id: '02i000000000009AAA', Name: 'Duplicate pump', SerialNumber: 'SN-2' }]);
+
+    const response = await pulsar.upsert('Asset', 'SerialNumber', [{ SerialNumber: 'SN-2', Status: 'Obsolete' }, { SerialNumber: 'SN-1' }]);
+
+    expect(response.summary.success).toBe('FALSE');
+    expect(response.results[0]).toEqual({ objectId: '', success: 'FALSE', error: "upsert found 2 Asset records with SerialNumber 'SN-2'.", outcome: 'failed' });
+    expect(response.results[1].outcome).toBe('updated');
+    expect(writes()).toEqual(['update SN-1']);
+  });
+
+  test('reports failed writes and honours stopOnError', async () => {
+    bridge.setResponse('update', () => { throw new Error('ENTITY_IS_LOCKED'); });
+
+    const response = await pulsar.upsert('Asset', 'SerialNumber', [{ SerialNumber: 'SN-1' }, { SerialNumber: 'SN-6' }], { stopOnError: true });
+
+    expect(response.results[0]).toMatchObject({ success: 'FALSE', error: 'ENTITY_IS_LOCKED', outcome: 'failed' });
+    expect(response.results[1]).toMatchObject({ error: 'Not attempted because an earlier record failed.', outcome: 'failed' });
+    expect(writes()).toEqual(['update SN-1']);
+  });
+
+  test('validates arguments before writing', async () => {
+    await expect(pulsar.upsert('Asset', 'Serial Number', [{}])).rejects.toThrow('upsert requires a valid externalIdField name.');
+    await expect(pulsar.upsert('Asset', 'SerialNumber', [{ SerialNumber: 'SN-1' }, { Name: 'Valve' }]))
+      .rejects
+      .toThrow('upsert requires every record to have a SerialNumber value.');
+    await expect(pulsar.upsert('Asset', 'SerialNo', [{ SerialNo: 'SN-1' }])).rejects.toThrow("upsert found no field 'SerialNo' on Asset.");
+    await expect(pulsar.upsert('Asset', 'SerialNumber', [])).rejects.toBeInstanceOf(PulsarValidationError);
+    expect(writes()).toEqual([]);
+  });
+});
@@ -0,0 +1,158 @@
+import { Pulsar, PulsarValidationError } from '../src/pulsar.js';
+import { MockBridge } from '../src/mock-bridge.js';
+import { beforeEach, describe, expect, test } from '@jest/globals';
+
+const schemas = {
+  Contact: {
+    name: 'Contact',
+    keyPrefix: '003',
+    fields: [
+      { name: 'Id', type: 'id', nillable: false, createable: false, updateable: false },
+      { name: 'LastName', type: 'string', length: 80, nillable: false, createable: true, updateable: true },
+      { name: 'OwnerId', type: 'reference', referenceTo: ['User'], nillable: false, defaultedOnCreate: true, createable: true, updateable: true },
+      { name: 'AccountId', type: 'reference', referenceTo: ['Account'], nillable: true, createable: true, updateable: true },
+      { name: 'Email', type: 'email', length: 80, nillable: true, createable: true, updateable: true },
+      { name: 'Phone', type: 'phone', length: 40, nillable: true, createable: true, updateable: true },
+      { name: 'Website__c', type: 'url', length: 255, nillable: true, createable: true, updateable: true },
+      { name: 'DoNotCall', type: 'boolean', nillable: false, createable: true, updateable: true },
+      { name: 'Visits__c', type: 'double', precision: 5, scale: 2, nillable: true, createable: true, updateable: true },
+      { name: 'Age__c', type: 'int', digits: 3, nillable: true, createable: true, updateable: true },
+      {
+        name: 'Level__c',
+        type: 'picklist',
+        restrictedPicklist: true,
+        picklistValues: [{ value: 'Primary', active: true }, { value: 'Secondary', active: true }, { value: 'Legacy', active: false }],
+        nillable: true,
+        createable: true,
+        updateable: true
+      },
+      {
+        name: 'Languages__c',
+        type: 'multipicklist',
+        restrictedPicklist: true,
+        picklistValues: [{ value: 'English', active: true }, { value: 'French', active: true }],
+        nillable: true,
+        createable: true,
+        updateable: true
+      },
+      { name: 'Name', type: 'string', length: 121, nillable: true, createable: false, updateable: false },
+      { name: 'ExternalRef__c', type: 'string', length: 20, nillable: true, createable: true, updateable: false }
+    ]
+  }
+};
+
+describe('record validation', () => {
+  let pulsar;
+  let bridge;
+
+  const writes = () => bridge.requests.filter(request => request.type === 'create' || request.type === 'update');
+  const codes = errors => Object.fromEntries(errors.map(error => [error.field, error.code]));
+
+  beforeEach(() => {
+    bridge = new MockBridge({
+      schemas,
+      records: { Contact: [{ Id: '003000000000001AAA', LastName: 'Jones' }] }
+    });
+    pulsar = new Pulsar();
+    pulsar.bridge = bridge;
+  });
+
+  test('accepts valid values', async () => {
+    await expect(pulsar.validateRecord('Contact', {
+      LastName: 'Jones',
+      AccountId: '001000000000001AAA',
+      Email: 'jo@example.com',
+      Phone: '+1 (555) 010-2000 ext. 12',
+      Website__c: 'www.example.com',
+      Visits__c: '123.45',
+      Age__c: '42',
+      Level__c: 'Primary',
+      Languages__c: 'English;French'
+    })).resolves.toEqual([]);
+  });
+
+  test('reports required, createable and unknown fields on create', async () => {
+    const errors = await pulsar.validateRecord('Contact', { Name: 'Jo Jones', Emial: 'jo@example.com' });
+
+    expect(errors).toEqual([
+      { field: 'Name', code: 'INVALID_FIELD_FOR_INSERT_UPDATE', message: 'Name cannot be set when creating a record.' },
+      { field: 'Emial', code: 'INVALID_FIELD', message: 'Contact has no field Emial.' },
+      { field: 'LastName', code: 'REQUIRED_FIELD_MISSING', message: 'LastName is required.' }
+    ]);
+  });
+
+  test('only reports required fields that are cleared on update', async () => {
+    await expect(pulsar.validateRecord('Contact', { Id: '003000000000001AAA', Email: 'jo@example.com' }, 'update')).resolves.toEqual([]);
+
+    const errors = await pulsar.validateRecord('Contact', { LastName: '', ExternalRef__c: 'X-1' }, 'update');
+    expect(codes(errors)).toEqual({ LastName: 'REQUIRED_FIELD_MISSING', ExternalRef__c: 'INVALID_FIELD_FOR_INSERT_UPDATE' });
+  });
+
+  test('checks lengths, numbers, picklists, Ids and formats', async () => {
+    const errors = await pulsar.validateRecord('Contact', {
+      LastName: 'J'.repeat(81),
+      AccountId: '001-not-an-id',
+      Email: 'jo@example',
+      Phone: 'call me',
+      Website__c: 'http://exa mple.com',
+      Visits__c: '1234.5',
+      Age__c: '4.5',
+      Level__c: 'Legacy',
+      Languages__c: 'English;German'
+    });
+
+    expect(codes(errors)).toEqual({
+      LastName: 'STRING_TOO_LONG',
+      AccountId: 'MALFORMED_ID',
+      Email: 'INVALID_EMAIL_ADDRESS',
+      Phone: 'INVALID_PHONE',
+      Website__c: 'INVALID_URL',
+      Visits__c: 'NUMBER_OUTSIDE_VALID_RANGE',
+      Age__c: 'INVALID_TYPE_ON_FIELD_IN_RECORD',
+      Level__c: 'INVALID_OR_NULL_FOR_RESTRICTED_PICKLIST',
+      Languages__c: 'INVALID_OR_NULL_FOR_RESTRICTED_PICKLIST'
+    });
+    expect(errors.find(error => error.field === 'Languages__c').message).toBe("Languages__c does not allow the value 'German'.");
+
+    const scale = await pulsar.validateRecord('Contact', { LastName: 'Jones', Visits__c: '1.234', Age__c: '1000' });
+    expect(scale.map(error => error.message)).toEqual([
+      'Visits__c cannot have more than 2 decimal places.',
+      'Age__c cannot have more than 3 digits.'
+    ]);
+  });
+
+  test('checks typed values after converting them', async () => {
+    const errors = await pulsar.validateRecord('Contact', { LastName: 'Jones', Visits__c: 12.5, Languages__c: ['French', 'Dutch'] }, 'create', { typed: true });
+
+    expect(codes(errors)).toEqual({ Languages__c: 'INVALID_OR_NULL_FOR_RESTRICTED_PICKLIST' });
+  });
+
+  test('create and update reject invalid values without calling the bridge when validate is set', async () => {
+    const error = await pulsar.create('Contact', { Email: 'jo@' }, {}, { validate: true }).catch(caught => caught);
+
+    expect(error).toBeInstanceOf(PulsarValidationError);
+    expect(error).toMatchObject({ message: 'create found invalid Contact fields: Email, LastName.', type: 'create', object: 'Contact' });
+    expect(codes(error.fieldErrors)).toEqual({ Email: 'INVALID_EMAIL_ADDRESS', LastName: 'REQUIRED_FIELD_MISSING' });
+
+    await expect(pulsar.update('Contact', '003000000000001AAA', { Age__c: 'many' }, {}, { validate: true }))
+      .rejects
+      .toThrow('update found invalid Contact field: Age__c.');
+    expect(writes()).toHaveLength(0);
+
+    await expect(pulsar.create('Contact', { LastName: 'Smith' }, {}, { validate: true })).resolves.toMatch(/^003/);
+    await expect(pulsar.create('Contact', { Email: 'jo@' })).resolves.toMatch(/^003/);
+  });
+
+  test('batch writes report invalid records as failed', async () => {
+    const response = await pulsar.createBatch('Contact', [{ LastName: 'Smith' }, { LastName: 'Brown', Level__c: 'VIP' }], { validate: true });
+
+    expect(response.results[0].success).toBe('TRUE');
+    expect(response.results[1]).toEqual({ objectId: '', success: 'FALSE', error: 'create found invalid Contact field: Level__c.' });
+  });
+
+  test('validates arguments', async () => {
+    await expect(pulsar.validateRecord('Contact', null)).rejects.toThrow('validateRecord requires a fields object.');
+    await expect(pulsar.validateRecord('Contact', {}, 'delete')).rejects.toThrow("validateRecord requires operation to be 'create' or 'update'.");
+    await expect(pulsar.validateRecord('', {})).rejects.toBeInstanceOf(PulsarValidationError);
+  });
+});
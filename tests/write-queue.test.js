@@ -0,0 +1,132 @@
+import { Pulsar } from '../src/pulsar.js';
+import { jest } from '@jest/globals';
+
+describe('Pulsar write queue', () => {
+  let pulsar;
+  let mockSend;
+  let pending;
+
+  const respond = (index, response) => pending[index].cb(response);
+
+  beforeEach(() => {
+    pending = [];
+    mockSend = jest.fn((req, cb) => { pending.push({ req, cb }); });
+    pulsar = new Pulsar();
+    pulsar.bridge = { send: mockSend };
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('dispatches the first write immediately', () => {
+    pulsar.create('Account', { Name: 'ACME' });
+
+    expect(mockSend).toHaveBeenCalledTimes(1);
+    expect(pulsar.writeQueueDepth).toBe(1);
+  });
+
+  test('sends concurrent writes to the bridge one at a time in FIFO order', async () => {
+    const first = pulsar.create('Account', { Name: 'ACME' });
+    const second = pulsar.update('Account', '001A', { Name: 'Globex' });
+    const third = pulsar.delete('Account', '001B');
+
+    expect(mockSend).toHaveBeenCalledTimes(1);
+    expect(pulsar.writeQueueDepth).toBe(3);
+
+    respond(0, { type: 'createResponse', data: '001A' });
+    await expect(first).resolves.toBe('001A');
+    await new Promise(process.nextTick);
+
+    expect(mockSend).toHaveBeenCalledTimes(2);
+    expect(pending[1].req.type).toBe('update');
+
+    respond(1, { type: 'updateResponse', data: '001A' });
+    await expect(second).resolves.toBe('001A');
+    await new Promise(process.nextTick);
+
+    expect(pending[2].req.type).toBe('delete');
+    respond(2, { type: 'deleteResponse', data: '001B' });
+    await expect(third).resolves.toBe('001B');
+    await new Promise(process.nextTick);
+
+    expect(pulsar.writeQueueDepth).toBe(0);
+  });
+
+  test('continues with queued writes after a failed write', async () => {
+    const first = pulsar.deleteBatch('Account', ['001A']);
+    const second = pulsar.updateQuery('Account', "UPDATE Account SET Name = 'X'");
+
+    respond(0, { type: 'error', data: 'Delete failed' });
+    await expect(first).rejects.toThrow('Delete failed');
+    await new Promise(process.nextTick);
+
+    expect(pending[1].req.type).toBe('updateQuery');
+    respond(1, { type: 'updateQueryResponse', data: 'success' });
+    await expect(second).resolves.toBe('success');
+  });
+
+  test('holds the queue until the bridge answers a write that timed out', async () => {
+    const first = pulsar.create('Account', { Name: 'ACME' }, {}, { timeout: 10 });
+    const second = pulsar.update('Account', '001A', { Name: 'Globex' });
+
+    await expect(first).rejects.toThrow("Pulsar request 'create' timed out after 10ms.");
+    await new Promise(process.nextTick);
+    expect(mockSend).toHaveBeenCalledTimes(1);
+    expect(pulsar.writeQueueDepth).toBe(2);
+
+    respond(0, { type: 'createResponse', data: '001A' });
+    await new Promise(process.nextTick);
+
+    expect(mockSend).toHaveBeenCalledTimes(2);
+    respond(1, { type: 'updateResponse', data: '001A' });
+    await expect(second).resolves.toBe('001A');
+  });
+
+  test('rejects a queued write when its signal aborts and never sends it', async () => {
+    const controller = new AbortController();
+    pulsar.create('Account', { Name: 'ACME' });
+    const aborted = pulsar.delete('Account', '001B', { signal: controller.signal });
+
+    controller.abort();
+    await expect(aborted).rejects.toThrow("Pulsar request 'delete' was aborted.");
+    expect(pulsar.writeQueueDepth).toBe(1);
+
+    respond(0, { type: 'createResponse', data: '001A' });
+    await new Promise(process.nextTick);
+
+    expect(mockSend).toHaveBeenCalledTimes(1);
+    expect(pulsar.writeQueueDepth).toBe(0);
+  });
+
+  test('does not queue reads behind writes', () => {
+    pulsar.create('Account', { Name: 'ACME' });
+    pulsar.read('Account', {});
+
+    expect(mockSend).toHaveBeenCalledTimes(2);
+    expect(pulsar.writeQueueDepth).toBe(1);
+  });
+
+  test('routes file creation methods through the queue', async () => {
+    const upload = pulsar.createSFFile('001A', 'a.txt', 'aGVsbG8=');
+    const remove = pulsar.deleteSFFile(['069A']);
+
+    expect(mockSend).toHaveBeenCalledTimes(1);
+    expect(pulsar.writeQueueDepth).toBe(2);
+
+    respond(0, { type: 'createSFFileResponse', data: { Id: '068A' } });
+    await upload;
+    await new Promise(process.nextTick);
+
+    expect(pending[1].req.type).toBe('deleteSFFile');
+    respond(1, { type: 'deleteSFFileResponse', data: { success: true } });
+    await expect(remove).resolves.toBe(true);
+  });
+
+  test('validation errors are thrown without occupying the queue', async () => {
+    await expect(pulsar.update('Account', '', {})).rejects.toThrow();
+
+    expect(pulsar.writeQueueDepth).toBe(0);
+    expect(mockSend).not.toHaveBeenCalled();
+  });
+});